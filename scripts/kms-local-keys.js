@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Manages the key file of the local KMS provider (KMS_PROVIDER=local).
+ *
+ *   npm run kms:local -- init [file]   # create a key file with one master key
+ *   npm run kms:local -- add [file]    # add a master key and make it current
+ *   npm run kms:local -- show [file]   # list key IDs, never the keys
+ *
+ * The file defaults to KMS_LOCAL_KEY_FILE and is written with mode 0600.
+ * Keep it apart from the env file and back it up: wallets whose data keys it
+ * wrapped cannot be decrypted without it. After `add`, run
+ * `npm run rotate-keys` to re-wrap existing wallets with the new key.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseKmsKeySet } = require('../src/core/keyring');
+
+const readKeySet = (file) => parseKmsKeySet(fs.readFileSync(file, 'utf8'));
+
+// Written to a temporary file first so a crash never leaves a truncated key file
+const writeKeySet = (file, keySet) => {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(keySet, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, file);
+};
+
+const nextKeyId = (keySet) => {
+  const used = Object.keys(keySet.keys)
+    .map(id => /^local-(\d+)$/.exec(id))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  return `local-${used.length > 0 ? Math.max(...used) + 1 : 1}`;
+};
+
+function main() {
+  const [command, fileArg] = process.argv.slice(2);
+  const file = fileArg || process.env.KMS_LOCAL_KEY_FILE;
+
+  if (!file || !['init', 'add', 'show'].includes(command)) {
+    console.error('Usage: npm run kms:local -- <init|add|show> [file]  (file defaults to KMS_LOCAL_KEY_FILE)');
+    process.exit(1);
+  }
+
+  if (command === 'init') {
+    if (fs.existsSync(file)) {
+      console.error(`❌ ${file} already exists; use "add" to add a master key`);
+      process.exit(1);
+    }
+    writeKeySet(file, { currentKeyId: 'local-1', keys: { 'local-1': crypto.randomBytes(32).toString('base64') } });
+    console.log(`✅ Created ${file} with master key "local-1"`);
+    return;
+  }
+
+  const keySet = readKeySet(file);
+
+  if (command === 'add') {
+    const keyId = nextKeyId(keySet);
+    keySet.keys[keyId] = crypto.randomBytes(32).toString('base64');
+    keySet.currentKeyId = keyId;
+    writeKeySet(file, keySet);
+    console.log(`✅ Added master key "${keyId}" to ${file}; new data keys are wrapped with it`);
+    console.log('   Restart the bot, then run `npm run rotate-keys` to re-wrap existing wallets');
+    return;
+  }
+
+  for (const keyId of Object.keys(keySet.keys)) {
+    console.log(`${keyId}${keyId === keySet.currentKeyId ? ' (current)' : ''}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Local KMS key file error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Re-encrypts every Auth0 user's private key under the current master key.
+ *
+ *   npm run rotate-keys                 # rotate, resuming an interrupted run
+ *   npm run rotate-keys -- --dry-run    # count the keys that would change
+ *   npm run rotate-keys -- --restart    # start again from the first user
+ *
+ * Deploy the new key first so running bots can read both: ENCRYPTION_KEY and
+ * ENCRYPTION_KEY_ID with the old key in ENCRYPTION_PREVIOUS_KEYS, or a key
+ * added with `npm run kms:local -- add`, or a change of KMS_PROVIDER.
+ */
+
+require('dotenv').config();
+
+const storageService = require('../src/services/storageService');
+const keyRotationService = require('../src/services/keyRotationService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const restart = args.includes('--restart');
+
+  await storageService.connect();
+
+  try {
+    const state = await keyRotationService.rotate({
+      dryRun,
+      restart,
+      onPage: (progress) => {
+        console.log(`Page ${progress.page}: ${progress.rotated} ${dryRun ? 'to re-encrypt' : 're-encrypted'}, ` +
+          `${progress.current} already current, ${progress.failed} failed`);
+      }
+    });
+
+    console.log(`${dryRun ? 'Dry run' : 'Rotation'} to key "${state.kid}" complete: ` +
+      `${state.rotated} ${dryRun ? 'to re-encrypt' : 're-encrypted'}, ${state.current} already current, ${state.failed} failed`);
+
+    for (const failure of state.failures) {
+      console.error(`  - ${failure.accountId} (Telegram ${failure.telegramId}): ${failure.error}`);
+    }
+
+    // Failed users keep their old key; remove it from ENCRYPTION_PREVIOUS_KEYS
+    // only after a run with no failures
+    process.exitCode = state.failed > 0 ? 1 : 0;
+  } finally {
+    await storageService.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
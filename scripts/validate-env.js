@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const Joi = require('joi');
+const { parseKeyring, KMS_PROVIDERS } = require('../src/core/keyring');
 require('dotenv').config();
 
 const envSchema = Joi.object({
@@ -10,18 +11,37 @@ const envSchema = Joi.object({
   AUTH0_CLIENT_SECRET: Joi.string().required().description('Auth0 Client Secret'),
   AUTH0_MANAGEMENT_TOKEN: Joi.string().required().description('Auth0 Management Token'),
   WEBHOOK_URL: Joi.string().uri().required().description('Webhook URL'),
+  TELEGRAM_WEBHOOK_SECRET: Joi.string().pattern(/^[A-Za-z0-9_-]{1,256}$/).optional().description('Webhook secret token (defaults to one derived from JWT_SECRET)'),
   PORT: Joi.number().port().default(3000).description('Server Port'),
   NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
   ARC_RPC_URL: Joi.string().uri().default('https://rpc.testnet.arc.network').description('ARC Network RPC URL'),
   ARC_CHAIN_ID: Joi.string().default('5042002').description('ARC Chain ID'),
   ARC_EXPLORER_URL: Joi.string().uri().default('https://testnet.arcscan.app').description('ARC Explorer URL'),
   ENCRYPTION_KEY: Joi.string().length(32).required().description('32-character encryption key'),
+  ENCRYPTION_KEY_ID: Joi.string().pattern(/^[A-Za-z0-9_-]{1,32}$/).default('k1').description('ID stored with data encrypted by ENCRYPTION_KEY'),
+  ENCRYPTION_PREVIOUS_KEYS: Joi.string().optional().description('JSON object of retired key ID -> key, used for decryption only'),
+  KMS_PROVIDER: Joi.string().valid(...KMS_PROVIDERS).default('keyring').description('Master key provider that wraps per-user data keys'),
+  KMS_LOCAL_KEY_FILE: Joi.string().when('KMS_PROVIDER', { is: 'local', then: Joi.required(), otherwise: Joi.optional() }).description('Key file of the local KMS provider'),
   JWT_SECRET: Joi.string().min(32).required().description('JWT Secret'),
   RATE_LIMIT_WINDOW_MS: Joi.number().default(900000).description('Rate limit window in milliseconds'),
   RATE_LIMIT_MAX_REQUESTS: Joi.number().default(100).description('Max requests per window'),
   LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'debug').default('info'),
   OPENAI_API_KEY: Joi.string().optional().description('OpenAI API Key for agent functionality'),
-  DATABASE_URL: Joi.string().optional().description('Database URL (optional)')
+  DATABASE_URL: Joi.string().pattern(/^(postgres(ql)?:\/\/|sqlite:|memory:)/).optional().description('Storage URL: postgresql://, sqlite: or memory: (defaults to memory)'),
+  TRANSFER_WATCHER_ENABLED: Joi.boolean().default(true).description('Notify users of incoming USDC transfers'),
+  TRANSFER_WATCHER_INTERVAL_MS: Joi.number().min(1000).default(15000).description('Transfer watcher poll interval in milliseconds'),
+  TRANSFER_WATCHER_CONFIRMATIONS: Joi.number().min(0).default(1).description('Blocks to wait before notifying about a transfer'),
+  TRANSFER_WATCHER_MAX_BLOCK_RANGE: Joi.number().min(1).default(2000).description('Maximum blocks scanned per poll'),
+  HISTORY_START_BLOCK: Joi.number().min(0).default(0).description('Oldest block indexed for transaction history'),
+  HISTORY_BLOCK_RANGE: Joi.number().min(1).max(10000).default(10000).description('Blocks per eth_getLogs call when indexing history'),
+  SPENDING_DAILY_LIMIT: Joi.number().positive().default(1000).description('Default USDC a user can send per rolling 24 hours'),
+  SPENDING_WEEKLY_LIMIT: Joi.number().positive().default(5000).description('Default USDC a user can send per rolling 7 days'),
+  SPENDING_PER_TX_LIMIT: Joi.number().positive().default(500).description('Default maximum USDC per payment'),
+  STEP_UP_THRESHOLD: Joi.number().min(0).default(100).description('Payments above this USDC amount need a PIN or delayed confirmation'),
+  STEP_UP_DELAY_MS: Joi.number().min(0).default(60000).description('Wait before a large payment can be confirmed by users without a PIN'),
+  PAYMENT_CONFIRMATIONS: Joi.number().min(1).default(3).description('Confirmations shown before a sent payment is reported final'),
+  BACKUP_MESSAGE_TTL_MS: Joi.number().min(10000).max(600000).default(60000).description('How long /backup messages stay before they are deleted'),
+  PAYMENT_TRACKER_INTERVAL_MS: Joi.number().min(500).default(3000).description('How often sent payments are checked for new confirmations')
 }).unknown();
 
 function validateEnvironment() {
@@ -34,6 +54,25 @@ function validateEnvironment() {
     });
     process.exit(1);
   }
+
+  try {
+    parseKeyring({
+      currentKey: value.ENCRYPTION_KEY,
+      currentKeyId: value.ENCRYPTION_KEY_ID,
+      previousKeys: value.ENCRYPTION_PREVIOUS_KEYS
+    });
+  } catch (keyringError) {
+    console.error('❌ Environment validation failed:');
+    console.error(`  - ${keyringError.message}`);
+    process.exit(1);
+  }
+
+  // With the keyring provider, a leaked env file decrypts every wallet
+  if (value.NODE_ENV === 'production' && value.KMS_PROVIDER === 'keyring') {
+    console.error('❌ Environment validation failed:');
+    console.error('  - KMS_PROVIDER=keyring is not allowed in production; use KMS_PROVIDER=local with KMS_LOCAL_KEY_FILE');
+    process.exit(1);
+  }
   
   console.log('✅ Environment validation passed');
   
@@ -47,6 +86,9 @@ function validateEnvironment() {
     if (value.LOG_LEVEL === 'debug') {
       warnings.push('Debug logging enabled in production');
     }
+    if (!value.DATABASE_URL || value.DATABASE_URL.startsWith('memory:')) {
+      warnings.push('No DATABASE_URL set; bot state will be kept in memory only');
+    }
   }
   
   if (warnings.length > 0) {
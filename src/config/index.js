@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const { validateEnvironment } = require('../../scripts/validate-env');
+const { parseKeyring } = require('../core/keyring');
 
 class Config {
   constructor() {
@@ -10,6 +12,10 @@ class Config {
     this.telegram = {
       token: this.env.TELEGRAM_BOT_TOKEN,
       webhookUrl: this.env.WEBHOOK_URL,
+      webhookPath: '/telegram/webhook',
+      // Sent back by Telegram in X-Telegram-Bot-Api-Secret-Token on every update
+      webhookSecret: this.env.TELEGRAM_WEBHOOK_SECRET ||
+        crypto.createHmac('sha256', this.env.JWT_SECRET).update('telegram-webhook-secret').digest('hex'),
       botUsername: this.env.TELEGRAM_BOT_USERNAME || 'arc_pay_bot'
     };
 
@@ -34,9 +40,26 @@ class Config {
 
     this.security = {
       encryptionKey: this.env.ENCRYPTION_KEY,
+      // Current key for encryption plus retired keys still accepted for decryption
+      keyring: parseKeyring({
+        currentKey: this.env.ENCRYPTION_KEY,
+        currentKeyId: this.env.ENCRYPTION_KEY_ID,
+        previousKeys: this.env.ENCRYPTION_PREVIOUS_KEYS
+      }),
       jwtSecret: this.env.JWT_SECRET
     };
 
+    // Wallet backups (/backup): recovery phrase and keystore messages are deleted after this
+    this.backup = {
+      messageTtlMs: this.env.BACKUP_MESSAGE_TTL_MS
+    };
+
+    // Master key provider for envelope encryption (see src/services/kms)
+    this.kms = {
+      provider: this.env.KMS_PROVIDER,
+      localKeyFile: this.env.KMS_LOCAL_KEY_FILE || null
+    };
+
     this.rateLimit = {
       windowMs: this.env.RATE_LIMIT_WINDOW_MS,
       maxRequests: this.env.RATE_LIMIT_MAX_REQUESTS
@@ -53,6 +76,31 @@ class Config {
     this.database = {
       url: this.env.DATABASE_URL
     };
+
+    this.watcher = {
+      enabled: this.env.TRANSFER_WATCHER_ENABLED,
+      pollIntervalMs: this.env.TRANSFER_WATCHER_INTERVAL_MS,
+      confirmations: this.env.TRANSFER_WATCHER_CONFIRMATIONS,
+      maxBlockRange: this.env.TRANSFER_WATCHER_MAX_BLOCK_RANGE
+    };
+
+    this.history = {
+      startBlock: this.env.HISTORY_START_BLOCK,
+      blockRange: this.env.HISTORY_BLOCK_RANGE
+    };
+
+    this.spending = {
+      dailyLimit: this.env.SPENDING_DAILY_LIMIT,
+      weeklyLimit: this.env.SPENDING_WEEKLY_LIMIT,
+      perTransactionLimit: this.env.SPENDING_PER_TX_LIMIT,
+      stepUpThreshold: this.env.STEP_UP_THRESHOLD,
+      stepUpDelayMs: this.env.STEP_UP_DELAY_MS
+    };
+
+    this.tracker = {
+      confirmations: this.env.PAYMENT_CONFIRMATIONS,
+      pollIntervalMs: this.env.PAYMENT_TRACKER_INTERVAL_MS
+    };
   }
 
   get isDevelopment() {
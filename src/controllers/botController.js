@@ -1,18 +1,55 @@
 const telegramService = require('../services/telegramService');
 const auth0Service = require('../services/auth0Service');
 const arcService = require('../services/arcService');
+const signerService = require('../services/signerService');
+const walletBackupService = require('../services/walletBackupService');
+const walletImportService = require('../services/walletImportService');
+const friendService = require('../services/friendService');
+const paymentRequestService = require('../services/paymentRequestService');
+const storageService = require('../services/storageService');
+const addressRegistryService = require('../services/addressRegistryService');
+const transferWatcherService = require('../services/transferWatcherService');
+const transactionIndexService = require('../services/transactionIndexService');
+const statementService = require('../services/statementService');
+const scheduledPaymentService = require('../services/scheduledPaymentService');
+const splitService = require('../services/splitService');
+const batchPaymentService = require('../services/batchPaymentService');
+const spendingLimitService = require('../services/spendingLimitService');
+const paymentConfirmationService = require('../services/paymentConfirmationService');
+const paymentOutboxService = require('../services/paymentOutboxService');
+const paymentTrackerService = require('../services/paymentTrackerService');
 const { createAgentService } = require('../services/agentService');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { validateCommandArgs, parseRecipient, isValidAmount, isValidFriendAlias } = require('../utils/validation');
-const { ValidationError, NotFoundError, InsufficientFundsError } = require('../utils/errors');
+const { validateCommandArgs, parseRecipient, isValidAmount, isValidFriendAlias, sanitizeTelegramMessage } = require('../utils/validation');
+const { RecipientResolver, formatFriend, formatPaymentLinkMarkdown, parsePaymentLink } = require('../core');
+const { ValidationError, NotFoundError, AuthorizationError, InsufficientFundsError, SpendingLimitError } = require('../utils/errors');
 
 class BotController {
   constructor() {
-    this.pendingPayments = new Map();
+    // Recipient resolution is shared with the Workers bot (src/core)
+    this.recipients = new RecipientResolver({
+      users: {
+        getUserByTelegramId: async (telegramId) => this._toCoreUser(await auth0Service.getUserByTelegramId(telegramId)),
+        getUserByUsername: async (username) => this._toCoreUser(await auth0Service.getUserByTelegramUsername(username)),
+        getUserByAddress: (address) => this.findUserByAddress(address)
+      },
+      friends: {
+        getFriends: (telegramId) => this._getFriends(telegramId)
+      },
+      logger
+    });
+
     this.setupCommandHandlers();
     this.setupCallbackHandlers();
     this.startCleanupTimer();
+    transferWatcherService.setTransferHandler(this.handleIncomingTransfer.bind(this));
+    scheduledPaymentService.setRunHandler(this.executeScheduledPayment.bind(this));
+    scheduledPaymentService.setReminderHandler(this.remindScheduledPayment.bind(this));
+    paymentRequestService.setStatusChangeHandler(this.handlePaymentRequestStatusChange.bind(this));
+    paymentOutboxService.setResolutionHandler(this.handleRecoveredPayment.bind(this));
+    paymentTrackerService.setUpdateHandler(this.handlePaymentStatusUpdate.bind(this));
+    walletBackupService.setDeleteHandler((chatId, messageId) => telegramService.deleteMessage(chatId, messageId));
     
     // Initialize agent service with this controller
     const { runAgent } = createAgentService(this);
@@ -24,9 +61,19 @@ class BotController {
     telegramService.setCommandHandler('balance', this.handleBalance.bind(this));
     telegramService.setCommandHandler('pay', this.handlePay.bind(this));
     telegramService.setCommandHandler('request', this.handleRequest.bind(this));
+    telegramService.setCommandHandler('requests', this.handleRequests.bind(this));
+    telegramService.setCommandHandler('split', this.handleSplit.bind(this));
+    telegramService.setCommandHandler('paymany', this.handlePayMany.bind(this));
+    telegramService.setCommandHandler('limits', this.handleLimits.bind(this));
+    telegramService.setCommandHandler('setpin', this.handleSetPin.bind(this));
+    telegramService.setCommandHandler('backup', this.handleBackup.bind(this));
+    telegramService.setCommandHandler('import', this.handleImport.bind(this));
     telegramService.setCommandHandler('qr', this.handleQR.bind(this));
     telegramService.setCommandHandler('myqr', this.handleMyQR.bind(this));
     telegramService.setCommandHandler('history', this.handleHistory.bind(this));
+    telegramService.setCommandHandler('export', this.handleExport.bind(this));
+    telegramService.setCommandHandler('schedule', this.handleSchedule.bind(this));
+    telegramService.setCommandHandler('schedules', this.handleSchedules.bind(this));
     telegramService.setCommandHandler('network', this.handleNetworkInfo.bind(this));
     
     // Friend management commands
@@ -38,6 +85,12 @@ class BotController {
     // Override amount input handlers
     telegramService.handlePaymentAmountInput = this.handlePaymentAmountInput.bind(this);
     telegramService.handleQRAmountInput = this.handleQRAmountInput.bind(this);
+    telegramService.handlePayManyInput = this.handlePayManyInput.bind(this);
+    telegramService.handleDocument = this.handleDocument.bind(this);
+    telegramService.handleSetPinInput = this.handleSetPinInput.bind(this);
+    telegramService.handleStepUpPinInput = this.handleStepUpPinInput.bind(this);
+    telegramService.handleBackupPasswordInput = this.handleBackupPasswordInput.bind(this);
+    telegramService.handleImportInput = this.handleImportInput.bind(this);
     telegramService.handleDefaultText = this.handleDefaultMessage.bind(this);
   }
 
@@ -45,6 +98,14 @@ class BotController {
     telegramService.registerCallbackHandler('qr_', this.handleQRCallback.bind(this));
     telegramService.registerCallbackHandler('pay_', this.handlePaymentCallback.bind(this));
     telegramService.registerCallbackHandler('decline_', this.handleDeclineCallback.bind(this));
+    telegramService.registerCallbackHandler('reqs_', this.handleRequestsCallback.bind(this));
+    telegramService.registerCallbackHandler('split_', this.handleSplitCallback.bind(this));
+    telegramService.registerCallbackHandler('batch_', this.handleBatchCallback.bind(this));
+    telegramService.registerCallbackHandler('stepup_', this.handleStepUpCallback.bind(this));
+    telegramService.registerCallbackHandler('backup_', this.handleBackupCallback.bind(this));
+    telegramService.registerCallbackHandler('import_', this.handleImportCallback.bind(this));
+    telegramService.registerCallbackHandler('hist_', this.handleHistoryCallback.bind(this));
+    telegramService.registerCallbackHandler('sched_', this.handleScheduleCallback.bind(this));
     telegramService.registerCallbackHandler('confirm_pay_', this.handleConfirmPayCallback.bind(this));
     telegramService.registerCallbackHandler('cancel_payment', this.handleCancelPayCallback.bind(this));
   }
@@ -103,6 +164,7 @@ class BotController {
             privateKey: evmWallet.privateKey,
             mnemonic: evmWallet.mnemonic
           });
+          await addressRegistryService.register(result.arc_address, telegramId, username);
           
           const networkInfo = config.isARCTestnet 
             ? `⚠️ Note: This is a testnet address. Fund it at: https://faucet.circle.com`
@@ -160,6 +222,9 @@ Use /help for all commands`,
           { parse_mode: 'Markdown' }
         );
 
+        // Keeps the registry current for accounts created before it existed
+        await addressRegistryService.register(user.user_metadata.arc_address, telegramId, user.user_metadata.telegram_username);
+
         logger.audit('user_returned', telegramId, {
           username: user.user_metadata.telegram_username
         });
@@ -213,6 +278,7 @@ Network: ARC Testnet (Chain ID: ${config.arc.chainId})`;
   }
 
   async handlePay(message, args) {
+    let processingMessage = null;
     try {
       const chatId = message.chat.id;
       const telegramId = message.from.id;
@@ -254,8 +320,6 @@ Currency: USDC (only supported currency)`
         return;
       }
 
-      await telegramService.sendMessage(chatId, '🔄 Processing payment...');
-
       // Resolve recipient with sender context for friend hierarchy
       logger.info('Resolving recipient', { recipientInput, telegramId });
       const resolved = await this.resolveRecipient(recipientInput, telegramId);
@@ -273,78 +337,85 @@ Use /friends to see your friend aliases.`
         return;
       }
 
-      // Send USDC payment
-      const result = await arcService.sendUSDCPayment(
-        sender.app_metadata.arc_private_key,
-        resolved.address,
-        amount,
-        reason
-      );
-
-      if (result.success) {
-        const recipientInfo = `To: ${resolved.displayName || resolved.address}`;
+      processingMessage = await telegramService.sendMessage(chatId, '🔄 Processing payment...');
 
-        await telegramService.sendMessage(
-          chatId,
-          `✅ USDC payment sent successfully!
-
-Amount: ${amount} USDC
-${recipientInfo}
-Transaction: \`${result.hash}\`
-Gas Used: ${result.gasUsed} units`,
-          { parse_mode: 'Markdown' }
-        );
+      const reservationId = await this._authorizePayment(chatId, telegramId, amount, {
+        actionKey: `pay:${resolved.address.toLowerCase()}:${amount}`,
+        description: `Send ${amount} USDC to ${resolved.displayName || resolved.address}`,
+        resume: { command: 'pay', args, messageId: message.message_id },
+        promptMessage: processingMessage
+      });
+      if (!reservationId) {
+        return;
+      }
 
-        // Notify recipient if they're a bot user
-        if (resolved.telegramId) {
-          try {
-            await telegramService.sendMessage(
-              resolved.telegramId,
-              `💰 You received ${amount} USDC from @${message.from.username || 'someone'}!
-
-Transaction: \`${result.hash}\`
-Use /balance to check your balance`,
-              { parse_mode: 'Markdown' }
-            );
-          } catch (error) {
-            logger.warn('Could not notify recipient', {
-              recipientId: resolved.telegramId,
-              error: error.message
-            });
+      // Submit USDC payment; the status message is updated as it confirms
+      let submission;
+      try {
+        submission = await arcService.submitUSDCPayment(
+          signerService.forUser(sender),
+          resolved.address,
+          amount,
+          reason,
+          {
+            owner: telegramId,
+            // One payment per /pay message, also when it is resumed after step-up or delivered twice
+            idempotencyKey: message.message_id ? `pay:${chatId}:${message.message_id}` : null
           }
-        }
+        );
+      } catch (error) {
+        await spendingLimitService.settleReservation(telegramId, reservationId, 0);
+        throw error;
+      }
+      if (submission.duplicate) {
+        // Already sent for this message; don't count it twice
+        await spendingLimitService.settleReservation(telegramId, reservationId, 0);
+      }
 
-        logger.audit('payment_sent', telegramId, {
+      // Bot users are notified by the transfer watcher
+      await this._trackPayment(submission, {
+        chatId,
+        messageId: processingMessage.message_id,
+        telegramId,
+        reservationId,
+        amount,
+        recipient: resolved.displayName || resolved.address,
+        onConfirmed: (result) => logger.audit('payment_sent', telegramId, {
           amount,
           currency: 'USDC',
           recipient: resolved.address,
           txHash: result.hash,
           gasUsed: result.gasUsed
-        });
-      }
+        })
+      });
     } catch (error) {
+      let text;
       if (error instanceof InsufficientFundsError) {
-        await telegramService.sendMessage(
-          message.chat.id,
-          `❌ Insufficient ${error.currency} funds. You need ${error.required} ${error.currency} but only have ${error.available} ${error.currency}.`
-        );
+        text = `❌ Insufficient ${error.currency} funds. You need ${error.required} ${error.currency} but only have ${error.available} ${error.currency}.`;
+      } else if (error instanceof SpendingLimitError) {
+        text = `❌ ${error.message}\n\nSee /limits to view or change your limits.`;
       } else if (error.message && error.message.includes('Insufficient USDC for gas fees')) {
-        await telegramService.sendMessage(
-          message.chat.id,
-          `❌ ${error.message}
+        text = `❌ ${error.message}
 
-You need USDC in your wallet to pay for gas fees.`
-        );
+You need USDC in your wallet to pay for gas fees.`;
       } else if (error instanceof ValidationError) {
-        await telegramService.sendErrorMessage(message.chat.id, error.message);
+        text = `❌ ${error.message}`;
       } else {
         logger.error('Payment failed', {
           telegramId: message.from.id,
           args,
           error: error.message
         });
-        await telegramService.sendErrorMessage(message.chat.id, 'Payment failed. Please try again.');
+        text = '❌ Payment failed. Please try again.';
       }
+
+      // Replace the processing message, so it does not stay up after an error
+      const reply = processingMessage
+        ? telegramService.editMessage(message.chat.id, processingMessage.message_id, text)
+        : telegramService.sendMessage(message.chat.id, text);
+      await reply.catch(sendError => {
+        logger.error('Could not report payment error', { chatId: message.chat.id, error: sendError.message });
+      });
     }
   }
 
@@ -396,189 +467,1709 @@ Current Gas Price: ${networkInfo.gasPrice} wei
     }
   }
 
-  async handleRequest(message, args) {
+  async handlePayMany(message, args) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
     try {
-      const chatId = message.chat.id;
-      const telegramId = message.from.id;
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
 
-      if (args.length < 2) {
-        await telegramService.sendMessage(
-          chatId,
-          `❓ Usage: /request <user> <amount> [reason]
+      // The list can follow the command on the next lines of the same message
+      const list = sanitizeTelegramMessage(message.text).split('\n').slice(1).join('\n');
+      if (list.trim()) {
+        await this._preparePayMany(chatId, telegramId, user, list);
+        return;
+      }
 
-Examples:
-• /request @alice 10
-• /request bob 5.5 (using friend alias)
-• /request 0x1234... 15 dinner split
+      await telegramService.setUserSession(telegramId, { waitingFor: 'paymany_list' });
+      await telegramService.sendMessage(
+        chatId,
+        `📋 Send the payments as a list, one per line:
+recipient,amount,memo
 
-Recipients can be:
-• @username (Telegram username)
-• alias (Friend alias - use /friends to see list)
-• User ID (Telegram user ID)
+Example:
+@alice,25,March design work
+bob,10
+0x1234...,5.5,hosting refund
 
-Currency: USDC (only supported currency)
+Or upload a CSV file with the same columns. Up to ${batchPaymentService.MAX_LINES} payments per batch.`
+      );
+    } catch (error) {
+      logger.error('PayMany command failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to start batch payment. Please try again.');
+    }
+  }
 
-This will send a payment request to the specified user.`
-        );
-        return;
-      }
+  async handlePayManyInput(message, text) {
+    const telegramId = message.from.id;
+    await telegramService.clearUserSession(telegramId);
 
-      const [payerInput, amountInput, ...reasonParts] = args;
-      const currency = 'USDC'; // Only USDC supported on ARC
-      const reason = reasonParts.length > 0 ? reasonParts.join(' ') : null;
-      
-      if (!isValidAmount(parseFloat(amountInput))) {
-        throw new ValidationError('Invalid amount. Must be a positive number.');
-      }
+    const user = await auth0Service.getUserByTelegramId(telegramId);
+    if (!user) {
+      await telegramService.sendErrorMessage(message.chat.id, 'Please create an account first with /start');
+      return;
+    }
+    await this._preparePayMany(message.chat.id, telegramId, user, text);
+  }
 
-      const amount = parseFloat(amountInput);
-      const requester = await auth0Service.getUserByTelegramId(telegramId);
-      
-      if (!requester) {
-        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+  async handleDocument(message) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
+    try {
+      const session = await telegramService.getUserSession(telegramId);
+      if (session?.waitingFor === 'import_secret') {
+        await this.handleImportDocument(message, session);
         return;
       }
 
-      // Resolve the payer with sender context for friend hierarchy
-      const resolved = await this.resolveRecipient(payerInput, telegramId);
-      if (!resolved || !resolved.telegramId) {
+      const captionCommand = (message.caption || '').trim().toLowerCase().startsWith('/paymany');
+      if (session?.waitingFor !== 'paymany_list' && !captionCommand) {
         await telegramService.sendMessage(
           chatId,
-          `❌ User not found or hasn't created an account yet.
-Make sure they've used /start on this bot first, or use /friends to see your friend aliases.`
+          "I'm not sure what to do with this file. Use /paymany before uploading a payment CSV."
         );
         return;
       }
 
-      // Create payment request in Auth0
-      const paymentRequest = await auth0Service.createPaymentRequest(
-        telegramId,
-        resolved.telegramId,
-        amount,
-        currency,
-        reason
-      );
+      await telegramService.clearUserSession(telegramId);
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
 
-      // Send request to payer
-      try {
-        const keyboard = {
-          inline_keyboard: [
-            [
-              { text: '✅ Pay Now', callback_data: `pay_${paymentRequest.id}` },
-              { text: '❌ Decline', callback_data: `decline_${paymentRequest.id}` }
-            ]
-          ]
-        };
+      const content = await telegramService.downloadFile(message.document.file_id, 64 * 1024);
+      await this._preparePayMany(chatId, telegramId, user, content.toString('utf8'));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await telegramService.sendErrorMessage(chatId, error.message);
+        return;
+      }
 
-        await telegramService.sendMessage(
-          resolved.telegramId,
-          `💸 USDC Payment Request
+      logger.error('Document upload failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to read the file. Please try again.');
+    }
+  }
 
-From: @${message.from.username || 'user'}
-Amount: ${amount} USDC${reason ? `\nReason: ${reason}` : ''}
-To address: \`${requester.user_metadata.arc_address}\`
+  /**
+   * Parses and resolves a payment list, then asks for a single confirmation
+   * showing the total against the current balance
+   */
+  async _preparePayMany(chatId, telegramId, user, text) {
+    try {
+      const { items, errors } = batchPaymentService.parseList(text);
 
-Do you want to pay?`,
-          { parse_mode: 'Markdown', reply_markup: keyboard }
-        );
+      for (const item of items) {
+        const resolved = await this.resolveRecipient(item.recipient, telegramId);
+        if (!resolved) {
+          errors.push({ line: item.line, error: `Recipient ${item.recipient} not found` });
+          continue;
+        }
+        item.address = resolved.address;
+        item.displayName = resolved.displayName || resolved.address;
+      }
 
+      if (errors.length > 0) {
+        const details = errors
+          .sort((a, b) => a.line - b.line)
+          .map(({ line, error }) => `• Line ${line}: ${error}`)
+          .join('\n');
         await telegramService.sendMessage(
           chatId,
-          `✅ Payment request sent to ${resolved.displayName || `@${resolved.username}` || resolved.telegramId}!
-
-The request will expire in 30 minutes.`
+          `❌ Please fix these lines and send the list again with /paymany:\n\n${details}`,
+          { parse_mode: undefined }
         );
+        return;
+      }
 
-        logger.audit('payment_requested', telegramId, {
-          amount,
-          payer: resolved.telegramId,
-          requestId
-        });
-      } catch (error) {
-        await telegramService.sendErrorMessage(
-          chatId,
-          'Could not send request. The user may have blocked the bot.'
-        );
+      if (items.length === 0) {
+        await telegramService.sendErrorMessage(chatId, 'The list is empty. Use recipient,amount,memo on each line.');
+        return;
       }
+
+      const batch = await batchPaymentService.createBatch(telegramId, items);
+      const balance = await arcService.getUSDCBalance(user.user_metadata.arc_address);
+      const enough = balance >= batch.total;
+
+      let summary = `📋 Batch Payment (${items.length} payment${items.length === 1 ? '' : 's'})\n\n`;
+      items.forEach((item, i) => {
+        summary += `${i + 1}. ${item.amount} USDC to ${item.displayName}${item.memo ? ` - ${item.memo}` : ''}\n`;
+      });
+      summary += `\nTotal: ${batch.total} USDC\nBalance: ${balance} USDC\n`;
+      summary += enough
+        ? '⚠️ Network fees are paid in USDC on top of the total.\n\nSend all payments?'
+        : `\n❌ Insufficient balance. You need ${Math.round((batch.total - balance) * 1e6) / 1e6} more USDC.`;
+
+      const keyboard = {
+        inline_keyboard: [enough
+          ? [
+            { text: '✅ Send all', callback_data: `batch_confirm_${batch.id}` },
+            { text: '❌ Cancel', callback_data: `batch_cancel_${batch.id}` }
+          ]
+          : [{ text: '❌ Cancel', callback_data: `batch_cancel_${batch.id}` }]]
+      };
+
+      await telegramService.sendMessage(chatId, summary, { parse_mode: undefined, reply_markup: keyboard });
     } catch (error) {
       if (error instanceof ValidationError) {
-        await telegramService.sendErrorMessage(message.chat.id, error.message);
-      } else {
-        logger.error('Request command failed', {
-          telegramId: message.from.id,
-          args,
-          error: error.message
-        });
-        await telegramService.sendErrorMessage(message.chat.id, 'Failed to send request. Please try again.');
+        await telegramService.sendErrorMessage(chatId, error.message);
+        return;
       }
+
+      logger.error('Batch payment preparation failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to prepare the batch. Please try again.');
     }
   }
 
-  async handleQR(message, args) {
+  // Callback format: batch_<confirm|cancel>_<batchId>
+  async handleBatchCallback(query, data) {
+    const telegramId = query.from.id;
+    const [, action, ...idParts] = data.split('_');
+    const batchId = idParts.join('_');
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+
     try {
-      const chatId = message.chat.id;
-      const telegramId = message.from.id;
-      
+      if (action === 'cancel') {
+        await batchPaymentService.cancelBatch(batchId, telegramId);
+        await telegramService.answerCallbackQuery(query.id, { text: 'Batch cancelled' });
+        await telegramService.editMessage(chatId, messageId, '❌ Batch payment cancelled');
+        return;
+      }
+      if (action !== 'confirm') {
+        await telegramService.answerCallbackQuery(query.id);
+        return;
+      }
+
       const user = await auth0Service.getUserByTelegramId(telegramId);
       if (!user) {
-        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        await telegramService.answerCallbackQuery(query.id, {
+          text: '❌ Please create an account first with /start',
+          show_alert: true
+        });
         return;
       }
 
-      if (args.length === 0) {
-        await telegramService.sendMessage(
-          chatId,
-          `✏️ Usage: /qr <amount>
+      const pending = await batchPaymentService.getBatch(batchId, telegramId);
+      if (pending.status !== batchPaymentService.STATUS.PENDING) {
+        throw new ValidationError(`This batch is already ${pending.status}`);
+      }
+      const reservationId = await this._authorizePayment(chatId, telegramId, pending.total, {
+        actionKey: `batch:${batchId}`,
+        largestPayment: Math.max(...pending.items.map(item => item.amount)),
+        description: `Send ${pending.items.length} payments totalling ${pending.total} USDC`,
+        resume: { callback: data }
+      });
+      if (!reservationId) {
+        await telegramService.answerCallbackQuery(query.id, { text: '🔐 Extra confirmation needed' });
+        return;
+      }
 
-Examples:
-• /qr 15.5
-• /qr 25
-• /qr 10
+      let batch;
+      try {
+        batch = await batchPaymentService.startBatch(batchId, telegramId);
+      } catch (error) {
+        await spendingLimitService.settleReservation(telegramId, reservationId, 0);
+        throw error;
+      }
+      await telegramService.answerCallbackQuery(query.id, { text: '🔄 Sending payments...' });
+      await telegramService.editMessage(chatId, messageId, `🔄 Sending ${batch.items.length} payments...`, { parse_mode: undefined });
 
-Currency: USDC (only supported currency)`
+      let submissions;
+      try {
+        submissions = await arcService.submitUSDCBatch(
+          signerService.forUser(user),
+          batch.items.map(item => ({ address: item.address, amount: item.amount, memo: item.memo })),
+          { idempotencyKey: `batch:${batchId}`, owner: telegramId }
         );
-        return;
+      } catch (error) {
+        // Nothing was sent (e.g. the balance dropped since confirmation)
+        submissions = batch.items.map(() => ({ error: error.message }));
       }
 
-      const [amountInput] = args;
-      const currency = 'USDC'; // Only USDC supported on ARC
+      this._settleBatch(batch, submissions, { telegramId, reservationId });
 
-      let amount = null;
-      if (amountInput && amountInput !== '0') {
-        amount = parseFloat(amountInput);
-        if (!isValidAmount(amount)) {
-          throw new ValidationError('Invalid amount. Must be a positive number.');
+      // The payment tracker keeps the report up to date as the payments confirm
+      const report = { chatId, messageId, payments: [] };
+      report.payments = submissions.map((submission, i) => {
+        const item = batch.items[i];
+        if (submission.error) {
+          return { status: paymentTrackerService.STATUS.FAILED, hash: submission.hash, amount: item.amount, recipient: item.displayName, error: submission.error };
         }
+        return paymentTrackerService.track(submission, { chatId, messageId, amount: item.amount, recipient: item.displayName, batch: report });
+      });
+      await this._showBatchStatus(report);
+
+      logger.audit('payment_batch_sent', telegramId, {
+        batchId,
+        total: batch.total,
+        broadcast: submissions.filter(submission => !submission.error).length,
+        failed: submissions.filter(submission => submission.error).length
+      });
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError || error instanceof SpendingLimitError) {
+        await telegramService.answerCallbackQuery(query.id, {
+          text: `❌ ${error.message}`,
+          show_alert: true
+        }).catch(() => {});
+        return;
       }
 
-      await telegramService.sendMessage(chatId, `🎨 Generating USDC QR codes...`);
+      logger.error('Batch callback failed', {
+        userId: telegramId,
+        data,
+        error: error.message
+      });
+      await telegramService.answerCallbackQuery(query.id, {
+        text: '❌ Something went wrong. Please try again.',
+        show_alert: true
+      }).catch(() => {});
+    }
+  }
 
-      // Generate both types of QR codes
-      const qrCodes = await telegramService.generateBothQRCodes(
-        user.user_metadata.arc_address,
-        amount,
-        currency
-      );
+  /**
+   * Once every payment of a batch has an outcome, stores the results and
+   * settles the spending reservation. Delayed payments may still go through,
+   * so their amounts stay reserved.
+   */
+  _settleBatch(batch, submissions, { telegramId, reservationId }) {
+    Promise.all(submissions.map(async (submission) => {
+      if (submission.error) {
+        return { success: false, hash: submission.hash, error: submission.error };
+      }
+      try {
+        const result = await submission.completion;
+        return { success: true, hash: result.hash, gasUsed: result.gasUsed };
+      } catch (error) {
+        return { success: false, hash: submission.hash, error: error.message, delayed: error.code === 'TIMEOUT' };
+      }
+    })).then(async (results) => {
+      await batchPaymentService.completeBatch(batch.id, results);
 
-      // Send wallet QR code
-      let walletCaption = `📱 **Wallet QR Code** (USDC)
+      const spent = batch.items.reduce((sum, item, i) => sum + (results[i].success || results[i].delayed ? item.amount : 0), 0);
+      await spendingLimitService.settleReservation(telegramId, reservationId, spent);
+    }).catch(error => {
+      logger.error('Batch follow-up failed', { batchId: batch.id, error: error.message });
+    });
+  }
 
-For any EVM wallet app
-Address: \`${user.user_metadata.arc_address}\`
-`;
-      
-      if (amount) {
-        walletCaption += `Amount: ${amount} USDC\n`;
+  async _showBatchStatus(report) {
+    const { STATUS } = paymentTrackerService;
+    const icons = {
+      [STATUS.PENDING]: '⏳',
+      [STATUS.CONFIRMED]: '✅',
+      [STATUS.FAILED]: '❌',
+      [STATUS.DELAYED]: '⏳'
+    };
+    const confirmed = report.payments.filter(payment => payment.status === STATUS.CONFIRMED).length;
+    const waiting = report.payments.filter(payment => payment.status === STATUS.PENDING || payment.status === STATUS.DELAYED).length;
+
+    let text;
+    if (waiting > 0) {
+      text = `🔄 Batch payment: ${confirmed}/${report.payments.length} confirmed, ${waiting} pending\n\n`;
+    } else {
+      text = `${confirmed === report.payments.length ? '✅' : '⚠️'} Batch payment finished: ${confirmed}/${report.payments.length} sent\n\n`;
+    }
+    report.payments.forEach((payment, i) => {
+      text += `${icons[payment.status]} ${i + 1}. ${payment.amount} USDC to ${payment.recipient}`;
+      if (payment.status === STATUS.FAILED) {
+        text += ` - ${payment.error}\n`;
       } else {
-        walletCaption += `Amount: Not specified (payer chooses)\n`;
+        text += ` - ${payment.hash.substring(0, 12)}...${payment.status === STATUS.DELAYED ? ' (still pending)' : ''}\n`;
       }
-      
-      walletCaption += `\n💡 Compatible with MetaMask, Trust Wallet, and other EVM wallets`;
+    });
 
-      await telegramService.sendPhoto(chatId, qrCodes.wallet.buffer, {
-        caption: walletCaption,
-        parse_mode: 'Markdown'
-      });
+    await telegramService.editMessage(report.chatId, report.messageId, text, { parse_mode: undefined });
+  }
+
+  async handleLimits(message, args) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
+    try {
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      if (args.length > 0) {
+        const [type, amountInput] = args;
+        const key = (type || '').toLowerCase();
+        const amount = parseFloat(amountInput);
+        if (!spendingLimitService.LIMIT_TYPES[key] || !/^\d+(\.\d{1,6})?$/.test(amountInput || '')) {
+          await telegramService.sendMessage(
+            chatId,
+            `❓ Usage: /limits <daily|weekly|tx|stepup> <amount>
+
+Examples:
+• /limits daily 200
+• /limits tx 50
+• /limits stepup 20 (payments above 20 USDC need your PIN)`
+          );
+          return;
+        }
+
+        // Raising a limit is as sensitive as a large payment
+        const current = await spendingLimitService.getLimits(telegramId);
+        spendingLimitService.validateLimit(current, key, amount);
+        if (spendingLimitService.isIncrease(current, key, amount)) {
+          const approved = await spendingLimitService.consumeGrant(telegramId, `limits:${key}:${amount}`);
+          if (!approved) {
+            const challenge = await spendingLimitService.createChallenge(telegramId, {
+              amount,
+              actionKey: `limits:${key}:${amount}`,
+              description: `Raise your ${this._formatLimitName(key)} to ${amount} USDC`,
+              resume: { command: 'limits', args: [key, amountInput] }
+            });
+            await this._promptStepUp(chatId, telegramId, challenge);
+            return;
+          }
+        }
+
+        await spendingLimitService.setLimit(telegramId, key, amount);
+        await telegramService.sendMessage(chatId, `✅ Your ${this._formatLimitName(key)} is now ${amount} USDC.`);
+      }
+
+      const limits = await spendingLimitService.getLimits(telegramId);
+      const usage = await spendingLimitService.getUsage(telegramId);
+      await telegramService.sendMessage(
+        chatId,
+        `🔐 Spending Limits
+
+Last 24 hours: ${usage.daily} / ${limits.daily} USDC
+Last 7 days: ${usage.weekly} / ${limits.weekly} USDC
+Per payment: up to ${limits.per_transaction} USDC
+Extra confirmation above: ${limits.step_up_threshold} USDC (${limits.has_pin ? 'PIN' : `${Math.round(config.spending.stepUpDelayMs / 1000)}s delay, set a PIN with /setpin`})
+
+Change a limit with /limits <daily|weekly|tx|stepup> <amount>. Raising a limit needs the same confirmation as a large payment.`,
+        { parse_mode: undefined }
+      );
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await telegramService.sendErrorMessage(chatId, error.message);
+        return;
+      }
+
+      logger.error('Limits command failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to update your limits. Please try again.');
+    }
+  }
+
+  async handleSetPin(message, args) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
+    try {
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      const remove = (args[0] || '').toLowerCase() === 'off';
+      const limits = await spendingLimitService.getLimits(telegramId);
+
+      if (remove && !limits.has_pin) {
+        await telegramService.sendMessage(chatId, 'You have no PIN set.');
+        return;
+      }
+
+      // Changing or removing a PIN needs the current one
+      if (limits.has_pin) {
+        await telegramService.setUserSession(telegramId, { waitingFor: 'setpin_current', remove });
+        await telegramService.sendMessage(chatId, '🔐 Enter your current PIN. Your message will be deleted.');
+        return;
+      }
+
+      await telegramService.setUserSession(telegramId, { waitingFor: 'setpin_new' });
+      await telegramService.sendMessage(
+        chatId,
+        `🔐 Choose a PIN of 4 to 8 digits. Your message will be deleted.
+
+Payments above ${limits.step_up_threshold} USDC will ask for it.`
+      );
+    } catch (error) {
+      logger.error('SetPin command failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to start PIN setup. Please try again.');
+    }
+  }
+
+  async handleSetPinInput(message, text) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+    const pin = (text || '').trim();
+
+    await telegramService.deleteMessage(chatId, message.message_id);
+
+    try {
+      const session = await telegramService.getUserSession(telegramId);
+
+      if (session.waitingFor === 'setpin_current') {
+        const { valid, attemptsLeft } = await spendingLimitService.verifyPin(telegramId, pin);
+        if (!valid) {
+          await telegramService.sendErrorMessage(chatId, `Wrong PIN. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`);
+          return;
+        }
+
+        if (session.remove) {
+          await telegramService.clearUserSession(telegramId);
+          await spendingLimitService.removePin(telegramId);
+          await telegramService.sendMessage(chatId, '✅ PIN removed. Large payments will use a delayed confirmation instead.');
+          return;
+        }
+
+        await telegramService.setUserSession(telegramId, { waitingFor: 'setpin_new' });
+        await telegramService.sendMessage(chatId, '🔐 Now choose a new PIN of 4 to 8 digits.');
+        return;
+      }
+
+      await spendingLimitService.setPin(telegramId, pin);
+      await telegramService.clearUserSession(telegramId);
+      await telegramService.sendMessage(chatId, '✅ PIN saved. Large payments will ask for it. Never share it with anyone.');
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await telegramService.sendErrorMessage(chatId, `${error.message}. Please try again.`);
+        return;
+      }
+      if (error instanceof AuthorizationError) {
+        await telegramService.clearUserSession(telegramId);
+        await telegramService.sendErrorMessage(chatId, error.message);
+        return;
+      }
+
+      logger.error('SetPin input failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.clearUserSession(telegramId);
+      await telegramService.sendErrorMessage(chatId, 'Failed to save your PIN. Please try again with /setpin.');
+    }
+  }
+
+  /**
+   * /backup: after a risk warning, shows the recovery phrase or exports the
+   * key as a password-protected keystore file. Private chats only; whatever
+   * is sent is deleted after BACKUP_MESSAGE_TTL_MS.
+   */
+  async handleBackup(message, args) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
+    try {
+      if (message.chat.type !== 'private') {
+        await telegramService.sendErrorMessage(chatId, 'For your safety, /backup only works in a private chat with the bot.');
+        return;
+      }
+
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      await telegramService.clearUserSession(telegramId);
+
+      const hasRecoveryPhrase = walletBackupService.hasRecoveryPhrase(user);
+      const keyboard = [];
+      if (hasRecoveryPhrase) {
+        keyboard.push([{ text: '🔑 I understand, show my recovery phrase', callback_data: 'backup_phrase' }]);
+      }
+      keyboard.push([{ text: '🔐 I understand, export a keystore file', callback_data: 'backup_keystore' }]);
+      keyboard.push([{ text: '❌ Cancel', callback_data: 'backup_cancel' }]);
+
+      await telegramService.sendMessage(
+        chatId,
+        `⚠️ Wallet Backup
+
+Your recovery phrase and private key give full control of your wallet:
+• Anyone who sees them can take your USDC, and that cannot be undone
+• Never share them or type them into a website or another bot
+• We will never ask you for them
+• Keep your backup offline, somewhere only you can reach
+
+The backup is deleted from this chat after ${this._backupTtlSeconds()} seconds. Make sure nobody can see your screen.${hasRecoveryPhrase ? '' : '\n\nYour wallet was created before recovery phrases were kept, so it can only be exported as a keystore file.'}`,
+        { parse_mode: undefined, reply_markup: { inline_keyboard: keyboard } }
+      );
+
+      logger.audit('wallet_backup_requested', telegramId, {
+        methods: hasRecoveryPhrase ? ['recovery_phrase', 'keystore'] : ['keystore']
+      });
+    } catch (error) {
+      logger.error('Backup command failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to start the backup. Please try again.');
+    }
+  }
+
+  // Callback format: backup_<phrase|keystore|cancel>
+  async handleBackupCallback(query, data) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const telegramId = query.from.id;
+    const action = data.substring('backup_'.length);
+
+    try {
+      if (action === 'cancel') {
+        await telegramService.clearUserSession(telegramId);
+        await telegramService.answerCallbackQuery(query.id, { text: 'Backup cancelled' });
+        await telegramService.editMessage(chatId, messageId, '❌ Backup cancelled.', { parse_mode: undefined });
+        return;
+      }
+
+      if (query.message.chat.type !== 'private') {
+        await telegramService.answerCallbackQuery(query.id, { text: 'Use /backup in a private chat with the bot.', show_alert: true });
+        return;
+      }
+
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.answerCallbackQuery(query.id, { text: '❌ Please create an account first with /start', show_alert: true });
+        return;
+      }
+
+      if (action === 'keystore') {
+        await telegramService.setUserSession(telegramId, { waitingFor: 'backup_password' });
+        await telegramService.answerCallbackQuery(query.id);
+        await telegramService.editMessage(
+          chatId,
+          messageId,
+          `🔐 Reply with a password of at least ${walletBackupService.MIN_PASSWORD_LENGTH} characters to encrypt your keystore file. Your message will be deleted.
+
+You will need this password to import the file into a wallet such as MetaMask. It cannot be recovered, so keep it safe.`,
+          { parse_mode: undefined, reply_markup: { inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'backup_cancel' }]] } }
+        );
+        return;
+      }
+
+      const words = (await walletBackupService.getRecoveryPhrase(user)).split(' ');
+      await telegramService.answerCallbackQuery(query.id);
+      await telegramService.editMessage(chatId, messageId, '🔑 Your recovery phrase is below.', { parse_mode: undefined });
+
+      const sent = await telegramService.sendMessage(
+        chatId,
+        `🔑 Recovery phrase (${words.length} words)
+
+${words.map((word, i) => `${i + 1}. ${word}`).join('\n')}
+
+Write the words down in this order and keep them offline. This message will be deleted in ${this._backupTtlSeconds()} seconds.`,
+        { parse_mode: undefined, protect_content: true }
+      );
+      await walletBackupService.scheduleDeletion(chatId, sent.message_id);
+
+      logger.audit('wallet_backup_revealed', telegramId, {
+        method: 'recovery_phrase',
+        arcAddress: user.user_metadata.arc_address
+      });
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        await telegramService.answerCallbackQuery(query.id, { text: 'No recovery phrase is stored for this wallet. Export a keystore file instead.', show_alert: true });
+        return;
+      }
+
+      logger.error('Backup callback failed', {
+        telegramId,
+        action,
+        error: error.message
+      });
+      await telegramService.answerCallbackQuery(query.id, { text: 'Backup failed. Please try again.', show_alert: true });
+    }
+  }
+
+  async handleBackupPasswordInput(message) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+    // The raw text: message sanitizing would change some passwords
+    const password = message.text || '';
+
+    await telegramService.deleteMessage(chatId, message.message_id);
+
+    try {
+      walletBackupService.validatePassword(password);
+    } catch (error) {
+      await telegramService.sendErrorMessage(chatId, `${error.message}. Please try again.`);
+      return;
+    }
+
+    try {
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.clearUserSession(telegramId);
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      await telegramService.clearUserSession(telegramId);
+      const progress = await telegramService.sendMessage(chatId, '🔐 Encrypting your keystore file...', { parse_mode: undefined });
+
+      let sent;
+      try {
+        const keystore = await walletBackupService.exportKeystore(user, password);
+        sent = await telegramService.sendDocument(chatId, keystore.content, keystore.filename, 'application/json', {
+          parse_mode: undefined,
+          protect_content: true,
+          caption: `🔐 Keystore for ${user.user_metadata.arc_address}
+
+Save this file and import it with your password. It will be deleted from this chat in ${this._backupTtlSeconds()} seconds.`
+        });
+      } finally {
+        await telegramService.deleteMessage(chatId, progress.message_id);
+      }
+      await walletBackupService.scheduleDeletion(chatId, sent.message_id);
+
+      logger.audit('wallet_backup_revealed', telegramId, {
+        method: 'keystore',
+        arcAddress: user.user_metadata.arc_address
+      });
+    } catch (error) {
+      logger.error('Keystore export failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.clearUserSession(telegramId);
+      await telegramService.sendErrorMessage(chatId, 'Failed to export your keystore. Please try again with /backup.');
+    }
+  }
+
+  /**
+   * /import: uses an existing wallet (recovery phrase, private key or
+   * keystore) for a new account or in place of the current wallet. Private
+   * chats only; messages carrying the secret are deleted as they arrive.
+   */
+  async handleImport(message, args) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
+    try {
+      if (message.chat.type !== 'private') {
+        await telegramService.sendErrorMessage(chatId, 'For your safety, /import only works in a private chat with the bot. Never post a recovery phrase or private key in a group.');
+        return;
+      }
+
+      await telegramService.clearUserSession(telegramId);
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+
+      logger.audit('wallet_import_requested', telegramId, { replacing: !!user });
+
+      if (!user) {
+        await this._promptImportSecret(chatId, telegramId, { replace: false });
+        return;
+      }
+
+      await telegramService.sendMessage(
+        chatId,
+        `⚠️ Replace your wallet?
+
+Your current wallet:
+${user.user_metadata.arc_address}
+
+• Funds there are not moved. After the import the bot can no longer send them
+• Unless it is empty, back it up with /backup first
+• Scheduled payments will be sent from the imported wallet`,
+        {
+          parse_mode: undefined,
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '📥 Replace with an imported wallet', callback_data: 'import_replace' }],
+              [{ text: '❌ Cancel', callback_data: 'import_cancel' }]
+            ]
+          }
+        }
+      );
+    } catch (error) {
+      logger.error('Import command failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to start the import. Please try again.');
+    }
+  }
+
+  // Callback format: import_<replace|cancel>
+  async handleImportCallback(query, data) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const telegramId = query.from.id;
+    const action = data.substring('import_'.length);
+
+    try {
+      if (action === 'cancel') {
+        await telegramService.clearUserSession(telegramId);
+        await telegramService.answerCallbackQuery(query.id, { text: 'Import cancelled' });
+        await telegramService.editMessage(chatId, messageId, '❌ Import cancelled.', { parse_mode: undefined });
+        return;
+      }
+
+      if (query.message.chat.type !== 'private') {
+        await telegramService.answerCallbackQuery(query.id, { text: 'Use /import in a private chat with the bot.', show_alert: true });
+        return;
+      }
+
+      await telegramService.answerCallbackQuery(query.id);
+      await telegramService.editMessage(chatId, messageId, '📥 Replacing your wallet.', { parse_mode: undefined });
+      await this._promptImportSecret(chatId, telegramId, { replace: true });
+    } catch (error) {
+      logger.error('Import callback failed', {
+        telegramId,
+        action,
+        error: error.message
+      });
+      await telegramService.answerCallbackQuery(query.id, { text: 'Import failed. Please try again.', show_alert: true });
+    }
+  }
+
+  async _promptImportSecret(chatId, telegramId, { replace }) {
+    await telegramService.setUserSession(telegramId, { waitingFor: 'import_secret', replace });
+    await telegramService.sendMessage(
+      chatId,
+      `📥 Send one of:
+• your recovery phrase (12-24 words)
+• your private key
+• a keystore file (upload the .json file or paste its contents)
+
+Your message will be deleted right away. Only import a wallet you created yourself, never one someone else gave you.`,
+      { parse_mode: undefined, reply_markup: { inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'import_cancel' }]] } }
+    );
+  }
+
+  async handleImportInput(message) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+    // The raw text: message sanitizing would change some passwords and keystores
+    const secret = message.text || '';
+
+    await telegramService.deleteMessage(chatId, message.message_id);
+
+    const session = await telegramService.getUserSession(telegramId);
+    if (session?.waitingFor === 'import_password') {
+      await this._importFromKeystore(message, session, secret);
+    } else {
+      await this._importSecret(message, session, secret);
+    }
+  }
+
+  async handleImportDocument(message, session) {
+    const chatId = message.chat.id;
+
+    await telegramService.deleteMessage(chatId, message.message_id);
+
+    let content;
+    try {
+      content = await telegramService.downloadFile(message.document.file_id, walletImportService.MAX_KEYSTORE_SIZE);
+    } catch (error) {
+      await telegramService.sendErrorMessage(chatId, error instanceof ValidationError ? error.message : 'Failed to read the file. Please try again.');
+      return;
+    }
+
+    await this._importSecret(message, session, content.toString('utf8'));
+  }
+
+  async _importSecret(message, session, secret) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
+    let parsed;
+    try {
+      parsed = walletImportService.parseSecret(secret);
+    } catch (error) {
+      await telegramService.sendErrorMessage(chatId, `${error.message}. Please try again.`);
+      return;
+    }
+
+    if (parsed.keystore) {
+      await telegramService.setUserSession(telegramId, {
+        waitingFor: 'import_password',
+        replace: session.replace,
+        keystore: await walletImportService.sealKeystore(parsed.keystore, telegramId)
+      });
+      await telegramService.sendMessage(
+        chatId,
+        '🔐 Keystore received. Send its password; the message will be deleted right away.',
+        { parse_mode: undefined, reply_markup: { inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'import_cancel' }]] } }
+      );
+      return;
+    }
+
+    await this._completeImport(message, session, parsed.wallet, parsed.method);
+  }
+
+  async _importFromKeystore(message, session, password) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
+    let wallet;
+    try {
+      const progress = await telegramService.sendMessage(chatId, '🔐 Decrypting your keystore...', { parse_mode: undefined });
+      try {
+        wallet = await walletImportService.decryptKeystore(session.keystore, password, telegramId);
+      } finally {
+        await telegramService.deleteMessage(chatId, progress.message_id);
+      }
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await telegramService.sendErrorMessage(chatId, `${error.message}. Please try again.`);
+        return;
+      }
+
+      logger.error('Keystore import failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.clearUserSession(telegramId);
+      await telegramService.sendErrorMessage(chatId, 'Failed to read the keystore. Please try again with /import.');
+      return;
+    }
+
+    await this._completeImport(message, session, wallet, walletImportService.METHODS.KEYSTORE);
+  }
+
+  async _completeImport(message, session, wallet, method) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+    const username = message.from.username || 'user';
+
+    try {
+      await telegramService.clearUserSession(telegramId);
+
+      // Replacing needs the confirmation from /import; an account may have been created since
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (user && !session.replace) {
+        await telegramService.sendErrorMessage(chatId, 'You already have a wallet. Use /import again to replace it.');
+        return;
+      }
+
+      const result = await walletImportService.importWallet({ telegramId, username, user, wallet });
+
+      let text;
+      if (result.created) {
+        text = `✅ Wallet imported and account created!\n\n💼 Your ARC Address:\n\`${result.address}\`\n\nUse /balance to check your balance or /help for all commands.`;
+      } else if (result.replaced) {
+        text = `✅ Wallet replaced!\n\n💼 Your ARC Address:\n\`${result.address}\`\n\nYour previous wallet \`${result.previousAddress}\` is no longer used by the bot.`;
+      } else {
+        text = `✅ This is already your wallet:\n\`${result.address}\`${method === walletImportService.METHODS.MNEMONIC ? '\n\nIts recovery phrase is available with /backup.' : ''}`;
+      }
+      await telegramService.sendMessage(chatId, text, { parse_mode: 'Markdown' });
+
+      logger.audit('wallet_imported', telegramId, {
+        method,
+        created: result.created,
+        replaced: result.replaced,
+        arcAddress: result.address,
+        previousAddress: result.previousAddress
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await telegramService.sendErrorMessage(chatId, error.message);
+        return;
+      }
+
+      logger.error('Wallet import failed', {
+        telegramId,
+        method,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to import your wallet. Please try again with /import.');
+    }
+  }
+
+  _backupTtlSeconds() {
+    return Math.round(config.backup.messageTtlMs / 1000);
+  }
+
+  /**
+   * Checks a payment against the user's spending limits. Returns a
+   * reservation id when it can be sent now; when it needs step-up, the
+   * user is prompted and null is returned. Throws SpendingLimitError.
+   *
+   * @param {Object} options
+   * @param {Object} [options.promptMessage] - message to turn into the step-up prompt instead of sending a new one
+   */
+  async _authorizePayment(chatId, telegramId, amount, { actionKey, description, resume, largestPayment, promptMessage = null }) {
+    const authorization = await spendingLimitService.authorizePayment(telegramId, amount, { actionKey, largestPayment });
+    if (!authorization.stepUpRequired) {
+      return authorization.reservationId;
+    }
+
+    const challenge = await spendingLimitService.createChallenge(telegramId, { amount, actionKey, description, resume });
+    await this._promptStepUp(chatId, telegramId, challenge, promptMessage);
+    return null;
+  }
+
+  async _promptStepUp(chatId, telegramId, challenge, promptMessage = null) {
+    const limits = await spendingLimitService.getLimits(telegramId);
+    const cancelButton = { text: '❌ Cancel', callback_data: `stepup_no_${challenge.id}` };
+    let text;
+    let keyboard;
+
+    if (challenge.method === 'pin') {
+      await telegramService.setUserSession(telegramId, { waitingFor: 'step_up_pin', challengeId: challenge.id });
+      text = `🔐 PIN Required
+
+${challenge.description}
+
+Actions above ${limits.step_up_threshold} USDC need your PIN. Reply with it now; your message will be deleted.`;
+      keyboard = { inline_keyboard: [[cancelButton]] };
+    } else {
+      text = `⏳ Extra Confirmation Needed
+
+${challenge.description}
+
+Actions above ${limits.step_up_threshold} USDC need a second confirmation. For your security, it can be confirmed after ${Math.ceil(config.spending.stepUpDelayMs / 1000)} seconds.
+
+Tip: set a PIN with /setpin to confirm instantly.`;
+      keyboard = {
+        inline_keyboard: [[
+          { text: '✅ Confirm', callback_data: `stepup_ok_${challenge.id}` },
+          cancelButton
+        ]]
+      };
+    }
+
+    const options = { parse_mode: undefined, reply_markup: keyboard };
+    if (promptMessage) {
+      await telegramService.editMessage(promptMessage.chat.id, promptMessage.message_id, text, options);
+    } else {
+      await telegramService.sendMessage(chatId, text, options);
+    }
+  }
+
+  async handleStepUpPinInput(message, text) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
+    await telegramService.deleteMessage(chatId, message.message_id);
+
+    try {
+      const session = await telegramService.getUserSession(telegramId);
+      const challenge = await spendingLimitService.getChallenge(session.challengeId, telegramId);
+
+      const { valid, attemptsLeft } = await spendingLimitService.verifyPin(telegramId, (text || '').trim());
+      if (!valid) {
+        await telegramService.sendErrorMessage(chatId, `Wrong PIN. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`);
+        return;
+      }
+
+      await telegramService.clearUserSession(telegramId);
+      await spendingLimitService.markVerified(challenge.id);
+
+      if (challenge.resume.command) {
+        await spendingLimitService.approveChallenge(challenge.id, telegramId);
+        await this._resumeCommand(message, challenge.resume);
+        return;
+      }
+
+      // Button actions continue from a fresh tap so their handler gets a callback query
+      await telegramService.sendMessage(chatId, `🔓 PIN accepted.
+
+${challenge.description}`, {
+        parse_mode: undefined,
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Continue', callback_data: `stepup_ok_${challenge.id}` },
+            { text: '❌ Cancel', callback_data: `stepup_no_${challenge.id}` }
+          ]]
+        }
+      });
+    } catch (error) {
+      await telegramService.clearUserSession(telegramId);
+
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError) {
+        await telegramService.sendErrorMessage(chatId, error.message);
+        return;
+      }
+
+      logger.error('Step-up PIN input failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Could not check your PIN. Please try again.');
+    }
+  }
+
+  // Callback format: stepup_<ok|no>_<challengeId>
+  async handleStepUpCallback(query, data) {
+    const telegramId = query.from.id;
+    const [, action, ...idParts] = data.split('_');
+    const challengeId = idParts.join('_');
+
+    try {
+      if (action === 'no') {
+        await spendingLimitService.cancelChallenge(challengeId, telegramId);
+        const session = await telegramService.getUserSession(telegramId);
+        if (session?.challengeId === challengeId) {
+          await telegramService.clearUserSession(telegramId);
+        }
+        await telegramService.answerCallbackQuery(query.id, { text: 'Cancelled' });
+        await telegramService.editMessage(query.message.chat.id, query.message.message_id, '❌ Cancelled');
+        return;
+      }
+
+      const challenge = await spendingLimitService.approveChallenge(challengeId, telegramId);
+
+      if (challenge.resume.command) {
+        await telegramService.answerCallbackQuery(query.id, { text: '✅ Confirmed' });
+        await telegramService.editMessage(query.message.chat.id, query.message.message_id, `✅ Confirmed: ${challenge.description}`, { parse_mode: undefined });
+        await this._resumeCommand({ chat: query.message.chat, from: query.from }, challenge.resume);
+        return;
+      }
+
+      // Re-run the original button's handler; it answers this query and edits this message
+      await telegramService.handleCallbackQuery({ ...query, data: challenge.resume.callback });
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError) {
+        await telegramService.answerCallbackQuery(query.id, {
+          text: `❌ ${error.message}`,
+          show_alert: true
+        }).catch(() => {});
+        return;
+      }
+
+      logger.error('Step-up callback failed', {
+        userId: telegramId,
+        data,
+        error: error.message
+      });
+      await telegramService.answerCallbackQuery(query.id, {
+        text: '❌ Something went wrong. Please try again.',
+        show_alert: true
+      }).catch(() => {});
+    }
+  }
+
+  // Re-runs a command that was waiting for step-up, as if the user had sent it again
+  async _resumeCommand(message, resume) {
+    const handler = telegramService.commandHandlers.get(resume.command);
+    await handler({
+      // The original command's ID, for handlers that key payments on it (see handlePay)
+      message_id: resume.messageId,
+      chat: message.chat,
+      from: message.from,
+      text: `/${resume.command} ${resume.args.join(' ')}`.trim()
+    }, resume.args);
+  }
+
+  _formatLimitName(type) {
+    return {
+      daily: 'daily limit',
+      weekly: 'weekly limit',
+      tx: 'per-payment limit',
+      stepup: 'extra confirmation threshold'
+    }[type];
+  }
+
+  async handleRequest(message, args) {
+    try {
+      const chatId = message.chat.id;
+      const telegramId = message.from.id;
+
+      if (args.length < 2) {
+        await telegramService.sendMessage(
+          chatId,
+          `❓ Usage: /request <user> <amount> [reason]
+
+Examples:
+• /request @alice 10
+• /request bob 5.5 (using friend alias)
+• /request 0x1234... 15 dinner split
+
+Recipients can be:
+• @username (Telegram username)
+• alias (Friend alias - use /friends to see list)
+• User ID (Telegram user ID)
+
+Currency: USDC (only supported currency)
+
+This will send a payment request to the specified user.`
+        );
+        return;
+      }
+
+      const [payerInput, amountInput, ...reasonParts] = args;
+      const currency = 'USDC'; // Only USDC supported on ARC
+      const reason = reasonParts.length > 0 ? reasonParts.join(' ') : null;
+      
+      if (!isValidAmount(parseFloat(amountInput))) {
+        throw new ValidationError('Invalid amount. Must be a positive number.');
+      }
+
+      const amount = parseFloat(amountInput);
+      const requester = await auth0Service.getUserByTelegramId(telegramId);
+      
+      if (!requester) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      // Resolve the payer with sender context for friend hierarchy
+      const resolved = await this.resolveRecipient(payerInput, telegramId);
+      if (!resolved || !resolved.telegramId) {
+        await telegramService.sendMessage(
+          chatId,
+          `❌ User not found or hasn't created an account yet.
+Make sure they've used /start on this bot first, or use /friends to see your friend aliases.`
+        );
+        return;
+      }
+
+      const paymentRequest = await paymentRequestService.createRequest({
+        requesterId: telegramId,
+        payerId: resolved.telegramId,
+        requesterAddress: requester.user_metadata.arc_address,
+        amount,
+        currency,
+        reason
+      });
+
+      // Send request to payer
+      try {
+        await this._sendPaymentRequestToPayer(paymentRequest, message.from.username);
+
+        await telegramService.sendMessage(
+          chatId,
+          `✅ Payment request sent to ${resolved.displayName || `@${resolved.username}` || resolved.telegramId}!
+
+The request will expire in ${Math.round(paymentRequestService.DEFAULT_TTL_MS / (60 * 60 * 1000))} hours.`
+        );
+
+        logger.audit('payment_requested', telegramId, {
+          amount,
+          payer: resolved.telegramId,
+          requestId: paymentRequest.id
+        });
+      } catch (error) {
+        // The payer never saw the request, so don't leave it open
+        await paymentRequestService.cancelRequest(paymentRequest.id, telegramId).catch(() => {});
+        await telegramService.sendErrorMessage(
+          chatId,
+          'Could not send request. The user may have blocked the bot.'
+        );
+      }
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await telegramService.sendErrorMessage(message.chat.id, error.message);
+      } else {
+        logger.error('Request command failed', {
+          telegramId: message.from.id,
+          args,
+          error: error.message
+        });
+        await telegramService.sendErrorMessage(message.chat.id, 'Failed to send request. Please try again.');
+      }
+    }
+  }
+
+  async handleSplit(message, args) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+
+    try {
+      if (args.length < 2) {
+        await telegramService.sendMessage(
+          chatId,
+          `❓ Usage: /split <total> <user1> <user2> ... [reason]
+
+Examples:
+• /split 90 me @alice bob dinner (30 each, you pay your own share)
+• /split 100 @alice @carol (50 each)
+• /split 100 @alice:60 @carol rent (60 and 40)
+
+Participants can be @usernames, user IDs or friend aliases, and "me" to include yourself.
+Add :amount to give someone a custom share; the rest is split equally.
+Everything after the participants is the reason.`
+        );
+        return;
+      }
+
+      const [totalInput, ...rest] = args;
+      if (!isValidAmount(parseFloat(totalInput))) {
+        throw new ValidationError('Invalid total. Must be a positive number.');
+      }
+      const total = parseFloat(totalInput);
+
+      const requester = await auth0Service.getUserByTelegramId(telegramId);
+      if (!requester) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      // Participants come first; the first word that isn't one starts the reason
+      const friends = await friendService.getFriends(telegramId, requester);
+      const participants = [];
+      while (rest.length > 0) {
+        const match = /^(.+):(\d+(?:\.\d+)?)$/.exec(rest[0]);
+        const name = match ? match[1] : rest[0];
+        const isParticipant = name.toLowerCase() === 'me' || name.startsWith('@') ||
+          /^\d+$/.test(name) || Object.prototype.hasOwnProperty.call(friends, name);
+        if (!isParticipant) {
+          break;
+        }
+        rest.shift();
+        participants.push({ name, amount: match ? parseFloat(match[2]) : null });
+      }
+      const reason = rest.length > 0 ? rest.join(' ') : null;
+
+      const resolvedParticipants = [];
+      for (const participant of participants) {
+        if (participant.name.toLowerCase() === 'me') {
+          resolvedParticipants.push({ ...participant, telegramId, displayName: 'You', isInitiator: true });
+          continue;
+        }
+
+        const resolved = await this.resolveRecipient(participant.name, telegramId);
+        if (!resolved || !resolved.telegramId) {
+          throw new ValidationError(`${participant.name} was not found or hasn't created an account yet`);
+        }
+        if (String(resolved.telegramId) === String(telegramId)) {
+          throw new ValidationError('Use "me" to include yourself in the split');
+        }
+        resolvedParticipants.push({
+          ...participant,
+          telegramId: resolved.telegramId,
+          displayName: resolved.displayName || `@${resolved.username}`
+        });
+      }
+
+      const ids = resolvedParticipants.map(p => String(p.telegramId));
+      if (new Set(ids).size !== ids.length) {
+        throw new ValidationError('Each participant can only be listed once');
+      }
+      if (!resolvedParticipants.some(p => !p.isInitiator)) {
+        throw new ValidationError('Add at least one other participant');
+      }
+
+      const amounts = splitService.calculateShares(total, resolvedParticipants);
+      const split = await splitService.createSplit({
+        initiatorId: telegramId,
+        initiatorAddress: requester.user_metadata.arc_address,
+        total,
+        reason,
+        shares: resolvedParticipants.map((p, i) => ({ ...p, amount: amounts[i] }))
+      });
+
+      for (const share of split.shares) {
+        if (!share.request_id) {
+          continue;
+        }
+        const request = await paymentRequestService.getRequest(share.request_id);
+        try {
+          await this._sendPaymentRequestToPayer(request, message.from.username);
+        } catch (error) {
+          // The payer never saw the request, so don't leave it open
+          await paymentRequestService.cancelRequest(request.id, telegramId).catch(() => {});
+        }
+      }
+
+      const summary = await this._buildSplitSummary(split.id);
+      const sent = await telegramService.sendMessage(chatId, summary.text, {
+        parse_mode: 'Markdown',
+        reply_markup: summary.keyboard
+      });
+      if (sent && sent.message_id) {
+        await splitService.setSummaryMessage(split.id, chatId, sent.message_id);
+      }
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await telegramService.sendErrorMessage(chatId, error.message);
+        return;
+      }
+
+      logger.error('Split command failed', {
+        telegramId,
+        args,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to create the split. Please try again.');
+    }
+  }
+
+  // Callback format: split_cancel_<splitId>
+  async handleSplitCallback(query, data) {
+    const [, action, ...idParts] = data.split('_');
+    const splitId = idParts.join('_');
+
+    try {
+      if (action !== 'cancel') {
+        await telegramService.answerCallbackQuery(query.id);
+        return;
+      }
+
+      const cancelled = await splitService.cancelSplit(splitId, query.from.id);
+      for (const request of cancelled) {
+        await telegramService.sendMessage(
+          request.to,
+          `🚫 @${query.from.username || 'User'} cancelled their payment request for ${request.amount} ${request.currency}.`
+        ).catch(() => {});
+      }
+
+      // The summary itself is refreshed by the status change handler
+      await telegramService.answerCallbackQuery(query.id, { text: `🚫 Cancelled ${cancelled.length} unpaid share${cancelled.length === 1 ? '' : 's'}` });
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError) {
+        await telegramService.answerCallbackQuery(query.id, {
+          text: `❌ ${error.message}`,
+          show_alert: true
+        });
+        return;
+      }
+
+      logger.error('Split callback failed', {
+        userId: query.from.id,
+        data,
+        error: error.message
+      });
+      await telegramService.answerCallbackQuery(query.id, {
+        text: '❌ Something went wrong. Please try again.',
+        show_alert: true
+      });
+    }
+  }
+
+  // Keeps split summaries live as their linked requests are paid, declined, cancelled or expire
+  async handlePaymentRequestStatusChange(request) {
+    if (request.group_id) {
+      await this._refreshSplitSummary(request.group_id);
+    }
+  }
+
+  async _refreshSplitSummary(splitId) {
+    const split = await splitService.getSplit(splitId);
+    if (!split || !split.summary_message) {
+      return;
+    }
+
+    const summary = await this._buildSplitSummary(splitId);
+    try {
+      await telegramService.editMessage(split.summary_message.chat_id, split.summary_message.message_id, summary.text, {
+        parse_mode: 'Markdown',
+        reply_markup: summary.keyboard
+      });
+    } catch (error) {
+      // Telegram rejects edits that don't change the text; nothing to do then
+      if (!/message is not modified/i.test(error.message)) {
+        logger.warn('Could not update split summary', { splitId, error: error.message });
+      }
+    }
+  }
+
+  async _buildSplitSummary(splitId) {
+    const split = await splitService.getSplitStatus(splitId);
+    const icons = { paid: '✅', pending: '⏳', declined: '❌', expired: '⌛', cancelled: '🚫' };
+    const headline = {
+      [splitService.STATUS.OPEN]: '🧾 **Bill Split**',
+      [splitService.STATUS.SETTLED]: '🎉 **Bill Split - Settled**',
+      [splitService.STATUS.CLOSED]: '🧾 **Bill Split - Closed**'
+    }[split.status];
+
+    let text = `${headline}\n\n`;
+    text += `Total: ${split.total} ${split.currency}${split.reason ? ` - ${split.reason}` : ''}\n`;
+    text += `Paid: ${split.paid} ${split.currency} | Outstanding: ${split.outstanding} ${split.currency}\n\n`;
+
+    for (const share of split.shares) {
+      text += `${icons[share.status] || '•'} ${share.display_name}: ${share.amount} ${split.currency}`;
+      text += share.is_initiator ? ' (your share)\n' : ` - ${share.status}\n`;
+    }
+
+    const keyboard = split.status === splitService.STATUS.OPEN
+      ? { inline_keyboard: [[{ text: '🚫 Cancel unpaid shares', callback_data: `split_cancel_${split.id}` }]] }
+      : { inline_keyboard: [] };
+
+    return { text, keyboard };
+  }
+
+  /**
+   * Sends (or re-sends as a reminder) a payment request to its payer with Pay/Decline buttons
+   */
+  async _sendPaymentRequestToPayer(request, requesterUsername, isReminder = false) {
+    const keyboard = {
+      inline_keyboard: [
+        [
+          { text: '✅ Pay Now', callback_data: `pay_${request.id}` },
+          { text: '❌ Decline', callback_data: `decline_${request.id}` }
+        ]
+      ]
+    };
+
+    await telegramService.sendMessage(
+      request.to,
+      `${isReminder ? '🔔 Reminder: ' : '💸 '}USDC Payment Request
+
+From: @${requesterUsername || 'user'}
+Amount: ${request.amount} ${request.currency}${request.reason ? `\nReason: ${request.reason}` : ''}
+To address: \`${request.requester_address}\`
+${this._formatRequestExpiry(request)}
+
+Do you want to pay?`,
+      { parse_mode: 'Markdown', reply_markup: keyboard }
+    );
+  }
+
+  async handleRequests(message, args) {
+    try {
+      const chatId = message.chat.id;
+      const telegramId = message.from.id;
+
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      const page = await this._buildRequestsPage(telegramId, 0);
+      await telegramService.sendMessage(chatId, page.text, {
+        parse_mode: 'Markdown',
+        reply_markup: page.keyboard
+      });
+
+      logger.audit('requests_listed', telegramId, { total: page.total });
+    } catch (error) {
+      logger.error('Requests command failed', {
+        telegramId: message.from.id,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(message.chat.id, 'Failed to load payment requests. Please try again.');
+    }
+  }
+
+  // Callback format: reqs_page_<page> | reqs_cancel_<page>_<requestId> | reqs_remind_<page>_<requestId>
+  async handleRequestsCallback(query, data) {
+    const telegramId = query.from.id;
+    const [, action, pageInput, ...idParts] = data.split('_');
+    const page = parseInt(pageInput) || 0;
+    const requestId = idParts.join('_');
+
+    try {
+      if (action === 'cancel') {
+        const request = await paymentRequestService.cancelRequest(requestId, telegramId);
+        await telegramService.answerCallbackQuery(query.id, { text: 'Request cancelled' });
+        await telegramService.sendMessage(
+          request.to,
+          `🚫 @${query.from.username || 'User'} cancelled their payment request for ${request.amount} ${request.currency}.`
+        ).catch(() => {});
+      } else if (action === 'remind') {
+        const request = await paymentRequestService.recordReminder(requestId, telegramId);
+        await this._sendPaymentRequestToPayer(request, query.from.username, true);
+        await telegramService.answerCallbackQuery(query.id, { text: '🔔 Reminder sent' });
+      } else {
+        await telegramService.answerCallbackQuery(query.id);
+      }
+
+      const view = await this._buildRequestsPage(telegramId, page);
+      await telegramService.editMessage(query.message.chat.id, query.message.message_id, view.text, {
+        parse_mode: 'Markdown',
+        reply_markup: view.keyboard
+      });
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError) {
+        await telegramService.answerCallbackQuery(query.id, {
+          text: `❌ ${error.message}`,
+          show_alert: true
+        });
+        return;
+      }
+
+      logger.error('Requests callback failed', {
+        userId: telegramId,
+        data,
+        error: error.message
+      });
+      await telegramService.answerCallbackQuery(query.id, {
+        text: '❌ Something went wrong. Please try again.',
+        show_alert: true
+      });
+    }
+  }
+
+  /**
+   * Builds one page of the /requests list: open requests first, then requests
+   * that expired within the last day so users can see what lapsed.
+   */
+  async _buildRequestsPage(telegramId, page) {
+    const pageSize = 5;
+    const { sent, received } = await paymentRequestService.listRequests(telegramId, { status: null });
+    const recentCutoff = Date.now() - 24 * 60 * 60 * 1000;
+
+    const visible = [
+      ...received.map(request => ({ request, incoming: true })),
+      ...sent.map(request => ({ request, incoming: false }))
+    ].filter(({ request }) =>
+      request.status === paymentRequestService.STATUS.PENDING ||
+      (request.status === paymentRequestService.STATUS.EXPIRED && new Date(request.updated_at).getTime() > recentCutoff)
+    ).sort((a, b) => {
+      const aOpen = a.request.status === paymentRequestService.STATUS.PENDING ? 0 : 1;
+      const bOpen = b.request.status === paymentRequestService.STATUS.PENDING ? 0 : 1;
+      return aOpen - bOpen || Number(b.incoming) - Number(a.incoming) || a.request.expires_at.localeCompare(b.request.expires_at);
+    });
+
+    if (visible.length === 0) {
+      return {
+        text: `💰 **Payment Requests**
+
+You have no open payment requests.
+
+Use /request <user> <amount> to request a payment.`,
+        keyboard: { inline_keyboard: [] },
+        total: 0
+      };
+    }
+
+    const totalPages = Math.ceil(visible.length / pageSize);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const items = visible.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+    let text = `💰 **Payment Requests** (page ${currentPage + 1}/${totalPages})\n\n`;
+    const rows = [];
+
+    for (let i = 0; i < items.length; i++) {
+      const { request, incoming } = items[i];
+      const number = currentPage * pageSize + i + 1;
+      const counterparty = await this._formatRequestParty(incoming ? request.from : request.to, telegramId);
+
+      text += `${number}. ${incoming ? '📥' : '📤'} ${request.amount} ${request.currency} ${incoming ? 'from' : 'to'} ${counterparty}`;
+      text += `${request.reason ? ` - ${request.reason}` : ''}\n`;
+      text += `   ${this._formatRequestExpiry(request)}\n\n`;
+
+      if (request.status !== paymentRequestService.STATUS.PENDING) {
+        continue;
+      }
+
+      if (incoming) {
+        rows.push([
+          { text: `✅ Pay #${number}`, callback_data: `pay_${request.id}` },
+          { text: `❌ Decline #${number}`, callback_data: `decline_${request.id}` }
+        ]);
+      } else {
+        rows.push([
+          { text: `🚫 Cancel #${number}`, callback_data: `reqs_cancel_${currentPage}_${request.id}` },
+          { text: `🔔 Remind #${number}`, callback_data: `reqs_remind_${currentPage}_${request.id}` }
+        ]);
+      }
+    }
+
+    const navigation = [];
+    if (currentPage > 0) {
+      navigation.push({ text: '‹ Prev', callback_data: `reqs_page_${currentPage - 1}` });
+    }
+    if (currentPage < totalPages - 1) {
+      navigation.push({ text: 'Next ›', callback_data: `reqs_page_${currentPage + 1}` });
+    }
+    if (navigation.length > 0) {
+      rows.push(navigation);
+    }
+
+    return { text, keyboard: { inline_keyboard: rows }, total: visible.length };
+  }
+
+  async _formatRequestParty(otherTelegramId, viewerTelegramId) {
+    const friendAlias = await this.recipients.findFriendAlias(viewerTelegramId, 'userId', otherTelegramId);
+    if (friendAlias) {
+      return friendAlias;
+    }
+
+    const other = await auth0Service.getUserByTelegramId(otherTelegramId);
+    if (other?.user_metadata?.telegram_username) {
+      return `@${other.user_metadata.telegram_username}`;
+    }
+    return `User ${otherTelegramId}`;
+  }
+
+  _formatRequestExpiry(request) {
+    if (request.status === paymentRequestService.STATUS.EXPIRED) {
+      return `⌛ Expired ${new Date(request.expires_at).toLocaleString()}`;
+    }
+
+    const remainingMs = new Date(request.expires_at).getTime() - Date.now();
+    const hours = Math.floor(remainingMs / (60 * 60 * 1000));
+    const minutes = Math.max(1, Math.floor((remainingMs % (60 * 60 * 1000)) / (60 * 1000)));
+    return `⏳ Expires in ${hours > 0 ? `${hours}h ` : ''}${minutes}m`;
+  }
+
+  async handleQR(message, args) {
+    try {
+      const chatId = message.chat.id;
+      const telegramId = message.from.id;
+      
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      if (args.length === 0) {
+        await telegramService.sendMessage(
+          chatId,
+          `✏️ Usage: /qr <amount>
+
+Examples:
+• /qr 15.5
+• /qr 25
+• /qr 10
+
+Currency: USDC (only supported currency)`
+        );
+        return;
+      }
+
+      const [amountInput] = args;
+      const currency = 'USDC'; // Only USDC supported on ARC
+
+      let amount = null;
+      if (amountInput && amountInput !== '0') {
+        amount = parseFloat(amountInput);
+        if (!isValidAmount(amount)) {
+          throw new ValidationError('Invalid amount. Must be a positive number.');
+        }
+      }
+
+      await telegramService.sendMessage(chatId, `🎨 Generating USDC QR codes...`);
+
+      // Generate both types of QR codes
+      const qrCodes = await telegramService.generateBothQRCodes(
+        user.user_metadata.arc_address,
+        amount,
+        currency
+      );
+
+      // Send wallet QR code
+      let walletCaption = `📱 **Wallet QR Code** (USDC)
+
+For any EVM wallet app
+Address: \`${user.user_metadata.arc_address}\`
+`;
+      
+      if (amount) {
+        walletCaption += `Amount: ${amount} USDC\n`;
+      } else {
+        walletCaption += `Amount: Not specified (payer chooses)\n`;
+      }
+      
+      walletCaption += `\n💡 Compatible with MetaMask, Trust Wallet, and other EVM wallets`;
+
+      await telegramService.sendPhoto(chatId, qrCodes.wallet.buffer, {
+        caption: walletCaption,
+        parse_mode: 'Markdown'
+      });
 
       // Send bot QR code
       let botCaption = `🤖 **Bot QR Code** (USDC)
@@ -691,20 +2282,46 @@ Choose your preferred type and amount:`,
         return;
       }
 
+      let range;
+      try {
+        range = this._parseHistoryRange(args);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        await telegramService.sendMessage(
+          chatId,
+          `❓ ${error.message}
+
+Usage: /history [from] [to]
+
+Examples:
+• /history (latest transactions)
+• /history 7d (last 7 days)
+• /history 2025-01-01 2025-01-31`
+        );
+        return;
+      }
+
       await telegramService.sendMessage(chatId, '📊 Loading transaction history...');
 
-      const transactions = await arcService.getTransactionHistory(user.user_metadata.arc_address, 10);
-      const paymentRequests = await auth0Service.getPaymentRequests(telegramId);
-      
-      // MODIFIED: Use the new helper
-      const historyText = await this._formatHistoryText(transactions, user.user_metadata.arc_address, telegramId);
+      const view = await this._buildHistoryPage(telegramId, user.user_metadata.arc_address, {
+        ...range,
+        walletCreatedAt: this._walletCreatedAt(user)
+      });
+      const paymentRequests = await paymentRequestService.listRequests(telegramId);
       const requestsText = this._formatPaymentRequestsText(paymentRequests, telegramId);
 
-      const fullText = historyText + (requestsText ? `\n\n${requestsText}` : '');
-      await telegramService.sendMessage(chatId, fullText, { parse_mode: 'Markdown' });
+      const fullText = view.text + (requestsText ? `\n\n${requestsText}` : '');
+      await telegramService.sendMessage(chatId, fullText, {
+        parse_mode: 'Markdown',
+        reply_markup: view.keyboard
+      });
 
       logger.audit('history_viewed', telegramId, {
-        transactionCount: transactions.length
+        transactionCount: view.count,
+        from: range.fromDate,
+        to: range.toDate
       });
     } catch (error) {
       logger.error('History command failed', {
@@ -715,6 +2332,207 @@ Choose your preferred type and amount:`,
     }
   }
 
+  async handleExport(message, args) {
+    try {
+      const chatId = message.chat.id;
+      const telegramId = message.from.id;
+
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      const explicitFormat = args.length > 0 && statementService.FORMATS.includes(args[0].toLowerCase());
+      const format = explicitFormat ? args[0].toLowerCase() : 'csv';
+      const rangeArgs = explicitFormat ? args.slice(1) : args;
+
+      let range;
+      try {
+        range = this._parseHistoryRange(rangeArgs.length > 0 ? rangeArgs : ['30d']);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        await telegramService.sendMessage(
+          chatId,
+          `❓ ${error.message}
+
+Usage: /export [csv|json] [from] [to]
+
+Examples:
+• /export (CSV, last 30 days)
+• /export json 90d
+• /export csv 2025-01-01 2025-03-31`
+        );
+        return;
+      }
+
+      await telegramService.sendMessage(chatId, '📄 Preparing your statement...');
+
+      const address = user.user_metadata.arc_address;
+      const statement = await statementService.buildStatement(address, {
+        ...range,
+        format,
+        resolveCounterparty: (counterparty) => this._resolveCounterpartyName(counterparty, address, telegramId),
+        walletCreatedAt: this._walletCreatedAt(user)
+      });
+
+      if (statement.pending) {
+        await telegramService.sendMessage(
+          chatId,
+          '⏳ Your transaction history for this period is still being indexed. Run the same /export again in a moment to continue.'
+        );
+        return;
+      }
+
+      await telegramService.sendDocument(chatId, statement.content, statement.filename, statement.contentType, {
+        caption: `📄 USDC statement: ${statement.count} transaction${statement.count === 1 ? '' : 's'}`
+      });
+
+      logger.audit('statement_exported', telegramId, {
+        format,
+        from: range.fromDate,
+        to: range.toDate,
+        transactionCount: statement.count
+      });
+    } catch (error) {
+      logger.error('Export command failed', {
+        telegramId: message.from.id,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(message.chat.id, 'Failed to export your statement. Please try again.');
+    }
+  }
+
+  // Callback format: hist_<o|n>_<cursor>_<from>_<to>, dates as YYYYMMDD or '-'
+  async handleHistoryCallback(query, data) {
+    const telegramId = query.from.id;
+
+    try {
+      const [, direction, cursor, fromInput, toInput] = data.split('_');
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.answerCallbackQuery(query.id, {
+          text: '❌ Please create an account first with /start',
+          show_alert: true
+        });
+        return;
+      }
+
+      await telegramService.answerCallbackQuery(query.id, { text: '📊 Loading...' });
+
+      const view = await this._buildHistoryPage(telegramId, user.user_metadata.arc_address, {
+        before: direction === 'o' ? cursor : null,
+        after: direction === 'n' ? cursor : null,
+        fromDate: this._decodeHistoryDate(fromInput),
+        toDate: this._decodeHistoryDate(toInput),
+        walletCreatedAt: this._walletCreatedAt(user)
+      });
+
+      await telegramService.editMessage(query.message.chat.id, query.message.message_id, view.text, {
+        parse_mode: 'Markdown',
+        reply_markup: view.keyboard
+      });
+    } catch (error) {
+      logger.error('History callback failed', {
+        userId: telegramId,
+        data,
+        error: error.message
+      });
+      await telegramService.answerCallbackQuery(query.id, {
+        text: '❌ Failed to load transactions. Please try again.',
+        show_alert: true
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Parses /history arguments into a [fromDate, toDate) range.
+   * Accepts `<N>d` for the last N days, or one or two YYYY-MM-DD dates (inclusive).
+   */
+  _parseHistoryRange(args) {
+    if (args.length === 0) {
+      return { fromDate: null, toDate: null };
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const days = /^(\d{1,4})d$/i.exec(args[0]);
+    if (days && args.length === 1) {
+      const today = new Date(new Date().toISOString().slice(0, 10));
+      return { fromDate: new Date(today.getTime() - (parseInt(days[1]) - 1) * dayMs), toDate: null };
+    }
+
+    const parseDay = (input) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(input) || isNaN(new Date(input).getTime())) {
+        throw new ValidationError(`Invalid date "${input}". Use YYYY-MM-DD.`);
+      }
+      return new Date(input);
+    };
+
+    const fromDate = parseDay(args[0]);
+    const toDate = args[1] ? new Date(parseDay(args[1]).getTime() + dayMs) : null;
+    if (toDate && toDate <= fromDate) {
+      throw new ValidationError('The end date must not be before the start date.');
+    }
+
+    return { fromDate, toDate };
+  }
+
+  // When the wallet was generated; null for imported wallets, whose history may be older
+  _walletCreatedAt(user) {
+    return user.user_metadata.wallet_imported ? null : user.user_metadata.created_at || null;
+  }
+
+  _encodeHistoryDate(date) {
+    return date ? date.toISOString().slice(0, 10).replace(/-/g, '') : '-';
+  }
+
+  _decodeHistoryDate(input) {
+    if (!input || input === '-') {
+      return null;
+    }
+    return new Date(`${input.slice(0, 4)}-${input.slice(4, 6)}-${input.slice(6, 8)}`);
+  }
+
+  /**
+   * Builds one page of /history from the local transfer index, with
+   * "Older ›" / "‹ Newer" buttons that carry the page cursor and date filter.
+   */
+  async _buildHistoryPage(telegramId, address, { before = null, after = null, fromDate = null, toDate = null, walletCreatedAt = null } = {}) {
+    const page = await transactionIndexService.getPage(address, { before, after, fromDate, toDate, walletCreatedAt });
+
+    let title = '📊 *Transactions*';
+    if (fromDate || toDate) {
+      const lastDay = toDate ? new Date(toDate.getTime() - 24 * 60 * 60 * 1000) : null;
+      title += ` (${fromDate ? fromDate.toISOString().slice(0, 10) : 'start'} – ${lastDay ? lastDay.toISOString().slice(0, 10) : 'today'})`;
+    }
+
+    let text = await this._formatHistoryText(page.transactions, address, telegramId, {
+      title,
+      emptyText: before || after || fromDate || toDate
+        ? 'No transactions found on this page.'
+        : null
+    });
+    if (page.transactions.length === 0 && page.hasOlder) {
+      text += `\n\n_Older blocks are still being indexed. Tap Older › to keep searching._`;
+    }
+
+    const range = `${this._encodeHistoryDate(fromDate)}_${this._encodeHistoryDate(toDate)}`;
+    const navigation = [];
+    if (page.hasNewer) {
+      navigation.push({ text: '‹ Newer', callback_data: `hist_n_${page.newerCursor}_${range}` });
+    }
+    if (page.hasOlder && page.olderCursor) {
+      navigation.push({ text: 'Older ›', callback_data: `hist_o_${page.olderCursor}_${range}` });
+    }
+
+    return {
+      text,
+      keyboard: { inline_keyboard: navigation.length > 0 ? [navigation] : [] },
+      count: page.transactions.length
+    };
+  }
 
   /*
   async handleHistory(message, args) {
@@ -878,26 +2696,10 @@ Address: \`${user.user_metadata.arc_address}\`
   }
 
   async handlePaymentCallback(query, data) {
-    try {
-      const requestId = data.replace('pay_', '');
-      const request = this.pendingPayments.get(requestId);
-
-      if (!request) {
-        await telegramService.answerCallbackQuery(query.id, {
-          text: '❌ Request expired or already processed',
-          show_alert: true
-        });
-        return;
-      }
-
-      if (request.payer !== query.from.id) {
-        await telegramService.answerCallbackQuery(query.id, {
-          text: '❌ This request is not for you',
-          show_alert: true
-        });
-        return;
-      }
+    const requestId = data.replace('pay_', '');
+    let claimed = false;
 
+    try {
       const payer = await auth0Service.getUserByTelegramId(query.from.id);
       if (!payer) {
         await telegramService.answerCallbackQuery(query.id, {
@@ -907,56 +2709,81 @@ Address: \`${user.user_metadata.arc_address}\`
         return;
       }
 
-      await telegramService.answerCallbackQuery(query.id, { text: '🔄 Processing payment...' });
+      const request = await paymentRequestService.claimForPayment(requestId, query.from.id);
+      claimed = true;
 
-      // Send USDC payment
-      const result = await arcService.sendUSDCPayment(
-        payer.app_metadata.arc_private_key,
-        request.requesterAddress,
-        request.amount
-      );
+      const reservationId = await this._authorizePayment(query.message.chat.id, query.from.id, request.amount, {
+        actionKey: `request:${requestId}`,
+        description: `Pay ${request.amount} USDC requested${request.reason ? ` for ${request.reason}` : ''}`,
+        resume: { callback: data }
+      });
+      if (!reservationId) {
+        await telegramService.answerCallbackQuery(query.id, { text: '🔐 Extra confirmation needed' });
+        return;
+      }
 
-      if (result.success) {
-        await telegramService.editMessage(
-          query.message.chat.id,
-          query.message.message_id,
-          `✅ USDC Payment Completed!
+      await telegramService.answerCallbackQuery(query.id, { text: '🔄 Processing payment...' });
 
-Amount: ${request.amount} USDC
-Transaction: \`${result.hash}\`
-Gas Used: ${result.gasUsed} units`,
-          { parse_mode: 'Markdown' }
+      // Submit USDC payment
+      let submission;
+      try {
+        submission = await arcService.submitUSDCPayment(
+          signerService.forUser(payer),
+          request.requester_address,
+          request.amount,
+          request.reason,
+          {
+            owner: query.from.id,
+            idempotencyKey: `request:${requestId}`,
+            context: { type: 'request', requestId }
+          }
         );
+      } catch (error) {
+        await spendingLimitService.settleReservation(query.from.id, reservationId, 0);
+        throw error;
+      }
 
-        // Notify requester
-        await telegramService.sendMessage(
-          request.requester,
-          `✅ USDC payment received from @${query.from.username || 'someone'}!
+      // From here the claim is fulfilled or released when the payment completes
+      claimed = false;
+      await this._trackPayment(submission, {
+        chatId: query.message.chat.id,
+        messageId: query.message.message_id,
+        telegramId: query.from.id,
+        reservationId,
+        amount: request.amount,
+        recipient: `\`${request.requester_address}\``,
+        onConfirmed: async (result) => {
+          await paymentRequestService.fulfilRequest(requestId, query.from.id, result.hash);
+
+          // Notify requester (the watcher's generic notice would be a duplicate)
+          await transferWatcherService.markNotified(result.hash, request.requester_address);
+          await telegramService.sendMessage(
+            request.from,
+            `✅ USDC payment received from @${query.from.username || 'someone'}!
 
 Amount: ${request.amount} USDC
 Transaction: \`${result.hash}\``,
-          { parse_mode: 'Markdown' }
-        );
-
-        this.pendingPayments.delete(requestId);
-
-        logger.audit('payment_request_fulfilled', query.from.id, {
-          amount: request.amount,
-          requester: request.requester,
-          txHash: result.hash
-        });
-      } else {
-        await telegramService.answerCallbackQuery(query.id, {
-          text: '❌ Payment failed. Check your balance.',
-          show_alert: true
-        });
-      }
+            { parse_mode: 'Markdown' }
+          );
+        },
+        onFailed: async (error) => {
+          // A delayed payment may still go through; the claim then expires on its own
+          if (error.code !== 'TIMEOUT') {
+            await paymentRequestService.releaseClaim(requestId);
+          }
+        }
+      });
     } catch (error) {
       if (error instanceof InsufficientFundsError) {
         await telegramService.answerCallbackQuery(query.id, {
           text: `❌ Insufficient ${error.currency} funds. Need ${error.required} ${error.currency}.`,
           show_alert: true
         });
+      } else if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError || error instanceof SpendingLimitError) {
+        await telegramService.answerCallbackQuery(query.id, {
+          text: `❌ ${error.message}`,
+          show_alert: true
+        });
       } else {
         logger.error('Payment callback failed', {
           userId: query.from.id,
@@ -968,35 +2795,39 @@ Transaction: \`${result.hash}\``,
           show_alert: true
         });
       }
+    } finally {
+      if (claimed) {
+        await paymentRequestService.releaseClaim(requestId);
+      }
     }
   }
 
   async handleDeclineCallback(query, data) {
     try {
       const requestId = data.replace('decline_', '');
-      const request = this.pendingPayments.get(requestId);
-
-      if (request && request.payer === query.from.id) {
-        await telegramService.editMessage(
-          query.message.chat.id,
-          query.message.message_id,
-          `❌ Payment request declined`
-        );
+      const request = await paymentRequestService.declineRequest(requestId, query.from.id);
 
-        await telegramService.sendMessage(
-          request.requester,
-          `❌ @${query.from.username || 'User'} declined your USDC payment request for ${request.amount} USDC`
-        );
+      await telegramService.editMessage(
+        query.message.chat.id,
+        query.message.message_id,
+        `❌ Payment request declined`
+      );
 
-        this.pendingPayments.delete(requestId);
-        await telegramService.answerCallbackQuery(query.id, { text: 'Request declined' });
+      await telegramService.sendMessage(
+        request.from,
+        `❌ @${query.from.username || 'User'} declined your USDC payment request for ${request.amount} USDC`
+      );
 
-        logger.audit('payment_request_declined', query.from.id, {
-          amount: request.amount,
-          requester: request.requester
+      await telegramService.answerCallbackQuery(query.id, { text: 'Request declined' });
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError) {
+        await telegramService.answerCallbackQuery(query.id, {
+          text: `❌ ${error.message}`,
+          show_alert: true
         });
+        return;
       }
-    } catch (error) {
+
       logger.error('Decline callback failed', {
         userId: query.from.id,
         data,
@@ -1005,41 +2836,29 @@ Transaction: \`${result.hash}\``,
     }
   }
 
+  // Callback format: confirm_pay_<confirmationId>
   async handleConfirmPayCallback(query, data) {
     try {
       const userId = query.from.id;
-      
-      // Answer callback query immediately to prevent timeout
-      await telegramService.answerCallbackQuery(query.id, { text: '🔄 Processing payment...' });
-      
-      // Immediately disable the button by editing the message
-      await telegramService.editMessage(
-        query.message.chat.id,
-        query.message.message_id,
-        `🔄 **Processing Payment...**
+      const confirmationId = data.substring('confirm_pay_'.length);
 
-Please wait while we process your payment.
-This may take a few seconds.`,
-        { parse_mode: 'Markdown' }
-      );
-      
-      // Parse payment data: confirm_pay_address_amount_currency
-      const parts = data.split('_');
-      if (parts.length < 5) {
-        await telegramService.editMessage(
-          query.message.chat.id,
-          query.message.message_id,
-          `❌ Invalid payment data. Please try again.`
-        );
+      // Payment details come from the server, never from the callback data
+      let confirmation;
+      try {
+        confirmation = await paymentConfirmationService.getConfirmation(confirmationId, userId);
+      } catch (error) {
+        const text = error instanceof NotFoundError
+          ? '❌ This payment confirmation has expired. Please start the payment again.'
+          : `❌ ${error.message}`;
+        await telegramService.answerCallbackQuery(query.id, { text, show_alert: true });
         return;
       }
-      
-      const targetAddress = parts[2];
-      const amount = parseFloat(parts[3]) || null;
-      const currency = parts[4].toUpperCase();
-      
+
+      const { address: targetAddress, amount, currency } = confirmation;
+
       logger.info('Processing payment callback', {
         userId,
+        confirmationId,
         targetAddress,
         amount,
         currency
@@ -1047,95 +2866,66 @@ This may take a few seconds.`,
       
       const user = await auth0Service.getUserByTelegramId(userId);
       if (!user) {
-        await telegramService.editMessage(
-          query.message.chat.id,
-          query.message.message_id,
-          `❌ Please create an account first with /start`
-        );
+        await telegramService.answerCallbackQuery(query.id, {
+          text: '❌ Please create an account first with /start',
+          show_alert: true
+        });
         return;
       }
-      
-      // Validate amount (should already be validated at this point)
-      if (!amount || amount <= 0) {
-        await telegramService.editMessage(
-          query.message.chat.id,
-          query.message.message_id,
-          `❌ Invalid payment amount. Please try again.`
-        );
+
+      const reservationId = await this._authorizePayment(query.message.chat.id, userId, amount, {
+        actionKey: `confirm:${confirmationId}`,
+        description: `Send ${amount} ${currency} to ${targetAddress}`,
+        resume: { callback: data },
+        promptMessage: query.message
+      });
+      if (!reservationId) {
+        await telegramService.answerCallbackQuery(query.id, { text: '🔐 Extra confirmation needed' });
+        return;
+      }
+
+      // Single use: only the first of several taps (or a replay) gets past here
+      try {
+        await paymentConfirmationService.useConfirmation(confirmationId, userId);
+      } catch (error) {
+        await spendingLimitService.settleReservation(userId, reservationId, 0);
+        await telegramService.answerCallbackQuery(query.id, { text: `❌ ${error.message}`, show_alert: true });
         return;
       }
       
-      // Send payment based on currency
-      let result;
+      // Answer callback query immediately to prevent timeout
+      await telegramService.answerCallbackQuery(query.id, { text: '🔄 Processing payment...' });
+      
+      // Immediately disable the button by editing the message
+      await telegramService.editMessage(
+        query.message.chat.id,
+        query.message.message_id,
+        `🔄 **Processing Payment...**
+
+Please wait while we process your payment.
+This may take a few seconds.`,
+        { parse_mode: 'Markdown' }
+      );
+      
+      let submission;
       try {
         logger.info('About to send payment', { 
           userId, 
           currency, 
           amount, 
           targetAddress,
-          hasUserSeed: !!user.app_metadata.arc_private_key 
-        });
-        
-        if (currency === 'USDC') {
-          logger.info('Calling arcService.sendUSDCPayment', { amount, targetAddress });
-          result = await arcService.sendUSDCPayment(
-            user.app_metadata.arc_private_key,
-            targetAddress,
-            amount
-          );
-          logger.info('USDC payment service returned', { result });
-        } else {
-          logger.info('Calling arcService.sendUSDCPayment', { amount, targetAddress });
-          result = await arcService.sendUSDCPayment(
-            user.app_metadata.arc_private_key,
-            targetAddress,
-            amount
-          );
-          logger.info('USDC payment service returned', { result });
-        }
-        
-        logger.info('Payment service call completed', { 
-          result: result ? {
-            success: result.success,
-            hash: result.hash,
-            fee: result.fee
-          } : 'null result'
+          hasUserSeed: !!user.app_metadata.arc_private_key_encrypted
         });
         
-        if (result && result.success) {
-          logger.info('Payment successful, updating UI');
-          await telegramService.editMessage(
-            query.message.chat.id,
-            query.message.message_id,
-            `✅ ${currency} Payment Sent Successfully!
-
-Amount: ${amount} ${currency}
-To: \`${targetAddress}\`
-Transaction: \`${result.hash}\`
-${currency === 'USDC' ? 'Fee' : 'Gas Fee'}: ${result.gasUsed && result.gasPrice ? (Number(result.gasUsed) * Number(result.gasPrice) / 1e18).toFixed(6) : 'N/A'} USDC`,
-            { parse_mode: 'Markdown' }
-          );
-          
-          logger.audit('deeplink_payment_sent', userId, {
-            amount,
-            currency,
-            recipient: targetAddress,
-            txHash: result.hash,
-            fee: result.fee
-          });
-        } else {
-          logger.error('Payment failed - no success result', { 
-            result,
-            resultType: typeof result,
-            resultKeys: result ? Object.keys(result) : 'null'
-          });
-          await telegramService.editMessage(
-            query.message.chat.id,
-            query.message.message_id,
-            `❌ Payment failed. ${result?.error || 'Please check your balance and try again.'}`
-          );
-        }
+        submission = await arcService.submitUSDCPayment(
+          signerService.forUser(user),
+          targetAddress,
+          amount,
+          null,
+          { owner: userId, idempotencyKey: `confirm:${confirmationId}` }
+        );
       } catch (paymentError) {
+        await spendingLimitService.settleReservation(userId, reservationId, 0);
         logger.error('Payment error occurred in try-catch', {
           error: paymentError.message,
           errorType: paymentError.constructor.name,
@@ -1151,7 +2941,24 @@ ${currency === 'USDC' ? 'Fee' : 'Gas Fee'}: ${result.gasUsed && result.gasPrice
           query.message.message_id,
           `❌ Payment failed: ${paymentError.message}`
         );
+        return;
       }
+
+      await this._trackPayment(submission, {
+        chatId: query.message.chat.id,
+        messageId: query.message.message_id,
+        telegramId: userId,
+        reservationId,
+        amount,
+        recipient: `\`${targetAddress}\``,
+        onConfirmed: (result) => logger.audit('deeplink_payment_sent', userId, {
+          amount,
+          currency,
+          recipient: targetAddress,
+          txHash: result.hash,
+          gasUsed: result.gasUsed
+        })
+      });
     } catch (error) {
       if (error instanceof InsufficientFundsError) {
         await telegramService.editMessage(
@@ -1159,6 +2966,13 @@ ${currency === 'USDC' ? 'Fee' : 'Gas Fee'}: ${result.gasUsed && result.gasPrice
           query.message.message_id,
           `❌ Insufficient ${error.currency} funds. Need ${error.required} ${error.currency}.`
         );
+      } else if (error instanceof SpendingLimitError) {
+        await telegramService.editMessage(
+          query.message.chat.id,
+          query.message.message_id,
+          `❌ ${error.message}\n\nSee /limits to view or change your limits.`,
+          { parse_mode: undefined }
+        );
       } else {
         logger.error('Confirm payment callback failed', {
           userId: query.from.id,
@@ -1174,8 +2988,22 @@ ${currency === 'USDC' ? 'Fee' : 'Gas Fee'}: ${result.gasUsed && result.gasPrice
     }
   }
 
+  // Callback format: cancel_payment_<confirmationId>
   async handleCancelPayCallback(query, data) {
     try {
+      const confirmationId = data.substring('cancel_payment_'.length);
+      if (confirmationId) {
+        try {
+          await paymentConfirmationService.cancelConfirmation(confirmationId, query.from.id);
+        } catch (error) {
+          // Expired confirmations can still be dismissed; someone else's or a used one cannot
+          if (!(error instanceof NotFoundError)) {
+            await telegramService.answerCallbackQuery(query.id, { text: `❌ ${error.message}`, show_alert: true });
+            return;
+          }
+        }
+      }
+
       // Answer callback query immediately to prevent timeout
       await telegramService.answerCallbackQuery(query.id, { text: 'Payment cancelled' });
       
@@ -1199,11 +3027,11 @@ ${currency === 'USDC' ? 'Fee' : 'Gas Fee'}: ${result.gasUsed && result.gasPrice
     try {
       const chatId = message.chat.id;
       const telegramId = message.from.id;
-      const session = telegramService.getUserSession(telegramId);
+      const session = await telegramService.getUserSession(telegramId);
       
       if (!session || !session.paymentData) {
         await telegramService.sendErrorMessage(chatId, 'Session expired. Please try again.');
-        telegramService.clearUserSession(telegramId);
+        await telegramService.clearUserSession(telegramId);
         return;
       }
       
@@ -1222,17 +3050,15 @@ Example: 10.5`
       const { targetAddress, currency } = session.paymentData;
       
       // Clear the session
-      telegramService.clearUserSession(telegramId);
+      await telegramService.clearUserSession(telegramId);
       
       // Show payment confirmation
-      const keyboard = {
-        inline_keyboard: [
-          [
-            { text: '✅ Confirm Payment', callback_data: `confirm_pay_${targetAddress}_${amount}_${currency}` },
-            { text: '❌ Cancel', callback_data: 'cancel_payment' }
-          ]
-        ]
-      };
+      const keyboard = await this._createConfirmationKeyboard(telegramId, {
+        address: targetAddress,
+        amount,
+        currency,
+        source: 'payment_link'
+      });
       
       const user = await auth0Service.getUserByTelegramId(telegramId);
       let paymentText = `💸 **Payment Confirmation**
@@ -1262,7 +3088,7 @@ Do you want to proceed with this payment?`;
         error: error.message
       });
       
-      telegramService.clearUserSession(message.from.id);
+      await telegramService.clearUserSession(message.from.id);
       await telegramService.sendErrorMessage(message.chat.id, 'Something went wrong. Please try again.');
     }
   }
@@ -1273,7 +3099,7 @@ Do you want to proceed with this payment?`;
       message.chat.id,
       'QR amount input not implemented yet. Use /qr <amount> [currency] instead.'
     );
-    telegramService.clearUserSession(message.from.id);
+    await telegramService.clearUserSession(message.from.id);
   }
 
   // Friend management commands
@@ -1323,14 +3149,13 @@ Rules:
       }
 
       // Get current friends list
-      const currentMetadata = user.user_metadata || {};
-      const friends = currentMetadata.friends || {};
+      const friends = await friendService.getFriends(telegramId, user);
 
       // Check if alias already exists
       if (friends[aliasInput]) {
         await telegramService.sendMessage(
           chatId,
-          `❌ Alias "${aliasInput}" already exists for: ${this.formatFriendDisplay(friends[aliasInput])}
+          `❌ Alias "${aliasInput}" already exists for: ${formatFriend(friends[aliasInput])}
           
 Use /removefriend ${aliasInput} to remove it first.`
         );
@@ -1339,19 +3164,14 @@ Use /removefriend ${aliasInput} to remove it first.`
 
       // Add new friend
       friends[aliasInput] = friendData;
-
-      // Update user metadata
-      await auth0Service.updateUserMetadata(user.user_id, {
-        ...currentMetadata,
-        friends
-      });
+      await friendService.saveFriends(telegramId, friends);
 
       await telegramService.sendMessage(
         chatId,
         `✅ Friend added successfully!
 
 Alias: ${aliasInput}
-Target: ${this.formatFriendDisplay(friendData)}
+Target: ${formatFriend(friendData)}
 
 You can now use "${aliasInput}" in payments and requests.`
       );
@@ -1398,8 +3218,7 @@ Example: /removefriend alice`
       }
 
       // Get current friends list
-      const currentMetadata = user.user_metadata || {};
-      const friends = currentMetadata.friends || {};
+      const friends = await friendService.getFriends(telegramId, user);
 
       // Check if alias exists
       if (!friends[aliasInput]) {
@@ -1414,19 +3233,14 @@ Use /friends to see your current friends list.`
 
       const removedFriend = friends[aliasInput];
       delete friends[aliasInput];
-
-      // Update user metadata
-      await auth0Service.updateUserMetadata(user.user_id, {
-        ...currentMetadata,
-        friends
-      });
+      await friendService.saveFriends(telegramId, friends);
 
       await telegramService.sendMessage(
         chatId,
         `✅ Friend removed successfully!
 
 Removed alias: ${aliasInput}
-Was pointing to: ${this.formatFriendDisplay(removedFriend)}`
+Was pointing to: ${formatFriend(removedFriend)}`
       );
 
       logger.audit('friend_removed', telegramId, {
@@ -1455,8 +3269,7 @@ Was pointing to: ${this.formatFriendDisplay(removedFriend)}`
       }
 
       // Get current friends list
-      const currentMetadata = user.user_metadata || {};
-      const friends = currentMetadata.friends || {};
+      const friends = await friendService.getFriends(telegramId, user);
 
       if (Object.keys(friends).length === 0) {
         await telegramService.sendMessage(
@@ -1475,7 +3288,7 @@ Example: /addfriend alice @alice_crypto`
       let friendsList = `👥 **Friends List** (${Object.keys(friends).length} friends)\n\n`;
       
       for (const [alias, friendData] of Object.entries(friends)) {
-        friendsList += `• **${alias}** → ${this.formatFriendDisplay(friendData)}\n`;
+        friendsList += `• **${alias}** → ${formatFriend(friendData)}\n`;
       }
       
       friendsList += `\nUse these aliases in /pay and /request commands.`;
@@ -1501,38 +3314,22 @@ Example: /addfriend alice @alice_crypto`
       const telegramId = message.from.id;
       
       // Parse payment parameters: pay_address_amount_currency
-      const parts = paymentParam.split('_');
-      if (parts.length < 2) {
-        await telegramService.sendErrorMessage(chatId, 'Invalid payment link format.');
-        return;
-      }
-      
-      const targetAddress = parts[1];
-      let amount = null;
-      let currency = 'USDC';
-      
-      if (parts.length >= 3) {
-        amount = parseFloat(parts[2]);
-      }
-      if (parts.length >= 4) {
-        currency = parts[3].toUpperCase();
-      }
-      
-      // Validate currency
-      if (!['USDC', 'USDC'].includes(currency)) {
-        await telegramService.sendErrorMessage(chatId, 'Invalid currency. Use USDC or USDC.');
+      let link;
+      try {
+        link = parsePaymentLink(paymentParam);
+      } catch (error) {
+        await telegramService.sendErrorMessage(chatId, error.message);
         return;
       }
+
+      const { address: targetAddress, amount, currency } = link;
       
       // Check if user has an account
       const user = await auth0Service.getUserByTelegramId(telegramId);
       if (!user) {
         await telegramService.sendMessage(
           chatId,
-          `💸 Payment Request
-
-To: \`${targetAddress}\`
-${amount ? `Amount: ${amount} ${currency}` : 'Amount: Not specified'}
+          `${formatPaymentLinkMarkdown({ address: targetAddress, amount, currency })}
 
 ❌ You need to create an account first.
 Use /start to create your account, then try the payment link again.`,
@@ -1543,22 +3340,16 @@ Use /start to create your account, then try the payment link again.`,
       
       if (amount && amount > 0) {
         // Show payment confirmation with fixed amount
-        const keyboard = {
-          inline_keyboard: [
-            [
-              { text: '✅ Confirm Payment', callback_data: `confirm_pay_${targetAddress}_${amount}_${currency}` },
-              { text: '❌ Cancel', callback_data: 'cancel_payment' }
-            ]
-          ]
-        };
+        const keyboard = await this._createConfirmationKeyboard(telegramId, {
+          address: targetAddress,
+          amount,
+          currency,
+          source: 'payment_link'
+        });
         
-        let paymentText = `💸 **Payment Request**
+        let paymentText = `${formatPaymentLinkMarkdown({ address: targetAddress, amount, currency, fromAddress: user.user_metadata.arc_address })}
 
-To: \`${targetAddress}\`
-Amount: ${amount} ${currency}
-From: Your account (\`${user.user_metadata.arc_address}\`)
-
-${currency === 'USDC' ? '⚠️ Requires USDC for gas fees' : ''}
+⚠️ Requires USDC for gas fees
 
 Do you want to proceed with this payment?`;
 
@@ -1568,7 +3359,7 @@ Do you want to proceed with this payment?`;
         });
       } else {
         // Set up session for amount input
-        telegramService.setUserSession(telegramId, {
+        await telegramService.setUserSession(telegramId, {
           waitingFor: 'payment_amount',
           paymentData: {
             targetAddress,
@@ -1577,13 +3368,9 @@ Do you want to proceed with this payment?`;
           }
         });
         
-        let paymentText = `💸 **Payment Request**
-
-To: \`${targetAddress}\`
-Currency: ${currency}
-From: Your account (\`${user.user_metadata.arc_address}\`)
+        let paymentText = `${formatPaymentLinkMarkdown({ address: targetAddress, currency, fromAddress: user.user_metadata.arc_address })}
 
-${currency === 'USDC' ? '⚠️ Requires USDC for gas fees' : ''}
+⚠️ Requires USDC for gas fees
 
 💭 Please enter the amount you want to send:
 Example: 10.5`;
@@ -1609,167 +3396,19 @@ Example: 10.5`;
   }
 
   // Helper methods
-  formatFriendDisplay(friendData) {
-    switch (friendData.type) {
-      case 'username':
-        return `@${friendData.value}`;
-      case 'userId':
-        return `User ID: ${friendData.value}`;
-      case 'address':
-        return `${friendData.value.substring(0, 8)}...${friendData.value.substring(-4)}`;
-      default:
-        return friendData.value;
-    }
-  }
-
   async resolveRecipient(recipient, senderTelegramId = null) {
-    try {
-      logger.info('parseRecipient input', { recipient });
-      const parsed = parseRecipient(recipient);
-      logger.info('parseRecipient result', { parsed });
-
-      switch (parsed.type) {
-        case 'address':
-          // Check if this address belongs to a known user (hierarchy level 1)
-          const addressOwner = await this.findUserByAddress(parsed.value);
-          if (addressOwner) {
-            return {
-              type: 'address',
-              address: parsed.value,
-              displayName: `@${addressOwner.username}`, // Show telegram handle
-              telegramId: addressOwner.telegramId,
-              username: addressOwner.username
-            };
-          }
-          
-          // Check if this address is in sender's friends list (hierarchy level 2)
-          if (senderTelegramId) {
-            const friendAlias = await this.findFriendAliasByAddress(senderTelegramId, parsed.value);
-            if (friendAlias) {
-              return {
-                type: 'address',
-                address: parsed.value,
-                displayName: friendAlias, // Show friend alias
-                isFriend: true
-              };
-            }
-          }
-          
-          return {
-            type: 'address',
-            address: parsed.value,
-            displayName: `${parsed.value.substring(0, 8)}...${parsed.value.substring(-4)}` // Show truncated address
-          };
-
-        case 'username':
-          const userByUsername = await auth0Service.getUserByTelegramUsername(parsed.value);
-          if (userByUsername && userByUsername.user_metadata.arc_address) {
-            // Check if this username is in sender's friends list (hierarchy level 2)
-            if (senderTelegramId) {
-              const friendAlias = await this.findFriendAliasByUsername(senderTelegramId, parsed.value);
-              if (friendAlias) {
-                return {
-                  type: 'username',
-                  address: userByUsername.user_metadata.arc_address,
-                  displayName: friendAlias, // Show friend alias
-                  telegramId: userByUsername.user_metadata.telegram_id,
-                  username: userByUsername.user_metadata.telegram_username,
-                  isFriend: true
-                };
-              }
-            }
-            
-            return {
-              type: 'username',
-              address: userByUsername.user_metadata.arc_address,
-              displayName: `@${parsed.value}`, // Show telegram handle
-              username: userByUsername.user_metadata.telegram_username,
-              telegramId: userByUsername.user_metadata.telegram_id
-            };
-          }
-          break;
-
-        case 'userId':
-          const userById = await auth0Service.getUserByTelegramId(parsed.value);
-          if (userById && userById.user_metadata.arc_address) {
-            // Check if this user ID is in sender's friends list (hierarchy level 2)
-            if (senderTelegramId) {
-              const friendAlias = await this.findFriendAliasByUserId(senderTelegramId, parsed.value);
-              if (friendAlias) {
-                return {
-                  type: 'userId',
-                  address: userById.user_metadata.arc_address,
-                  displayName: friendAlias, // Show friend alias
-                  telegramId: userById.user_metadata.telegram_id,
-                  username: userById.user_metadata.telegram_username,
-                  isFriend: true
-                };
-              }
-            }
-            
-            return {
-              type: 'userId',
-              address: userById.user_metadata.arc_address,
-              displayName: `@${userById.user_metadata.telegram_username}`, // Show telegram handle
-              username: userById.user_metadata.telegram_username,
-              telegramId: userById.user_metadata.telegram_id
-            };
-          }
-          break;
-
-        case 'alias':
-          // Look up friend alias
-          logger.info('Looking up alias', { alias: parsed.value, senderTelegramId });
-          if (senderTelegramId) {
-            const friendData = await this.getFriendByAlias(senderTelegramId, parsed.value);
-            logger.info('Friend data found', { friendData });
-            if (friendData) {
-              // Handle different friend types
-              if (friendData.type === 'address') {
-                // Direct address - no need to recursively resolve
-                return {
-                  type: 'alias',
-                  address: friendData.value,
-                  displayName: parsed.value, // Show the alias name
-                  isFriend: true
-                };
-              } else {
-                // Recursively resolve username or userId
-                const resolved = await this.resolveRecipient(
-                  friendData.type === 'username' ? `@${friendData.value}` : 
-                  friendData.type === 'userId' ? friendData.value.toString() : 
-                  friendData.value, 
-                  senderTelegramId
-                );
-                
-                if (resolved) {
-                  return {
-                    ...resolved,
-                    displayName: parsed.value, // Always show the alias for friends
-                    isFriend: true
-                  };
-                }
-              }
-            }
-          }
-          break;
-      }
-
-      return null;
-    } catch (error) {
-      logger.error('Failed to resolve recipient', {
-        recipient,
-        error: error.message
-      });
-      return null;
-    }
+    return this.recipients.resolve(recipient, senderTelegramId);
   }
 
   // Friend lookup helper methods
   async findUserByAddress(address) {
     try {
-      // This would require a reverse lookup in Auth0 - for now we'll search all users
-      // In production, you might want to add an index for this
+      const registered = await addressRegistryService.lookup(address);
+      if (registered) {
+        return { telegramId: registered.telegramId, username: registered.username };
+      }
+
+      // Fall back to an Auth0 search for addresses the registry has not seen yet
       const response = await auth0Service.management.users.getAll({
         search_engine: 'v3',
         q: `user_metadata.arc_address:"${address}"`,
@@ -1791,77 +3430,21 @@ Example: 10.5`;
     }
   }
 
-  async getFriendByAlias(telegramId, alias) {
-    try {
-      const user = await auth0Service.getUserByTelegramId(telegramId);
-      if (!user || !user.user_metadata || !user.user_metadata.friends) {
-        return null;
-      }
-      return user.user_metadata.friends[alias] || null;
-    } catch (error) {
-      logger.error('Failed to get friend by alias', { telegramId, alias, error: error.message });
-      return null;
-    }
-  }
-
-  async findFriendAliasByAddress(telegramId, address) {
-    try {
-      const user = await auth0Service.getUserByTelegramId(telegramId);
-      if (!user || !user.user_metadata || !user.user_metadata.friends) {
-        return null;
-      }
-      
-      const friends = user.user_metadata.friends;
-      for (const [alias, friendData] of Object.entries(friends)) {
-        if (friendData.type === 'address' && friendData.value === address) {
-          return alias;
-        }
-      }
-      return null;
-    } catch (error) {
-      logger.error('Failed to find friend alias by address', { telegramId, address, error: error.message });
-      return null;
-    }
-  }
-
-  async findFriendAliasByUsername(telegramId, username) {
-    try {
-      const user = await auth0Service.getUserByTelegramId(telegramId);
-      if (!user || !user.user_metadata || !user.user_metadata.friends) {
-        return null;
-      }
-      
-      const friends = user.user_metadata.friends;
-      for (const [alias, friendData] of Object.entries(friends)) {
-        if (friendData.type === 'username' && friendData.value === username) {
-          return alias;
-        }
-      }
-      return null;
-    } catch (error) {
-      logger.error('Failed to find friend alias by username', { telegramId, username, error: error.message });
-      return null;
-    }
+  // Friend list of a bot user, migrating a list still kept in Auth0 metadata
+  async _getFriends(telegramId) {
+    const user = await auth0Service.getUserByTelegramId(telegramId);
+    return user ? friendService.getFriends(telegramId, user) : {};
   }
 
-  async findFriendAliasByUserId(telegramId, userId) {
-    try {
-      const user = await auth0Service.getUserByTelegramId(telegramId);
-      if (!user || !user.user_metadata || !user.user_metadata.friends) {
-        return null;
-      }
-      
-      const friends = user.user_metadata.friends;
-      for (const [alias, friendData] of Object.entries(friends)) {
-        if (friendData.type === 'userId' && friendData.value === userId) {
-          return alias;
-        }
-      }
-      return null;
-    } catch (error) {
-      logger.error('Failed to find friend alias by user ID', { telegramId, userId, error: error.message });
+  _toCoreUser(user) {
+    if (!user) {
       return null;
     }
+    return {
+      telegramId: user.user_metadata.telegram_id,
+      username: user.user_metadata.telegram_username || null,
+      arcAddress: user.user_metadata.arc_address
+    };
   }
 
   // --- NEW HELPER METHODS FOR THE AGENT ---
@@ -1888,7 +3471,7 @@ Example: 10.5`;
               // 1. Fulfill the information task
               await telegramService.sendMessage(chatId, '📊 Loading your transaction history...');
               const address = user.user_metadata.arc_address;
-              const transactions = await arcService.getTransactionHistory(address, 10);
+              const { transactions } = await transactionIndexService.getPage(address, { walletCreatedAt: this._walletCreatedAt(user) });
               
               // 2. Format the history using the refactored helper
               const historyText = await this._formatHistoryText(transactions, address, telegramId);
@@ -1937,7 +3520,7 @@ Example: 10.5`;
 
               // 3. "Send a confirmation message" (as requested)
               // This re-uses your existing secure callback logic
-              await this._sendPaymentConfirmation(chatId, user, targetAddress, amount, currency, recipientInfo);
+              await this._sendPaymentConfirmation(chatId, telegramId, user, targetAddress, amount, currency, recipientInfo);
               
               logger.audit('agent_payment_initiated', telegramId, {
                 recipient,
@@ -1967,17 +3550,15 @@ Example: 10.5`;
   }
 
   /**
-   * NEW: Helper to send payment confirmation, re-using existing callbacks
-   */
-  async _sendPaymentConfirmation(chatId, user, targetAddress, amount, currency, recipientInfo = null) {
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: '✅ Confirm Payment', callback_data: `confirm_pay_${targetAddress}_${amount}_${currency}` },
-          { text: '❌ Cancel', callback_data: 'cancel_payment' }
-        ]
-      ]
-    };
+   * NEW: Helper to send payment confirmation, re-using existing callbacks
+   */
+  async _sendPaymentConfirmation(chatId, telegramId, user, targetAddress, amount, currency, recipientInfo = null) {
+    const keyboard = await this._createConfirmationKeyboard(telegramId, {
+      address: targetAddress,
+      amount,
+      currency,
+      source: 'agent'
+    });
     
     // Use the same address logic from your handleStart for consistency
     const fromAddress = user.user_metadata.arc_address || 'Not found';
@@ -2015,19 +3596,32 @@ Do you want to proceed with this payment?`;
     });
   }
 
+  // Stores the payment server-side; the buttons only carry its confirmation ID
+  async _createConfirmationKeyboard(telegramId, { address, amount, currency, source }) {
+    const confirmation = await paymentConfirmationService.createConfirmation(telegramId, { address, amount, currency, source });
+    return {
+      inline_keyboard: [
+        [
+          { text: '✅ Confirm Payment', callback_data: `confirm_pay_${confirmation.id}` },
+          { text: '❌ Cancel', callback_data: `cancel_payment_${confirmation.id}` }
+        ]
+      ]
+    };
+  }
+
   /**
    * NEW: Refactored from handleHistory to be reusable
    */
-  async _formatHistoryText(transactions, address, telegramId = null) {
+  async _formatHistoryText(transactions, address, telegramId = null, { title = '📊 *Recent Transactions*', emptyText = null } = {}) {
     if (!transactions || transactions.length === 0) {
-      return `📊 Transaction History
+      return `${title}
 
-No transactions found for your address.
+${emptyText || 'No transactions found for your address.'}
 
 Address: \`${address}\``;
     }
 
-    let historyText = `📊 *Recent Transactions*\n\n`;
+    let historyText = `${title}\n\n`;
     
     for (let i = 0; i < transactions.length; i++) {
       const tx = transactions[i];
@@ -2059,27 +3653,37 @@ Address: \`${address}\``;
    * Helper to format addresses for transaction history display
    */
   async _formatAddressForHistory(address, userAddress, telegramId) {
-    // If it's the user's own address, show "me"
+    const name = await this._resolveCounterpartyName(address, userAddress, telegramId);
+    if (name === 'me') {
+      return name;
+    }
+
+    const shortAddress = `\`${address.substring(0, 8)}...${address.substring(-4)}\``;
+    return name ? `${name} (${shortAddress})` : shortAddress;
+  }
+
+  /**
+   * Names an address from the viewer's point of view: "me", a friend alias,
+   * a bot user's @username, or null when it is unknown
+   */
+  async _resolveCounterpartyName(address, userAddress, telegramId) {
     if (address.toLowerCase() === userAddress.toLowerCase()) {
-      return "me";
+      return 'me';
     }
 
-    // Check if address belongs to a friend alias
     if (telegramId) {
-      const friendAlias = await this.findFriendAliasByAddress(telegramId, address);
+      const friendAlias = await this.recipients.findFriendAlias(telegramId, 'address', address);
       if (friendAlias) {
-        return `${friendAlias} (\`${address.substring(0, 8)}...${address.substring(-4)}\`)`;
+        return friendAlias;
       }
     }
 
-    // Check if address belongs to a known user
     const addressOwner = await this.findUserByAddress(address);
     if (addressOwner && addressOwner.username) {
-      return `@${addressOwner.username} (\`${address.substring(0, 8)}...${address.substring(-4)}\`)`;
+      return `@${addressOwner.username}`;
     }
 
-    // Default: show truncated address
-    return `\`${address.substring(0, 8)}...${address.substring(-4)}\``;
+    return null;
   }
 
   /**
@@ -2115,15 +3719,581 @@ Address: \`${address}\``;
     return text;
   }
 
-  // Cleanup expired payment requests
+  /**
+   * Shows the status of a submitted payment (editing messageId, or sending a
+   * new message) and hands it to the payment tracker, which keeps the message
+   * up to date. The spending reservation is released if the payment fails;
+   * onConfirmed and onFailed do any follow-up for the flow.
+   */
+  async _trackPayment(submission, { chatId, messageId = null, telegramId, reservationId, amount, recipient, onConfirmed = null, onFailed = null }) {
+    submission.completion.then(
+      async (result) => {
+        if (onConfirmed) {
+          await onConfirmed(result);
+        }
+      },
+      async (error) => {
+        // A delayed payment may still go through, so its reservation stays
+        if (error.code !== 'TIMEOUT') {
+          await spendingLimitService.settleReservation(telegramId, reservationId, 0);
+        }
+        if (onFailed) {
+          await onFailed(error);
+        }
+      }
+    ).catch(error => {
+      logger.error('Payment follow-up failed', { hash: submission.hash, error: error.message });
+    });
+
+    const tracked = paymentTrackerService.track(submission, { chatId, messageId, amount, recipient });
+    try {
+      const text = this._formatPaymentStatus(tracked);
+      if (messageId) {
+        await telegramService.editMessage(chatId, messageId, text);
+      } else {
+        const sent = await telegramService.sendMessage(chatId, text);
+        tracked.messageId = sent.message_id;
+      }
+
+      // The payment may have moved on while the message was being sent
+      if (tracked.status !== paymentTrackerService.STATUS.PENDING) {
+        await this.handlePaymentStatusUpdate(tracked);
+      }
+    } catch (error) {
+      logger.warn('Could not show payment status', { hash: submission.hash, error: error.message });
+    }
+    return tracked;
+  }
+
+  /**
+   * Called by the payment tracker when a submitted payment confirms, gains
+   * confirmations or fails
+   */
+  async handlePaymentStatusUpdate(tracked) {
+    if (tracked.batch) {
+      await this._showBatchStatus(tracked.batch);
+      return;
+    }
+    if (!tracked.messageId) {
+      return;
+    }
+    await telegramService.editMessage(tracked.chatId, tracked.messageId, this._formatPaymentStatus(tracked));
+  }
+
+  _formatPaymentStatus(tracked) {
+    const { STATUS } = paymentTrackerService;
+    const titles = {
+      [STATUS.PENDING]: '⏳ *Payment submitted*',
+      [STATUS.CONFIRMED]: tracked.final ? '✅ *Payment complete*' : '✅ *Payment confirmed*',
+      [STATUS.FAILED]: '❌ *Payment failed*',
+      [STATUS.DELAYED]: '⏳ *Payment still pending*'
+    };
+    const notes = {
+      [STATUS.PENDING]: 'Waiting for the network to include it...',
+      [STATUS.CONFIRMED]: `Confirmations: ${tracked.confirmations}/${tracked.targetConfirmations}`,
+      [STATUS.FAILED]: 'The transaction did not go through. No USDC was sent.',
+      [STATUS.DELAYED]: 'The network has not included it yet. You will get a message when it completes.'
+    };
+
+    return `${titles[tracked.status]}
+
+Amount: ${tracked.amount} USDC
+To: ${tracked.recipient}
+Transaction: [${tracked.hash.substring(0, 10)}...](${config.arc.explorerUrl}/tx/${tracked.hash})
+
+${notes[tracked.status]}`;
+  }
+
+  /**
+   * Called by the payment outbox when a payment interrupted by a restart or a
+   * lost connection turns out to have been sent or not
+   */
+  async handleRecoveredPayment(entry) {
+    const confirmed = entry.status === paymentOutboxService.STATUS.CONFIRMED;
+
+    if (confirmed && entry.context?.type === 'request') {
+      try {
+        await paymentRequestService.fulfilRequest(entry.context.requestId, entry.owner, entry.hash);
+      } catch (error) {
+        logger.warn('Could not mark recovered request payment as paid', {
+          requestId: entry.context.requestId,
+          error: error.message
+        });
+      }
+    }
+
+    if (confirmed) {
+      await telegramService.sendMessage(
+        entry.owner,
+        `✅ Your earlier payment of ${entry.amount} USDC to \`${entry.to}\` went through.
+
+Transaction: [${entry.hash.substring(0, 10)}...](${config.arc.explorerUrl}/tx/${entry.hash})`
+      );
+      return;
+    }
+
+    // Plain text: the reason may come from the RPC node
+    await telegramService.sendMessage(
+      entry.owner,
+      `❌ Your earlier payment of ${entry.amount} USDC to ${entry.to} did not go through. No funds were sent.
+
+Reason: ${entry.error}`,
+      { parse_mode: undefined }
+    );
+  }
+
+  /**
+   * Called by the transfer watcher for each USDC transfer into a bot user's wallet
+   */
+  async handleIncomingTransfer(transfer) {
+    const recipientId = transfer.recipient.telegramId;
+    const sender = await this.resolveRecipient(transfer.from, recipientId);
+
+    let senderName = sender ? sender.displayName : transfer.from;
+    if (sender && sender.telegramId && !sender.isFriend) {
+      const friendAlias = await this.recipients.findFriendAlias(recipientId, 'userId', sender.telegramId) ||
+        (sender.username && await this.recipients.findFriendAlias(recipientId, 'username', sender.username));
+      if (friendAlias) {
+        senderName = friendAlias;
+      }
+    }
+
+    const memo = await arcService.getTransactionMemo(transfer.hash);
+
+    let text = `💰 You received ${transfer.amount} ${transfer.currency} from ${senderName}!\n\n`;
+    if (memo) {
+      text += `Description: ${memo}\n`;
+    }
+    text += `Transaction: [${transfer.hash.substring(0, 10)}...](${config.arc.explorerUrl}/tx/${transfer.hash})\n`;
+    text += `Use /balance to check your balance`;
+
+    await telegramService.sendMessage(recipientId, text, {
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true
+    });
+
+    logger.audit('incoming_transfer_notified', recipientId, {
+      txHash: transfer.hash,
+      from: transfer.from,
+      amount: transfer.amount
+    });
+  }
+
+  async handleSchedule(message, args) {
+    const chatId = message.chat.id;
+    const telegramId = message.from.id;
+    const usage = `❓ Usage:
+/schedule <recipient> <amount> <YYYY-MM-DD> [HH:MM] [reason]
+/schedule <recipient> <amount> <daily|weekly|monthly> [YYYY-MM-DD] [HH:MM] [reason]
+
+Examples:
+• /schedule @alice 25 2025-07-01 09:00 concert tickets
+• /schedule landlord 800 monthly 2025-07-01 rent
+• /schedule 0x1234... 5 weekly
+
+Times are in UTC. Without a start date, recurring payments start one period from now.
+Use /schedules to list, pause or cancel them.`;
+
+    try {
+      if (args.length < 3) {
+        await telegramService.sendMessage(chatId, usage);
+        return;
+      }
+
+      const [recipientInput, amountInput, whenInput, ...rest] = args;
+      if (!isValidAmount(parseFloat(amountInput))) {
+        throw new ValidationError('Invalid amount. Must be a positive number.');
+      }
+      const amount = parseFloat(amountInput);
+
+      const isDate = (input) => /^\d{4}-\d{2}-\d{2}$/.test(input || '');
+      const isTime = (input) => /^\d{1,2}:\d{2}$/.test(input || '');
+
+      let frequency;
+      let dateInput = null;
+      const recurring = ['daily', 'weekly', 'monthly'].includes(whenInput.toLowerCase());
+      if (recurring) {
+        frequency = whenInput.toLowerCase();
+        if (isDate(rest[0])) {
+          dateInput = rest.shift();
+        }
+      } else if (isDate(whenInput)) {
+        frequency = 'once';
+        dateInput = whenInput;
+      } else {
+        await telegramService.sendMessage(chatId, usage);
+        return;
+      }
+      const timeInput = isTime(rest[0]) ? rest.shift() : null;
+      const reason = rest.length > 0 ? rest.join(' ') : null;
+
+      let firstRunAt;
+      if (dateInput) {
+        firstRunAt = this._parseScheduleTime(dateInput, timeInput);
+      } else {
+        // Recurring without a start date: first run one period from now
+        const now = new Date();
+        now.setUTCSeconds(0, 0);
+        if (timeInput) {
+          const [hours, minutes] = timeInput.split(':').map(Number);
+          now.setUTCHours(hours, minutes);
+        }
+        firstRunAt = scheduledPaymentService._nextRun({ frequency, anchor_day: now.getUTCDate() }, now);
+      }
+
+      const user = await auth0Service.getUserByTelegramId(telegramId);
+      if (!user) {
+        await telegramService.sendErrorMessage(chatId, 'Please create an account first with /start');
+        return;
+      }
+
+      const resolved = await this.resolveRecipient(recipientInput, telegramId);
+      if (!resolved) {
+        await telegramService.sendMessage(
+          chatId,
+          `❌ Recipient not found. Use an @username, friend alias, user ID or EVM address.`
+        );
+        return;
+      }
+
+      const schedule = await scheduledPaymentService.createSchedule({
+        ownerId: telegramId,
+        recipient: resolved.address,
+        recipientDisplay: resolved.displayName || resolved.address,
+        amount,
+        reason,
+        frequency,
+        firstRunAt
+      });
+
+      await telegramService.sendMessage(
+        chatId,
+        `✅ Payment scheduled!
+
+Amount: ${schedule.amount} ${schedule.currency}
+To: ${schedule.recipient_display}
+Repeats: ${this._formatFrequency(schedule.frequency)}
+${schedule.frequency === 'once' ? 'Date' : 'First payment'}: ${this._formatScheduleTime(schedule.next_run_at)}${reason ? `\nReason: ${reason}` : ''}
+
+You'll get a reminder an hour before each payment. Use /schedules to manage it.`,
+        { parse_mode: undefined } // display names and reasons are user text
+      );
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await telegramService.sendErrorMessage(chatId, error.message);
+        return;
+      }
+
+      logger.error('Schedule command failed', {
+        telegramId,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(chatId, 'Failed to schedule payment. Please try again.');
+    }
+  }
+
+  async handleSchedules(message, args) {
+    try {
+      const view = await this._buildSchedulesView(message.from.id);
+      await telegramService.sendMessage(message.chat.id, view.text, {
+        parse_mode: undefined,
+        reply_markup: view.keyboard
+      });
+    } catch (error) {
+      logger.error('Schedules command failed', {
+        telegramId: message.from.id,
+        error: error.message
+      });
+      await telegramService.sendErrorMessage(message.chat.id, 'Failed to load scheduled payments. Please try again.');
+    }
+  }
+
+  // Callback format: sched_<pause|resume|cancel>_<l|r>_<scheduleId>, l = from the list, r = from a reminder
+  async handleScheduleCallback(query, data) {
+    const telegramId = query.from.id;
+    const [, action, view, ...idParts] = data.split('_');
+    const scheduleId = idParts.join('_');
+
+    try {
+      let schedule;
+      if (action === 'pause') {
+        schedule = await scheduledPaymentService.pauseSchedule(scheduleId, telegramId);
+      } else if (action === 'resume') {
+        schedule = await scheduledPaymentService.resumeSchedule(scheduleId, telegramId);
+      } else if (action === 'cancel') {
+        schedule = await scheduledPaymentService.cancelSchedule(scheduleId, telegramId);
+      } else {
+        await telegramService.answerCallbackQuery(query.id);
+        return;
+      }
+
+      await telegramService.answerCallbackQuery(query.id, {
+        text: { pause: '⏸ Paused', resume: '▶️ Resumed', cancel: '🚫 Cancelled' }[action]
+      });
+
+      if (view === 'l') {
+        const list = await this._buildSchedulesView(telegramId);
+        await telegramService.editMessage(query.message.chat.id, query.message.message_id, list.text, {
+          parse_mode: undefined,
+          reply_markup: list.keyboard
+        });
+      } else {
+        await telegramService.editMessage(
+          query.message.chat.id,
+          query.message.message_id,
+          `${schedule.status === scheduledPaymentService.STATUS.PAUSED ? '⏸' : '🚫'} Scheduled payment of ${schedule.amount} ${schedule.currency} to ${schedule.recipient_display} ${schedule.status}.`,
+          { parse_mode: undefined }
+        );
+      }
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof AuthorizationError) {
+        await telegramService.answerCallbackQuery(query.id, {
+          text: `❌ ${error.message}`,
+          show_alert: true
+        });
+        return;
+      }
+
+      logger.error('Schedule callback failed', {
+        userId: telegramId,
+        data,
+        error: error.message
+      });
+      await telegramService.answerCallbackQuery(query.id, {
+        text: '❌ Something went wrong. Please try again.',
+        show_alert: true
+      });
+    }
+  }
+
+  async _buildSchedulesView(telegramId) {
+    const schedules = (await scheduledPaymentService.listSchedules(telegramId)).filter(schedule =>
+      schedule.status === scheduledPaymentService.STATUS.ACTIVE || schedule.status === scheduledPaymentService.STATUS.PAUSED
+    );
+
+    if (schedules.length === 0) {
+      return {
+        text: `🗓 Scheduled Payments
+
+You have no scheduled payments.
+
+Use /schedule to set one up.`,
+        keyboard: { inline_keyboard: [] }
+      };
+    }
+
+    let text = `🗓 Scheduled Payments\n\n`;
+    const rows = [];
+
+    schedules.forEach((schedule, i) => {
+      const number = i + 1;
+      const paused = schedule.status === scheduledPaymentService.STATUS.PAUSED;
+      const lastRun = schedule.runs.length > 0 ? schedule.runs[schedule.runs.length - 1] : null;
+
+      text += `${number}. ${paused ? '⏸' : '▶️'} ${schedule.amount} ${schedule.currency} to ${schedule.recipient_display}`;
+      text += `${schedule.reason ? ` - ${schedule.reason}` : ''}\n`;
+      text += `   ${this._formatFrequency(schedule.frequency)}, ${paused ? 'paused' : `next ${this._formatScheduleTime(schedule.next_run_at)}`}\n`;
+      if (lastRun) {
+        text += `   Last run: ${lastRun.status}\n`;
+      }
+      text += '\n';
+
+      rows.push([
+        paused
+          ? { text: `▶️ Resume #${number}`, callback_data: `sched_resume_l_${schedule.id}` }
+          : { text: `⏸ Pause #${number}`, callback_data: `sched_pause_l_${schedule.id}` },
+        { text: `🚫 Cancel #${number}`, callback_data: `sched_cancel_l_${schedule.id}` }
+      ]);
+    });
+
+    text += 'Times are shown in UTC.';
+    return { text, keyboard: { inline_keyboard: rows } };
+  }
+
+  /**
+   * Run handler for scheduledPaymentService: sends one scheduled payment and
+   * returns once it is broadcast, so other due schedules are not held up
+   * while it is mined. The payment tracker shows its progress and the returned
+   * completion gives the run's final outcome. Short funds skip the run instead
+   * of failing it. Messages are plain text, as display names and reasons are
+   * user input.
+   */
+  async executeScheduledPayment(schedule) {
+    const owner = await auth0Service.getUserByTelegramId(schedule.owner);
+    const signer = owner && signerService.forUser(owner);
+    if (!signer) {
+      return { status: 'failed', error: 'Account not found' };
+    }
+
+    const retryNote = schedule.frequency === 'once'
+      ? 'This one-off payment will not be retried.'
+      : 'It will be tried again at the next scheduled time.';
+
+    let reservationId = null;
+    try {
+      // The schedule itself was the user's confirmation, so only the limits apply
+      ({ reservationId } = await spendingLimitService.authorizePayment(schedule.owner, schedule.amount, {
+        actionKey: `schedule:${schedule.id}`,
+        skipStepUp: true
+      }));
+
+      const submission = await arcService.submitUSDCPayment(
+        signer,
+        schedule.recipient,
+        schedule.amount,
+        schedule.reason,
+        {
+          owner: schedule.owner,
+          idempotencyKey: `schedule:${schedule.id}:${schedule.next_run_at}`,
+          context: { type: 'schedule', scheduleId: schedule.id }
+        }
+      );
+      if (submission.duplicate) {
+        // This run was already paid before a restart; don't count it twice
+        await spendingLimitService.settleReservation(schedule.owner, reservationId, 0);
+        return { status: 'paid', txHash: submission.hash };
+      }
+
+      // From here the payment tracker releases the reservation if the payment fails
+      const trackedReservationId = reservationId;
+      reservationId = null;
+
+      await telegramService.sendMessage(
+        schedule.owner,
+        `🗓 Sending your scheduled payment of ${schedule.amount} ${schedule.currency} to ${schedule.recipient_display}.`,
+        { parse_mode: undefined }
+      ).catch(() => {});
+      await this._trackPayment(submission, {
+        chatId: schedule.owner,
+        telegramId: schedule.owner,
+        reservationId: trackedReservationId,
+        amount: schedule.amount,
+        recipient: `\`${schedule.recipient}\``
+      });
+
+      // A payment still unmined after the fee bumps stays pending; the outbox reports it later
+      const completion = submission.completion.then(
+        (result) => ({ status: 'paid', txHash: result.hash }),
+        (error) => (error.code === 'TIMEOUT'
+          ? { status: 'pending', txHash: submission.hash }
+          : { status: 'failed', txHash: submission.hash, error: error.message })
+      );
+
+      return { status: 'submitted', txHash: submission.hash, completion };
+    } catch (error) {
+      if (reservationId) {
+        await spendingLimitService.settleReservation(schedule.owner, reservationId, 0);
+      }
+
+      if (error instanceof SpendingLimitError) {
+        await telegramService.sendMessage(
+          schedule.owner,
+          `⚠️ Scheduled payment skipped: ${schedule.amount} ${schedule.currency} to ${schedule.recipient_display}. ${error.message}
+${retryNote}`,
+          { parse_mode: undefined }
+        ).catch(() => {});
+
+        return { status: 'skipped', error: error.message };
+      }
+
+      if (error instanceof InsufficientFundsError) {
+        await telegramService.sendMessage(
+          schedule.owner,
+          `⚠️ Scheduled payment skipped: insufficient funds.
+
+${schedule.amount} ${schedule.currency} to ${schedule.recipient_display} needs ${error.required} ${error.currency}, but you have ${error.available} ${error.currency}.
+${retryNote}`,
+          { parse_mode: undefined }
+        ).catch(() => {});
+
+        return { status: 'skipped', error: error.message };
+      }
+
+      logger.error('Scheduled payment failed', {
+        scheduleId: schedule.id,
+        owner: schedule.owner,
+        error: error.message
+      });
+      await telegramService.sendMessage(
+        schedule.owner,
+        `❌ Scheduled payment of ${schedule.amount} ${schedule.currency} to ${schedule.recipient_display} failed: ${error.message}
+${retryNote}`,
+        { parse_mode: undefined }
+      ).catch(() => {});
+
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  async remindScheduledPayment(schedule) {
+    let balanceWarning = '';
+    try {
+      const owner = await auth0Service.getUserByTelegramId(schedule.owner);
+      const balance = await arcService.getUSDCBalance(owner.user_metadata.arc_address);
+      if (balance < schedule.amount) {
+        balanceWarning = `\n⚠️ Your balance is ${balance} USDC. Top up or the payment will be skipped.\n`;
+      }
+    } catch (error) {
+      logger.warn('Could not check balance for reminder', { scheduleId: schedule.id, error: error.message });
+    }
+
+    await telegramService.sendMessage(
+      schedule.owner,
+      `⏰ Upcoming scheduled payment
+
+Amount: ${schedule.amount} ${schedule.currency}
+To: ${schedule.recipient_display}
+When: ${this._formatScheduleTime(schedule.next_run_at)}${schedule.reason ? `\nReason: ${schedule.reason}` : ''}
+${balanceWarning}`,
+      {
+        parse_mode: undefined,
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '⏸ Pause', callback_data: `sched_pause_r_${schedule.id}` },
+            { text: '🚫 Cancel', callback_data: `sched_cancel_r_${schedule.id}` }
+          ]]
+        }
+      }
+    );
+  }
+
+  // Parses a UTC date and optional HH:MM (default 09:00)
+  _parseScheduleTime(dateInput, timeInput) {
+    const [hours, minutes] = (timeInput || '09:00').split(':').map(Number);
+    if (hours > 23 || minutes > 59) {
+      throw new ValidationError(`Invalid time "${timeInput}". Use HH:MM (24-hour, UTC).`);
+    }
+
+    const date = new Date(`${dateInput}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00Z`);
+    if (isNaN(date.getTime())) {
+      throw new ValidationError(`Invalid date "${dateInput}". Use YYYY-MM-DD.`);
+    }
+    return date;
+  }
+
+  _formatScheduleTime(iso) {
+    return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+  }
+
+  _formatFrequency(frequency) {
+    return { once: 'One-off', daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }[frequency] || frequency;
+  }
+
+  // Expire stale payment requests and purge expired storage entries (sessions)
   startCleanupTimer() {
-    setInterval(() => {
-      const now = Date.now();
-      for (const [requestId, request] of this.pendingPayments.entries()) {
-        if (request.expiresAt && now > request.expiresAt) {
-          this.pendingPayments.delete(requestId);
-          logger.info('Cleaned up expired payment request', { requestId });
+    setInterval(async () => {
+      try {
+        const expired = await paymentRequestService.expireStaleRequests();
+        for (const request of expired) {
+          await telegramService.sendMessage(
+            request.from,
+            `⌛ Your payment request for ${request.amount} ${request.currency} has expired without being paid.`
+          ).catch(() => {});
         }
+
+        await storageService.purgeExpired();
+      } catch (error) {
+        logger.error('Storage cleanup failed', { error: error.message });
       }
     }, 5 * 60 * 1000); // Check every 5 minutes
   }
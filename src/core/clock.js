@@ -0,0 +1,9 @@
+/**
+ * Clock adapter for the shared core. Tests and runtimes can pass their own
+ * { now() } to control time; now() returns milliseconds since the epoch.
+ */
+const systemClock = {
+  now: () => Date.now()
+};
+
+module.exports = { systemClock };
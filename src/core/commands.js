@@ -0,0 +1,17 @@
+/**
+ * Parses a command message: "/pay@arc_bot @alice 10" -> { command: 'pay', args: ['@alice', '10'] }.
+ * Arguments come from the first line; multi-line commands read the full text.
+ * Returns null for text that is not a command.
+ */
+const parseCommand = (text) => {
+  if (!text || !text.startsWith('/')) {
+    return null;
+  }
+
+  const parts = text.split('\n')[0].trim().split(/\s+/);
+  const command = parts[0].substring(1).split('@')[0].toLowerCase();
+
+  return { command, args: parts.slice(1) };
+};
+
+module.exports = { parseCommand };
@@ -0,0 +1,17 @@
+/**
+ * Platform-agnostic bot core shared by the Node bot (src/) and the
+ * Cloudflare Workers bot (workers/, which bundles it with esbuild).
+ *
+ * Modules here must not use Node built-ins, npm dependencies, config or
+ * logger singletons: runtime services come in as adapters (user store,
+ * friends, clock, logger) so both bots behave the same.
+ */
+module.exports = {
+  ...require('./clock'),
+  ...require('./commands'),
+  ...require('./links'),
+  ...require('./messages'),
+  ...require('./paymentRequests'),
+  ...require('./recipients'),
+  ...require('./updates')
+};
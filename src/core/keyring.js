@@ -0,0 +1,159 @@
+/**
+ * Encryption keyring and ciphertext formats shared by the Node bot and the
+ * Workers bot. Private keys are encrypted with AES-256-GCM.
+ *
+ * Envelope blobs (current): each private key gets its own random data key,
+ * which a KMS provider wraps with its master key:
+ *   { v: 4, kms, kid, key, iv, tag, data }
+ * `kms` names the provider ('keyring' or 'local'), `kid` its master key and
+ * `key` the wrapped data key (base64 of iv | ciphertext | tag). The AAD names
+ * the owner (ownerAad), so a blob copied onto another user does not decrypt.
+ *
+ * Older blobs are still read:
+ *   { v: 3, kms, kid, key, iv, tag, data }  envelope with the shared AAD
+ *   { v: 2, kid, iv, tag, data }  encrypted directly with a keyring key
+ *   { iv, authTag, encrypted }     Node bot, before key IDs (hex)
+ *   { iv, encrypted }              Workers bot, before key IDs (base64)
+ * Blobs without a `v` are tried against every keyring key.
+ *
+ * The keyring (ENCRYPTION_KEY, ENCRYPTION_KEY_ID, ENCRYPTION_PREVIOUS_KEYS)
+ * lets several keys decrypt side by side, so keys can be rotated: new blobs
+ * use the current key, older ones are re-encrypted by the rotation job.
+ */
+
+const CIPHERTEXT_VERSION = 2;
+const SHARED_AAD_ENVELOPE_VERSION = 3;
+const ENVELOPE_VERSION = 4;
+const CIPHERTEXT_AAD = 'arc-bot-auth';
+const KEY_WRAP_AAD = 'arc-bot-kms';
+const KMS_PROVIDERS = ['keyring', 'local'];
+const DEFAULT_KEY_ID = 'k1';
+const KEY_ID = /^[A-Za-z0-9_-]{1,32}$/;
+const KEY_LENGTH = 32;
+
+// Thrown by parseKeyring and parseKmsKeySet; runtimes report it as invalid configuration
+class KeyringError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyringError';
+    this.code = 'INVALID_KEYRING';
+  }
+}
+
+const checkKey = (keyId, key) => {
+  if (!KEY_ID.test(keyId)) {
+    throw new KeyringError(`Invalid encryption key ID "${keyId}": use 1-32 characters of A-Z, a-z, 0-9, _ or -`);
+  }
+  if (typeof key !== 'string' || key.length !== KEY_LENGTH) {
+    throw new KeyringError(`Encryption key "${keyId}" must be exactly ${KEY_LENGTH} characters`);
+  }
+};
+
+/**
+ * Builds the keyring from ENCRYPTION_KEY, ENCRYPTION_KEY_ID and
+ * ENCRYPTION_PREVIOUS_KEYS (a JSON object of key ID -> key, decryption only).
+ *
+ * @returns {{ currentKeyId: string, keys: Object<string, string> }}
+ */
+const parseKeyring = ({ currentKey, currentKeyId = DEFAULT_KEY_ID, previousKeys = null }) => {
+  const keyId = currentKeyId || DEFAULT_KEY_ID;
+  checkKey(keyId, currentKey);
+
+  let previous = {};
+  if (previousKeys) {
+    try {
+      previous = typeof previousKeys === 'string' ? JSON.parse(previousKeys) : previousKeys;
+    } catch (error) {
+      throw new KeyringError('ENCRYPTION_PREVIOUS_KEYS must be a JSON object of key ID to key');
+    }
+    if (!previous || typeof previous !== 'object' || Array.isArray(previous)) {
+      throw new KeyringError('ENCRYPTION_PREVIOUS_KEYS must be a JSON object of key ID to key');
+    }
+  }
+
+  const keys = { [keyId]: currentKey };
+  for (const [id, key] of Object.entries(previous)) {
+    checkKey(id, key);
+    if (id === keyId && key !== currentKey) {
+      throw new KeyringError(`Encryption key ID "${id}" is used by both ENCRYPTION_KEY and ENCRYPTION_PREVIOUS_KEYS`);
+    }
+    keys[id] = key;
+  }
+
+  return { currentKeyId: keyId, keys };
+};
+
+// Key IDs to try for a blob without one: the current key first
+const candidateKeyIds = (keyring) => [
+  keyring.currentKeyId,
+  ...Object.keys(keyring.keys).filter(id => id !== keyring.currentKeyId)
+];
+
+/**
+ * Parses a local KMS key set (the key file of the 'local' provider):
+ *   { "currentKeyId": "local-1", "keys": { "local-1": "<base64 of 32 bytes>" } }
+ */
+const parseKmsKeySet = (keySet) => {
+  let parsed = keySet;
+  try {
+    parsed = typeof keySet === 'string' ? JSON.parse(keySet) : keySet;
+  } catch (error) {
+    throw new KeyringError('KMS key set is not valid JSON');
+  }
+
+  if (!parsed || !parsed.keys || typeof parsed.keys !== 'object' || !parsed.keys[parsed.currentKeyId]) {
+    throw new KeyringError('KMS key set needs "keys" and a "currentKeyId" present in them');
+  }
+
+  for (const [id, key] of Object.entries(parsed.keys)) {
+    if (!KEY_ID.test(id)) {
+      throw new KeyringError(`Invalid KMS key ID "${id}": use 1-32 characters of A-Z, a-z, 0-9, _ or -`);
+    }
+    // 32 bytes encode to 43 base64 characters plus one '='
+    if (typeof key !== 'string' || !/^[A-Za-z0-9+/]{43}=$/.test(key)) {
+      throw new KeyringError(`KMS key "${id}" must be 32 bytes, base64-encoded`);
+    }
+  }
+
+  return { currentKeyId: parsed.currentKeyId, keys: { ...parsed.keys } };
+};
+
+// The AAD of an owner-bound envelope: the owner is the user's Telegram ID
+const ownerAad = (owner) => {
+  if (owner === undefined || owner === null || owner === '') {
+    throw new KeyringError('Encrypted secrets must be bound to a user');
+  }
+  return `${CIPHERTEXT_AAD}:${owner}`;
+};
+
+/**
+ * The key a blob was encrypted under: "<kms>:<kid>" for envelopes, the
+ * keyring key ID for v2 blobs, or null for blobs written before key IDs.
+ */
+const getCiphertextKeyId = (blob) => {
+  if (blob && (blob.v === ENVELOPE_VERSION || blob.v === SHARED_AAD_ENVELOPE_VERSION)) {
+    return `${blob.kms}:${blob.kid}`;
+  }
+  return blob && blob.v === CIPHERTEXT_VERSION ? blob.kid : null;
+};
+
+// Whether the blob is an owner-bound envelope under the current master key ("<kms>:<kid>")
+const isCurrentCiphertext = (blob, currentKeyId) =>
+  Boolean(blob) && blob.v === ENVELOPE_VERSION && getCiphertextKeyId(blob) === currentKeyId;
+
+module.exports = {
+  CIPHERTEXT_VERSION,
+  SHARED_AAD_ENVELOPE_VERSION,
+  ENVELOPE_VERSION,
+  CIPHERTEXT_AAD,
+  KEY_WRAP_AAD,
+  KMS_PROVIDERS,
+  DEFAULT_KEY_ID,
+  KeyringError,
+  parseKeyring,
+  parseKmsKeySet,
+  candidateKeyIds,
+  ownerAad,
+  getCiphertextKeyId,
+  isCurrentCiphertext
+};
@@ -0,0 +1,71 @@
+/**
+ * Payment links (t.me/<bot>?start=pay_...) and wallet payment URIs (EIP-681).
+ */
+
+const USDC_CONTRACT = '0x3600000000000000000000000000000000000000'; // ARC USDC contract
+const USDC_DECIMALS = 6;
+const CURRENCIES = ['USDC'];
+
+// Decimal amount -> integer base units, without floating point rounding
+const toBaseUnits = (amount, decimals = USDC_DECIMALS) => {
+  const text = amount.toString();
+  if (/e/i.test(text)) {
+    return BigInt(Math.round(Number(amount) * 10 ** decimals)).toString();
+  }
+  const [whole, fraction = ''] = text.split('.');
+  return BigInt(whole + fraction.padEnd(decimals, '0').substring(0, decimals)).toString();
+};
+
+// Standard wallet URI, understood by any EVM wallet app
+const buildWalletPaymentUri = (address, amount = null) => {
+  if (!amount) {
+    return `ethereum:${address}`;
+  }
+  return `ethereum:${USDC_CONTRACT}/transfer?address=${address}&uint256=${toBaseUnits(amount)}`;
+};
+
+// Opens the bot with a payment prefilled: pay_<address>[_<amount>_<currency>]
+const buildBotPaymentLink = (botUsername, address, amount = null, currency = 'USDC') => {
+  let link = `https://t.me/${botUsername}?start=pay_${address}`;
+  if (amount && currency) {
+    link += `_${amount}_${currency.toLowerCase()}`;
+  }
+  return link;
+};
+
+/**
+ * Parses a /start payload created by buildBotPaymentLink.
+ * Returns { address, amount, currency } (amount may be null), or null when
+ * the payload is not a payment link. Throws for malformed payment links.
+ */
+const parsePaymentLink = (payload) => {
+  if (!payload || !payload.startsWith('pay_')) {
+    return null;
+  }
+
+  const [, address, amountPart, currencyPart] = payload.split('_');
+
+  if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    throw new Error('Invalid payment link format.');
+  }
+
+  const amount = amountPart ? parseFloat(amountPart) : null;
+  if (amountPart && !(amount > 0)) {
+    throw new Error('Invalid payment link amount.');
+  }
+
+  const currency = (currencyPart || 'USDC').toUpperCase();
+  if (!CURRENCIES.includes(currency)) {
+    throw new Error(`Invalid currency. Use ${CURRENCIES.join(' or ')}.`);
+  }
+
+  return { address, amount, currency };
+};
+
+module.exports = {
+  USDC_CONTRACT,
+  toBaseUnits,
+  buildWalletPaymentUri,
+  buildBotPaymentLink,
+  parsePaymentLink
+};
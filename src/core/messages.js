@@ -0,0 +1,77 @@
+/**
+ * Message formatting shared by the Node bot and the Workers bot.
+ * Functions return plain text unless their name says otherwise.
+ */
+
+const shortAddress = (address) => `${address.substring(0, 8)}...${address.slice(-4)}`;
+
+// How a saved friend's target is shown in friend lists
+const formatFriend = (friend) => {
+  switch (friend.type) {
+    case 'username':
+      return `@${friend.value}`;
+    case 'userId':
+      return `User ID: ${friend.value}`;
+    case 'address':
+      return shortAddress(friend.value);
+    default:
+      return friend.value;
+  }
+};
+
+const formatFriendList = (friends) => Object.entries(friends)
+  .map(([alias, friend]) => `• ${alias} → ${formatFriend(friend)}`)
+  .join('\n');
+
+// Name for a Telegram user in messages to other users
+const formatUserName = ({ username = null, telegramId = null } = {}) => (
+  username ? `@${username}` : `User ${telegramId}`
+);
+
+const formatPaymentRequestNotice = ({ requesterName, amount, currency = 'USDC', reason = null }) => (
+  `🔔 ${requesterName} requested ${amount} ${currency} from you${reason ? ` for "${reason}"` : ''}.`
+);
+
+// Markdown: shown when a payment link (/start pay_...) is opened
+const formatPaymentLinkMarkdown = ({ address, amount = null, currency = 'USDC', fromAddress = null }) => {
+  let text = `💸 **Payment Request**
+
+To: \`${address}\`
+${amount ? `Amount: ${amount} ${currency}` : `Currency: ${currency}`}`;
+
+  if (fromAddress) {
+    text += `\nFrom: Your account (\`${fromAddress}\`)`;
+  }
+  return text;
+};
+
+// Markdown: caption for payment QR codes
+const formatQRCaptionMarkdown = ({ address, amount = null, currency = 'USDC', name = null }) => `📱 Scan to Pay${name ? ` ${name}` : ''}
+
+Address: \`${address}\`
+Amount: ${amount ? `${amount} ${currency}` : 'Not specified (payer chooses)'}
+
+💡 Scan this QR code with any EVM wallet app`;
+
+const THROTTLED_ACTION_NAMES = {
+  command: 'messages',
+  payment: 'payments',
+  qr: 'QR code requests'
+};
+
+const formatThrottled = ({ action, retryAfterMs }) => {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+  return `⏳ Easy there! You're sending ${THROTTLED_ACTION_NAMES[action] || 'requests'} a bit too fast. Please try again in ${wait}.`;
+};
+
+module.exports = {
+  shortAddress,
+  formatFriend,
+  formatFriendList,
+  formatUserName,
+  formatPaymentRequestNotice,
+  formatPaymentLinkMarkdown,
+  formatQRCaptionMarkdown,
+  formatThrottled
+};
@@ -0,0 +1,72 @@
+const { systemClock } = require('./clock');
+
+const REQUEST_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+const DEFAULT_REQUEST_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Builds a new payment request record. Both runtimes store this shape; every
+ * status change is appended to request.history.
+ */
+const buildPaymentRequest = ({
+  requesterId,
+  payerId,
+  requesterAddress,
+  amount,
+  currency = 'USDC',
+  reason = null,
+  ttlMs = DEFAULT_REQUEST_TTL_MS,
+  groupId = null
+}, clock = systemClock) => {
+  const now = clock.now();
+  const createdAt = new Date(now).toISOString();
+
+  return {
+    id: `req_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    from: requesterId,
+    to: payerId,
+    requester_address: requesterAddress,
+    amount,
+    currency,
+    reason,
+    status: REQUEST_STATUS.PENDING,
+    tx_hash: null,
+    created_at: createdAt,
+    updated_at: createdAt,
+    expires_at: new Date(now + ttlMs).toISOString(),
+    group_id: groupId,
+    history: [{ status: REQUEST_STATUS.PENDING, at: createdAt, by: requesterId }]
+  };
+};
+
+// Returns the request with its new status recorded in history; clears any in-flight claim
+const withRequestStatus = (request, status, actorId, fields = {}, clock = systemClock) => {
+  const { processing, ...rest } = request;
+  const at = new Date(clock.now()).toISOString();
+
+  return {
+    ...rest,
+    ...fields,
+    status,
+    updated_at: at,
+    history: [...(request.history || []), { status, at, by: actorId, ...fields }]
+  };
+};
+
+const isRequestExpired = (request, clock = systemClock) => (
+  request.status === REQUEST_STATUS.PENDING && new Date(request.expires_at).getTime() <= clock.now()
+);
+
+module.exports = {
+  REQUEST_STATUS,
+  DEFAULT_REQUEST_TTL_MS,
+  buildPaymentRequest,
+  withRequestStatus,
+  isRequestExpired
+};
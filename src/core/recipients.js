@@ -0,0 +1,200 @@
+const { shortAddress } = require('./messages');
+
+/**
+ * Recipient parsing and resolution shared by the Node bot and the Workers bot.
+ *
+ * Lookups go through adapters supplied by each runtime:
+ *   users:   getUserByTelegramId(id), getUserByUsername(name), getUserByAddress(address)
+ *            each resolving to { telegramId, username, arcAddress } or null
+ *   friends: getFriends(telegramId) resolving to { alias: { type, value } }
+ */
+
+const EVM_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+const TELEGRAM_USERNAME = /^@?[a-zA-Z0-9_]{5,32}$/;
+const FRIEND_ALIAS = /^[^@][a-zA-Z0-9_-]{0,15}$/;
+
+// Thrown by parseRecipient; runtimes map it to their own error types
+class RecipientError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecipientError';
+    this.code = 'INVALID_RECIPIENT';
+  }
+}
+
+const isValidEVMAddress = (address) => typeof address === 'string' && EVM_ADDRESS.test(address);
+
+const isValidTelegramUsername = (username) => typeof username === 'string' && TELEGRAM_USERNAME.test(username);
+
+const isValidFriendAlias = (alias) => typeof alias === 'string'
+  && FRIEND_ALIAS.test(alias)
+  && alias.toLowerCase() !== 'me'; // reserved for "me" in /split
+
+// Returns { type: 'address' | 'username' | 'userId' | 'alias', value }
+const parseRecipient = (recipient) => {
+  if (!recipient || typeof recipient !== 'string') {
+    throw new RecipientError('Recipient is required');
+  }
+
+  const trimmed = recipient.trim();
+
+  // EVM address
+  if (trimmed.startsWith('0x') && trimmed.length === 42) {
+    if (isValidEVMAddress(trimmed)) {
+      return { type: 'address', value: trimmed };
+    }
+    throw new RecipientError('Invalid EVM address format');
+  }
+
+  // Telegram username
+  if (trimmed.startsWith('@')) {
+    const username = trimmed.substring(1);
+    if (isValidTelegramUsername(username)) {
+      return { type: 'username', value: username };
+    }
+    throw new RecipientError('Invalid Telegram username format');
+  }
+
+  // Telegram user ID
+  if (/^\d+$/.test(trimmed)) {
+    const userId = parseInt(trimmed);
+    if (userId > 0) {
+      return { type: 'userId', value: userId };
+    }
+    throw new RecipientError('Invalid Telegram user ID');
+  }
+
+  // Friend alias (must not start with @, max 16 chars)
+  if (trimmed.length <= 16) {
+    if (isValidFriendAlias(trimmed)) {
+      return { type: 'alias', value: trimmed };
+    }
+    throw new RecipientError('Invalid friend alias format');
+  }
+
+  throw new RecipientError('Invalid recipient format');
+};
+
+// Turns a saved friend back into recipient input for parseRecipient
+const friendToRecipient = (friend) => {
+  switch (friend.type) {
+    case 'username':
+      return `@${friend.value}`;
+    default:
+      return friend.value.toString();
+  }
+};
+
+const sameFriendValue = (type, a, b) => {
+  if (type === 'userId') {
+    return Number(a) === Number(b);
+  }
+  return a.toString().toLowerCase() === b.toString().toLowerCase();
+};
+
+class RecipientResolver {
+  constructor({ users, friends, logger = null }) {
+    this.users = users;
+    this.friends = friends;
+    this.logger = logger;
+  }
+
+  /**
+   * Resolves recipient input to { type, address, displayName, telegramId?, username?, isFriend? },
+   * or null when it cannot be paid. The display name prefers the sender's
+   * alias for the recipient, then their @username, then a shortened address.
+   */
+  async resolve(recipient, senderTelegramId = null) {
+    try {
+      const parsed = parseRecipient(recipient);
+
+      if (parsed.type === 'alias') {
+        const friend = senderTelegramId ? await this.getFriend(senderTelegramId, parsed.value) : null;
+        if (!friend) {
+          return null;
+        }
+
+        const resolved = await this.resolve(friendToRecipient(friend), senderTelegramId);
+        return resolved ? { ...resolved, displayName: parsed.value, isFriend: true } : null;
+      }
+
+      const user = await this._findUser(parsed);
+      if (parsed.type !== 'address' && !user?.arcAddress) {
+        return null;
+      }
+
+      const alias = senderTelegramId
+        ? await this.findFriendAlias(senderTelegramId, parsed.type, parsed.value)
+        : null;
+
+      const resolved = {
+        type: parsed.type,
+        address: parsed.type === 'address' ? parsed.value : user.arcAddress,
+        displayName: alias || this._displayName(user, parsed.value)
+      };
+
+      if (user) {
+        resolved.telegramId = user.telegramId;
+        resolved.username = user.username || null;
+      }
+      if (alias) {
+        resolved.isFriend = true;
+      }
+
+      return resolved;
+    } catch (error) {
+      this.logger?.warn('Failed to resolve recipient', { recipient, error: error.message });
+      return null;
+    }
+  }
+
+  async getFriend(telegramId, alias) {
+    const friends = await this.friends.getFriends(telegramId);
+    return friends[alias] || null;
+  }
+
+  // The sender's alias saved for this recipient, if any
+  async findFriendAlias(telegramId, type, value) {
+    const friends = await this.friends.getFriends(telegramId);
+
+    for (const [alias, friend] of Object.entries(friends)) {
+      if (friend.type === type && sameFriendValue(type, friend.value, value)) {
+        return alias;
+      }
+    }
+    return null;
+  }
+
+  async _findUser(parsed) {
+    switch (parsed.type) {
+      case 'address':
+        return await this.users.getUserByAddress(parsed.value);
+      case 'username':
+        return await this.users.getUserByUsername(parsed.value);
+      case 'userId':
+        return await this.users.getUserByTelegramId(parsed.value);
+      default:
+        return null;
+    }
+  }
+
+  _displayName(user, value) {
+    if (user?.username) {
+      return `@${user.username}`;
+    }
+    if (user?.telegramId) {
+      return `User ${user.telegramId}`;
+    }
+    return shortAddress(value);
+  }
+}
+
+module.exports = {
+  RecipientError,
+  RecipientResolver,
+  isValidEVMAddress,
+  isValidTelegramUsername,
+  isValidFriendAlias,
+  parseRecipient,
+  friendToRecipient
+};
@@ -0,0 +1,52 @@
+/**
+ * Telegram update helpers shared by the webhook handlers of both bots.
+ */
+
+// Telegram redelivers an unacknowledged update for up to 24 hours
+const UPDATE_DEDUP_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The chat an update belongs to, or null. Updates of one chat are processed
+ * in order; callback queries on inline messages fall back to the user's ID.
+ */
+const getUpdateChatId = (update) => {
+  const message = update.message || update.callback_query?.message;
+  if (message?.chat) {
+    return message.chat.id;
+  }
+  return update.callback_query?.from?.id ?? null;
+};
+
+/**
+ * Runs tasks one after another per key (a chat ID), in arrival order.
+ * A failed task does not block the ones queued after it.
+ */
+class ChatQueue {
+  constructor() {
+    this.tails = new Map(); // key -> promise settling when its last task ends
+  }
+
+  async run(key, task) {
+    if (key === null || key === undefined) {
+      return task();
+    }
+
+    const run = (this.tails.get(key) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    this.tails.set(key, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  get size() {
+    return this.tails.size;
+  }
+}
+
+module.exports = { UPDATE_DEDUP_TTL_MS, getUpdateChatId, ChatQueue };
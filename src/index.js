@@ -9,6 +9,11 @@ const { errorHandler } = require('./utils/errors');
 const telegramService = require('./services/telegramService');
 const arcService = require('./services/arcService');
 const auth0Service = require('./services/auth0Service');
+const storageService = require('./services/storageService');
+const transferWatcherService = require('./services/transferWatcherService');
+const scheduledPaymentService = require('./services/scheduledPaymentService');
+const paymentTrackerService = require('./services/paymentTrackerService');
+const walletBackupService = require('./services/walletBackupService');
 
 // Import middleware
 const {
@@ -91,14 +96,32 @@ class ARCTelegramBot {
     logger.info('Initializing services...');
 
     try {
+      // Connect persistent storage before anything reads state
+      await storageService.connect();
+      logger.info('Storage service connected');
+
       // Initialize Telegram service
       this.bot = telegramService.initialize();
       logger.info('Telegram service initialized');
 
+      // Delete backup messages whose timers were lost to a restart
+      try {
+        await walletBackupService.start();
+      } catch (error) {
+        logger.error('Backup message cleanup failed', { error: error.message });
+      }
+
       // Connect to ARC Network
       await arcService.connect();
       logger.info('ARC Network service connected');
 
+      // Reconcile payments interrupted by the last shutdown before sending new ones
+      try {
+        await arcService.recoverOutbox();
+      } catch (error) {
+        logger.error('Payment outbox recovery failed', { error: error.message });
+      }
+
       // Test Auth0 connection
       const auth0Health = await auth0Service.healthCheck();
       if (auth0Health.status === 'healthy') {
@@ -107,6 +130,12 @@ class ARCTelegramBot {
         logger.warn('Auth0 service unhealthy', auth0Health);
       }
 
+      // Watch registered wallets for incoming USDC transfers
+      await transferWatcherService.start();
+
+      // Run due scheduled payments once a minute
+      scheduledPaymentService.start();
+
       // Set webhook for Telegram
       if (config.telegram.webhookUrl && !config.isDevelopment) {
         await telegramService.setWebhook();
@@ -132,7 +161,9 @@ class ARCTelegramBot {
           services: {
             telegram: { status: 'healthy' },
             arc: await arcService.healthCheck(),
-            auth0: await auth0Service.healthCheck()
+            auth0: await auth0Service.healthCheck(),
+            storage: await storageService.healthCheck(),
+            transferWatcher: await transferWatcherService.healthCheck()
           }
         };
 
@@ -151,7 +182,7 @@ class ARCTelegramBot {
 
     // Telegram webhook endpoint
     this.app.post(
-      `/bot${config.telegram.token}`,
+      config.telegram.webhookPath,
       validateTelegramWebhook,
       async (req, res) => {
         try {
@@ -260,9 +291,16 @@ class ARCTelegramBot {
       }
 
       // Disconnect from services
+      transferWatcherService.stop();
+      scheduledPaymentService.stop();
+      paymentTrackerService.stop();
+      walletBackupService.stop();
+
       await arcService.disconnect();
       logger.info('ARC Network disconnected');
 
+      await storageService.disconnect();
+
       clearTimeout(forceShutdownTimeout);
       logger.info('Graceful shutdown completed');
       process.exit(0);
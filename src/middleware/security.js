@@ -5,46 +5,33 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const { RateLimitError, AuthenticationError } = require('../utils/errors');
 
-// Webhook signature validation
+// Webhook secret validation: Telegram echoes the secret_token set with setWebhook
 const validateTelegramWebhook = (req, res, next) => {
   try {
-    const token = config.telegram.token;
-    const secretPath = `/bot${token}`;
-    
-    if (req.path !== secretPath) {
-      logger.security('Invalid webhook path accessed', {
-        requestedPath: req.path,
-        expectedPath: secretPath,
+    const received = req.get('X-Telegram-Bot-Api-Secret-Token');
+
+    if (!received || !secretsMatch(received, config.telegram.webhookSecret)) {
+      logger.security('Invalid Telegram webhook secret', {
+        headerPresent: Boolean(received),
         ip: req.ip,
         userAgent: req.get('User-Agent')
       });
-      throw new AuthenticationError('Invalid webhook path');
-    }
-    
-    // Validate Telegram signature if present
-    const telegramSignature = req.get('X-Telegram-Bot-Api-Secret-Token');
-    if (telegramSignature) {
-      // You should set a secret token in your webhook configuration
-      const expectedSignature = crypto
-        .createHmac('sha256', config.security.jwtSecret)
-        .update(JSON.stringify(req.body))
-        .digest('hex');
-      
-      if (telegramSignature !== expectedSignature) {
-        logger.security('Invalid Telegram webhook signature', {
-          ip: req.ip,
-          userAgent: req.get('User-Agent')
-        });
-        throw new AuthenticationError('Invalid signature');
-      }
+      throw new AuthenticationError('Invalid webhook secret');
     }
-    
+
     next();
   } catch (error) {
     next(error);
   }
 };
 
+// Constant-time comparison; hashing first makes the lengths equal
+const secretsMatch = (received, expected) => {
+  const a = crypto.createHash('sha256').update(received).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
 // Rate limiting configuration
 const createRateLimiter = (windowMs, max, message) => {
   return rateLimit({
@@ -0,0 +1,60 @@
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const auth0Service = require('./auth0Service');
+
+/**
+ * Reverse lookup from ARC wallet address to bot user.
+ * Filled when accounts are created and backfilled from Auth0 at startup,
+ * so watchers and history can resolve addresses without an Auth0 search.
+ */
+class AddressRegistryService {
+  constructor() {
+    this.NAMESPACE = 'wallet_addresses'; // lowercased address -> { address, telegramId, username }
+  }
+
+  async register(address, telegramId, username = null) {
+    if (!address) {
+      return;
+    }
+
+    await storageService.set(this.NAMESPACE, address.toLowerCase(), {
+      address,
+      telegramId,
+      username,
+      registeredAt: new Date().toISOString()
+    });
+  }
+
+  async unregister(address) {
+    if (!address) {
+      return;
+    }
+    await storageService.delete(this.NAMESPACE, address.toLowerCase());
+  }
+
+  async lookup(address) {
+    if (!address) {
+      return null;
+    }
+    return await storageService.get(this.NAMESPACE, address.toLowerCase());
+  }
+
+  async listAddresses() {
+    const entries = await storageService.list(this.NAMESPACE);
+    return entries.map(entry => entry.value);
+  }
+
+  // Copies every Auth0 bot user into the registry. Safe to run repeatedly.
+  async syncFromAuth0() {
+    const users = await auth0Service.listBotUsers();
+
+    for (const user of users) {
+      await this.register(user.address, user.telegramId, user.username);
+    }
+
+    logger.info('Address registry synced from Auth0', { users: users.length });
+    return users.length;
+  }
+}
+
+module.exports = new AddressRegistryService();
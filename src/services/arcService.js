@@ -1,7 +1,9 @@
 const { ethers } = require('ethers');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { ARCError, InsufficientFundsError, ExternalServiceError } = require('../utils/errors');
+const storageService = require('./storageService');
+const paymentOutboxService = require('./paymentOutboxService');
+const { ARCError, InsufficientFundsError, ExternalServiceError, ValidationError } = require('../utils/errors');
 
 // USDC ABI for basic transfer operations
 const USDC_ABI = [
@@ -10,6 +12,9 @@ const USDC_ABI = [
   'function decimals() view returns (uint8)'
 ];
 
+// ethers error codes after which a signed transaction may or may not have reached the network
+const UNCERTAIN_ERROR_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'UNKNOWN_ERROR'];
+
 class ARCService {
   constructor() {
     this.provider = null;
@@ -22,8 +27,17 @@ class ARCService {
     this.USDC_CONTRACT_ADDRESS = '0x3600000000000000000000000000000000000000';
     this.CHAIN_ID = parseInt(config.arc.chainId);
     
-    // Transaction memo storage (in production, use a database)
-    this.transactionMemos = new Map(); // txHash -> memo
+    // Transaction memos are persisted in the 'tx_memos' storage namespace (txHash -> memo)
+    this.MEMO_NAMESPACE = 'tx_memos';
+
+    // How long recovery waits for an outbox transaction still in the mempool
+    this.OUTBOX_WAIT_TIMEOUT_MS = 10 * 60 * 1000;
+
+    // Per-sender transaction queues (lowercased address -> { tail, nonce, depth, unconfirmed, unconfirmedAmounts })
+    this.senderQueues = new Map();
+    this.STUCK_TX_TIMEOUT_MS = 60 * 1000; // resubmit with higher fees after this long unmined
+    this.MAX_FEE_BUMPS = 3;
+    this.FEE_BUMP_PERCENT = 20n; // nodes require at least +10% to replace a transaction
   }
 
   async connect() {
@@ -187,7 +201,30 @@ class ARCService {
     }
   }
 
-  async sendUSDCPayment(senderPrivateKey, receiverAddress, amount, memo = null) {
+  /**
+   * Sends a USDC transfer and waits until it is mined.
+   * Takes the same arguments as submitUSDCPayment and resolves with its completion.
+   */
+  async sendUSDCPayment(sender, receiverAddress, amount, memo = null, options = {}) {
+    const submission = await this.submitUSDCPayment(sender, receiverAddress, amount, memo, options);
+    return submission.completion;
+  }
+
+  /**
+   * Submits a USDC transfer through the payment outbox (see paymentOutboxService)
+   * and returns as soon as it is broadcast, without waiting for it to be mined.
+   *
+   * @param {ethers.Signer} sender - from signerService.forUser; signs without exposing the private key
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] - retries with the same key return the earlier result instead of paying again
+   * @param {string|number} [options.owner] - Telegram ID told about the outcome if it is only known after a restart
+   * @param {Object} [options.context] - what the payment is for, e.g. { type: 'request', requestId }
+   * @returns {Promise<{hash: string, duplicate: boolean, completion: Promise<Object>}>} completion resolves with
+   *   { success, hash, gasUsed, gasPrice, receipt } once mined, or rejects like sendUSDCPayment
+   */
+  async submitUSDCPayment(sender, receiverAddress, amount, memo = null, { idempotencyKey = null, owner = null, context = null } = {}) {
+    let outboxEntry = null;
+    let senderWallet = null;
     try {
       logger.info('USDC payment starting', { receiverAddress, amount, memo: !!memo });
       
@@ -196,27 +233,32 @@ class ARCService {
         throw new ARCError('Not connected to ARC network');
       }
 
-      logger.info('Creating sender wallet from private key');
-      const senderWallet = new ethers.Wallet(senderPrivateKey, this.provider);
-      logger.info('Sender wallet created', { address: senderWallet.address });
-      
-      // Check sender USDC balance first
-      logger.info('Checking sender USDC balance');
-      const senderBalance = await this.getUSDCBalance(senderWallet.address);
-      const amountToSend = parseFloat(amount);
-      
-      logger.info('Balance check completed', { 
-        senderBalance, 
-        amountToSend,
-        hasEnoughFunds: senderBalance >= amountToSend
+      if (!sender) {
+        throw new ARCError('Sender has no wallet key');
+      }
+      senderWallet = sender.connect(this.provider);
+      logger.info('Sender wallet ready', { address: senderWallet.address });
+
+      const { entry, created } = await paymentOutboxService.createEntry({
+        idempotencyKey,
+        owner,
+        from: senderWallet.address,
+        to: receiverAddress,
+        amount: parseFloat(amount),
+        memo,
+        context
       });
-      
-      if (senderBalance < amountToSend) {
-        logger.error('Insufficient USDC funds detected', { senderBalance, amountToSend });
-        throw new InsufficientFundsError(amountToSend, senderBalance, 'USDC');
+      if (!created) {
+        // The same payment was already sent (or is being sent)
+        paymentOutboxService.assertNotInFlight(entry);
+        return {
+          hash: entry.hash,
+          duplicate: true,
+          completion: Promise.resolve({ success: true, hash: entry.hash, gasUsed: entry.gas_used, gasPrice: null, receipt: null, duplicate: true })
+        };
       }
+      outboxEntry = entry;
 
-      // Estimate gas
       const usdcContract = new ethers.Contract(
         this.USDC_CONTRACT_ADDRESS,
         USDC_ABI,
@@ -225,29 +267,30 @@ class ARCService {
 
       const transferAmount = ethers.parseUnits(amount.toString(), 6); // USDC has 6 decimals
 
-      logger.info('Estimating gas for USDC transfer');
-      const gasEstimate = await usdcContract.transfer.estimateGas(receiverAddress, transferAmount);
-      const gasPrice = await this.provider.getFeeData();
-      
-      logger.info('Gas estimation completed', { 
-        gasEstimate: gasEstimate.toString(),
-        gasPrice: gasPrice.gasPrice?.toString()
-      });
-
-      // Prepare and send transaction
+      // Check the balance, sign, record and broadcast the transaction
       logger.info('Sending USDC transfer transaction');
-      const tx = await usdcContract.transfer(receiverAddress, transferAmount, {
-        gasLimit: gasEstimate * 120n / 100n, // Add 20% buffer
-      });
+      const { tx, populated } = await this._submitTransfer(senderWallet, usdcContract, outboxEntry.id, receiverAddress, transferAmount);
 
-      logger.info('Transaction sent, waiting for confirmation', { hash: tx.hash });
-      
-      // Wait for transaction to be mined
-      const receipt = await tx.wait();
+      logger.info('Transaction sent', { hash: tx.hash, nonce: populated.nonce });
+
+      const completion = this._completeUSDCPayment(senderWallet, outboxEntry.id, tx, populated, { receiverAddress, amount, memo });
+      outboxEntry = null;
+      return { hash: tx.hash, duplicate: false, completion };
+    } catch (error) {
+      throw await this._paymentError(error, outboxEntry?.id, { senderAddress: senderWallet?.address, receiverAddress, amount });
+    }
+  }
+
+  async _completeUSDCPayment(senderWallet, outboxId, tx, populated, { receiverAddress, amount, memo }) {
+    const senderAddress = senderWallet.address;
+    let settled = false;
+    try {
+      // Wait for transaction to be mined (a fee-bumped replacement may be the one that is)
+      const receipt = await this._waitForConfirmation(senderWallet, outboxId, tx, populated);
       
       const success = receipt.status === 1;
       
-      logger.transaction(tx.hash, senderWallet.address, amount, {
+      logger.transaction(receipt.hash, senderAddress, amount, {
         receiver: receiverAddress,
         currency: 'USDC',
         success,
@@ -257,15 +300,24 @@ class ARCService {
 
       if (!success) {
         logger.error('Transaction failed on ARC', { 
-          transactionHash: tx.hash,
+          transactionHash: receipt.hash,
           receipt
         });
+        await paymentOutboxService.markFailed(outboxId, 'Transaction reverted');
+        settled = true;
         throw new ARCError(`Transaction failed: ${receipt.status}`);
       }
 
+      await paymentOutboxService.markConfirmed(outboxId, {
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      });
+      settled = true;
+
       const successResult = {
         success: true,
-        hash: tx.hash,
+        hash: receipt.hash,
         gasUsed: receipt.gasUsed.toString(),
         gasPrice: receipt.gasPrice?.toString(),
         receipt
@@ -273,7 +325,7 @@ class ARCService {
       
       // Store memo if provided
       if (memo) {
-        this.transactionMemos.set(successResult.hash, memo);
+        await this.setTransactionMemo(successResult.hash, memo);
         logger.info('Transaction memo stored', { hash: successResult.hash, memo });
       }
 
@@ -284,39 +336,484 @@ class ARCService {
 
       return successResult;
     } catch (error) {
-      logger.error('Exception in sendUSDCPayment', {
-        errorType: error.constructor.name,
-        errorMessage: error.message,
-        stack: error.stack,
-        receiverAddress,
-        amount
+      throw await this._paymentError(error, settled ? null : outboxId, { senderAddress, receiverAddress, amount });
+    }
+  }
+
+  // Settles the outbox entry (if still open) and returns the error to throw to the caller
+  async _paymentError(error, outboxId, { senderAddress, receiverAddress, amount }) {
+    logger.error('Exception in sendUSDCPayment', {
+      errorType: error.constructor.name,
+      errorMessage: error.message,
+      stack: error.stack,
+      receiverAddress,
+      amount
+    });
+
+    if (outboxId) {
+      await this._settleOutboxAfterError(outboxId, error);
+    }
+    
+    if (error instanceof InsufficientFundsError || error instanceof ARCError || error instanceof ValidationError) {
+      return error;
+    }
+    
+    logger.error('Payment failed with unexpected error', {
+      senderAddress,
+      receiverAddress,
+      amount,
+      error: error.message
+    });
+    return new ARCError(`Payment failed: ${error.message}`);
+  }
+
+  /**
+   * Submits several USDC transfers from one wallet and returns once they are
+   * broadcast, like submitUSDCPayment. Transactions are queued back to back
+   * (see _submitTransfer). A transfer that fails before broadcast does not use
+   * up its nonce, so the next transfer takes it and no gap is left.
+   *
+   * @param {ethers.Signer} sender - from signerService.forUser
+   * @param {Array<{address: string, amount: number, memo: string|null}>} transfers
+   * @param {Object} [options] - as for submitUSDCPayment; line i uses `${idempotencyKey}:${i}`
+   * @returns {Promise<Array<{hash?: string, duplicate?: boolean, completion?: Promise<Object>, error?: string}>>}
+   *   one entry per transfer, in order: a submission as from submitUSDCPayment, or the error that kept it from being sent
+   */
+  async submitUSDCBatch(sender, transfers, { idempotencyKey = null, owner = null, context = null } = {}) {
+    if (!this.isConnected) {
+      throw new ARCError('Not connected to ARC network');
+    }
+
+    if (!sender) {
+      throw new ARCError('Sender has no wallet key');
+    }
+
+    const senderWallet = sender.connect(this.provider);
+    const usdcContract = new ethers.Contract(this.USDC_CONTRACT_ADDRESS, USDC_ABI, senderWallet);
+
+    const total = transfers.reduce((sum, transfer) => sum + parseFloat(transfer.amount), 0);
+    const senderBalance = await this.getUSDCBalance(senderWallet.address);
+    if (senderBalance < total) {
+      throw new InsufficientFundsError(total, senderBalance, 'USDC');
+    }
+
+    const submissions = [];
+
+    for (const [i, transfer] of transfers.entries()) {
+      const { entry, created } = await paymentOutboxService.createEntry({
+        idempotencyKey: idempotencyKey ? `${idempotencyKey}:${i}` : null,
+        owner,
+        from: senderWallet.address,
+        to: transfer.address,
+        amount: parseFloat(transfer.amount),
+        memo: transfer.memo,
+        context
       });
-      
-      if (error instanceof InsufficientFundsError || error instanceof ARCError) {
+      if (!created) {
+        submissions.push(paymentOutboxService.isUnfinished(entry)
+          ? { hash: entry.hash, error: 'Already being sent' }
+          : {
+            hash: entry.hash,
+            duplicate: true,
+            completion: Promise.resolve({ success: true, hash: entry.hash, gasUsed: entry.gas_used, gasPrice: null, receipt: null, duplicate: true })
+          });
+        continue;
+      }
+
+      try {
+        const transferAmount = ethers.parseUnits(transfer.amount.toString(), 6);
+        const { tx, populated } = await this._submitTransfer(senderWallet, usdcContract, entry.id, transfer.address, transferAmount);
+
+        const completion = this._completeUSDCPayment(senderWallet, entry.id, tx, populated, {
+          receiverAddress: transfer.address,
+          amount: transfer.amount,
+          memo: transfer.memo
+        });
+        // An early transfer may fail while later ones are still being sent, before the caller is listening
+        completion.catch(() => {});
+        submissions.push({ hash: tx.hash, duplicate: false, completion });
+      } catch (error) {
+        logger.error('Batch transfer not sent', {
+          receiverAddress: transfer.address,
+          amount: transfer.amount,
+          error: error.message
+        });
+        await this._settleOutboxAfterError(entry.id, error);
+        submissions.push({ error: error.shortMessage || error.message });
+      }
+    }
+
+    return submissions;
+  }
+
+  /**
+   * Queues a USDC transfer behind the sender's other transactions, checks the
+   * balance, assigns its nonce locally, signs it, records it in the outbox and
+   * broadcasts it. Submissions from one wallet are serialized so concurrent
+   * payments never share a nonce or spend the same balance; nothing reaches
+   * the network before the outbox record exists.
+   *
+   * @returns {Promise<{tx: Object, populated: Object}>} the broadcast transaction and the signed request
+   */
+  async _submitTransfer(wallet, usdcContract, outboxId, receiverAddress, transferAmount) {
+    return this._enqueue(wallet.address, async (queue) => {
+      await this._assertBalance(queue, wallet.address, transferAmount);
+
+      logger.info('Estimating gas for USDC transfer');
+      const gasEstimate = await usdcContract.transfer.estimateGas(receiverAddress, transferAmount);
+
+      const nonce = await this._assignNonce(queue, wallet.address);
+      const request = await usdcContract.transfer.populateTransaction(receiverAddress, transferAmount);
+      const populated = await wallet.populateTransaction({
+        ...request,
+        gasLimit: gasEstimate * 120n / 100n, // Add 20% buffer
+        nonce
+      });
+
+      const tx = await this._broadcastSigned(wallet, outboxId, populated, queue);
+      queue.unconfirmedAmounts.set(outboxId, transferAmount);
+      return { tx, populated };
+    });
+  }
+
+  // Transfers sent from the wallet but not yet mined still count against its balance
+  async _assertBalance(queue, address, transferAmount) {
+    const balance = ethers.parseUnits(String(await this.getUSDCBalance(address)), 6);
+    let unconfirmed = 0n;
+    for (const amount of queue.unconfirmedAmounts.values()) {
+      unconfirmed += amount;
+    }
+
+    const available = balance - unconfirmed;
+    if (available < transferAmount) {
+      const required = parseFloat(ethers.formatUnits(transferAmount, 6));
+      const left = parseFloat(ethers.formatUnits(available > 0n ? available : 0n, 6));
+      logger.error('Insufficient USDC funds detected', { address, required, available: left });
+      throw new InsufficientFundsError(required, left, 'USDC');
+    }
+  }
+
+  /**
+   * Runs task while holding the sender's queue, so no transaction from the
+   * wallet is signed or broadcast until it returns. Transactions queued
+   * earlier have been broadcast, and recorded in the outbox, by then.
+   */
+  async withSenderLock(address, task) {
+    return this._enqueue(address, () => task());
+  }
+
+  // Runs task after every earlier task for the same sender has finished
+  async _enqueue(address, task) {
+    const key = address.toLowerCase();
+    if (!this.senderQueues.has(key)) {
+      this.senderQueues.set(key, { tail: Promise.resolve(), nonce: null, depth: 0, unconfirmed: 0, unconfirmedAmounts: new Map() });
+    }
+
+    const queue = this.senderQueues.get(key);
+    queue.depth++;
+    const run = queue.tail.then(() => task(queue));
+    queue.tail = run.catch(() => {});
+
+    try {
+      return await run;
+    } finally {
+      queue.depth--;
+    }
+  }
+
+  // The node's pending count covers transactions sent from elsewhere; the local one covers ours it hasn't indexed yet
+  async _assignNonce(queue, address) {
+    const pendingCount = await this.provider.getTransactionCount(address, 'pending');
+    return queue.nonce === null ? pendingCount : Math.max(queue.nonce, pendingCount);
+  }
+
+  async _broadcastSigned(wallet, outboxId, populated, queue = null) {
+    const rawTx = await wallet.signTransaction(populated);
+    const hash = ethers.keccak256(rawTx);
+
+    await paymentOutboxService.markSigned(outboxId, { nonce: populated.nonce, hash, rawTx });
+    let tx;
+    try {
+      tx = await this.provider.broadcastTransaction(rawTx);
+    } catch (error) {
+      if (queue && (error.code === 'NONCE_EXPIRED' || UNCERTAIN_ERROR_CODES.includes(error.code))) {
+        // The nonce may or may not be used now; ask the node next time
+        queue.nonce = null;
+      }
+      throw error;
+    }
+
+    if (queue) {
+      queue.nonce = populated.nonce + 1;
+    }
+    await paymentOutboxService.markBroadcast(outboxId);
+    return tx;
+  }
+
+  /**
+   * Waits for a transfer to be mined. If it is still unmined after
+   * STUCK_TX_TIMEOUT_MS, it is replaced by the same transaction (same nonce)
+   * with higher fees, up to MAX_FEE_BUMPS times. Whichever version is mined
+   * first wins; the receipt's hash tells which.
+   */
+  async _waitForConfirmation(wallet, outboxId, tx, populated) {
+    const queue = this.senderQueues.get(wallet.address.toLowerCase());
+    queue.unconfirmed++;
+    try {
+      return await this._waitWithFeeBumps(wallet, outboxId, tx, populated);
+    } finally {
+      queue.unconfirmed--;
+      queue.unconfirmedAmounts.delete(outboxId);
+    }
+  }
+
+  async _waitWithFeeBumps(wallet, outboxId, tx, populated) {
+    const hashes = [tx.hash];
+    let current = populated;
+
+    for (let bumps = 0; ; bumps++) {
+      const receipt = await this._waitForAnyReceipt(hashes, this.STUCK_TX_TIMEOUT_MS);
+      if (receipt) {
+        return receipt;
+      }
+
+      if (bumps >= this.MAX_FEE_BUMPS) {
+        const error = new ARCError(`Transaction still pending after ${bumps} fee increases; you will be notified when it completes`);
+        error.code = 'TIMEOUT'; // keeps the outbox entry open, so it is reconciled in the background
         throw error;
       }
-      
-      logger.error('Payment failed with unexpected error', {
-        senderAddress: new ethers.Wallet(senderPrivateKey).address,
-        receiverAddress,
-        amount,
-        error: error.message
+
+      current = await this._bumpFees(current);
+      logger.warn('Transaction stuck, resubmitting with higher fees', {
+        hash: hashes[hashes.length - 1],
+        nonce: current.nonce,
+        attempt: bumps + 1
       });
-      throw new ARCError(`Payment failed: ${error.message}`);
+
+      try {
+        const replacement = await this._broadcastSigned(wallet, outboxId, current);
+        hashes.push(replacement.hash);
+      } catch (error) {
+        // e.g. NONCE_EXPIRED when an earlier version was just mined; keep waiting on those
+        logger.warn('Fee-bumped replacement not accepted', { nonce: current.nonce, error: error.shortMessage || error.message });
+      }
+    }
+  }
+
+  // Resolves with the first receipt for any of the hashes, or null after timeoutMs
+  async _waitForAnyReceipt(hashes, timeoutMs) {
+    try {
+      return await Promise.any(hashes.map(hash => this.provider.waitForTransaction(hash, 1, timeoutMs)));
+    } catch (error) {
+      const failure = error.errors?.find(cause => cause.code !== 'TIMEOUT');
+      if (error instanceof AggregateError && !failure) {
+        return null;
+      }
+      throw failure || error;
+    }
+  }
+
+  async _bumpFees(populated) {
+    const bump = (value) => value * (100n + this.FEE_BUMP_PERCENT) / 100n;
+    const atLeast = (value, floor) => (floor && floor > value ? floor : value);
+    const feeData = await this.provider.getFeeData();
+
+    if (populated.maxFeePerGas != null) {
+      return {
+        ...populated,
+        maxFeePerGas: atLeast(bump(BigInt(populated.maxFeePerGas)), feeData.maxFeePerGas),
+        maxPriorityFeePerGas: atLeast(bump(BigInt(populated.maxPriorityFeePerGas)), feeData.maxPriorityFeePerGas)
+      };
+    }
+    return { ...populated, gasPrice: atLeast(bump(BigInt(populated.gasPrice)), feeData.gasPrice) };
+  }
+
+  // Transactions waiting to be submitted and waiting to be mined, for /health
+  getQueueStats() {
+    const stats = { depth: 0, unconfirmed: 0, busySenders: 0 };
+    for (const queue of this.senderQueues.values()) {
+      stats.depth += queue.depth;
+      stats.unconfirmed += queue.unconfirmed;
+      if (queue.depth > 0 || queue.unconfirmed > 0) {
+        stats.busySenders++;
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Updates an outbox entry after a send error. Errors that leave the
+   * transaction's fate unknown (lost connection after signing) keep the
+   * entry open and reconcile it in the background.
+   */
+  async _settleOutboxAfterError(outboxId, error) {
+    const entry = await paymentOutboxService.getEntry(outboxId);
+    if (!entry || !paymentOutboxService.isUnfinished(entry)) {
+      return;
+    }
+
+    const uncertain = entry.status !== paymentOutboxService.STATUS.PENDING && UNCERTAIN_ERROR_CODES.includes(error.code);
+    if (!uncertain) {
+      await paymentOutboxService.markFailed(outboxId, error.shortMessage || error.message);
+      return;
+    }
+
+    logger.warn('Payment outcome unknown, reconciling in background', { outboxId, hash: entry.hash, error: error.message });
+    this.reconcileOutboxEntry(entry, { notify: true }).catch(reconcileError => {
+      logger.error('Background outbox reconcile failed', { outboxId, error: reconcileError.message });
+    });
+  }
+
+  /**
+   * Startup recovery: reconciles every unfinished outbox entry against the
+   * chain. Entries still in the mempool are awaited in the background and
+   * their owners are told once the outcome is known.
+   *
+   * @returns {Promise<{checked: number, confirmed: number, failed: number, pending: number}>}
+   */
+  async recoverOutbox() {
+    const entries = await paymentOutboxService.listUnfinished();
+    const summary = { checked: entries.length, confirmed: 0, failed: 0, pending: 0 };
+
+    for (const entry of entries) {
+      try {
+        const result = await this.reconcileOutboxEntry(entry, { notify: true, waitInBackground: true });
+        if (result.status === paymentOutboxService.STATUS.CONFIRMED) {
+          summary.confirmed++;
+        } else if (result.status === paymentOutboxService.STATUS.FAILED) {
+          summary.failed++;
+        } else {
+          summary.pending++;
+        }
+      } catch (error) {
+        summary.pending++;
+        logger.error('Failed to reconcile outbox entry', { id: entry.id, hash: entry.hash, error: error.message });
+      }
+    }
+
+    if (entries.length > 0) {
+      logger.info('Payment outbox recovered', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Works out what happened to one unfinished outbox entry:
+   * - never signed: nothing was sent, so it failed
+   * - mined: confirmed or reverted, per the receipt
+   * - unknown to the node: failed if its nonce was used by another
+   *   transaction, otherwise the signed transaction is broadcast again
+   * - in the mempool: waited for (in the background if waitInBackground)
+   */
+  async reconcileOutboxEntry(entry, { notify = false, waitInBackground = false } = {}) {
+    const { STATUS } = paymentOutboxService;
+    let resolved = null;
+
+    if (entry.status === STATUS.PENDING || !entry.hash) {
+      resolved = await paymentOutboxService.markFailed(entry.id, 'Interrupted before the transaction was signed; nothing was sent');
+    } else {
+      // Fee bumps give one payment several hashes; any of them may be mined
+      const hashes = paymentOutboxService.getHashes(entry);
+      const receipt = await this._findReceipt(hashes);
+      if (receipt) {
+        resolved = await this._finishOutboxEntry(entry, receipt);
+      } else if (!(await this._isKnownTransaction(hashes))) {
+        const minedNonce = await this.provider.getTransactionCount(entry.from, 'latest');
+        if (minedNonce > entry.nonce) {
+          // Ours may have been mined since the receipts were checked: only then is the nonce known to be someone else's
+          const lateReceipt = await this._findReceipt(hashes);
+          resolved = lateReceipt
+            ? await this._finishOutboxEntry(entry, lateReceipt)
+            : await paymentOutboxService.markFailed(entry.id, 'Replaced by another transaction with the same nonce; nothing was sent');
+        } else if (entry.raw_tx) {
+          try {
+            await this.provider.broadcastTransaction(entry.raw_tx);
+            await paymentOutboxService.markBroadcast(entry.id);
+            logger.info('Outbox transaction re-broadcast', { id: entry.id, hash: entry.hash });
+          } catch (error) {
+            if (UNCERTAIN_ERROR_CODES.includes(error.code)) {
+              // Still can't reach the node; try again at the next startup
+              logger.warn('Outbox re-broadcast failed, leaving entry open', { id: entry.id, error: error.message });
+              return entry;
+            }
+            resolved = await paymentOutboxService.markFailed(entry.id, error.shortMessage || error.message);
+          }
+        } else {
+          resolved = await paymentOutboxService.markFailed(entry.id, 'Transaction was not found on the network');
+        }
+      }
     }
+
+    if (!resolved) {
+      const wait = this._waitForAnyReceipt(paymentOutboxService.getHashes(entry), this.OUTBOX_WAIT_TIMEOUT_MS)
+        .then(async (receipt) => {
+          // A timeout leaves the entry open for the next startup
+          if (receipt) {
+            const finished = await this._finishOutboxEntry(entry, receipt);
+            if (notify) {
+              await paymentOutboxService.notifyResolved(finished);
+            }
+          }
+          return receipt;
+        });
+
+      if (waitInBackground) {
+        wait.catch(error => logger.warn('Waiting for outbox transaction failed', { id: entry.id, error: error.message }));
+        return { ...entry, status: STATUS.BROADCAST };
+      }
+      await wait;
+      return paymentOutboxService.getEntry(entry.id);
+    }
+
+    if (notify) {
+      await paymentOutboxService.notifyResolved(resolved);
+    }
+    return resolved;
+  }
+
+  async _findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  async _isKnownTransaction(hashes) {
+    for (const hash of hashes) {
+      if (await this.provider.getTransaction(hash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async _finishOutboxEntry(entry, receipt) {
+    if (receipt.status !== 1) {
+      return paymentOutboxService.markFailed(entry.id, 'Transaction reverted');
+    }
+    if (entry.memo) {
+      await this.setTransactionMemo(receipt.hash, entry.memo);
+    }
+    return paymentOutboxService.markConfirmed(entry.id, {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    });
   }
 
-  async getTransactionHistory(address, limit = 10) {
+  /**
+   * Returns USDC Transfer logs sent from or to the address in a block range,
+   * oldest first. Callers keep ranges within the RPC's eth_getLogs limit.
+   */
+  async getTransferLogs(address, fromBlock, toBlock) {
     try {
       if (!this.isConnected) {
         throw new ARCError('Not connected to ARC network');
       }
 
-      // Get latest block number
-      const latestBlock = await this.provider.getBlockNumber();
-      const fromBlock = Math.max(0, latestBlock - 9999); // Look back 10k blocks
-
-      // Get USDC contract events for transfers involving this address
       const usdcContract = new ethers.Contract(
         this.USDC_CONTRACT_ADDRESS,
         [
@@ -326,49 +823,91 @@ class ARCService {
       );
 
       const [sentTransfers, receivedTransfers] = await Promise.all([
-        usdcContract.queryFilter(
-          usdcContract.filters.Transfer(address, null),
-          fromBlock,
-          'latest'
-        ),
-        usdcContract.queryFilter(
-          usdcContract.filters.Transfer(null, address),
-          fromBlock,
-          'latest'
-        )
+        usdcContract.queryFilter(usdcContract.filters.Transfer(address, null), fromBlock, toBlock),
+        usdcContract.queryFilter(usdcContract.filters.Transfer(null, address), fromBlock, toBlock)
       ]);
 
-      const allTransfers = [...sentTransfers, ...receivedTransfers]
-        .sort((a, b) => b.blockNumber - a.blockNumber)
-        .slice(0, limit);
-
-      const transactions = await Promise.all(
-        allTransfers.map(async (event) => {
-          const block = await this.provider.getBlock(event.blockNumber);
-          const memo = this.getTransactionMemo(event.transactionHash);
-          return {
-            hash: event.transactionHash,
-            type: 'Transfer',
-            from: event.args.from,
-            to: event.args.to,
-            amount: ethers.formatUnits(event.args.value, 6),
-            currency: 'USDC',
-            blockNumber: event.blockNumber,
-            date: new Date(block.timestamp * 1000).toISOString(),
-            confirmed: true,
-            memo: memo
-          };
+      // A transfer to oneself matches both filters
+      const seen = new Set();
+      return [...sentTransfers, ...receivedTransfers]
+        .filter(event => {
+          const id = `${event.transactionHash}:${event.index}`;
+          if (seen.has(id)) {
+            return false;
+          }
+          seen.add(id);
+          return true;
         })
-      );
-
-      return transactions;
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+        .map(event => ({
+          hash: event.transactionHash,
+          logIndex: event.index,
+          blockNumber: event.blockNumber,
+          from: event.args.from,
+          to: event.args.to,
+          amount: ethers.formatUnits(event.args.value, 6),
+          currency: 'USDC'
+        }));
     } catch (error) {
-      logger.error('Failed to get transaction history', {
+      logger.error('Failed to get transfer logs', {
         address,
+        fromBlock,
+        toBlock,
         error: error.message
       });
-      throw new ARCError(`Failed to get transaction history: ${error.message}`);
+      throw new ARCError(`Failed to get transfer logs: ${error.message}`);
+    }
+  }
+
+  async getBlockNumber() {
+    if (!this.isConnected) {
+      throw new ARCError('Not connected to ARC network');
+    }
+    return this.provider.getBlockNumber();
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    if (!this.isConnected) {
+      throw new ARCError('Not connected to ARC network');
+    }
+    const block = await this.provider.getBlock(blockNumber);
+    return new Date(block.timestamp * 1000).toISOString();
+  }
+
+  // Gas paid by a mined transaction, in wei (USDC with 18 decimals on ARC)
+  async getTransactionFee(hash) {
+    if (!this.isConnected) {
+      throw new ARCError('Not connected to ARC network');
+    }
+    const receipt = await this.provider.getTransactionReceipt(hash);
+    if (!receipt) {
+      throw new ARCError(`Transaction ${hash} is not mined`);
+    }
+    // ethers reports the effective gas price as receipt.gasPrice
+    return receipt.gasUsed * receipt.gasPrice;
+  }
+
+  // First block mined at or after the date (binary search, about 30 block reads)
+  async findBlockByTimestamp(date) {
+    if (!this.isConnected) {
+      throw new ARCError('Not connected to ARC network');
     }
+
+    const target = Math.floor(date.getTime() / 1000);
+    let low = 0;
+    let high = await this.provider.getBlockNumber();
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const block = await this.provider.getBlock(middle);
+      if (block.timestamp < target) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
   }
 
   async validateAddress(address) {
@@ -413,9 +952,9 @@ class ARCService {
       }
 
       await this.getNetworkInfo();
-      return { status: 'healthy', service: 'ARC' };
+      return { status: 'healthy', service: 'ARC', txQueue: this.getQueueStats() };
     } catch (error) {
-      return { status: 'unhealthy', service: 'ARC', error: error.message };
+      return { status: 'unhealthy', service: 'ARC', error: error.message, txQueue: this.getQueueStats() };
     }
   }
 
@@ -428,9 +967,25 @@ class ARCService {
     return ethers.parseUnits(amount.toString(), 6);
   }
 
+  // Store memo for a transaction hash
+  async setTransactionMemo(txHash, memo) {
+    try {
+      await storageService.set(this.MEMO_NAMESPACE, txHash.toLowerCase(), { memo, createdAt: new Date().toISOString() });
+    } catch (error) {
+      // A lost memo must not turn a confirmed payment into a failure
+      logger.error('Failed to store transaction memo', { txHash, error: error.message });
+    }
+  }
+
   // Get memo for a transaction hash
-  getTransactionMemo(txHash) {
-    return this.transactionMemos.get(txHash) || null;
+  async getTransactionMemo(txHash) {
+    try {
+      const entry = await storageService.get(this.MEMO_NAMESPACE, txHash.toLowerCase());
+      return entry ? entry.memo : null;
+    } catch (error) {
+      logger.error('Failed to read transaction memo', { txHash, error: error.message });
+      return null;
+    }
   }
 }
 
@@ -21,8 +21,9 @@ class Auth0Service {
 
   async createUser(telegramId, username, arcWallet) {
     try {
-      // Encrypt the private key before storing
-      const encryptedPrivateKey = encryption.encrypt(arcWallet.privateKey);
+      // Encrypt the private key (and recovery phrase, for /backup) before storing
+      const encryptedPrivateKey = await encryption.encrypt(arcWallet.privateKey, telegramId);
+      const encryptedMnemonic = arcWallet.mnemonic ? await encryption.encrypt(arcWallet.mnemonic, telegramId) : null;
       
       const userData = {
         connection: 'Username-Password-Authentication',
@@ -33,10 +34,13 @@ class Auth0Service {
           telegram_id: telegramId,
           telegram_username: username,
           arc_address: arcWallet.address,
-          created_at: new Date().toISOString()
+          created_at: new Date().toISOString(),
+          // Imported wallets may have history from before the account
+          ...(arcWallet.imported && { wallet_imported: true })
         },
         app_metadata: {
           arc_private_key_encrypted: encryptedPrivateKey,
+          ...(encryptedMnemonic && { arc_mnemonic_encrypted: encryptedMnemonic }),
           arc_public_key: arcWallet.publicKey,
           user_type: 'telegram_bot_user',
           version: '2.0'
@@ -66,6 +70,7 @@ class Auth0Service {
     }
   }
 
+  // User lookups leave the private key encrypted; sign with signerService.forUser(user)
   async getUserByTelegramId(telegramId) {
     try {
       const response = await this.management.users.getAll({
@@ -94,9 +99,7 @@ class Auth0Service {
             per_page: 1
           });
           if (refreshedUsers.data && refreshedUsers.data.length > 0) {
-            const refreshedUser = refreshedUsers.data[0];
-            refreshedUser.app_metadata.arc_private_key = encryption.decrypt(refreshedUser.app_metadata.arc_private_key_encrypted);
-            return refreshedUser;
+            return refreshedUsers.data[0];
           }
         } catch (migrationError) {
           logger.error('Failed to migrate user to ARC', {
@@ -107,20 +110,6 @@ class Auth0Service {
         }
       }
 
-      // Decrypt the ARC private key when needed
-      if (user.app_metadata && user.app_metadata.arc_private_key_encrypted) {
-        try {
-          user.app_metadata.arc_private_key = encryption.decrypt(user.app_metadata.arc_private_key_encrypted);
-        } catch (decryptError) {
-          logger.error('Failed to decrypt ARC private key', {
-            userId: user.user_id,
-            telegramId,
-            error: decryptError.message
-          });
-          // Don't throw here, just log the error
-        }
-      }
-
       return user;
     } catch (error) {
       logger.error('Failed to fetch user by Telegram ID', {
@@ -148,22 +137,7 @@ class Auth0Service {
         return null;
       }
 
-      const user = users[0];
-      
-      // Decrypt the ARC private key when needed
-      if (user.app_metadata && user.app_metadata.arc_private_key_encrypted) {
-        try {
-          user.app_metadata.arc_private_key = encryption.decrypt(user.app_metadata.arc_private_key_encrypted);
-        } catch (decryptError) {
-          logger.error('Failed to decrypt ARC private key', {
-            userId: user.user_id,
-            username,
-            error: decryptError.message
-          });
-        }
-      }
-
-      return user;
+      return users[0];
     } catch (error) {
       logger.error('Failed to fetch user by username', {
         username,
@@ -228,114 +202,134 @@ class Auth0Service {
     }
   }
 
-  generateStrongPassword() {
-    // Generate a password that meets Auth0's strength requirements
-    // At least 8 characters with uppercase, lowercase, number, and special char
-    const length = 16;
-    const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-    const numbers = '0123456789';
-    const special = '!@#$%^&*';
-    
-    let password = '';
-    password += uppercase[Math.floor(Math.random() * uppercase.length)];
-    password += lowercase[Math.floor(Math.random() * lowercase.length)];
-    password += numbers[Math.floor(Math.random() * numbers.length)];
-    password += special[Math.floor(Math.random() * special.length)];
-    
-    const all = uppercase + lowercase + numbers + special;
-    for (let i = 4; i < length; i++) {
-      password += all[Math.floor(Math.random() * all.length)];
-    }
-    
-    // Shuffle the password
-    return password.split('').sort(() => Math.random() - 0.5).join('');
-  }
-
-  // Payment request management
-  async createPaymentRequest(fromTelegramId, toTelegramId, amount, currency, reason = null) {
+  // Lists every bot user's public wallet data (no key material), page by page
+  async listBotUsers(perPage = 100) {
     try {
-      const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const requestData = {
-        id: requestId,
-        from: fromTelegramId,
-        to: toTelegramId,
-        amount: amount,
-        currency: currency,
-        reason: reason,
-        status: 'pending',
-        created_at: new Date().toISOString(),
-        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-      };
+      const users = [];
 
-      // Store in both users' metadata
-      const fromUser = await this.getUserByTelegramId(fromTelegramId);
-      const toUser = await this.getUserByTelegramId(toTelegramId);
+      for (let page = 0; ; page++) {
+        const response = await this.management.users.getAll({
+          search_engine: 'v3',
+          q: 'app_metadata.user_type:"telegram_bot_user"',
+          fields: 'user_id,user_metadata',
+          per_page: perPage,
+          page
+        });
 
-      if (!fromUser || !toUser) {
-        throw new Error('One or both users not found');
+        const batch = response.data || response;
+        users.push(...batch.map(user => ({
+          telegramId: user.user_metadata?.telegram_id,
+          username: user.user_metadata?.telegram_username,
+          address: user.user_metadata?.arc_address
+        })).filter(user => user.address));
+
+        if (batch.length < perPage) {
+          break;
+        }
       }
 
-      // Add to sender's outgoing requests
-      const fromRequests = fromUser.user_metadata.payment_requests_sent || [];
-      fromRequests.push(requestData);
-      await this.updateUserMetadata(fromUser.user_id, {
-        ...fromUser.user_metadata,
-        payment_requests_sent: fromRequests
+      return users;
+    } catch (error) {
+      logger.error('Failed to list bot users', {
+        error: error.message
       });
+      throw new ExternalServiceError('Auth0', error);
+    }
+  }
 
-      // Add to recipient's incoming requests
-      const toRequests = toUser.user_metadata.payment_requests_received || [];
-      toRequests.push(requestData);
-      await this.updateUserMetadata(toUser.user_id, {
-        ...toUser.user_metadata,
-        payment_requests_received: toRequests
+  /**
+   * Up to perPage bot users created at or after createdFrom (an ISO date, or
+   * null for the first), oldest first, with their encrypted keys (not
+   * decrypted). Callers page by the last user's created_at, because search
+   * stops at 1000 results however it is paged.
+   */
+  async listUsersCreatedFrom(createdFrom = null, perPage = 50) {
+    try {
+      const range = createdFrom ? ` AND created_at:[${JSON.stringify(createdFrom)} TO *]` : '';
+      const response = await this.management.users.getAll({
+        search_engine: 'v3',
+        q: `app_metadata.user_type:"telegram_bot_user"${range}`,
+        fields: 'user_id,created_at,user_metadata,app_metadata',
+        sort: 'created_at:1',
+        per_page: perPage,
+        page: 0
       });
 
-      logger.audit('payment_request_created', fromTelegramId, {
-        requestId,
-        to: toTelegramId,
-        amount,
-        currency,
-        reason
+      return response.data || response;
+    } catch (error) {
+      logger.error('Failed to list bot users', {
+        createdFrom,
+        error: error.message
       });
+      throw new ExternalServiceError('Auth0', error);
+    }
+  }
 
-      return requestData;
+  // secrets: { arc_private_key_encrypted?, arc_mnemonic_encrypted? }
+  async updateEncryptedSecrets(userId, secrets) {
+    try {
+      await this.management.users.update({ id: userId }, { app_metadata: secrets });
     } catch (error) {
-      logger.error('Failed to create payment request', {
-        fromTelegramId,
-        toTelegramId,
+      logger.error('Failed to update encrypted wallet secrets', {
+        userId,
         error: error.message
       });
       throw new ExternalServiceError('Auth0', error);
     }
   }
 
-  async getPaymentRequests(telegramId) {
+  // Points the user at an imported wallet; the old key is dropped
+  async replaceWallet(userId, telegramId, arcWallet) {
     try {
-      const user = await this.getUserByTelegramId(telegramId);
-      if (!user) {
-        return { sent: [], received: [] };
-      }
-
-      const sent = user.user_metadata.payment_requests_sent || [];
-      const received = user.user_metadata.payment_requests_received || [];
+      const encryptedPrivateKey = await encryption.encrypt(arcWallet.privateKey, telegramId);
+      const encryptedMnemonic = arcWallet.mnemonic ? await encryption.encrypt(arcWallet.mnemonic, telegramId) : null;
 
-      // Filter out expired requests
-      const now = new Date().toISOString();
-      const activeSent = sent.filter(req => req.expires_at > now && req.status === 'pending');
-      const activeReceived = received.filter(req => req.expires_at > now && req.status === 'pending');
+      await this.management.users.update({ id: userId }, {
+        user_metadata: { arc_address: arcWallet.address, wallet_imported: true },
+        app_metadata: {
+          arc_private_key_encrypted: encryptedPrivateKey,
+          // null removes a phrase that belonged to the previous wallet
+          arc_mnemonic_encrypted: encryptedMnemonic,
+          arc_public_key: arcWallet.publicKey
+        }
+      });
 
-      return { sent: activeSent, received: activeReceived };
+      logger.audit('wallet_replaced', userId, {
+        arc_address: arcWallet.address
+      });
     } catch (error) {
-      logger.error('Failed to get payment requests', {
-        telegramId,
+      logger.error('Failed to replace wallet', {
+        userId,
         error: error.message
       });
       throw new ExternalServiceError('Auth0', error);
     }
   }
 
+  generateStrongPassword() {
+    // Generate a password that meets Auth0's strength requirements
+    // At least 8 characters with uppercase, lowercase, number, and special char
+    const length = 16;
+    const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    const lowercase = 'abcdefghijklmnopqrstuvwxyz';
+    const numbers = '0123456789';
+    const special = '!@#$%^&*';
+    
+    let password = '';
+    password += uppercase[Math.floor(Math.random() * uppercase.length)];
+    password += lowercase[Math.floor(Math.random() * lowercase.length)];
+    password += numbers[Math.floor(Math.random() * numbers.length)];
+    password += special[Math.floor(Math.random() * special.length)];
+    
+    const all = uppercase + lowercase + numbers + special;
+    for (let i = 4; i < length; i++) {
+      password += all[Math.floor(Math.random() * all.length)];
+    }
+    
+    // Shuffle the password
+    return password.split('').sort(() => Math.random() - 0.5).join('');
+  }
+
   // Health check method
   async healthCheck() {
     try {
@@ -0,0 +1,149 @@
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const { isValidAmount } = require('../utils/validation');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+
+const STATUS = {
+  PENDING: 'pending', // waiting for the owner to confirm
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Batch payments (/paymany): parses `recipient,amount,memo` lists and keeps
+ * each batch in storage between the confirmation prompt and its execution.
+ */
+class BatchPaymentService {
+  constructor() {
+    this.NAMESPACE = 'payment_batches';
+    this.TTL_MS = 15 * 60 * 1000; // an unconfirmed batch expires after 15 minutes
+    this.RESULT_TTL_MS = 24 * 60 * 60 * 1000; // confirmed batches are kept for a day
+    this.MAX_LINES = 50;
+    this.STATUS = STATUS;
+  }
+
+  /**
+   * Parses one payment per line as `recipient,amount[,memo]`.
+   * Blank lines, `#` comments and a `recipient,amount,...` header row are skipped;
+   * the memo is everything after the second comma and may be quoted.
+   *
+   * @returns {{items: Array<{line, recipient, amount, memo}>, errors: Array<{line, error}>}}
+   */
+  parseList(text) {
+    const items = [];
+    const errors = [];
+    const lines = (text || '').split(/\r?\n/);
+
+    lines.forEach((raw, index) => {
+      const line = index + 1;
+      const trimmed = raw.trim();
+      if (!trimmed || trimmed.startsWith('#')) {
+        return;
+      }
+
+      const [recipientPart, amountPart, ...memoParts] = trimmed.split(',');
+      const recipient = (recipientPart || '').trim().replace(/^"|"$/g, '');
+      const amountText = (amountPart || '').trim().replace(/^"|"$/g, '');
+
+      if (items.length === 0 && errors.length === 0 && /^recipient$/i.test(recipient) && /^amount$/i.test(amountText)) {
+        return;
+      }
+
+      const memo = memoParts.join(',').trim().replace(/^"(.*)"$/, '$1').replace(/""/g, '"') || null;
+      const amount = parseFloat(amountText);
+
+      if (!recipient) {
+        errors.push({ line, error: 'Missing recipient' });
+      } else if (!/^\d+(\.\d{1,6})?$/.test(amountText) || amount <= 0 || !isValidAmount(amount)) {
+        errors.push({ line, error: `Invalid amount "${amountText}"` });
+      } else {
+        items.push({ line, recipient, amount, memo });
+      }
+    });
+
+    if (items.length + errors.length > this.MAX_LINES) {
+      throw new ValidationError(`A batch can have at most ${this.MAX_LINES} payments`);
+    }
+
+    return { items, errors };
+  }
+
+  async createBatch(ownerId, items) {
+    const batchId = `bat_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const batch = {
+      id: batchId,
+      owner: ownerId,
+      items,
+      total: Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 1e6) / 1e6,
+      status: STATUS.PENDING,
+      results: null,
+      created_at: new Date().toISOString()
+    };
+
+    await storageService.set(this.NAMESPACE, batchId, batch, { ttlMs: this.TTL_MS });
+    return batch;
+  }
+
+  async getBatch(batchId, ownerId) {
+    const batch = await storageService.get(this.NAMESPACE, batchId);
+    if (!batch) {
+      throw new ValidationError('This batch has expired. Please send the list again.');
+    }
+    if (String(batch.owner) !== String(ownerId)) {
+      throw new AuthorizationError('This batch is not yours');
+    }
+    return batch;
+  }
+
+  // Moves a pending batch to running so it can only be executed once
+  async startBatch(batchId, ownerId) {
+    return this._transition(batchId, ownerId, STATUS.RUNNING);
+  }
+
+  async cancelBatch(batchId, ownerId) {
+    return this._transition(batchId, ownerId, STATUS.CANCELLED);
+  }
+
+  async completeBatch(batchId, results) {
+    const batch = await storageService.update(this.NAMESPACE, batchId, (current) => {
+      if (!current) {
+        return undefined;
+      }
+      return { ...current, status: STATUS.COMPLETED, results, completed_at: new Date().toISOString() };
+    }, { ttlMs: this.RESULT_TTL_MS });
+
+    logger.audit('payment_batch_completed', batch?.owner, {
+      batchId,
+      payments: results.length,
+      succeeded: results.filter(result => result.success).length
+    });
+
+    return batch;
+  }
+
+  async _transition(batchId, ownerId, status) {
+    await this.getBatch(batchId, ownerId);
+
+    let applied = false;
+    const batch = await storageService.update(this.NAMESPACE, batchId, (current) => {
+      if (!current || current.status !== STATUS.PENDING) {
+        return undefined;
+      }
+      applied = true;
+      return { ...current, status };
+    }, { ttlMs: this.RESULT_TTL_MS });
+
+    if (!batch) {
+      throw new NotFoundError('Batch');
+    }
+    if (!applied) {
+      throw new ValidationError(`This batch is already ${batch.status}`);
+    }
+
+    logger.audit(`payment_batch_${status}`, ownerId, { batchId, total: batch.total });
+    return batch;
+  }
+}
+
+module.exports = new BatchPaymentService();
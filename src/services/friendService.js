@@ -0,0 +1,39 @@
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+
+/**
+ * Friend alias lists, keyed by Telegram ID.
+ * Lists that still live in Auth0 user_metadata.friends are copied into
+ * storage the first time they are read.
+ */
+class FriendService {
+  constructor() {
+    this.NAMESPACE = 'friends';
+  }
+
+  async getFriends(telegramId, user = null) {
+    const stored = await storageService.get(this.NAMESPACE, telegramId);
+    if (stored) {
+      return stored;
+    }
+
+    const legacyFriends = user?.user_metadata?.friends;
+    if (legacyFriends && Object.keys(legacyFriends).length > 0) {
+      await storageService.set(this.NAMESPACE, telegramId, legacyFriends);
+      logger.info('Migrated friend list from Auth0 metadata', {
+        telegramId,
+        friendCount: Object.keys(legacyFriends).length
+      });
+      return { ...legacyFriends };
+    }
+
+    return {};
+  }
+
+  async saveFriends(telegramId, friends) {
+    await storageService.set(this.NAMESPACE, telegramId, friends);
+    return friends;
+  }
+}
+
+module.exports = new FriendService();
@@ -0,0 +1,176 @@
+const logger = require('../utils/logger');
+const encryption = require('../utils/encryption');
+const storageService = require('./storageService');
+const auth0Service = require('./auth0Service');
+const { ENVELOPE_VERSION, getCiphertextKeyId } = require('../core/keyring');
+
+/**
+ * Re-encrypts every Auth0 user's private key and recovery phrase under the
+ * current KMS master key (see src/core/keyring.js), which also moves blobs
+ * written before envelope encryption, or not bound to their owner, onto it.
+ * Run by
+ * scripts/rotate-encryption-key.js once the new key is deployed and the old
+ * one can still decrypt.
+ *
+ * Users are read in creation order from the last user's created_at, as
+ * Auth0 search returns at most 1000 results however it is paged. Progress is
+ * checkpointed in storage after every page, so an interrupted run resumes
+ * where it stopped; users already on the current key are skipped, so
+ * repeating a page is harmless. Each re-encrypted key is written to the audit
+ * log. (Workers KV users are rotated by the worker's scheduled job.)
+ */
+class KeyRotationService {
+  constructor() {
+    this.NAMESPACE = 'key_rotation';
+    this.STATE_KEY = 'auth0';
+    this.MAX_RECORDED_FAILURES = 100;
+    // Wallet secrets in app_metadata, re-encrypted together per user
+    this.ENCRYPTED_FIELDS = ['arc_private_key_encrypted', 'arc_mnemonic_encrypted'];
+  }
+
+  async getState() {
+    return storageService.get(this.NAMESPACE, this.STATE_KEY);
+  }
+
+  _freshState() {
+    return {
+      kid: encryption.currentKeyId,
+      v: ENVELOPE_VERSION,
+      page: 0,
+      cursor: null, // created_at of the last user seen
+      cursorIds: [], // users seen with that created_at, which the next page starts with again
+      rotated: 0,
+      current: 0,
+      failed: 0,
+      failures: [],
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      completedAt: null
+    };
+  }
+
+  /**
+   * Rotates page by page until every user has been seen.
+   * With dryRun, counts the keys that would change and stores nothing.
+   *
+   * @returns {Promise<Object>} the rotation state
+   */
+  async rotate({ perPage = 50, dryRun = false, restart = false, onPage = null } = {}) {
+    const saved = await this.getState();
+    // Runs saved before created_at paging or owner-bound blobs start again; current users are skipped
+    const resume = saved && saved.kid === encryption.currentKeyId && saved.v === ENVELOPE_VERSION &&
+      saved.cursorIds && !restart && !dryRun;
+    const state = resume ? saved : this._freshState();
+
+    if (state.completedAt) {
+      return state;
+    }
+
+    logger.audit(dryRun ? 'key_rotation_dry_run' : (resume ? 'key_rotation_resumed' : 'key_rotation_started'), null, {
+      toKid: state.kid,
+      page: state.page
+    });
+
+    for (;;) {
+      const users = await auth0Service.listUsersCreatedFrom(state.cursor, perPage);
+      const unseen = users.filter(user => !(user.created_at === state.cursor && state.cursorIds.includes(user.user_id)));
+      if (users.length === perPage && unseen.length === 0) {
+        throw new Error(`More than ${perPage} users were created at ${state.cursor}; raise perPage to page past them`);
+      }
+
+      for (const user of unseen) {
+        await this._rotateUser(user, state, dryRun);
+      }
+
+      if (users.length > 0) {
+        const last = users[users.length - 1].created_at;
+        const atLast = users.filter(user => user.created_at === last).map(user => user.user_id);
+        state.cursorIds = last === state.cursor ? [...new Set([...state.cursorIds, ...atLast])] : atLast;
+        state.cursor = last;
+      }
+      state.page++;
+      state.updatedAt = new Date().toISOString();
+      if (users.length < perPage) {
+        state.completedAt = state.updatedAt;
+      }
+
+      if (!dryRun) {
+        await storageService.set(this.NAMESPACE, this.STATE_KEY, state);
+      }
+      if (onPage) {
+        onPage(state);
+      }
+      if (state.completedAt) {
+        break;
+      }
+    }
+
+    logger.audit(dryRun ? 'key_rotation_dry_run_completed' : 'key_rotation_completed', null, {
+      toKid: state.kid,
+      rotated: state.rotated,
+      current: state.current,
+      failed: state.failed
+    });
+
+    return state;
+  }
+
+  async _rotateUser(user, state, dryRun) {
+    const secrets = user.app_metadata || {};
+    const telegramId = user.user_metadata?.telegram_id;
+    const fields = this.ENCRYPTED_FIELDS.filter(field => secrets[field]);
+
+    if (fields.length === 0) {
+      return;
+    }
+
+    const stale = fields.filter(field => encryption.needsReencryption(secrets[field]));
+    if (stale.length === 0) {
+      state.current++;
+      return;
+    }
+
+    const fromKid = getCiphertextKeyId(secrets[stale[0]]) || 'unversioned';
+
+    try {
+      const updates = {};
+      for (const field of stale) {
+        const plaintext = await encryption.decrypt(secrets[field], telegramId);
+        const reencrypted = await encryption.encrypt(plaintext, telegramId);
+        if (await encryption.decrypt(reencrypted, telegramId) !== plaintext) {
+          throw new Error('Re-encrypted secret did not decrypt to the original');
+        }
+        updates[field] = reencrypted;
+      }
+
+      if (dryRun) {
+        state.rotated++;
+        return;
+      }
+
+      await auth0Service.updateEncryptedSecrets(user.user_id, updates);
+      state.rotated++;
+
+      logger.audit('private_key_reencrypted', telegramId, {
+        accountId: user.user_id,
+        fromKid,
+        toKid: state.kid,
+        fields: stale
+      });
+    } catch (error) {
+      state.failed++;
+      if (state.failures.length < this.MAX_RECORDED_FAILURES) {
+        state.failures.push({ accountId: user.user_id, telegramId, error: error.message });
+      }
+
+      logger.error('Failed to re-encrypt private key', {
+        accountId: user.user_id,
+        telegramId,
+        fromKid,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new KeyRotationService();
@@ -0,0 +1,33 @@
+const KeyringKmsProvider = require('./keyringKmsProvider');
+
+/**
+ * KMS providers wrap the per-user data keys of envelope encryption
+ * (see src/core/keyring.js). A provider implements:
+ *
+ *   name                          stored in each envelope as `kms`
+ *   currentKeyId                  master key used for new envelopes
+ *   wrapKey(dataKey)              -> Promise<{ kid, wrappedKey }>
+ *   unwrapKey(kid, wrappedKey)    -> Promise<Buffer>
+ *
+ * The keyring provider is always loaded so envelopes it wrapped stay
+ * readable; the local provider is loaded whenever KMS_LOCAL_KEY_FILE is set.
+ * KMS_PROVIDER picks the one that wraps new data keys.
+ *
+ * @returns {{ current: Object, providers: Object<string, Object> }}
+ */
+const createKmsProviders = ({ provider = 'keyring', localKeyFile = null }, keyring) => {
+  const providers = { keyring: new KeyringKmsProvider(keyring) };
+
+  if (localKeyFile) {
+    const LocalKmsProvider = require('./localKmsProvider');
+    providers.local = new LocalKmsProvider(localKeyFile);
+  }
+
+  if (!providers[provider]) {
+    throw new Error(`KMS provider "${provider}" is not configured`);
+  }
+
+  return { current: providers[provider], providers };
+};
+
+module.exports = { createKmsProviders };
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const { KEY_WRAP_AAD } = require('../../core/keyring');
+
+/**
+ * AES-256-GCM key wrapping shared by the KMS providers. The wrapped key is
+ * base64 of iv | ciphertext | tag, the layout the Workers bot uses too.
+ */
+const wrapWithKey = (masterKey, dataKey) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+  cipher.setAAD(Buffer.from(KEY_WRAP_AAD, 'utf8'));
+
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, wrapped, cipher.getAuthTag()]).toString('base64');
+};
+
+const unwrapWithKey = (masterKey, wrappedKey) => {
+  const sealed = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, sealed.subarray(0, 12));
+  decipher.setAAD(Buffer.from(KEY_WRAP_AAD, 'utf8'));
+  decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+
+  return Buffer.concat([decipher.update(sealed.subarray(12, sealed.length - 16)), decipher.final()]);
+};
+
+module.exports = { wrapWithKey, unwrapWithKey };
@@ -0,0 +1,29 @@
+const { wrapWithKey, unwrapWithKey } = require('./keyWrap');
+
+/**
+ * KMS provider whose master keys are the environment keyring
+ * (ENCRYPTION_KEY and ENCRYPTION_PREVIOUS_KEYS). The default, and the only
+ * provider that needs no extra setup; anyone holding the env file can unwrap.
+ */
+class KeyringKmsProvider {
+  constructor(keyring) {
+    this.name = 'keyring';
+    this.keys = new Map(
+      Object.entries(keyring.keys).map(([keyId, key]) => [keyId, Buffer.from(key, 'utf8')])
+    );
+    this.currentKeyId = keyring.currentKeyId;
+  }
+
+  async wrapKey(dataKey) {
+    return { kid: this.currentKeyId, wrappedKey: wrapWithKey(this.keys.get(this.currentKeyId), dataKey) };
+  }
+
+  async unwrapKey(kid, wrappedKey) {
+    if (!this.keys.has(kid)) {
+      throw new Error(`unknown keyring key ID "${kid}"`);
+    }
+    return unwrapWithKey(this.keys.get(kid), wrappedKey);
+  }
+}
+
+module.exports = KeyringKmsProvider;
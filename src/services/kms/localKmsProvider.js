@@ -0,0 +1,43 @@
+const fs = require('fs');
+const logger = require('../../utils/logger');
+const { parseKmsKeySet } = require('../../core/keyring');
+const { wrapWithKey, unwrapWithKey } = require('./keyWrap');
+
+/**
+ * KMS provider emulating an HSM with master keys kept in a local key file
+ * (KMS_LOCAL_KEY_FILE, created with `npm run kms:local -- init`), apart from
+ * the env file. Master keys never leave the provider: callers only wrap and
+ * unwrap data keys. For self-hosting and tests; production deployments can
+ * put a cloud KMS behind the same interface.
+ */
+class LocalKmsProvider {
+  constructor(keyFile) {
+    if (!keyFile) {
+      throw new Error('KMS_LOCAL_KEY_FILE is required for the local KMS provider');
+    }
+
+    this.name = 'local';
+    const keySet = parseKmsKeySet(fs.readFileSync(keyFile, 'utf8'));
+    this.keys = new Map(
+      Object.entries(keySet.keys).map(([keyId, key]) => [keyId, Buffer.from(key, 'base64')])
+    );
+    this.currentKeyId = keySet.currentKeyId;
+
+    if (process.platform !== 'win32' && (fs.statSync(keyFile).mode & 0o077)) {
+      logger.security('KMS key file is readable by other users', { keyFile });
+    }
+  }
+
+  async wrapKey(dataKey) {
+    return { kid: this.currentKeyId, wrappedKey: wrapWithKey(this.keys.get(this.currentKeyId), dataKey) };
+  }
+
+  async unwrapKey(kid, wrappedKey) {
+    if (!this.keys.has(kid)) {
+      throw new Error(`unknown local KMS key ID "${kid}"`);
+    }
+    return unwrapWithKey(this.keys.get(kid), wrappedKey);
+  }
+}
+
+module.exports = LocalKmsProvider;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+
+const STATUS = {
+  PENDING: 'pending',
+  USED: 'used',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Pending "Confirm Payment" buttons.
+ *
+ * The payment details stay on the server and the button only carries a
+ * short random ID, so callback data cannot be edited to change the
+ * recipient or amount. A confirmation belongs to the user it was shown to,
+ * expires after TTL_MS and can be used once.
+ */
+class PaymentConfirmationService {
+  constructor() {
+    this.NAMESPACE = 'payment_confirmations';
+    this.TTL_MS = 10 * 60 * 1000;
+    this.USED_TTL_MS = 24 * 60 * 60 * 1000; // used confirmations are kept to answer late taps
+    this.STATUS = STATUS;
+  }
+
+  async createConfirmation(ownerId, { address, amount, currency = 'USDC', source }) {
+    const confirmationId = crypto.randomBytes(9).toString('base64url');
+    const confirmation = {
+      id: confirmationId,
+      owner: ownerId,
+      address,
+      amount,
+      currency,
+      source,
+      status: STATUS.PENDING,
+      created_at: new Date().toISOString()
+    };
+
+    await storageService.set(this.NAMESPACE, confirmationId, confirmation, { ttlMs: this.TTL_MS });
+    return confirmation;
+  }
+
+  // Returns a pending confirmation for its owner without using it
+  async getConfirmation(confirmationId, ownerId) {
+    const confirmation = await storageService.get(this.NAMESPACE, confirmationId);
+    if (!confirmation) {
+      throw new NotFoundError('Payment confirmation');
+    }
+    if (String(confirmation.owner) !== String(ownerId)) {
+      throw new AuthorizationError('This payment confirmation is not yours');
+    }
+    if (confirmation.status !== STATUS.PENDING) {
+      throw new ValidationError(`This payment was already ${confirmation.status === STATUS.USED ? 'confirmed' : 'cancelled'}`);
+    }
+    return confirmation;
+  }
+
+  /**
+   * Marks a confirmation as used. Only the first of several taps succeeds;
+   * the others get a ValidationError.
+   */
+  async useConfirmation(confirmationId, ownerId) {
+    return this._finish(confirmationId, ownerId, STATUS.USED);
+  }
+
+  async cancelConfirmation(confirmationId, ownerId) {
+    return this._finish(confirmationId, ownerId, STATUS.CANCELLED);
+  }
+
+  async _finish(confirmationId, ownerId, status) {
+    await this.getConfirmation(confirmationId, ownerId);
+
+    let applied = false;
+    const confirmation = await storageService.update(this.NAMESPACE, confirmationId, (current) => {
+      if (!current || current.status !== STATUS.PENDING) {
+        return undefined;
+      }
+      applied = true;
+      return { ...current, status, finished_at: new Date().toISOString() };
+    }, { ttlMs: this.USED_TTL_MS });
+
+    if (!applied) {
+      throw new ValidationError('This payment was already confirmed or cancelled');
+    }
+
+    logger.audit(`payment_confirmation_${status}`, ownerId, {
+      confirmationId,
+      address: confirmation.address,
+      amount: confirmation.amount,
+      source: confirmation.source
+    });
+    return confirmation;
+  }
+}
+
+module.exports = new PaymentConfirmationService();
@@ -0,0 +1,161 @@
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const { ValidationError } = require('../utils/errors');
+
+const STATUS = {
+  PENDING: 'pending', // recorded, not signed yet
+  SIGNED: 'signed', // nonce and hash known, may not have reached the network
+  BROADCAST: 'broadcast', // accepted by the RPC node, waiting for a receipt
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+const UNFINISHED = [STATUS.PENDING, STATUS.SIGNED, STATUS.BROADCAST];
+
+/**
+ * Payment outbox: a record of every outgoing USDC transfer, written before
+ * the transaction is signed and updated as it moves through
+ * signed -> broadcast -> confirmed/failed.
+ *
+ * If the process stops mid-payment, the unfinished entries tell
+ * arcService.recoverOutbox() what to reconcile against the chain at startup.
+ * Entries created with an idempotency key are reused, so retrying the same
+ * payment (e.g. a scheduled run or a request) never sends it twice.
+ */
+class PaymentOutboxService {
+  constructor() {
+    this.NAMESPACE = 'payment_outbox';
+    this.FINISHED_TTL_MS = 30 * 24 * 60 * 60 * 1000; // finished entries are kept for 30 days
+    this.STATUS = STATUS;
+    this.resolutionHandler = null;
+  }
+
+  // Called with entries that recovery confirmed or failed, to tell their owners
+  setResolutionHandler(handler) {
+    this.resolutionHandler = handler;
+  }
+
+  /**
+   * Records an intended transfer before it is signed.
+   * With an idempotency key, an earlier entry for the same payment is
+   * returned instead (check its status) unless it failed, in which case
+   * the payment may be tried again.
+   *
+   * @returns {Promise<{entry: Object, created: boolean}>}
+   */
+  async createEntry({ idempotencyKey = null, owner = null, from, to, amount, memo = null, context = null }) {
+    const id = idempotencyKey || `out_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+    const now = new Date().toISOString();
+    const fresh = {
+      id,
+      owner,
+      from,
+      to,
+      amount,
+      memo,
+      context,
+      status: STATUS.PENDING,
+      nonce: null,
+      hash: null,
+      hashes: [], // every signed version, including fee-bumped replacements
+      raw_tx: null,
+      error: null,
+      attempts: 1,
+      created_at: now,
+      updated_at: now
+    };
+
+    let created = false;
+    const entry = await storageService.update(this.NAMESPACE, id, (current) => {
+      if (current && current.status !== STATUS.FAILED) {
+        return undefined;
+      }
+      created = true;
+      return current ? { ...fresh, attempts: current.attempts + 1, created_at: current.created_at } : fresh;
+    });
+
+    if (!created) {
+      logger.info('Payment outbox entry reused', { id, status: entry.status });
+    }
+    return { entry, created };
+  }
+
+  async getEntry(id) {
+    return storageService.get(this.NAMESPACE, id);
+  }
+
+  // Also called for fee-bumped replacements, which keep the nonce but get a new hash
+  async markSigned(id, { nonce, hash, rawTx }) {
+    return this._update(id, (current) => ({
+      status: STATUS.SIGNED,
+      nonce,
+      hash,
+      hashes: [...this.getHashes(current).filter(known => known !== hash), hash],
+      raw_tx: rawTx
+    }));
+  }
+
+  async markBroadcast(id) {
+    return this._update(id, { status: STATUS.BROADCAST });
+  }
+
+  // hash is the version that was mined, if the transaction was replaced
+  async markConfirmed(id, { hash = null, blockNumber = null, gasUsed = null } = {}) {
+    return this._update(id, (current) => ({
+      status: STATUS.CONFIRMED,
+      hash: hash || current.hash,
+      block_number: blockNumber,
+      gas_used: gasUsed,
+      raw_tx: null
+    }), this.FINISHED_TTL_MS);
+  }
+
+  async markFailed(id, error) {
+    return this._update(id, { status: STATUS.FAILED, error, raw_tx: null }, this.FINISHED_TTL_MS);
+  }
+
+  async listUnfinished() {
+    const entries = await storageService.list(this.NAMESPACE);
+    return entries.map(({ value }) => value).filter(entry => UNFINISHED.includes(entry.status));
+  }
+
+  getHashes(entry) {
+    return entry.hashes || (entry.hash ? [entry.hash] : []);
+  }
+
+  isUnfinished(entry) {
+    return UNFINISHED.includes(entry.status);
+  }
+
+  // Throws for an entry that is still in flight; callers use this when reusing an entry
+  assertNotInFlight(entry) {
+    if (this.isUnfinished(entry)) {
+      throw new ValidationError('This payment is already being sent');
+    }
+  }
+
+  async notifyResolved(entry) {
+    if (!this.resolutionHandler || !entry.owner) {
+      return;
+    }
+    try {
+      await this.resolutionHandler(entry);
+    } catch (error) {
+      logger.warn('Payment outbox resolution handler failed', { id: entry.id, error: error.message });
+    }
+  }
+
+  // fields is an object or a function of the current entry
+  async _update(id, fields, ttlMs = undefined) {
+    const entry = await storageService.update(this.NAMESPACE, id, (current) => (
+      current
+        ? { ...current, ...(typeof fields === 'function' ? fields(current) : fields), updated_at: new Date().toISOString() }
+        : undefined
+    ), ttlMs ? { ttlMs } : {});
+
+    logger.info('Payment outbox entry updated', { id, status: entry?.status, hash: entry?.hash });
+    return entry;
+  }
+}
+
+module.exports = new PaymentOutboxService();
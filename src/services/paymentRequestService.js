@@ -0,0 +1,373 @@
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+const { REQUEST_STATUS: STATUS, DEFAULT_REQUEST_TTL_MS, buildPaymentRequest, withRequestStatus, isRequestExpired, systemClock } = require('../core');
+
+/**
+ * Payment request lifecycle: create, list, fulfil, decline, cancel and expire.
+ * Every status change is appended to request.history so a request can be
+ * audited from creation to its final state (including the paying tx hash).
+ */
+class PaymentRequestService {
+  constructor() {
+    this.NAMESPACE = 'payment_requests';
+    this.INDEX_NAMESPACE = 'payment_request_index'; // `${telegramId}:${requestId}` -> { role }
+    this.DEFAULT_TTL_MS = DEFAULT_REQUEST_TTL_MS;
+    this.CLAIM_TIMEOUT_MS = 10 * 60 * 1000; // a payer's in-flight claim is released after 10 minutes
+    this.REMINDER_INTERVAL_MS = 60 * 60 * 1000; // 1 hour between reminders
+    this.STATUS = STATUS;
+    this.statusChangeHandler = null;
+    this.clock = systemClock;
+  }
+
+  // Called with the updated request after every status change (e.g. to refresh split summaries)
+  setStatusChangeHandler(handler) {
+    this.statusChangeHandler = handler;
+  }
+
+  async createRequest({ requesterId, payerId, requesterAddress, amount, currency = 'USDC', reason = null, ttlMs = this.DEFAULT_TTL_MS, groupId = null }) {
+    const request = buildPaymentRequest({
+      requesterId,
+      payerId,
+      requesterAddress,
+      amount,
+      currency,
+      reason,
+      ttlMs,
+      groupId
+    }, this.clock);
+    const requestId = request.id;
+
+    await storageService.set(this.NAMESPACE, requestId, request);
+    await storageService.set(this.INDEX_NAMESPACE, `${requesterId}:${requestId}`, { role: 'sent' });
+    await storageService.set(this.INDEX_NAMESPACE, `${payerId}:${requestId}`, { role: 'received' });
+
+    logger.audit('payment_request_created', requesterId, {
+      requestId,
+      to: payerId,
+      amount,
+      currency,
+      reason
+    });
+
+    return request;
+  }
+
+  async getRequest(requestId) {
+    const request = await storageService.get(this.NAMESPACE, requestId);
+    if (request && this._isExpired(request)) {
+      return this.expireRequest(requestId);
+    }
+    return request;
+  }
+
+  /**
+   * Returns the user's requests split into sent and received.
+   * Only pending requests are returned unless a status filter is given.
+   */
+  async listRequests(telegramId, { status = STATUS.PENDING } = {}) {
+    const entries = await storageService.list(this.INDEX_NAMESPACE, { prefix: `${telegramId}:` });
+    const sent = [];
+    const received = [];
+
+    for (const { key, value } of entries) {
+      const requestId = key.substring(key.indexOf(':') + 1);
+      const request = await this.getRequest(requestId);
+
+      if (!request || (status && request.status !== status)) {
+        continue;
+      }
+
+      (value.role === 'sent' ? sent : received).push(request);
+    }
+
+    const byNewest = (a, b) => b.created_at.localeCompare(a.created_at);
+    return { sent: sent.sort(byNewest), received: received.sort(byNewest) };
+  }
+
+  /**
+   * Reserves a pending request for the payer while the transfer is in flight,
+   * so a second tap on "Pay Now" cannot send the payment twice.
+   */
+  async claimForPayment(requestId, payerId) {
+    const request = await this._requireRequest(requestId);
+
+    if (!this._isSameUser(request.to, payerId)) {
+      throw new AuthorizationError('This request is not for you');
+    }
+
+    let claimed = false;
+    const updated = await storageService.update(this.NAMESPACE, requestId, (current) => {
+      if (!current || current.status !== STATUS.PENDING) {
+        return undefined;
+      }
+      if (this._isClaimed(current)) {
+        return undefined;
+      }
+      claimed = true;
+      return { ...current, processing: { by: payerId, at: this.clock.now() } };
+    });
+
+    if (!claimed) {
+      this._assertPending(updated);
+      throw new ValidationError('This request is already being paid');
+    }
+
+    return updated;
+  }
+
+  async releaseClaim(requestId) {
+    await storageService.update(this.NAMESPACE, requestId, (current) => {
+      if (!current || !current.processing) {
+        return undefined;
+      }
+      const { processing, ...rest } = current;
+      return rest;
+    });
+  }
+
+  async fulfilRequest(requestId, payerId, txHash) {
+    // Read directly: a request that expired or closed while its transfer confirmed can still be paid
+    const stored = await storageService.get(this.NAMESPACE, requestId);
+    if (!stored) {
+      throw new NotFoundError('Payment request');
+    }
+    if (!this._isSameUser(stored.to, payerId)) {
+      throw new AuthorizationError('This request is not for you');
+    }
+
+    const request = await this._transition(requestId, STATUS.PAID, payerId, { tx_hash: txHash });
+
+    logger.audit('payment_request_fulfilled', payerId, {
+      requestId,
+      requester: request.from,
+      amount: request.amount,
+      txHash
+    });
+
+    return request;
+  }
+
+  async declineRequest(requestId, payerId) {
+    const request = await this._requireRequest(requestId);
+    if (!this._isSameUser(request.to, payerId)) {
+      throw new AuthorizationError('This request is not for you');
+    }
+
+    const declined = await this._transition(requestId, STATUS.DECLINED, payerId);
+
+    logger.audit('payment_request_declined', payerId, {
+      requestId,
+      requester: declined.from,
+      amount: declined.amount
+    });
+
+    return declined;
+  }
+
+  async cancelRequest(requestId, requesterId) {
+    const request = await this._requireRequest(requestId);
+    if (!this._isSameUser(request.from, requesterId)) {
+      throw new AuthorizationError('Only the requester can cancel this request');
+    }
+
+    const cancelled = await this._transition(requestId, STATUS.CANCELLED, requesterId);
+
+    logger.audit('payment_request_cancelled', requesterId, {
+      requestId,
+      payer: cancelled.to,
+      amount: cancelled.amount
+    });
+
+    return cancelled;
+  }
+
+  /**
+   * Records that the requester re-sent the request to the payer.
+   * Reminders are limited to one per REMINDER_INTERVAL_MS.
+   */
+  async recordReminder(requestId, requesterId) {
+    const request = await this._requireRequest(requestId);
+    if (!this._isSameUser(request.from, requesterId)) {
+      throw new AuthorizationError('Only the requester can send reminders');
+    }
+
+    let tooSoon = false;
+    const updated = await storageService.update(this.NAMESPACE, requestId, (current) => {
+      if (!current || current.status !== STATUS.PENDING) {
+        return undefined;
+      }
+      const lastReminder = current.last_reminded_at ? new Date(current.last_reminded_at).getTime() : 0;
+      if (this.clock.now() - lastReminder < this.REMINDER_INTERVAL_MS) {
+        tooSoon = true;
+        return undefined;
+      }
+      return { ...current, last_reminded_at: new Date(this.clock.now()).toISOString(), reminder_count: (current.reminder_count || 0) + 1 };
+    });
+
+    if (tooSoon) {
+      throw new ValidationError('A reminder was sent recently. Please wait before sending another.');
+    }
+    this._assertPending(updated);
+
+    logger.audit('payment_request_reminded', requesterId, {
+      requestId,
+      payer: updated.to,
+      reminderCount: updated.reminder_count
+    });
+
+    return updated;
+  }
+
+  async expireRequest(requestId) {
+    let expired = null;
+    const request = await storageService.update(this.NAMESPACE, requestId, (current) => {
+      if (!current || current.status !== STATUS.PENDING || !this._isExpired(current)) {
+        return undefined;
+      }
+      // Never expire a request while its payment is in flight
+      if (this._isClaimed(current)) {
+        return undefined;
+      }
+      expired = this._closeUnpaid(current, STATUS.EXPIRED, 'system');
+      return expired;
+    });
+
+    if (expired) {
+      logger.info('Payment request expired', { requestId });
+      await this._notifyStatusChange(request);
+    }
+    return request;
+  }
+
+  // Sweeps pending requests whose expiry has passed. Returns the newly expired requests.
+  async expireStaleRequests() {
+    const entries = await storageService.list(this.NAMESPACE);
+    const expired = [];
+
+    for (const { key, value } of entries) {
+      if (value.status === STATUS.PENDING && this._isExpired(value)) {
+        const request = await this.expireRequest(key);
+        if (request && request.status === STATUS.EXPIRED) {
+          expired.push(request);
+        }
+      }
+    }
+
+    return expired;
+  }
+
+  _isSameUser(a, b) {
+    return String(a) === String(b);
+  }
+
+  _isExpired(request) {
+    return isRequestExpired(request, this.clock);
+  }
+
+  // Whether a payer's transfer for the request may still be in flight
+  _isClaimed(request) {
+    return !!request.processing && this.clock.now() - request.processing.at < this.CLAIM_TIMEOUT_MS;
+  }
+
+  /**
+   * Declines, cancels or expires a request. A claim that timed out is kept as
+   * interrupted_claim: its transfer can still confirm, and then it marks the
+   * request paid after all (see _transition).
+   */
+  _closeUnpaid(request, status, actorId) {
+    const closed = this._applyStatus(request, status, actorId);
+    return request.processing ? { ...closed, interrupted_claim: request.processing } : closed;
+  }
+
+  _isPaidAfterClose(request, status, actorId) {
+    return status === STATUS.PAID &&
+      request.status !== STATUS.PAID &&
+      !!request.interrupted_claim &&
+      this._isSameUser(request.interrupted_claim.by, actorId);
+  }
+
+  _applyStatus(request, status, actorId, fields = {}) {
+    return withRequestStatus(request, status, actorId, fields, this.clock);
+  }
+
+  async _requireRequest(requestId) {
+    const request = await this.getRequest(requestId);
+    if (!request) {
+      throw new NotFoundError('Payment request');
+    }
+    this._assertPending(request);
+    return request;
+  }
+
+  _assertPending(request) {
+    if (!request) {
+      throw new NotFoundError('Payment request');
+    }
+    if (request.status !== STATUS.PENDING) {
+      throw new ValidationError(`This request is already ${request.status}`);
+    }
+  }
+
+  async _transition(requestId, status, actorId, fields = {}) {
+    let applied = false;
+    let claimed = false;
+    const request = await storageService.update(this.NAMESPACE, requestId, (current) => {
+      if (!current) {
+        return undefined;
+      }
+      if (current.status !== STATUS.PENDING) {
+        if (!this._isPaidAfterClose(current, status, actorId)) {
+          return undefined;
+        }
+        applied = true;
+        const { interrupted_claim: interruptedClaim, ...rest } = current;
+        return this._applyStatus(rest, status, actorId, fields);
+      }
+      if (status === STATUS.PAID) {
+        // A paid transfer is final even if the request expired while it was confirming
+        applied = true;
+        const { processing, ...rest } = current;
+        return this._applyStatus(rest, status, actorId, fields);
+      }
+      // The payer's transfer may already be broadcast: wait for it to settle
+      if (this._isClaimed(current)) {
+        claimed = true;
+        return undefined;
+      }
+      if (this._isExpired(current)) {
+        return undefined;
+      }
+      applied = true;
+      return this._closeUnpaid(current, status, actorId);
+    });
+
+    if (claimed) {
+      throw new ValidationError('This request is being paid right now. Try again in a few minutes.');
+    }
+
+    if (!applied) {
+      if (request && this._isExpired(request)) {
+        await this.expireRequest(requestId);
+        throw new ValidationError('This request has expired');
+      }
+      this._assertPending(request);
+    }
+
+    await this._notifyStatusChange(request);
+    return request;
+  }
+
+  async _notifyStatusChange(request) {
+    if (!this.statusChangeHandler) {
+      return;
+    }
+    try {
+      await this.statusChangeHandler(request);
+    } catch (error) {
+      logger.warn('Payment request status handler failed', { requestId: request.id, error: error.message });
+    }
+  }
+}
+
+module.exports = new PaymentRequestService();
@@ -0,0 +1,134 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const arcService = require('./arcService');
+
+const STATUS = {
+  PENDING: 'pending', // broadcast, not mined yet
+  CONFIRMED: 'confirmed', // mined; counting confirmations until config.tracker.confirmations
+  FAILED: 'failed',
+  DELAYED: 'delayed' // not mined after every fee bump; the payment outbox reports the outcome later
+};
+
+/**
+ * Follows payments submitted with arcService.submitUSDCPayment and hands
+ * every status change to the update handler (the bot controller edits the
+ * payment's Telegram message), so handlers can reply as soon as a payment is
+ * broadcast instead of waiting for it to be mined.
+ *
+ * Mined payments are polled for new blocks until they reach the configured
+ * number of confirmations. Tracking is in memory; payments interrupted by a
+ * restart are reported by the payment outbox recovery instead.
+ */
+class PaymentTrackerService {
+  constructor() {
+    this.STATUS = STATUS;
+    this.updateHandler = null;
+    this.confirming = new Map(); // hash -> tracked payment waiting for more confirmations
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  setUpdateHandler(handler) {
+    this.updateHandler = handler;
+  }
+
+  /**
+   * @param {{hash: string, completion: Promise<Object>}} submission - from arcService.submitUSDCPayment
+   * @param {Object} details - passed back to the update handler (chat, message, amount, recipient, ...)
+   * @returns {Object} the tracked payment, in its initial pending state
+   */
+  track(submission, details) {
+    const tracked = {
+      ...details,
+      hash: submission.hash,
+      status: STATUS.PENDING,
+      confirmations: 0,
+      targetConfirmations: config.tracker.confirmations,
+      final: false,
+      error: null
+    };
+
+    submission.completion.then(
+      result => this._onMined(tracked, result),
+      error => this._onFailed(tracked, error)
+    );
+    return tracked;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.confirming.clear();
+  }
+
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      const head = await arcService.getBlockNumber();
+      for (const [hash, tracked] of this.confirming) {
+        const confirmations = head - tracked.blockNumber + 1;
+        if (confirmations <= tracked.confirmations) {
+          continue;
+        }
+
+        tracked.confirmations = Math.min(confirmations, tracked.targetConfirmations);
+        tracked.final = tracked.confirmations >= tracked.targetConfirmations;
+        if (tracked.final) {
+          this.confirming.delete(hash);
+        }
+        await this._notify(tracked);
+      }
+    } catch (error) {
+      logger.warn('Payment tracker poll failed', { error: error.message });
+    } finally {
+      this.isPolling = false;
+      if (this.confirming.size === 0) {
+        this.stop();
+      }
+    }
+  }
+
+  async _onMined(tracked, result) {
+    tracked.status = STATUS.CONFIRMED;
+    tracked.hash = result.hash; // a fee-bumped replacement may have been mined instead
+    tracked.confirmations = 1;
+    tracked.blockNumber = result.receipt?.blockNumber ?? null;
+    // Duplicates (already sent earlier) have no fresh receipt to count from
+    tracked.final = tracked.blockNumber === null || tracked.targetConfirmations <= 1;
+    await this._notify(tracked);
+
+    if (!tracked.final) {
+      this.confirming.set(tracked.hash, tracked);
+      if (!this.timer) {
+        this.timer = setInterval(() => this.poll(), config.tracker.pollIntervalMs);
+      }
+    }
+  }
+
+  async _onFailed(tracked, error) {
+    // TIMEOUT leaves the outcome unknown (see arcService._waitForConfirmation)
+    tracked.status = error.code === 'TIMEOUT' ? STATUS.DELAYED : STATUS.FAILED;
+    tracked.error = error.message;
+    tracked.final = true;
+    await this._notify(tracked);
+  }
+
+  async _notify(tracked) {
+    if (!this.updateHandler) {
+      return;
+    }
+    try {
+      await this.updateHandler(tracked);
+    } catch (error) {
+      logger.warn('Payment status update failed', { hash: tracked.hash, status: tracked.status, error: error.message });
+    }
+  }
+}
+
+module.exports = new PaymentTrackerService();
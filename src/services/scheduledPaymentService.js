@@ -0,0 +1,367 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+
+const STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed'
+};
+
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+
+/**
+ * One-off and recurring USDC payments.
+ *
+ * Schedules are persisted in storage and a single cron job checks every minute
+ * for due runs and upcoming reminders, so schedules survive restarts. The bot
+ * controller registers the handlers that send reminders and execute runs.
+ * If the bot was down across several due dates, only one run is made and the
+ * schedule moves on to its next future date.
+ */
+class ScheduledPaymentService {
+  constructor() {
+    this.NAMESPACE = 'scheduled_payments';
+    this.INDEX_NAMESPACE = 'scheduled_payment_index'; // `${telegramId}:${scheduleId}` -> {}
+    this.REMINDER_LEAD_MS = 60 * 60 * 1000; // remind 1 hour before each run
+    this.CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+    this.MAX_ACTIVE_PER_USER = 20;
+    this.MAX_RUN_HISTORY = 20;
+    this.STATUS = STATUS;
+    this.FREQUENCIES = FREQUENCIES;
+
+    this.runHandler = null;
+    this.reminderHandler = null;
+    this.task = null;
+    this.isTicking = false;
+  }
+
+  setRunHandler(handler) {
+    this.runHandler = handler;
+  }
+
+  setReminderHandler(handler) {
+    this.reminderHandler = handler;
+  }
+
+  start() {
+    if (this.task) {
+      return;
+    }
+    this.task = cron.schedule('* * * * *', () => this.tick());
+    logger.info('Scheduled payments started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('Scheduled payments stopped');
+    }
+  }
+
+  async createSchedule({ ownerId, recipient, recipientDisplay, amount, currency = 'USDC', reason = null, frequency, firstRunAt }) {
+    if (!FREQUENCIES.includes(frequency)) {
+      throw new ValidationError(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+    if (firstRunAt.getTime() <= Date.now()) {
+      throw new ValidationError('The first payment must be in the future');
+    }
+
+    const active = (await this.listSchedules(ownerId)).filter(s => s.status !== STATUS.CANCELLED && s.status !== STATUS.COMPLETED);
+    if (active.length >= this.MAX_ACTIVE_PER_USER) {
+      throw new ValidationError(`You can have at most ${this.MAX_ACTIVE_PER_USER} scheduled payments`);
+    }
+
+    const now = new Date().toISOString();
+    const scheduleId = `sch_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const schedule = {
+      id: scheduleId,
+      owner: ownerId,
+      recipient,
+      recipient_display: recipientDisplay,
+      amount,
+      currency,
+      reason,
+      frequency,
+      anchor_day: firstRunAt.getUTCDate(), // monthly runs keep this day where the month allows
+      next_run_at: firstRunAt.toISOString(),
+      status: STATUS.ACTIVE,
+      reminded_for: null,
+      runs: [],
+      created_at: now,
+      updated_at: now
+    };
+
+    await storageService.set(this.NAMESPACE, scheduleId, schedule);
+    await storageService.set(this.INDEX_NAMESPACE, `${ownerId}:${scheduleId}`, {});
+
+    logger.audit('scheduled_payment_created', ownerId, {
+      scheduleId,
+      recipient,
+      amount,
+      frequency,
+      firstRunAt: schedule.next_run_at
+    });
+
+    return schedule;
+  }
+
+  async getSchedule(scheduleId) {
+    return storageService.get(this.NAMESPACE, scheduleId);
+  }
+
+  // Returns the user's schedules ordered by next run
+  async listSchedules(ownerId) {
+    const entries = await storageService.list(this.INDEX_NAMESPACE, { prefix: `${ownerId}:` });
+    const schedules = [];
+
+    for (const { key } of entries) {
+      const schedule = await this.getSchedule(key.substring(key.indexOf(':') + 1));
+      if (schedule) {
+        schedules.push(schedule);
+      }
+    }
+
+    return schedules.sort((a, b) => a.next_run_at.localeCompare(b.next_run_at));
+  }
+
+  async pauseSchedule(scheduleId, ownerId) {
+    return this._setStatus(scheduleId, ownerId, [STATUS.ACTIVE], STATUS.PAUSED);
+  }
+
+  async resumeSchedule(scheduleId, ownerId) {
+    return this._setStatus(scheduleId, ownerId, [STATUS.PAUSED], STATUS.ACTIVE, (schedule) => {
+      // Runs missed while paused are skipped, not paid late
+      let nextRun = new Date(schedule.next_run_at);
+      if (nextRun.getTime() <= Date.now()) {
+        if (schedule.frequency === 'once') {
+          throw new ValidationError('This one-off payment date has passed. Please create a new schedule.');
+        }
+        nextRun = this._nextFutureRun(schedule, nextRun);
+      }
+      return { next_run_at: nextRun.toISOString() };
+    });
+  }
+
+  async cancelSchedule(scheduleId, ownerId) {
+    return this._setStatus(scheduleId, ownerId, [STATUS.ACTIVE, STATUS.PAUSED], STATUS.CANCELLED);
+  }
+
+  async tick() {
+    if (this.isTicking) {
+      return;
+    }
+
+    this.isTicking = true;
+    try {
+      const now = Date.now();
+      const entries = await storageService.list(this.NAMESPACE);
+
+      for (const { key, value } of entries) {
+        if (value.status !== STATUS.ACTIVE) {
+          continue;
+        }
+
+        const runAt = new Date(value.next_run_at).getTime();
+        if (runAt <= now) {
+          await this._run(key);
+        } else if (runAt - now <= this.REMINDER_LEAD_MS && value.reminded_for !== value.next_run_at) {
+          await this._remind(key);
+        }
+      }
+    } catch (error) {
+      logger.error('Scheduled payments tick failed', { error: error.message });
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  async _remind(scheduleId) {
+    let marked = false;
+    const schedule = await storageService.update(this.NAMESPACE, scheduleId, (current) => {
+      if (!current || current.status !== STATUS.ACTIVE || current.reminded_for === current.next_run_at) {
+        return undefined;
+      }
+      marked = true;
+      return { ...current, reminded_for: current.next_run_at };
+    });
+
+    if (marked && this.reminderHandler) {
+      try {
+        await this.reminderHandler(schedule);
+      } catch (error) {
+        logger.warn('Scheduled payment reminder failed', { scheduleId, error: error.message });
+      }
+    }
+  }
+
+  async _run(scheduleId) {
+    const schedule = await this._claimRun(scheduleId);
+    if (!schedule) {
+      return;
+    }
+
+    let result;
+    try {
+      if (!this.runHandler) {
+        throw new Error('No run handler registered');
+      }
+      result = await this.runHandler(schedule);
+    } catch (error) {
+      result = { status: 'failed', error: error.message };
+    }
+
+    // The handler returns once the payment is sent; completion, if given, settles the run later
+    const { completion, ...outcome } = result;
+    await this._completeRun(scheduleId, outcome);
+
+    if (completion) {
+      completion
+        .then(final => this._recordOutcome(scheduleId, schedule.next_run_at, final))
+        .catch(error => {
+          logger.error('Could not record scheduled payment outcome', { scheduleId, error: error.message });
+        });
+    }
+  }
+
+  // Marks a due run as in progress so it is executed once, even with several instances
+  async _claimRun(scheduleId) {
+    let claimed = false;
+    const schedule = await storageService.update(this.NAMESPACE, scheduleId, (current) => {
+      if (!current || current.status !== STATUS.ACTIVE || new Date(current.next_run_at).getTime() > Date.now()) {
+        return undefined;
+      }
+      if (current.processing && Date.now() - current.processing.at < this.CLAIM_TIMEOUT_MS) {
+        return undefined;
+      }
+      claimed = true;
+      return { ...current, processing: { at: Date.now() } };
+    });
+
+    return claimed ? schedule : null;
+  }
+
+  async _completeRun(scheduleId, result) {
+    const schedule = await storageService.update(this.NAMESPACE, scheduleId, (current) => {
+      if (!current) {
+        return undefined;
+      }
+
+      const { processing, ...rest } = current;
+      const run = { at: new Date().toISOString(), due: current.next_run_at, ...result };
+      const updated = {
+        ...rest,
+        runs: [...(current.runs || []), run].slice(-this.MAX_RUN_HISTORY),
+        updated_at: run.at
+      };
+
+      // A schedule cancelled or paused mid-run keeps that status
+      if (current.status === STATUS.ACTIVE) {
+        if (current.frequency === 'once') {
+          updated.status = STATUS.COMPLETED;
+        } else {
+          updated.next_run_at = this._nextFutureRun(current, new Date(current.next_run_at)).toISOString();
+        }
+      }
+      return updated;
+    });
+
+    logger.audit('scheduled_payment_run', schedule.owner, {
+      scheduleId,
+      status: result.status,
+      txHash: result.txHash,
+      nextRunAt: schedule.status === STATUS.ACTIVE ? schedule.next_run_at : null
+    });
+
+    return schedule;
+  }
+
+  // Updates the history entry of the run that was due at `due` with its final outcome
+  async _recordOutcome(scheduleId, due, result) {
+    const schedule = await storageService.update(this.NAMESPACE, scheduleId, (current) => {
+      if (!current || !(current.runs || []).some(run => run.due === due)) {
+        return undefined;
+      }
+      return {
+        ...current,
+        runs: current.runs.map(run => (run.due === due ? { ...run, ...result } : run))
+      };
+    });
+
+    if (schedule) {
+      logger.audit('scheduled_payment_outcome', schedule.owner, {
+        scheduleId,
+        due,
+        status: result.status,
+        txHash: result.txHash
+      });
+    }
+    return schedule;
+  }
+
+  _nextFutureRun(schedule, from) {
+    let next = this._nextRun(schedule, from);
+    while (next.getTime() <= Date.now()) {
+      next = this._nextRun(schedule, next);
+    }
+    return next;
+  }
+
+  _nextRun(schedule, from) {
+    const next = new Date(from.getTime());
+    switch (schedule.frequency) {
+      case 'daily':
+        next.setUTCDate(next.getUTCDate() + 1);
+        return next;
+      case 'weekly':
+        next.setUTCDate(next.getUTCDate() + 7);
+        return next;
+      case 'monthly': {
+        // Clamp to the month's last day, e.g. 31 Jan -> 28 Feb -> 31 Mar
+        next.setUTCDate(1);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+        next.setUTCDate(Math.min(schedule.anchor_day, daysInMonth));
+        return next;
+      }
+      default:
+        throw new ValidationError(`Unknown frequency: ${schedule.frequency}`);
+    }
+  }
+
+  async _setStatus(scheduleId, ownerId, fromStatuses, status, extraFields = null) {
+    const existing = await this.getSchedule(scheduleId);
+    if (!existing) {
+      throw new NotFoundError('Scheduled payment');
+    }
+    if (String(existing.owner) !== String(ownerId)) {
+      throw new AuthorizationError('This scheduled payment is not yours');
+    }
+
+    let applied = false;
+    const schedule = await storageService.update(this.NAMESPACE, scheduleId, (current) => {
+      if (!current || !fromStatuses.includes(current.status)) {
+        return undefined;
+      }
+      applied = true;
+      return {
+        ...current,
+        ...(extraFields ? extraFields(current) : {}),
+        status,
+        updated_at: new Date().toISOString()
+      };
+    });
+
+    if (!applied) {
+      throw new ValidationError(`This scheduled payment is already ${schedule.status}`);
+    }
+
+    logger.audit('scheduled_payment_status_changed', ownerId, { scheduleId, status });
+    return schedule;
+  }
+}
+
+module.exports = new ScheduledPaymentService();
@@ -0,0 +1,66 @@
+const { ethers } = require('ethers');
+const encryption = require('../utils/encryption');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * An ethers signer for one user's wallet that holds only the encrypted
+ * private key. The key is decrypted inside each sign call, for that one
+ * transaction or message, and dropped when the call returns; everything else
+ * (address, gas estimates, nonces) works without it.
+ */
+class EncryptedKeySigner extends ethers.VoidSigner {
+  constructor(address, encryptedKey, owner, provider = null) {
+    super(address, provider);
+    // Not enumerable, so the blob stays out of logs and JSON
+    Object.defineProperty(this, 'encryptedKey', { value: encryptedKey });
+    this.owner = owner; // Telegram ID the key is bound to
+  }
+
+  connect(provider) {
+    return new EncryptedKeySigner(this.address, this.encryptedKey, this.owner, provider);
+  }
+
+  async signTransaction(tx) {
+    return this._withWallet(wallet => wallet.signTransaction(tx));
+  }
+
+  async signMessage(message) {
+    return this._withWallet(wallet => wallet.signMessage(message));
+  }
+
+  async signTypedData(domain, types, value) {
+    return this._withWallet(wallet => wallet.signTypedData(domain, types, value));
+  }
+
+  async _withWallet(sign) {
+    const wallet = new ethers.Wallet(await encryption.decrypt(this.encryptedKey, this.owner), this.provider);
+
+    if (wallet.address.toLowerCase() !== this.address.toLowerCase()) {
+      throw new ValidationError('Stored private key does not match the wallet address');
+    }
+    return sign(wallet);
+  }
+}
+
+/**
+ * Hands out signers for bot users. User lookups return the private key
+ * encrypted only; payments turn it back into a key here. The only other
+ * places are /backup (walletBackupService) and key rotation.
+ */
+class SignerService {
+  /**
+   * @param {Object} user - Auth0 user from auth0Service
+   * @returns {EncryptedKeySigner|null} null when the user has no wallet key
+   */
+  forUser(user) {
+    const address = user?.user_metadata?.arc_address;
+    const encryptedKey = user?.app_metadata?.arc_private_key_encrypted;
+
+    if (!address || !encryptedKey) {
+      return null;
+    }
+    return new EncryptedKeySigner(address, encryptedKey, user.user_metadata.telegram_id);
+  }
+}
+
+module.exports = new SignerService();
@@ -0,0 +1,421 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const encryption = require('../utils/encryption');
+const storageService = require('./storageService');
+const { ValidationError, NotFoundError, AuthorizationError, SpendingLimitError } = require('../utils/errors');
+
+// /limits argument -> settings field
+const LIMIT_TYPES = {
+  daily: 'daily',
+  weekly: 'weekly',
+  tx: 'per_transaction',
+  stepup: 'step_up_threshold'
+};
+
+const round = (amount) => Math.round(amount * 1e6) / 1e6;
+
+/**
+ * Per-user spending limits and step-up confirmation for large payments.
+ *
+ * Spending is tracked over rolling 24-hour and 7-day windows. A payment
+ * reserves its amount before it is sent and settles afterwards, so two
+ * payments in flight cannot both slip under a limit. Payments above the
+ * step-up threshold need the user's PIN, or a confirmation after a delay
+ * when no PIN is set. An approved step-up is a single-use grant for that
+ * one payment.
+ */
+class SpendingLimitService {
+  constructor() {
+    this.SETTINGS_NAMESPACE = 'spending_settings'; // telegramId -> limit overrides and PIN hash
+    this.USAGE_NAMESPACE = 'spending_usage'; // telegramId -> { entries: [{ id, amount, at }] }
+    this.CHALLENGE_NAMESPACE = 'step_up_challenges';
+    this.GRANT_NAMESPACE = 'step_up_grants'; // `${telegramId}:${actionKey}` -> approved step-up
+    this.DAY_MS = 24 * 60 * 60 * 1000;
+    this.WEEK_MS = 7 * this.DAY_MS;
+    this.CHALLENGE_TTL_MS = 10 * 60 * 1000;
+    this.GRANT_TTL_MS = 5 * 60 * 1000;
+    this.MAX_PIN_ATTEMPTS = 5;
+    this.PIN_LOCK_MS = 15 * 60 * 1000;
+    this.PIN_HASH_ROUNDS = 10; // bcrypt cost
+    this.LIMIT_TYPES = LIMIT_TYPES;
+  }
+
+  async getLimits(telegramId) {
+    const settings = await storageService.get(this.SETTINGS_NAMESPACE, telegramId) || {};
+    return {
+      daily: settings.daily ?? config.spending.dailyLimit,
+      weekly: settings.weekly ?? config.spending.weeklyLimit,
+      per_transaction: settings.per_transaction ?? config.spending.perTransactionLimit,
+      step_up_threshold: settings.step_up_threshold ?? config.spending.stepUpThreshold,
+      has_pin: !!settings.pin
+    };
+  }
+
+  // Amounts sent (or in flight) in the last 24 hours and 7 days
+  async getUsage(telegramId) {
+    const usage = await storageService.get(this.USAGE_NAMESPACE, telegramId);
+    return this._totals(usage?.entries || [], Date.now());
+  }
+
+  /**
+   * Changes one of the user's limits. Raising a limit weakens protection, so
+   * the controller puts increases through step-up first (see isIncrease).
+   *
+   * @param {string} type - a LIMIT_TYPES key: daily, weekly, tx or stepup
+   */
+  async setLimit(telegramId, type, amount) {
+    const field = this.validateLimit(await this.getLimits(telegramId), type, amount);
+
+    await storageService.update(this.SETTINGS_NAMESPACE, telegramId, (current) => ({
+      ...(current || {}),
+      [field]: round(amount),
+      updated_at: new Date().toISOString()
+    }));
+
+    logger.audit('spending_limit_changed', telegramId, { limit: field, amount: round(amount) });
+    return this.getLimits(telegramId);
+  }
+
+  // Throws unless the change keeps per-payment ≤ daily ≤ weekly. Returns the settings field.
+  validateLimit(limits, type, amount) {
+    const field = LIMIT_TYPES[type];
+    if (!field) {
+      throw new ValidationError(`Limit must be one of: ${Object.keys(LIMIT_TYPES).join(', ')}`);
+    }
+    if (!Number.isFinite(amount) || amount < 0 || (field !== 'step_up_threshold' && amount === 0)) {
+      throw new ValidationError('Invalid limit amount');
+    }
+
+    const updated = { ...limits, [field]: round(amount) };
+    if (updated.per_transaction > updated.daily || updated.daily > updated.weekly) {
+      throw new ValidationError('Limits must satisfy per-payment ≤ daily ≤ weekly');
+    }
+    return field;
+  }
+
+  isIncrease(limits, type, amount) {
+    const field = LIMIT_TYPES[type];
+    return !!field && amount > limits[field];
+  }
+
+  /**
+   * Checks a payment against the user's limits and reserves its amount.
+   * Returns { reservationId } when the payment can be sent now, or
+   * { stepUpRequired: true } when it needs a PIN or delayed confirmation first.
+   *
+   * @param {Object} options
+   * @param {string} options.actionKey - identifies the payment an approved step-up was for
+   * @param {number} [options.largestPayment] - the biggest single transfer, for batches
+   * @param {boolean} [options.skipStepUp] - for payments the user approved in advance (scheduled runs)
+   */
+  async authorizePayment(telegramId, amount, { actionKey, largestPayment = amount, skipStepUp = false } = {}) {
+    const limits = await this.getLimits(telegramId);
+    this._checkLimits(limits, amount, largestPayment, await this.getUsage(telegramId));
+
+    if (!skipStepUp && amount > limits.step_up_threshold && !(await this.consumeGrant(telegramId, actionKey))) {
+      return { stepUpRequired: true };
+    }
+
+    return { reservationId: await this._reserve(telegramId, amount, largestPayment, limits) };
+  }
+
+  /**
+   * Records what a reserved payment actually spent: 0 releases it (the
+   * transfer failed), a smaller amount keeps only the part that was sent.
+   */
+  async settleReservation(telegramId, reservationId, spentAmount) {
+    await storageService.update(this.USAGE_NAMESPACE, telegramId, (current) => {
+      if (!current || !current.entries.some(entry => entry.id === reservationId)) {
+        return undefined;
+      }
+      const entries = spentAmount > 0
+        ? current.entries.map(entry => (entry.id === reservationId ? { ...entry, amount: round(spentAmount) } : entry))
+        : current.entries.filter(entry => entry.id !== reservationId);
+      return { ...current, entries };
+    });
+  }
+
+  async setPin(telegramId, pin) {
+    if (!/^\d{4,8}$/.test(pin)) {
+      throw new ValidationError('The PIN must be 4 to 8 digits');
+    }
+
+    const hash = await bcrypt.hash(pin, this.PIN_HASH_ROUNDS);
+    await storageService.update(this.SETTINGS_NAMESPACE, telegramId, (current) => ({
+      ...(current || {}),
+      pin: { hash, set_at: new Date().toISOString() },
+      pin_failures: 0,
+      pin_locked_until: null
+    }));
+
+    logger.audit('step_up_pin_set', telegramId);
+  }
+
+  async removePin(telegramId) {
+    await storageService.update(this.SETTINGS_NAMESPACE, telegramId, (current) => {
+      if (!current || !current.pin) {
+        return undefined;
+      }
+      const { pin, pin_failures, pin_locked_until, ...rest } = current;
+      return rest;
+    });
+
+    logger.audit('step_up_pin_removed', telegramId);
+  }
+
+  /**
+   * Checks a PIN. After MAX_PIN_ATTEMPTS wrong PINs in a row the PIN is
+   * locked for PIN_LOCK_MS, and large payments wait until it unlocks.
+   * The bcrypt comparison is slow, so it runs before the attempt is recorded;
+   * a lock set by a concurrent guess in the meantime still wins.
+   *
+   * @returns {Promise<{valid: boolean, attemptsLeft: number}>}
+   */
+  async verifyPin(telegramId, pin) {
+    let outcome = null;
+    let lockedUntil = null;
+    let pinChanged = false;
+
+    const settings = await storageService.get(this.SETTINGS_NAMESPACE, telegramId);
+    if (!settings || !settings.pin) {
+      outcome = 'missing';
+    } else if (settings.pin_locked_until && settings.pin_locked_until > Date.now()) {
+      outcome = 'locked';
+      lockedUntil = settings.pin_locked_until;
+    } else {
+      const valid = await this._comparePin(settings.pin, pin);
+      // PINs hashed before bcrypt are rehashed once they are entered correctly
+      const upgraded = valid && settings.pin.salt
+        ? { hash: await bcrypt.hash(pin, this.PIN_HASH_ROUNDS), set_at: settings.pin.set_at }
+        : null;
+
+      await storageService.update(this.SETTINGS_NAMESPACE, telegramId, (current) => {
+        const now = Date.now();
+        if (!current || !current.pin) {
+          outcome = 'missing';
+          return undefined;
+        }
+        if (current.pin_locked_until && current.pin_locked_until > now) {
+          outcome = 'locked';
+          lockedUntil = current.pin_locked_until;
+          return undefined;
+        }
+        if (current.pin.hash !== settings.pin.hash) {
+          // Set again with /setpin while this one was being checked
+          pinChanged = true;
+          return undefined;
+        }
+
+        if (valid) {
+          outcome = { valid: true, attemptsLeft: this.MAX_PIN_ATTEMPTS };
+          if (!current.pin_failures && !upgraded) {
+            return undefined;
+          }
+          return { ...current, ...(upgraded ? { pin: upgraded } : {}), pin_failures: 0, pin_locked_until: null };
+        }
+
+        const failures = (current.pin_failures || 0) + 1;
+        if (failures >= this.MAX_PIN_ATTEMPTS) {
+          outcome = 'locked';
+          lockedUntil = now + this.PIN_LOCK_MS;
+          return { ...current, pin_failures: 0, pin_locked_until: lockedUntil };
+        }
+        outcome = { valid: false, attemptsLeft: this.MAX_PIN_ATTEMPTS - failures };
+        return { ...current, pin_failures: failures };
+      });
+    }
+
+    if (pinChanged) {
+      return this.verifyPin(telegramId, pin);
+    }
+    if (outcome === 'missing') {
+      throw new ValidationError('You have not set a PIN. Use /setpin to create one.');
+    }
+    if (outcome === 'locked') {
+      logger.audit('step_up_pin_locked', telegramId, { lockedUntil: new Date(lockedUntil).toISOString() });
+      const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+      throw new AuthorizationError(`Too many wrong PINs. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+    }
+    return outcome;
+  }
+
+  // Stored PINs are bcrypt hashes, or { salt, hash } SHA-256 from before bcrypt
+  async _comparePin(stored, pin) {
+    if (!stored.salt) {
+      return bcrypt.compare(pin, stored.hash);
+    }
+    const expected = Buffer.from(stored.hash, 'hex');
+    const actual = Buffer.from(encryption.hash(`${stored.salt}:${pin}`), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Starts a step-up for a payment. Users with a PIN confirm by entering it;
+   * others can confirm once config.spending.stepUpDelayMs has passed.
+   *
+   * @param {Object} params
+   * @param {string} params.actionKey - the same key the retried payment passes to authorizePayment
+   * @param {Object} params.resume - how to retry the payment: { callback } data or { command, args }
+   */
+  async createChallenge(telegramId, { amount, actionKey, description, resume }) {
+    const limits = await this.getLimits(telegramId);
+    const method = limits.has_pin ? 'pin' : 'delay';
+    const now = Date.now();
+
+    const challenge = {
+      id: `stp${now.toString(36)}${Math.random().toString(36).substr(2, 6)}`,
+      owner: telegramId,
+      method,
+      amount,
+      action_key: actionKey,
+      description,
+      resume,
+      verified: false,
+      not_before: method === 'delay' ? now + config.spending.stepUpDelayMs : now,
+      created_at: new Date(now).toISOString()
+    };
+
+    await storageService.set(this.CHALLENGE_NAMESPACE, challenge.id, challenge, { ttlMs: this.CHALLENGE_TTL_MS });
+    logger.audit('step_up_requested', telegramId, { challengeId: challenge.id, method, amount });
+    return challenge;
+  }
+
+  async getChallenge(challengeId, ownerId) {
+    const challenge = await storageService.get(this.CHALLENGE_NAMESPACE, challengeId);
+    if (!challenge || challenge.approved) {
+      throw new NotFoundError('Confirmation');
+    }
+    if (String(challenge.owner) !== String(ownerId)) {
+      throw new AuthorizationError('This confirmation is not yours');
+    }
+    return challenge;
+  }
+
+  // Records a correct PIN against a PIN challenge
+  async markVerified(challengeId) {
+    return storageService.update(this.CHALLENGE_NAMESPACE, challengeId, (current) =>
+      current ? { ...current, verified: true } : undefined
+    );
+  }
+
+  /**
+   * Completes a challenge and grants its payment one pass through step-up.
+   * Throws if the PIN has not been entered or the delay has not passed yet.
+   */
+  async approveChallenge(challengeId, ownerId) {
+    const challenge = await this.getChallenge(challengeId, ownerId);
+
+    if (challenge.method === 'pin' && !challenge.verified) {
+      throw new ValidationError('Reply with your PIN first');
+    }
+    const waitMs = challenge.not_before - Date.now();
+    if (waitMs > 0) {
+      throw new ValidationError(`Please wait ${Math.ceil(waitMs / 1000)} more seconds before confirming`);
+    }
+
+    // Only one tap can complete a challenge
+    let claimed = false;
+    await storageService.update(this.CHALLENGE_NAMESPACE, challengeId, (current) => {
+      if (!current || current.approved) {
+        return undefined;
+      }
+      claimed = true;
+      return { ...current, approved: true };
+    });
+    if (!claimed) {
+      throw new ValidationError('This confirmation was already used');
+    }
+
+    await storageService.set(this.GRANT_NAMESPACE, `${ownerId}:${challenge.action_key}`, {
+      challenge_id: challengeId,
+      used: false
+    }, { ttlMs: this.GRANT_TTL_MS });
+
+    logger.audit('step_up_approved', ownerId, { challengeId, method: challenge.method, amount: challenge.amount });
+    return challenge;
+  }
+
+  async cancelChallenge(challengeId, ownerId) {
+    await this.getChallenge(challengeId, ownerId);
+    await storageService.delete(this.CHALLENGE_NAMESPACE, challengeId);
+  }
+
+  async consumeGrant(telegramId, actionKey) {
+    let consumed = false;
+    await storageService.update(this.GRANT_NAMESPACE, `${telegramId}:${actionKey}`, (current) => {
+      if (!current || current.used) {
+        return undefined;
+      }
+      consumed = true;
+      return { ...current, used: true };
+    });
+    return consumed;
+  }
+
+  async _reserve(telegramId, amount, largestPayment, limits) {
+    const reservationId = `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    let limitError = null;
+
+    await storageService.update(this.USAGE_NAMESPACE, telegramId, (current) => {
+      const now = Date.now();
+      const entries = (current?.entries || []).filter(entry => now - entry.at < this.WEEK_MS);
+      try {
+        this._checkLimits(limits, amount, largestPayment, this._totals(entries, now));
+      } catch (error) {
+        limitError = error;
+        return undefined;
+      }
+      return { entries: [...entries, { id: reservationId, amount: round(amount), at: now }] };
+    }, { ttlMs: this.WEEK_MS });
+
+    if (limitError) {
+      throw limitError;
+    }
+    return reservationId;
+  }
+
+  _checkLimits(limits, amount, largestPayment, usage) {
+    if (largestPayment > limits.per_transaction) {
+      throw new SpendingLimitError(
+        `This is over your per-payment limit of ${limits.per_transaction} USDC.`,
+        'per_transaction',
+        limits.per_transaction
+      );
+    }
+    if (usage.daily + amount > limits.daily) {
+      const remaining = round(Math.max(0, limits.daily - usage.daily));
+      throw new SpendingLimitError(
+        `This would exceed your daily limit of ${limits.daily} USDC (${remaining} USDC left in the last 24 hours).`,
+        'daily',
+        remaining
+      );
+    }
+    if (usage.weekly + amount > limits.weekly) {
+      const remaining = round(Math.max(0, limits.weekly - usage.weekly));
+      throw new SpendingLimitError(
+        `This would exceed your weekly limit of ${limits.weekly} USDC (${remaining} USDC left in the last 7 days).`,
+        'weekly',
+        remaining
+      );
+    }
+  }
+
+  _totals(entries, now) {
+    let daily = 0;
+    let weekly = 0;
+    for (const entry of entries) {
+      const age = now - entry.at;
+      if (age < this.WEEK_MS) {
+        weekly += entry.amount;
+      }
+      if (age < this.DAY_MS) {
+        daily += entry.amount;
+      }
+    }
+    return { daily: round(daily), weekly: round(weekly) };
+  }
+}
+
+module.exports = new SpendingLimitService();
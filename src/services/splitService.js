@@ -0,0 +1,193 @@
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const paymentRequestService = require('./paymentRequestService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+
+const STATUS = {
+  OPEN: 'open', // some shares still pending
+  SETTLED: 'settled', // every share paid
+  CLOSED: 'closed' // nothing pending, but some shares were declined, cancelled or expired
+};
+
+/**
+ * Bill splits: one payment request per participant, linked by group_id.
+ * The initiator's own share (if they included themselves) needs no request
+ * and counts as settled. Group status is derived from the linked requests.
+ */
+class SplitService {
+  constructor() {
+    this.NAMESPACE = 'payment_splits';
+    this.MAX_PARTICIPANTS = 20;
+    this.STATUS = STATUS;
+  }
+
+  /**
+   * Works out each participant's share in USDC cents.
+   * Participants with a fixed amount keep it; the rest of the total is split
+   * equally between the others, with leftover cents going to the first ones.
+   *
+   * @param {number} total
+   * @param {Array<{amount: number|null}>} participants
+   * @returns {number[]} share amounts, in participant order
+   */
+  calculateShares(total, participants) {
+    const totalCents = Math.round(total * 100);
+    const fixed = participants.filter(p => p.amount !== null);
+    const fixedCents = fixed.reduce((sum, p) => sum + Math.round(p.amount * 100), 0);
+    const flexibleCount = participants.length - fixed.length;
+
+    if (fixedCents > totalCents || (flexibleCount === 0 && fixedCents !== totalCents)) {
+      throw new ValidationError(`The shares add up to ${(fixedCents / 100).toFixed(2)} but the total is ${total}`);
+    }
+
+    const remaining = totalCents - fixedCents;
+    const base = flexibleCount > 0 ? Math.floor(remaining / flexibleCount) : 0;
+    let leftover = flexibleCount > 0 ? remaining - base * flexibleCount : 0;
+
+    if (flexibleCount > 0 && base === 0) {
+      throw new ValidationError('The remaining amount is too small to split');
+    }
+
+    return participants.map(p => {
+      if (p.amount !== null) {
+        return Math.round(p.amount * 100) / 100;
+      }
+      const cents = base + (leftover > 0 ? 1 : 0);
+      leftover = Math.max(0, leftover - 1);
+      return cents / 100;
+    });
+  }
+
+  /**
+   * @param {Object} params
+   * @param {Array<{telegramId, displayName, amount, isInitiator}>} params.shares - amounts already calculated
+   */
+  async createSplit({ initiatorId, initiatorAddress, total, currency = 'USDC', reason = null, shares }) {
+    if (shares.length < 2) {
+      throw new ValidationError('A split needs at least two participants');
+    }
+    if (shares.length > this.MAX_PARTICIPANTS) {
+      throw new ValidationError(`A split can have at most ${this.MAX_PARTICIPANTS} participants`);
+    }
+
+    const splitId = `spl_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const storedShares = [];
+
+    for (const share of shares) {
+      let requestId = null;
+      if (!share.isInitiator) {
+        const request = await paymentRequestService.createRequest({
+          requesterId: initiatorId,
+          payerId: share.telegramId,
+          requesterAddress: initiatorAddress,
+          amount: share.amount,
+          currency,
+          reason,
+          groupId: splitId
+        });
+        requestId = request.id;
+      }
+
+      storedShares.push({
+        telegram_id: share.telegramId,
+        display_name: share.displayName,
+        amount: share.amount,
+        is_initiator: !!share.isInitiator,
+        request_id: requestId
+      });
+    }
+
+    const split = {
+      id: splitId,
+      initiator: initiatorId,
+      total,
+      currency,
+      reason,
+      shares: storedShares,
+      summary_message: null,
+      created_at: new Date().toISOString()
+    };
+
+    await storageService.set(this.NAMESPACE, splitId, split);
+
+    logger.audit('payment_split_created', initiatorId, {
+      splitId,
+      total,
+      participants: storedShares.length
+    });
+
+    return split;
+  }
+
+  async getSplit(splitId) {
+    return storageService.get(this.NAMESPACE, splitId);
+  }
+
+  // Remembers the initiator's summary message so it can be edited as shares settle
+  async setSummaryMessage(splitId, chatId, messageId) {
+    return storageService.update(this.NAMESPACE, splitId, (current) =>
+      current ? { ...current, summary_message: { chat_id: chatId, message_id: messageId } } : undefined
+    );
+  }
+
+  /**
+   * Returns the split with each share's current request status and the group totals
+   */
+  async getSplitStatus(splitId) {
+    const split = await this.getSplit(splitId);
+    if (!split) {
+      throw new NotFoundError('Split');
+    }
+
+    const shares = [];
+    for (const share of split.shares) {
+      const request = share.request_id ? await paymentRequestService.getRequest(share.request_id) : null;
+      shares.push({
+        ...share,
+        status: share.is_initiator ? paymentRequestService.STATUS.PAID : (request ? request.status : paymentRequestService.STATUS.CANCELLED),
+        tx_hash: request ? request.tx_hash : null
+      });
+    }
+
+    const paidCents = shares
+      .filter(share => share.status === paymentRequestService.STATUS.PAID)
+      .reduce((sum, share) => sum + Math.round(share.amount * 100), 0);
+    const pending = shares.some(share => share.status === paymentRequestService.STATUS.PENDING);
+    const allPaid = shares.every(share => share.status === paymentRequestService.STATUS.PAID);
+
+    return {
+      ...split,
+      shares,
+      paid: paidCents / 100,
+      outstanding: Math.round(split.total * 100 - paidCents) / 100,
+      status: allPaid ? STATUS.SETTLED : (pending ? STATUS.OPEN : STATUS.CLOSED)
+    };
+  }
+
+  // Cancels every share that is still pending
+  async cancelSplit(splitId, initiatorId) {
+    const split = await this.getSplit(splitId);
+    if (!split) {
+      throw new NotFoundError('Split');
+    }
+    if (String(split.initiator) !== String(initiatorId)) {
+      throw new AuthorizationError('Only the person who created the split can cancel it');
+    }
+
+    const cancelled = [];
+    for (const share of split.shares) {
+      if (!share.request_id) {
+        continue;
+      }
+      const request = await paymentRequestService.getRequest(share.request_id);
+      if (request && request.status === paymentRequestService.STATUS.PENDING) {
+        cancelled.push(await paymentRequestService.cancelRequest(share.request_id, initiatorId));
+      }
+    }
+
+    logger.audit('payment_split_cancelled', initiatorId, { splitId, cancelledShares: cancelled.length });
+    return cancelled;
+  }
+}
+
+module.exports = new SplitService();
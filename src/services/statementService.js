@@ -0,0 +1,178 @@
+const { ethers } = require('ethers');
+const arcService = require('./arcService');
+const transactionIndexService = require('./transactionIndexService');
+const { ValidationError } = require('../utils/errors');
+
+const CSV_COLUMNS = [
+  'date',
+  'direction',
+  'counterparty',
+  'counterparty_address',
+  'amount',
+  'currency',
+  'fee',
+  'memo',
+  'block',
+  'tx_hash',
+  'running_balance'
+];
+
+const FEE_SCALE = 10n ** 12n;
+const FEE_ROUNDING = FEE_SCALE / 2n;
+
+/**
+ * Builds CSV or JSON statements of a wallet's USDC transfers for reconciliation.
+ * Running balances are anchored on the current on-chain balance and worked
+ * backwards through later transfers and the network fees (paid in USDC on
+ * ARC) of those sent. Fees of transactions without a USDC transfer, e.g. made
+ * outside the bot with an imported wallet, are not known to the index.
+ */
+class StatementService {
+  constructor() {
+    this.FORMATS = ['csv', 'json'];
+  }
+
+  /**
+   * @param {string} address - wallet address
+   * @param {Object} options
+   * @param {Date|null} options.fromDate - inclusive start, null for the whole history
+   * @param {Date|null} options.toDate - exclusive end, null for now
+   * @param {string} options.format - 'csv' or 'json'
+   * @param {Function} options.resolveCounterparty - async (address) => display name or null
+   * @param {string|null} options.walletCreatedAt - wallet creation date, bounds the history scan
+   * @returns {Promise<{filename: string, contentType: string, content: string, count: number}|{pending: true}>}
+   *   pending while the history index does not cover the period yet; ask again to continue
+   */
+  async buildStatement(address, { fromDate = null, toDate = null, format = 'csv', resolveCounterparty = null, walletCreatedAt = null } = {}) {
+    if (!this.FORMATS.includes(format)) {
+      throw new ValidationError(`Unsupported format "${format}". Use csv or json.`);
+    }
+
+    const rows = await this._buildRows(address, { fromDate, toDate, resolveCounterparty, walletCreatedAt });
+    if (!rows) {
+      return { pending: true };
+    }
+    const period = `${this._day(fromDate) || 'start'}_${this._day(toDate ? new Date(toDate.getTime() - 1) : new Date())}`;
+    const filename = `arc-statement-${period}.${format}`;
+
+    if (format === 'json') {
+      return {
+        filename,
+        contentType: 'application/json',
+        content: JSON.stringify({
+          address,
+          from: fromDate ? fromDate.toISOString() : null,
+          to: toDate ? toDate.toISOString() : null,
+          generated_at: new Date().toISOString(),
+          opening_balance: rows.openingBalance,
+          closing_balance: rows.closingBalance,
+          currency: 'USDC',
+          transactions: rows.items
+        }, null, 2),
+        count: rows.items.length
+      };
+    }
+
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const item of rows.items) {
+      lines.push(CSV_COLUMNS.map(column => this._csvValue(item[column], column === 'memo')).join(','));
+    }
+
+    return {
+      filename,
+      contentType: 'text/csv',
+      content: lines.join('\n') + '\n',
+      count: rows.items.length
+    };
+  }
+
+  // Network fee of a sent transaction in USDC base units (6 decimals; gas is priced with 18)
+  async _fee(hash) {
+    const wei = await arcService.getTransactionFee(hash);
+    return (wei + FEE_ROUNDING) / FEE_SCALE;
+  }
+
+  // null while the index does not cover the period yet
+  async _buildRows(address, { fromDate, toDate, resolveCounterparty, walletCreatedAt }) {
+    const own = address.toLowerCase();
+    const { transfers, complete } = await transactionIndexService.getTransfersSince(address, fromDate, { walletCreatedAt });
+    if (!complete) {
+      return null;
+    }
+    const currentBalance = ethers.parseUnits((await arcService.getUSDCBalance(address)).toFixed(6), 6);
+
+    const delta = (transfer) => {
+      const value = ethers.parseUnits(transfer.amount, 6);
+      const incoming = transfer.to.toLowerCase() === own;
+      const outgoing = transfer.from.toLowerCase() === own;
+      return incoming === outgoing ? 0n : (incoming ? value : -value);
+    };
+
+    // A sent transaction's fee is charged once, on its first transfer row
+    const fees = new Array(transfers.length).fill(0n);
+    const charged = new Set();
+    for (let i = 0; i < transfers.length; i++) {
+      const transfer = transfers[i];
+      if (transfer.from.toLowerCase() === own && !charged.has(transfer.hash)) {
+        charged.add(transfer.hash);
+        fees[i] = await this._fee(transfer.hash);
+      }
+    }
+
+    // Balance after each transfer = current balance minus everything that came later
+    let balance = currentBalance;
+    const balances = new Array(transfers.length);
+    for (let i = transfers.length - 1; i >= 0; i--) {
+      balances[i] = balance;
+      balance = balance - delta(transfers[i]) + fees[i];
+    }
+
+    const openingBalance = balance;
+    let closingBalance = openingBalance;
+    const items = [];
+
+    for (let i = 0; i < transfers.length; i++) {
+      const transfer = transfers[i];
+      if (toDate && transfer.date >= toDate.toISOString()) {
+        break;
+      }
+
+      const outgoing = transfer.from.toLowerCase() === own;
+      const counterpartyAddress = outgoing ? transfer.to : transfer.from;
+      closingBalance = balances[i];
+
+      items.push({
+        date: transfer.date,
+        direction: outgoing ? 'sent' : 'received',
+        counterparty: resolveCounterparty ? (await resolveCounterparty(counterpartyAddress)) || '' : '',
+        counterparty_address: counterpartyAddress,
+        amount: transfer.amount,
+        currency: transfer.currency,
+        fee: outgoing ? ethers.formatUnits(fees[i], 6) : '',
+        memo: (await arcService.getTransactionMemo(transfer.hash)) || '',
+        block: transfer.blockNumber,
+        tx_hash: transfer.hash,
+        running_balance: ethers.formatUnits(balances[i], 6)
+      });
+    }
+
+    return {
+      items,
+      openingBalance: ethers.formatUnits(openingBalance, 6),
+      closingBalance: ethers.formatUnits(closingBalance, 6)
+    };
+  }
+
+  _csvValue(value, freeText = false) {
+    const text = value === null || value === undefined ? '' : String(value);
+    // Memos are user input: keep spreadsheets from evaluating them as formulas
+    const safe = freeText && /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+  }
+
+  _day(date) {
+    return date ? date.toISOString().slice(0, 10) : null;
+  }
+}
+
+module.exports = new StatementService();
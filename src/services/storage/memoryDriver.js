@@ -0,0 +1,115 @@
+/**
+ * In-memory storage driver.
+ * Used when no DATABASE_URL is configured and in tests. Data does not
+ * survive a restart and is not shared between bot instances.
+ */
+class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+    this.namespaces = new Map(); // namespace -> Map(key -> { value, expiresAt })
+  }
+
+  async connect() {
+    return true;
+  }
+
+  async disconnect() {
+    this.namespaces.clear();
+  }
+
+  _bucket(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  _readEntry(namespace, key) {
+    const bucket = this._bucket(namespace);
+    const entry = bucket.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      bucket.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  async get(namespace, key) {
+    const entry = this._readEntry(namespace, key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(namespace, key, value, expiresAt = null) {
+    this._bucket(namespace).set(key, {
+      value: JSON.stringify(value),
+      expiresAt
+    });
+  }
+
+  async setIfAbsent(namespace, key, value, expiresAt = null) {
+    if (this._readEntry(namespace, key)) {
+      return false;
+    }
+
+    await this.set(namespace, key, value, expiresAt);
+    return true;
+  }
+
+  async update(namespace, key, updater, expiresAt = undefined) {
+    const entry = this._readEntry(namespace, key);
+    const current = entry ? JSON.parse(entry.value) : null;
+    const next = updater(current);
+
+    if (next === undefined) {
+      return current;
+    }
+
+    await this.set(namespace, key, next, expiresAt === undefined ? (entry?.expiresAt || null) : expiresAt);
+    return next;
+  }
+
+  async delete(namespace, key) {
+    return this._bucket(namespace).delete(key);
+  }
+
+  async list(namespace, prefix = '') {
+    const results = [];
+
+    for (const key of [...this._bucket(namespace).keys()]) {
+      if (!key.startsWith(prefix)) {
+        continue;
+      }
+
+      const entry = this._readEntry(namespace, key);
+      if (entry) {
+        results.push({ key, value: JSON.parse(entry.value) });
+      }
+    }
+
+    return results.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let purged = 0;
+
+    for (const bucket of this.namespaces.values()) {
+      for (const [key, entry] of bucket.entries()) {
+        if (entry.expiresAt && entry.expiresAt <= now) {
+          bucket.delete(key);
+          purged++;
+        }
+      }
+    }
+
+    return purged;
+  }
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite storage driver (better-sqlite3).
+ * DATABASE_URL format: sqlite:./data/arc_bot.db or sqlite::memory:
+ * Suitable for a single host; several processes on that host may share the file.
+ */
+class SqliteDriver {
+  constructor(url) {
+    this.name = 'sqlite';
+    this.filename = url.replace(/^sqlite:(\/\/)?/, '') || ':memory:';
+    this.db = null;
+  }
+
+  async connect() {
+    const Database = require('better-sqlite3');
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS kv_store (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        expires_at INTEGER,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (namespace, key)
+      );
+      CREATE INDEX IF NOT EXISTS kv_store_expires_at ON kv_store (expires_at);
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value, expires_at FROM kv_store WHERE namespace = ? AND key = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO kv_store (namespace, key, value, expires_at, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at, updated_at = excluded.updated_at
+      `),
+      insertIgnore: this.db.prepare(`
+        INSERT INTO kv_store (namespace, key, value, expires_at, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (namespace, key) DO NOTHING
+      `),
+      deleteExpiredKey: this.db.prepare('DELETE FROM kv_store WHERE namespace = ? AND key = ? AND expires_at IS NOT NULL AND expires_at <= ?'),
+      delete: this.db.prepare('DELETE FROM kv_store WHERE namespace = ? AND key = ?'),
+      list: this.db.prepare(`
+        SELECT key, value FROM kv_store
+        WHERE namespace = ? AND substr(key, 1, ?) = ? AND (expires_at IS NULL OR expires_at > ?)
+        ORDER BY key
+      `),
+      purge: this.db.prepare('DELETE FROM kv_store WHERE expires_at IS NOT NULL AND expires_at <= ?')
+    };
+
+    return true;
+  }
+
+  async disconnect() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  _read(namespace, key) {
+    const row = this.statements.get.get(namespace, key);
+    if (!row || (row.expires_at && row.expires_at <= Date.now())) {
+      return null;
+    }
+    return row;
+  }
+
+  async get(namespace, key) {
+    const row = this._read(namespace, key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async set(namespace, key, value, expiresAt = null) {
+    this.statements.upsert.run(namespace, key, JSON.stringify(value), expiresAt, Date.now());
+  }
+
+  async setIfAbsent(namespace, key, value, expiresAt = null) {
+    const insert = this.db.transaction(() => {
+      this.statements.deleteExpiredKey.run(namespace, key, Date.now());
+      return this.statements.insertIgnore.run(namespace, key, JSON.stringify(value), expiresAt, Date.now());
+    });
+
+    return insert.immediate().changes === 1;
+  }
+
+  async update(namespace, key, updater, expiresAt = undefined) {
+    const apply = this.db.transaction(() => {
+      const row = this._read(namespace, key);
+      const current = row ? JSON.parse(row.value) : null;
+      const next = updater(current);
+
+      if (next === undefined) {
+        return current;
+      }
+
+      const nextExpiresAt = expiresAt === undefined ? (row?.expires_at || null) : expiresAt;
+      this.statements.upsert.run(namespace, key, JSON.stringify(next), nextExpiresAt, Date.now());
+      return next;
+    });
+
+    return apply.immediate();
+  }
+
+  async delete(namespace, key) {
+    return this.statements.delete.run(namespace, key).changes > 0;
+  }
+
+  async list(namespace, prefix = '') {
+    return this.statements.list
+      .all(namespace, prefix.length, prefix, Date.now())
+      .map(row => ({ key: row.key, value: JSON.parse(row.value) }));
+  }
+
+  async purgeExpired() {
+    return this.statements.purge.run(Date.now()).changes;
+  }
+}
+
+module.exports = SqliteDriver;
@@ -0,0 +1,164 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ExternalServiceError } = require('../utils/errors');
+const MemoryDriver = require('./storage/memoryDriver');
+
+/**
+ * Persistence layer for bot state (payment requests, memos, sessions, friends).
+ * Values are JSON documents grouped by namespace. The driver is chosen from
+ * DATABASE_URL: sqlite:<file>, postgres(ql)://..., or memory (default).
+ */
+class StorageService {
+  constructor() {
+    this.driver = null;
+    this.isConnected = false;
+    this.connecting = null;
+  }
+
+  createDriver(url) {
+    if (!url || url.startsWith('memory:')) {
+      return new MemoryDriver();
+    }
+
+    if (url.startsWith('sqlite:')) {
+      const SqliteDriver = require('./storage/sqliteDriver');
+      return new SqliteDriver(url);
+    }
+
+    if (url.startsWith('postgres://') || url.startsWith('postgresql://')) {
+      const PostgresDriver = require('./storage/postgresDriver');
+      return new PostgresDriver(url);
+    }
+
+    throw new Error(`Unsupported DATABASE_URL scheme: ${url.split(':')[0]}`);
+  }
+
+  async connect(url = config.database.url) {
+    try {
+      const driver = this.createDriver(url);
+      await driver.connect();
+
+      this.driver = driver;
+      this.isConnected = true;
+
+      if (driver.name === 'memory' && config.isProduction) {
+        logger.warn('Using in-memory storage in production; state will be lost on restart');
+      }
+
+      logger.info('Storage connected', { driver: driver.name });
+      return true;
+    } catch (error) {
+      logger.error('Failed to connect storage', {
+        error: error.message
+      });
+      throw new ExternalServiceError('Storage', error);
+    }
+  }
+
+  async disconnect() {
+    try {
+      if (this.driver) {
+        await this.driver.disconnect();
+        this.driver = null;
+        this.isConnected = false;
+        logger.info('Storage disconnected');
+      }
+    } catch (error) {
+      logger.error('Error disconnecting storage', {
+        error: error.message
+      });
+    }
+  }
+
+  async _getDriver() {
+    if (this.driver) {
+      return this.driver;
+    }
+
+    // Connect lazily so scripts and tests can use storage without the full bot startup
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+    return this.driver;
+  }
+
+  _expiresAt(options) {
+    return options.ttlMs ? Date.now() + options.ttlMs : null;
+  }
+
+  async get(namespace, key) {
+    const driver = await this._getDriver();
+    return driver.get(namespace, String(key));
+  }
+
+  async set(namespace, key, value, options = {}) {
+    const driver = await this._getDriver();
+    await driver.set(namespace, String(key), value, this._expiresAt(options));
+    return value;
+  }
+
+  /**
+   * Stores the value only if the key does not exist yet.
+   * Returns true when this call created the entry.
+   */
+  async setIfAbsent(namespace, key, value, options = {}) {
+    const driver = await this._getDriver();
+    return driver.setIfAbsent(namespace, String(key), value, this._expiresAt(options));
+  }
+
+  /**
+   * Atomic read-modify-write. The updater receives the current value (or null)
+   * and returns the new value, or undefined to leave the entry untouched.
+   * The updater must be synchronous.
+   */
+  async update(namespace, key, updater, options = {}) {
+    const driver = await this._getDriver();
+    const expiresAt = options.ttlMs ? this._expiresAt(options) : undefined;
+    return driver.update(namespace, String(key), updater, expiresAt);
+  }
+
+  async delete(namespace, key) {
+    const driver = await this._getDriver();
+    return driver.delete(namespace, String(key));
+  }
+
+  async list(namespace, options = {}) {
+    const driver = await this._getDriver();
+    return driver.list(namespace, options.prefix || '');
+  }
+
+  async purgeExpired() {
+    const driver = await this._getDriver();
+    const purged = await driver.purgeExpired();
+
+    if (purged > 0) {
+      logger.info('Purged expired storage entries', { purged });
+    }
+    return purged;
+  }
+
+  async healthCheck() {
+    try {
+      const key = `health_${Date.now()}`;
+      await this.set('health', key, { ok: true }, { ttlMs: 60 * 1000 });
+      const value = await this.get('health', key);
+      await this.delete('health', key);
+
+      if (!value || !value.ok) {
+        throw new Error('Storage read/write test failed');
+      }
+
+      return { status: 'healthy', service: 'Storage', driver: this.driver.name };
+    } catch (error) {
+      logger.error('Storage health check failed', {
+        error: error.message
+      });
+      return { status: 'unhealthy', service: 'Storage', error: error.message };
+    }
+  }
+}
+
+module.exports = new StorageService();
@@ -2,13 +2,28 @@ const TelegramBot = require('node-telegram-bot-api');
 const QRCode = require('qrcode');
 const config = require('../config');
 const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const walletImportService = require('./walletImportService');
 const { validateCommandArgs, parseRecipient, sanitizeTelegramMessage } = require('../utils/validation');
+const {
+  parseCommand,
+  buildBotPaymentLink,
+  buildWalletPaymentUri,
+  getUpdateChatId,
+  ChatQueue,
+  UPDATE_DEDUP_TTL_MS
+} = require('../core');
 const { ValidationError, RateLimitError } = require('../utils/errors');
 
 class TelegramService {
   constructor() {
     this.bot = null;
-    this.userSessions = new Map();
+    this.SESSION_NAMESPACE = 'sessions';
+    this.SESSION_TTL_MS = 30 * 60 * 1000; // 30 minutes of inactivity
+    this.UPDATE_NAMESPACE = 'telegram_updates'; // update_id -> { receivedAt }
+    // Session states whose input is a wallet secret or its password
+    this.SECRET_INPUT_STATES = ['import_secret', 'import_password', 'backup_password'];
+    this.chatQueue = new ChatQueue();
     this.commandHandlers = new Map();
     this.callbackHandlers = new Map();
     this.setupCommandHandlers();
@@ -50,9 +65,19 @@ class TelegramService {
     this.commandHandlers.set('balance', this.handleBalance.bind(this));
     this.commandHandlers.set('pay', this.handlePay.bind(this));
     this.commandHandlers.set('request', this.handleRequest.bind(this));
+    this.commandHandlers.set('requests', this.handleRequests.bind(this));
+    this.commandHandlers.set('split', this.handleSplit.bind(this));
+    this.commandHandlers.set('paymany', this.handlePayMany.bind(this));
     this.commandHandlers.set('qr', this.handleQR.bind(this));
     this.commandHandlers.set('myqr', this.handleMyQR.bind(this));
     this.commandHandlers.set('history', this.handleHistory.bind(this));
+    this.commandHandlers.set('export', this.handleExport.bind(this));
+    this.commandHandlers.set('schedule', this.handleSchedule.bind(this));
+    this.commandHandlers.set('schedules', this.handleSchedules.bind(this));
+    this.commandHandlers.set('limits', this.handleLimits.bind(this));
+    this.commandHandlers.set('setpin', this.handleSetPin.bind(this));
+    this.commandHandlers.set('backup', this.handleBackup.bind(this));
+    this.commandHandlers.set('import', this.handleImport.bind(this));
   }
 
   setupPollingHandlers() {
@@ -83,11 +108,11 @@ class TelegramService {
 
   async setWebhook() {
     try {
-      const webhookUrl = `${config.telegram.webhookUrl}/bot${config.telegram.token}`;
+      const webhookUrl = `${config.telegram.webhookUrl}${config.telegram.webhookPath}`;
       await this.bot.setWebHook(webhookUrl, {
         allowed_updates: ['message', 'callback_query'],
         drop_pending_updates: true,
-        secret_token: config.security.jwtSecret
+        secret_token: config.telegram.webhookSecret
       });
       
       logger.info('Telegram webhook set successfully', {
@@ -104,13 +129,25 @@ class TelegramService {
     }
   }
 
+  /**
+   * Handles a webhook or polling update. Redelivered updates (same update_id)
+   * are skipped, and one chat's updates are handled one at a time, in order.
+   * The queue is per process, so ordering holds within one bot instance.
+   */
   async processUpdate(update) {
     try {
-      if (update.message) {
-        await this.handleMessage(update.message);
-      } else if (update.callback_query) {
-        await this.handleCallbackQuery(update.callback_query);
+      if (!(await this._claimUpdate(update))) {
+        logger.warn('Duplicate Telegram update ignored', { updateId: update.update_id });
+        return;
       }
+
+      await this.chatQueue.run(getUpdateChatId(update), async () => {
+        if (update.message) {
+          await this.handleMessage(update.message);
+        } else if (update.callback_query) {
+          await this.handleCallbackQuery(update.callback_query);
+        }
+      });
     } catch (error) {
       logger.error('Error processing Telegram update', {
         updateId: update.update_id,
@@ -119,20 +156,37 @@ class TelegramService {
     }
   }
 
+  // Polling events carry no update_id; Telegram only redelivers webhook updates
+  async _claimUpdate(update) {
+    if (!Number.isInteger(update.update_id)) {
+      return true;
+    }
+
+    return storageService.setIfAbsent(
+      this.UPDATE_NAMESPACE,
+      update.update_id,
+      { receivedAt: Date.now() },
+      { ttlMs: UPDATE_DEDUP_TTL_MS }
+    );
+  }
+
   async handleMessage(message) {
     try {
       const chatId = message.chat.id;
       const userId = message.from.id;
       const text = sanitizeTelegramMessage(message.text);
 
+      // Only commands are named: other text may be a PIN or password
       logger.audit('message_received', userId, {
         chatId,
         messageId: message.message_id,
-        command: text?.split(' ')[0]
+        command: text?.startsWith('/') ? text.split(' ')[0] : undefined
       });
 
       // Check if it's a command
-      if (text && text.startsWith('/')) {
+      if (message.document) {
+        await this.handleDocument(message);
+      } else if (text && text.startsWith('/')) {
         await this.handleCommand(message, text);
       } else {
         // Handle non-command messages based on user session state
@@ -152,9 +206,8 @@ class TelegramService {
   }
 
   async handleCommand(message, text) {
-    const parts = text.split(' ');
-    const command = parts[0].substring(1).toLowerCase(); // Remove '/' prefix
-    const args = parts.slice(1);
+    // Arguments come from the first line; multi-line commands read message.text
+    const { command, args } = parseCommand(text);
 
     const handler = this.commandHandlers.get(command);
     if (handler) {
@@ -169,7 +222,13 @@ class TelegramService {
 
   async handleTextMessage(message, text) {
     const userId = message.from.id;
-    const session = this.userSessions.get(userId);
+    const session = await this.getUserSession(userId);
+
+    // A phrase or key sent outside /import must not reach any handler or the agent, or stay in the chat
+    if (!this.SECRET_INPUT_STATES.includes(session?.waitingFor) && walletImportService.looksLikeSecret(message.text)) {
+      await this.handleSecretMessage(message);
+      return;
+    }
 
     if (session && session.waitingFor) {
       // Handle context-specific input
@@ -180,6 +239,23 @@ class TelegramService {
         case 'payment_amount':
           await this.handlePaymentAmountInput(message, text);
           break;
+        case 'paymany_list':
+          await this.handlePayManyInput(message, text);
+          break;
+        case 'setpin_current':
+        case 'setpin_new':
+          await this.handleSetPinInput(message, text);
+          break;
+        case 'step_up_pin':
+          await this.handleStepUpPinInput(message, text);
+          break;
+        case 'backup_password':
+          await this.handleBackupPasswordInput(message, text);
+          break;
+        case 'import_secret':
+        case 'import_password':
+          await this.handleImportInput(message, text);
+          break;
         default:
           await this.sendMessage(
             message.chat.id,
@@ -191,6 +267,23 @@ class TelegramService {
     }
   }
 
+  async handleSecretMessage(message) {
+    await this.deleteMessage(message.chat.id, message.message_id);
+    logger.security('Wallet secret sent as plain message', { telegramId: message.from.id, chatId: message.chat.id });
+    await this.sendMessage(
+      message.chat.id,
+      '⚠️ That looked like a recovery phrase or private key, so I deleted it. Never send these to anyone. To use an existing wallet, start with /import.',
+      { parse_mode: undefined }
+    );
+  }
+
+  async handleDocument(message) {
+    await this.sendMessage(
+      message.chat.id,
+      "I'm not sure what to do with this file. Use /paymany before uploading a payment CSV."
+    );
+  }
+
   async handleDefaultText(message, text) {
     // This is the default behavior if the controller doesn't override it.
     await this.sendMessage(
@@ -255,6 +348,24 @@ class TelegramService {
   Examples:
   • /request @alice 10
   • /request bob 25 (using friend alias)
+/requests - View open requests (pay, decline, cancel or remind)
+/paymany - Pay several people at once (list or CSV upload)
+/split \\[total\\] \\[user1\\] \\[user2\\] ... \\[reason\\] - Split a bill
+  Examples:
+  • /split 90 me @alice bob dinner
+  • /split 100 @alice:60 @carol rent
+/schedule \\[recipient\\] \\[amount\\] \\[date|daily|weekly|monthly\\] - Schedule a payment
+  Examples:
+  • /schedule @alice 25 2025-07-01 09:00
+  • /schedule landlord 800 monthly 2025-07-01 rent
+/schedules - List, pause or cancel scheduled payments
+
+🔐 *Security:*
+/limits - View your spending limits
+/limits \\[daily|weekly|tx|stepup\\] \\[amount\\] - Change a limit
+/setpin - Set a PIN for large payments (/setpin off to remove)
+/backup - Back up your wallet (recovery phrase or keystore file)
+/import - Use an existing wallet (recovery phrase, private key or keystore)
 
 👥 *Friends:*
 /addfriend \\[alias\\] \\[target\\] - Add friend alias
@@ -271,7 +382,8 @@ class TelegramService {
   Examples:
   • /qr 10
   • /qr 25
-/history - View recent transactions
+/history \\[from\\] \\[to\\] - View transactions (e.g. /history 7d)
+/export \\[csv|json\\] \\[from\\] \\[to\\] - Download a statement file
 /network - Show network information
 /help - Show this message
 
@@ -296,6 +408,22 @@ class TelegramService {
     throw new Error('Request handler not implemented');
   }
 
+  async handleRequests(message, args) {
+    throw new Error('Requests handler not implemented');
+  }
+
+  async handleSplit(message, args) {
+    throw new Error('Split handler not implemented');
+  }
+
+  async handlePayMany(message, args) {
+    throw new Error('PayMany handler not implemented');
+  }
+
+  async handlePayManyInput(message, text) {
+    throw new Error('PayMany input handler not implemented');
+  }
+
   async handleQR(message, args) {
     throw new Error('QR handler not implemented');
   }
@@ -308,6 +436,50 @@ class TelegramService {
     throw new Error('History handler not implemented');
   }
 
+  async handleExport(message, args) {
+    throw new Error('Export handler not implemented');
+  }
+
+  async handleSchedule(message, args) {
+    throw new Error('Schedule handler not implemented');
+  }
+
+  async handleSchedules(message, args) {
+    throw new Error('Schedules handler not implemented');
+  }
+
+  async handleLimits(message, args) {
+    throw new Error('Limits handler not implemented');
+  }
+
+  async handleSetPin(message, args) {
+    throw new Error('SetPin handler not implemented');
+  }
+
+  async handleSetPinInput(message, text) {
+    throw new Error('SetPin input handler not implemented');
+  }
+
+  async handleBackup(message, args) {
+    throw new Error('Backup handler not implemented');
+  }
+
+  async handleBackupPasswordInput(message, text) {
+    throw new Error('Backup password input handler not implemented');
+  }
+
+  async handleImport(message, args) {
+    throw new Error('Import handler not implemented');
+  }
+
+  async handleImportInput(message, text) {
+    throw new Error('Import input handler not implemented');
+  }
+
+  async handleStepUpPinInput(message, text) {
+    throw new Error('Step-up PIN input handler not implemented');
+  }
+
   async handleQRAmountInput(message, text) {
     throw new Error('QR amount input handler not implemented');
   }
@@ -348,6 +520,53 @@ class TelegramService {
     }
   }
 
+  async sendDocument(chatId, content, filename, contentType, options = {}) {
+    try {
+      return await this.bot.sendDocument(chatId, Buffer.from(content), {
+        parse_mode: 'Markdown',
+        ...options
+      }, {
+        filename,
+        contentType
+      });
+    } catch (error) {
+      logger.error('Failed to send document', {
+        chatId,
+        filename,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Downloads a file sent to the bot, refusing anything larger than maxBytes
+  async downloadFile(fileId, maxBytes) {
+    try {
+      const file = await this.bot.getFile(fileId);
+      if (file.file_size && file.file_size > maxBytes) {
+        throw new ValidationError(`File is too large (max ${Math.round(maxBytes / 1024)} KB)`);
+      }
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of this.bot.getFileStream(fileId)) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          throw new ValidationError(`File is too large (max ${Math.round(maxBytes / 1024)} KB)`);
+        }
+        chunks.push(chunk);
+      }
+
+      return Buffer.concat(chunks);
+    } catch (error) {
+      logger.error('Failed to download file', {
+        fileId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   async editMessage(chatId, messageId, text, options = {}) {
     try {
       return await this.bot.editMessageText(text, {
@@ -366,6 +585,19 @@ class TelegramService {
     }
   }
 
+  async deleteMessage(chatId, messageId) {
+    try {
+      return await this.bot.deleteMessage(chatId, messageId);
+    } catch (error) {
+      logger.warn('Failed to delete message', {
+        chatId,
+        messageId,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
   async answerCallbackQuery(callbackQueryId, options = {}) {
     try {
       return await this.bot.answerCallbackQuery(callbackQueryId, options);
@@ -404,21 +636,10 @@ class TelegramService {
       
       if (type === 'bot') {
         // Bot-specific QR code - links to Telegram bot
-        const botUsername = config.telegram.botUsername;
-        uri = `https://t.me/${botUsername}?start=pay_${address}`;
-        if (amount && currency) {
-          uri += `_${amount}_${currency.toLowerCase()}`;
-        }
+        uri = buildBotPaymentLink(config.telegram.botUsername, address, amount, currency);
       } else {
-        // Standard wallet QR code - compatible with any EVM wallet
-        // Using EIP-681 standard for Ethereum payment requests
-        uri = `ethereum:${address}`;
-        
-        if (amount) {
-          // For USDC transfers, we need to specify the USDC contract
-          const usdcContract = '0x3600000000000000000000000000000000000000'; // ARC USDC contract
-          uri = `ethereum:${usdcContract}/transfer?address=${address}&uint256=${amount * 1000000}`; // Convert to 6 decimal places
-        }
+        // Standard wallet QR code - compatible with any EVM wallet (EIP-681)
+        uri = buildWalletPaymentUri(address, amount);
       }
 
       const qrBuffer = await QRCode.toBuffer(uri, {
@@ -469,20 +690,20 @@ class TelegramService {
     }
   }
 
-  // Session management
-  setUserSession(userId, sessionData) {
-    this.userSessions.set(userId, {
+  // Session management (persisted so multi-step flows survive restarts)
+  async setUserSession(userId, sessionData) {
+    await storageService.set(this.SESSION_NAMESPACE, userId, {
       ...sessionData,
       lastActivity: Date.now()
-    });
+    }, { ttlMs: this.SESSION_TTL_MS });
   }
 
-  getUserSession(userId) {
-    return this.userSessions.get(userId);
+  async getUserSession(userId) {
+    return await storageService.get(this.SESSION_NAMESPACE, userId);
   }
 
-  clearUserSession(userId) {
-    this.userSessions.delete(userId);
+  async clearUserSession(userId) {
+    await storageService.delete(this.SESSION_NAMESPACE, userId);
   }
 
   // Callback handler registration
@@ -0,0 +1,244 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const arcService = require('./arcService');
+const storageService = require('./storageService');
+
+/**
+ * Local index of USDC transfers per wallet address.
+ *
+ * Each address keeps one contiguous indexed block range [oldestBlock, latestBlock].
+ * New blocks are indexed forwards on every read; older blocks are backfilled
+ * backwards only as far as a page needs, so history is never limited to a
+ * fixed look-back window. Backfill stops at the wallet's creation block
+ * (floorBlock) or config.history.startBlock, whichever is later.
+ *
+ * One read scans at most MAX_RANGES_PER_REQUEST ranges. The indexed range is
+ * stored, so the next read carries on where the last one stopped.
+ */
+class TransactionIndexService {
+  constructor() {
+    this.NAMESPACE = 'tx_index'; // `${address}:${block}:${logIndex}` -> transfer
+    this.STATE_NAMESPACE = 'tx_index_state'; // address -> { oldestBlock, latestBlock, floorBlock }
+    this.MAX_RANGES_PER_SYNC = 20; // eth_getLogs ranges scanned per call, each way
+    this.MAX_RANGES_PER_REQUEST = 20; // eth_getLogs ranges scanned per page or statement, both ways together
+    this.CREATION_MARGIN_MS = 60 * 60 * 1000; // indexed before the wallet's creation time, for clock skew
+    this.PAGE_SIZE = 10;
+  }
+
+  /**
+   * Returns a page of transfers, newest first.
+   * Cursors are `${blockNumber}.${logIndex}` strings taken from a previous page.
+   * walletCreatedAt (ISO date, null if unknown or imported) bounds the backfill.
+   */
+  async getPage(address, { before = null, after = null, fromDate = null, toDate = null, limit = this.PAGE_SIZE, walletCreatedAt = null } = {}) {
+    const key = address.toLowerCase();
+    const budget = { ranges: this.MAX_RANGES_PER_REQUEST };
+    let state = await this.syncForward(key, { walletCreatedAt, budget });
+
+    const inRange = (transfer) =>
+      (!fromDate || transfer.date >= fromDate.toISOString()) &&
+      (!toDate || transfer.date < toDate.toISOString());
+
+    let older;
+    let newer;
+    for (;;) {
+      const transfers = (await this._listIndexed(key)).filter(inRange);
+      older = before ? transfers.filter(t => this._compare(t, before) < 0) : transfers;
+      newer = after ? transfers.filter(t => this._compare(t, after) > 0) : [];
+
+      // Backfill only when the page would otherwise come up short
+      if (after || older.length > limit || budget.ranges <= 0 || this._isComplete(state) || await this._reachedFromDate(state, fromDate)) {
+        break;
+      }
+
+      const previousOldest = state.oldestBlock;
+      state = await this.backfill(key, state, budget);
+      if (state.oldestBlock === previousOldest) {
+        break;
+      }
+    }
+
+    const page = after ? newer.slice(0, limit) : older.slice(-limit);
+    const transactions = page.reverse();
+
+    for (const transaction of transactions) {
+      transaction.memo = await arcService.getTransactionMemo(transaction.hash);
+    }
+
+    // An empty page keeps the cursors it was asked for, so paging can resume;
+    // an empty first page continues below the blocks scanned so far
+    const mayHaveOlder = !this._isComplete(state) && !(await this._reachedFromDate(state, fromDate));
+    const newerCursor = transactions.length > 0 ? this._cursor(transactions[0]) : after;
+    const olderCursor = transactions.length > 0
+      ? this._cursor(transactions[transactions.length - 1])
+      : before || (!after && mayHaveOlder ? `${state.oldestBlock}.0` : null);
+    const allIndexed = (await this._listIndexed(key)).filter(inRange);
+
+    return {
+      transactions,
+      newerCursor,
+      olderCursor,
+      hasNewer: !!newerCursor && allIndexed.some(t => this._compare(t, newerCursor) > 0),
+      hasOlder: allIndexed.some(t => !olderCursor || this._compare(t, olderCursor) < 0) || mayHaveOlder,
+      complete: this._isComplete(state),
+      oldestIndexedBlock: state.oldestBlock
+    };
+  }
+
+  /**
+   * Returns every transfer from fromDate (or the start of the index) up to the
+   * chain head, oldest first, indexing what is missing within one request's
+   * budget. `complete` is false while part of that range is still unindexed;
+   * calling again continues the scan.
+   *
+   * @returns {Promise<{ transfers: Object[], complete: boolean }>}
+   */
+  async getTransfersSince(address, fromDate = null, { walletCreatedAt = null } = {}) {
+    const key = address.toLowerCase();
+    const head = await arcService.getBlockNumber();
+    const budget = { ranges: this.MAX_RANGES_PER_REQUEST };
+
+    let state = await this.syncForward(key, { walletCreatedAt, budget });
+    while (state.latestBlock < head && budget.ranges > 0) {
+      state = await this.syncForward(key, { budget });
+    }
+    while (budget.ranges > 0 && !this._isComplete(state) && !(await this._reachedFromDate(state, fromDate))) {
+      state = await this.backfill(key, state, budget);
+    }
+
+    const complete = state.latestBlock >= head &&
+      (this._isComplete(state) || await this._reachedFromDate(state, fromDate));
+    const transfers = await this._listIndexed(key);
+    return {
+      transfers: fromDate ? transfers.filter(t => t.date >= fromDate.toISOString()) : transfers,
+      complete
+    };
+  }
+
+  // Indexes blocks added since the last read, in bounded steps
+  async syncForward(key, { walletCreatedAt = null, budget = null } = {}) {
+    const head = await arcService.getBlockNumber();
+    let state = await storageService.get(this.STATE_NAMESPACE, key);
+
+    if (!state) {
+      // Start empty just above the head; older blocks are backfilled on demand
+      state = { oldestBlock: head + 1, latestBlock: head, floorBlock: await this._creationBlock(walletCreatedAt) };
+      await storageService.set(this.STATE_NAMESPACE, key, state);
+      return state;
+    }
+
+    if (state.floorBlock === undefined && walletCreatedAt) {
+      // Indexed before floors were recorded
+      state = await this._saveState(key, { floorBlock: await this._creationBlock(walletCreatedAt) });
+    }
+
+    for (let i = 0; i < this.MAX_RANGES_PER_SYNC && state.latestBlock < head && this._spend(budget); i++) {
+      const fromBlock = state.latestBlock + 1;
+      const toBlock = Math.min(head, state.latestBlock + config.history.blockRange);
+      await this._indexRange(key, fromBlock, toBlock);
+      state = await this._saveState(key, { latestBlock: toBlock });
+    }
+
+    return state;
+  }
+
+  // Indexes older blocks below the indexed range, in bounded steps
+  async backfill(key, state, budget = null) {
+    const wasComplete = this._isComplete(state);
+
+    for (let i = 0; i < this.MAX_RANGES_PER_SYNC && !this._isComplete(state) && this._spend(budget); i++) {
+      const toBlock = state.oldestBlock - 1;
+      const fromBlock = Math.max(this._floor(state), toBlock - config.history.blockRange + 1);
+      const found = await this._indexRange(key, fromBlock, toBlock);
+      state = await this._saveState(key, { oldestBlock: fromBlock });
+
+      if (found > 0) {
+        break;
+      }
+    }
+
+    if (!wasComplete && this._isComplete(state)) {
+      logger.info('Transaction index backfill complete', { address: key });
+    }
+    return state;
+  }
+
+  async _indexRange(key, fromBlock, toBlock) {
+    const transfers = await arcService.getTransferLogs(key, fromBlock, toBlock);
+    const timestamps = new Map();
+
+    for (const transfer of transfers) {
+      if (!timestamps.has(transfer.blockNumber)) {
+        timestamps.set(transfer.blockNumber, await arcService.getBlockTimestamp(transfer.blockNumber));
+      }
+
+      await storageService.set(this.NAMESPACE, this._entryKey(key, transfer), {
+        ...transfer,
+        date: timestamps.get(transfer.blockNumber)
+      });
+    }
+
+    return transfers.length;
+  }
+
+  async _saveState(key, fields) {
+    return storageService.update(this.STATE_NAMESPACE, key, (current) => ({ ...current, ...fields }));
+  }
+
+  async _listIndexed(key) {
+    const entries = await storageService.list(this.NAMESPACE, { prefix: `${key}:` });
+    return entries.map(entry => entry.value);
+  }
+
+  // Takes one range from the request's budget; false once it is used up
+  _spend(budget) {
+    if (!budget) {
+      return true;
+    }
+    if (budget.ranges <= 0) {
+      return false;
+    }
+    budget.ranges--;
+    return true;
+  }
+
+  _floor(state) {
+    return Math.max(config.history.startBlock, state.floorBlock || 0);
+  }
+
+  _isComplete(state) {
+    return state.oldestBlock <= this._floor(state);
+  }
+
+  // First block at or after the wallet's creation, or null when unknown
+  async _creationBlock(walletCreatedAt) {
+    if (!walletCreatedAt) {
+      return null;
+    }
+    return arcService.findBlockByTimestamp(new Date(new Date(walletCreatedAt).getTime() - this.CREATION_MARGIN_MS));
+  }
+
+  // True once the indexed range reaches back past the requested start date
+  async _reachedFromDate(state, fromDate) {
+    if (!fromDate || state.oldestBlock > state.latestBlock) {
+      return false;
+    }
+    return (await arcService.getBlockTimestamp(state.oldestBlock)) < fromDate.toISOString();
+  }
+
+  // Zero-padded so storage key order matches chain order
+  _entryKey(key, transfer) {
+    return `${key}:${String(transfer.blockNumber).padStart(12, '0')}:${String(transfer.logIndex).padStart(6, '0')}`;
+  }
+
+  _cursor(transfer) {
+    return `${transfer.blockNumber}.${transfer.logIndex}`;
+  }
+
+  _compare(transfer, cursor) {
+    const [blockNumber, logIndex] = cursor.split('.').map(Number);
+    return transfer.blockNumber - blockNumber || transfer.logIndex - logIndex;
+  }
+}
+
+module.exports = new TransactionIndexService();
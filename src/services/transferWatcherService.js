@@ -0,0 +1,236 @@
+const { ethers } = require('ethers');
+const config = require('../config');
+const logger = require('../utils/logger');
+const arcService = require('./arcService');
+const storageService = require('./storageService');
+const addressRegistryService = require('./addressRegistryService');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+/**
+ * Polls ARC for USDC Transfer logs sent to registered wallets and hands each
+ * one to the registered transfer handler (the bot controller notifies users).
+ * The last processed block is checkpointed in storage, and every notification
+ * is recorded once, so restarts neither skip nor repeat transfers. A transfer
+ * whose handler fails is queued and retried on the next polls.
+ */
+class TransferWatcherService {
+  constructor() {
+    this.STATE_NAMESPACE = 'watcher_state';
+    this.CHECKPOINT_KEY = 'incoming_transfers';
+    this.NOTIFIED_NAMESPACE = 'transfer_notifications';
+    this.NOTIFIED_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.RETRY_NAMESPACE = 'transfer_notification_retries';
+    this.MAX_NOTIFY_ATTEMPTS = 5;
+    this.ADDRESS_CHUNK_SIZE = 100; // recipient topics per eth_getLogs call
+
+    this.transferHandler = null;
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  setTransferHandler(handler) {
+    this.transferHandler = handler;
+  }
+
+  async start() {
+    if (!config.watcher.enabled) {
+      logger.info('Transfer watcher disabled');
+      return;
+    }
+
+    try {
+      await addressRegistryService.syncFromAuth0();
+    } catch (error) {
+      // The registry still holds every address registered since the last sync
+      logger.warn('Address registry sync failed, using stored registry', { error: error.message });
+    }
+
+    this.timer = setInterval(() => this.poll(), config.watcher.pollIntervalMs);
+    logger.info('Transfer watcher started', { pollIntervalMs: config.watcher.pollIntervalMs });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Transfer watcher stopped');
+    }
+  }
+
+  async getCheckpoint() {
+    const state = await storageService.get(this.STATE_NAMESPACE, this.CHECKPOINT_KEY);
+    return state ? state.lastBlock : null;
+  }
+
+  async saveCheckpoint(lastBlock) {
+    await storageService.set(this.STATE_NAMESPACE, this.CHECKPOINT_KEY, {
+      lastBlock,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Marks a transfer as already announced, e.g. when a payment flow has sent
+   * its own richer message. Returns false if it was already marked.
+   */
+  async markNotified(txHash, recipientAddress) {
+    return storageService.setIfAbsent(
+      this.NOTIFIED_NAMESPACE,
+      this.notificationKey(txHash, recipientAddress),
+      { notifiedAt: new Date().toISOString() },
+      { ttlMs: this.NOTIFIED_TTL_MS }
+    );
+  }
+
+  notificationKey(txHash, recipientAddress) {
+    return `${txHash.toLowerCase()}:${recipientAddress.toLowerCase()}`;
+  }
+
+  async poll() {
+    if (this.isPolling || !arcService.isConnected) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      const latestBlock = await arcService.provider.getBlockNumber();
+      const safeBlock = latestBlock - config.watcher.confirmations;
+      const checkpoint = await this.getCheckpoint();
+
+      await this.retryFailed();
+
+      // First run: start from the current head instead of replaying the chain
+      if (checkpoint === null) {
+        await this.saveCheckpoint(safeBlock);
+        logger.info('Transfer watcher checkpoint initialised', { block: safeBlock });
+        return;
+      }
+
+      if (safeBlock <= checkpoint) {
+        return;
+      }
+
+      const fromBlock = checkpoint + 1;
+      const toBlock = Math.min(safeBlock, checkpoint + config.watcher.maxBlockRange);
+      const registered = await addressRegistryService.listAddresses();
+
+      if (registered.length > 0) {
+        const transfers = await this.fetchIncomingTransfers(registered, fromBlock, toBlock);
+        for (const transfer of transfers) {
+          await this.dispatch(transfer);
+        }
+      }
+
+      await this.saveCheckpoint(toBlock);
+    } catch (error) {
+      logger.error('Transfer watcher poll failed', { error: error.message });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async fetchIncomingTransfers(registered, fromBlock, toBlock) {
+    const owners = new Map(registered.map(entry => [entry.address.toLowerCase(), entry]));
+    const addresses = [...owners.values()].map(entry => entry.address);
+    const transfers = [];
+
+    for (let i = 0; i < addresses.length; i += this.ADDRESS_CHUNK_SIZE) {
+      const chunk = addresses.slice(i, i + this.ADDRESS_CHUNK_SIZE);
+      const logs = await arcService.provider.getLogs({
+        address: arcService.USDC_CONTRACT_ADDRESS,
+        fromBlock,
+        toBlock,
+        topics: [TRANSFER_TOPIC, null, chunk.map(address => ethers.zeroPadValue(address, 32))]
+      });
+
+      for (const log of logs) {
+        const from = ethers.getAddress(ethers.dataSlice(log.topics[1], 12));
+        const to = ethers.getAddress(ethers.dataSlice(log.topics[2], 12));
+
+        transfers.push({
+          hash: log.transactionHash,
+          logIndex: log.index,
+          blockNumber: log.blockNumber,
+          from,
+          to,
+          amount: arcService.formatUSDC(BigInt(log.data)),
+          currency: 'USDC',
+          recipient: owners.get(to.toLowerCase())
+        });
+      }
+    }
+
+    return transfers.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Notifies the recipient once. The transfer is marked before the handler
+   * runs so a payment flow cannot announce it too; if the handler fails the
+   * mark is removed and the transfer queued for a later poll.
+   */
+  async dispatch(transfer, attempts = 0) {
+    const key = this.notificationKey(transfer.hash, transfer.to);
+    const firstNotice = await this.markNotified(transfer.hash, transfer.to);
+    if (!firstNotice || !this.transferHandler) {
+      if (attempts > 0) {
+        await storageService.delete(this.RETRY_NAMESPACE, key);
+      }
+      return;
+    }
+
+    try {
+      await this.transferHandler(transfer);
+      if (attempts > 0) {
+        await storageService.delete(this.RETRY_NAMESPACE, key);
+      }
+    } catch (error) {
+      await storageService.delete(this.NOTIFIED_NAMESPACE, key);
+
+      const attempt = attempts + 1;
+      if (attempt >= this.MAX_NOTIFY_ATTEMPTS) {
+        await storageService.delete(this.RETRY_NAMESPACE, key);
+        logger.error('Incoming transfer handler failed, giving up', {
+          txHash: transfer.hash,
+          attempts: attempt,
+          error: error.message
+        });
+        return;
+      }
+
+      await storageService.set(this.RETRY_NAMESPACE, key, { transfer, attempts: attempt }, {
+        ttlMs: this.NOTIFIED_TTL_MS
+      });
+      logger.error('Incoming transfer handler failed, will retry', {
+        txHash: transfer.hash,
+        attempts: attempt,
+        error: error.message
+      });
+    }
+  }
+
+  async retryFailed() {
+    const entries = await storageService.list(this.RETRY_NAMESPACE);
+    for (const { value } of entries) {
+      await this.dispatch(value.transfer, value.attempts);
+    }
+  }
+
+  async healthCheck() {
+    if (!config.watcher.enabled) {
+      return { status: 'healthy', service: 'TransferWatcher', enabled: false };
+    }
+
+    try {
+      return {
+        status: this.timer ? 'healthy' : 'unhealthy',
+        service: 'TransferWatcher',
+        lastBlock: await this.getCheckpoint()
+      };
+    } catch (error) {
+      return { status: 'unhealthy', service: 'TransferWatcher', error: error.message };
+    }
+  }
+}
+
+module.exports = new TransferWatcherService();
@@ -0,0 +1,139 @@
+const { ethers } = require('ethers');
+const config = require('../config');
+const logger = require('../utils/logger');
+const encryption = require('../utils/encryption');
+const storageService = require('./storageService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Lets users take custody of their wallet: the recovery phrase, or the
+ * private key as an encrypted JSON keystore. Besides signing
+ * (signerService) and key rotation, this is the only place stored keys are
+ * decrypted.
+ *
+ * Messages carrying either are deleted after BACKUP_MESSAGE_TTL_MS. Pending
+ * deletions are persisted, so they still happen after a restart; the bot
+ * controller registers the handler that deletes the message.
+ */
+class WalletBackupService {
+  constructor() {
+    this.NAMESPACE = 'backup_messages'; // `${chatId}:${messageId}` -> { chatId, messageId, deleteAt }
+    this.MIN_PASSWORD_LENGTH = 10;
+    this.MAX_PASSWORD_LENGTH = 128;
+    this.messageTtlMs = config.backup.messageTtlMs;
+    this.timers = new Map();
+    this.deleteHandler = null;
+  }
+
+  setDeleteHandler(handler) {
+    this.deleteHandler = handler;
+  }
+
+  // Re-arms deletions persisted before a restart; overdue ones run at once
+  async start() {
+    const pending = await storageService.list(this.NAMESPACE);
+    for (const { value } of pending) {
+      this._arm(value);
+    }
+    if (pending.length > 0) {
+      logger.info('Backup message deletions restored', { count: pending.length });
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  hasRecoveryPhrase(user) {
+    return !!user?.app_metadata?.arc_mnemonic_encrypted;
+  }
+
+  async getRecoveryPhrase(user) {
+    if (!this.hasRecoveryPhrase(user)) {
+      throw new NotFoundError('Recovery phrase');
+    }
+
+    const phrase = await encryption.decrypt(user.app_metadata.arc_mnemonic_encrypted, user.user_metadata.telegram_id);
+    if (ethers.Wallet.fromPhrase(phrase).address.toLowerCase() !== user.user_metadata.arc_address.toLowerCase()) {
+      throw new ValidationError('Stored recovery phrase does not match the wallet address');
+    }
+    return phrase;
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < this.MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be at least ${this.MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (password.length > this.MAX_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be at most ${this.MAX_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * The wallet as an ethers/Web3 Secret Storage keystore, importable by
+   * MetaMask and most EVM wallets.
+   *
+   * @returns {Promise<{ filename: string, content: string }>}
+   */
+  async exportKeystore(user, password) {
+    this.validatePassword(password);
+
+    const encryptedKey = user?.app_metadata?.arc_private_key_encrypted;
+    if (!encryptedKey) {
+      throw new NotFoundError('Wallet key');
+    }
+
+    const wallet = new ethers.Wallet(await encryption.decrypt(encryptedKey, user.user_metadata.telegram_id));
+    if (wallet.address.toLowerCase() !== user.user_metadata.arc_address.toLowerCase()) {
+      throw new ValidationError('Stored private key does not match the wallet address');
+    }
+
+    return {
+      filename: `arc-wallet-${wallet.address.slice(2, 10).toLowerCase()}.json`,
+      content: await wallet.encrypt(password)
+    };
+  }
+
+  // Deletes the message after messageTtlMs, surviving restarts
+  async scheduleDeletion(chatId, messageId) {
+    const entry = { chatId, messageId, deleteAt: Date.now() + this.messageTtlMs };
+    await storageService.set(this.NAMESPACE, this._key(entry), entry);
+    this._arm(entry);
+  }
+
+  _key({ chatId, messageId }) {
+    return `${chatId}:${messageId}`;
+  }
+
+  _arm(entry) {
+    const key = this._key(entry);
+    clearTimeout(this.timers.get(key));
+
+    const timer = setTimeout(() => this._expire(entry), Math.max(0, entry.deleteAt - Date.now()));
+    timer.unref();
+    this.timers.set(key, timer);
+  }
+
+  async _expire(entry) {
+    const key = this._key(entry);
+    this.timers.delete(key);
+
+    try {
+      if (this.deleteHandler) {
+        await this.deleteHandler(entry.chatId, entry.messageId);
+      }
+      await storageService.delete(this.NAMESPACE, key);
+    } catch (error) {
+      logger.error('Failed to delete backup message', {
+        chatId: entry.chatId,
+        messageId: entry.messageId,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new WalletBackupService();
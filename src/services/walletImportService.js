@@ -0,0 +1,158 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const encryption = require('../utils/encryption');
+const auth0Service = require('./auth0Service');
+const arcService = require('./arcService');
+const addressRegistryService = require('./addressRegistryService');
+const paymentOutboxService = require('./paymentOutboxService');
+const { ValidationError } = require('../utils/errors');
+
+const PRIVATE_KEY = /^(0x)?[0-9a-fA-F]{64}$/;
+const MNEMONIC_WORD_COUNTS = [12, 15, 18, 21, 24];
+
+/**
+ * Imports an existing wallet from a recovery phrase, a private key or a JSON
+ * keystore, either as a new account or in place of the user's current wallet.
+ * The key (and phrase, if any) is encrypted like a generated wallet's.
+ */
+class WalletImportService {
+  constructor() {
+    this.MAX_KEYSTORE_SIZE = 64 * 1024;
+    this.METHODS = {
+      MNEMONIC: 'recovery_phrase',
+      PRIVATE_KEY: 'private_key',
+      KEYSTORE: 'keystore'
+    };
+  }
+
+  /**
+   * Recognises the secret a user sent. Phrases and keys give a wallet at once;
+   * a keystore still needs its password (sealKeystore, then decryptKeystore).
+   *
+   * @returns {{ method: string, wallet?: ethers.Wallet, keystore?: string }}
+   */
+  parseSecret(text) {
+    const input = (text || '').trim();
+
+    if (input.startsWith('{')) {
+      if (input.length > this.MAX_KEYSTORE_SIZE || !ethers.isKeystoreJson(input)) {
+        throw new ValidationError('That is not a valid keystore file');
+      }
+      return { method: this.METHODS.KEYSTORE, keystore: input };
+    }
+
+    if (PRIVATE_KEY.test(input)) {
+      try {
+        const wallet = new ethers.Wallet(input.startsWith('0x') ? input : `0x${input}`);
+        return { method: this.METHODS.PRIVATE_KEY, wallet };
+      } catch (error) {
+        throw new ValidationError('That private key is not valid');
+      }
+    }
+
+    const phrase = input.toLowerCase().split(/\s+/).join(' ');
+    if (MNEMONIC_WORD_COUNTS.includes(phrase.split(' ').length)) {
+      if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+        throw new ValidationError('That recovery phrase is not valid. Check the words and their order');
+      }
+      return { method: this.METHODS.MNEMONIC, wallet: ethers.Wallet.fromPhrase(phrase) };
+    }
+
+    throw new ValidationError('Send a 12-24 word recovery phrase, a private key or a keystore file');
+  }
+
+  // Whether free text looks like a phrase or key, so it is never passed on (e.g. to the agent)
+  looksLikeSecret(text) {
+    const input = (text || '').trim();
+    if (PRIVATE_KEY.test(input)) {
+      return true;
+    }
+    const words = input.toLowerCase().split(/\s+/).join(' ');
+    return MNEMONIC_WORD_COUNTS.includes(words.split(' ').length) && ethers.Mnemonic.isValidMnemonic(words);
+  }
+
+  // The keystore waits in the user's session for its password, encrypted like a key
+  async sealKeystore(keystore, telegramId) {
+    return encryption.encrypt(keystore, telegramId);
+  }
+
+  async decryptKeystore(sealedKeystore, password, telegramId) {
+    const keystore = await encryption.decrypt(sealedKeystore, telegramId);
+    try {
+      return await ethers.Wallet.fromEncryptedJson(keystore, password);
+    } catch (error) {
+      if (/password/i.test(error.message)) {
+        throw new ValidationError('Wrong password for this keystore');
+      }
+      throw new ValidationError('This keystore could not be decrypted');
+    }
+  }
+
+  /**
+   * Creates the account with the wallet, or replaces the user's wallet.
+   * Re-importing the current wallet only stores its recovery phrase, if new.
+   *
+   * @returns {Promise<{ address: string, previousAddress: string|null, created: boolean, replaced: boolean }>}
+   */
+  async importWallet({ telegramId, username, user, wallet }) {
+    const arcWallet = {
+      address: wallet.address,
+      privateKey: wallet.privateKey,
+      publicKey: wallet.signingKey.publicKey,
+      mnemonic: wallet.mnemonic?.phrase || null,
+      imported: true
+    };
+
+    const owner = await addressRegistryService.lookup(arcWallet.address);
+    if (owner && String(owner.telegramId) !== String(telegramId)) {
+      throw new ValidationError('This wallet is already used by another account');
+    }
+
+    if (!user) {
+      const result = await auth0Service.createUser(telegramId, username, arcWallet);
+      await addressRegistryService.register(result.arc_address, telegramId, username);
+      return { address: result.arc_address, previousAddress: null, created: true, replaced: false };
+    }
+
+    const previousAddress = user.user_metadata.arc_address;
+    if (previousAddress && previousAddress.toLowerCase() === arcWallet.address.toLowerCase()) {
+      if (arcWallet.mnemonic && !user.app_metadata?.arc_mnemonic_encrypted) {
+        await auth0Service.updateEncryptedSecrets(user.user_id, {
+          arc_mnemonic_encrypted: await encryption.encrypt(arcWallet.mnemonic, telegramId)
+        });
+      }
+      return { address: previousAddress, previousAddress, created: false, replaced: false };
+    }
+
+    const replace = async () => {
+      await this.assertNoPaymentsInFlight(previousAddress);
+      await auth0Service.replaceWallet(user.user_id, telegramId, arcWallet);
+    };
+    // Holding the old wallet's queue, no payment can be sent from it between the check and the swap
+    await (previousAddress ? arcService.withSenderLock(previousAddress, replace) : replace());
+    await addressRegistryService.register(arcWallet.address, telegramId, user.user_metadata.telegram_username);
+    await addressRegistryService.unregister(previousAddress);
+
+    logger.info('Wallet replaced by import', {
+      telegramId,
+      previousAddress,
+      arcAddress: arcWallet.address
+    });
+
+    return { address: arcWallet.address, previousAddress, created: false, replaced: true };
+  }
+
+  // A payment being sent from the old wallet must settle before its key is dropped
+  async assertNoPaymentsInFlight(address) {
+    if (!address) {
+      return;
+    }
+
+    const unfinished = await paymentOutboxService.listUnfinished();
+    if (unfinished.some(entry => entry.from?.toLowerCase() === address.toLowerCase())) {
+      throw new ValidationError('A payment from your current wallet is still being sent. Try again once it has finished');
+    }
+  }
+}
+
+module.exports = new WalletImportService();
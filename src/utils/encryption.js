@@ -1,55 +1,161 @@
 const crypto = require('crypto');
 const config = require('../config');
+const { createKmsProviders } = require('../services/kms');
+const {
+  ENVELOPE_VERSION,
+  SHARED_AAD_ENVELOPE_VERSION,
+  CIPHERTEXT_VERSION,
+  CIPHERTEXT_AAD,
+  candidateKeyIds,
+  ownerAad,
+  isCurrentCiphertext
+} = require('../core/keyring');
 
+/**
+ * Envelope encryption (see src/core/keyring.js): every blob gets its own
+ * AES-256-GCM data key, wrapped by the configured KMS provider, and is bound
+ * to its owner's Telegram ID. Blobs written before that (v3 envelopes, and
+ * v2 and older written directly with a keyring key) are still decrypted.
+ */
 class EncryptionService {
   constructor() {
     this.algorithm = 'aes-256-gcm';
-    // Ensure key is exactly 32 bytes for AES-256
-    const key = config.security.encryptionKey;
-    if (key.length !== 32) {
-      throw new Error('Encryption key must be exactly 32 characters');
-    }
-    this.keyBuffer = Buffer.from(key, 'utf8');
+    this.keyring = config.security.keyring;
+    this.keyBuffers = new Map(
+      Object.entries(this.keyring.keys).map(([keyId, key]) => [keyId, Buffer.from(key, 'utf8')])
+    );
+
+    const { current, providers } = createKmsProviders(config.kms, this.keyring);
+    this.kms = current;
+    this.kmsProviders = providers;
+  }
+
+  // "<kms>:<kid>" of the master key that wraps new data keys
+  get currentKeyId() {
+    return `${this.kms.name}:${this.kms.currentKeyId}`;
   }
 
-  encrypt(text) {
+  /**
+   * @param {string} text
+   * @param {string|number} owner - Telegram ID of the user the secret belongs to
+   */
+  async encrypt(text, owner) {
+    const dataKey = crypto.randomBytes(32);
+
     try {
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipheriv(this.algorithm, this.keyBuffer, iv);
-      cipher.setAAD(Buffer.from('arc-bot-auth', 'utf8'));
-      
-      let encrypted = cipher.update(text, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      const authTag = cipher.getAuthTag();
-      
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(this.algorithm, dataKey, iv);
+      cipher.setAAD(Buffer.from(ownerAad(owner), 'utf8'));
+
+      const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+      const tag = cipher.getAuthTag();
+      const { kid, wrappedKey } = await this.kms.wrapKey(dataKey);
+
       return {
-        iv: iv.toString('hex'),
-        authTag: authTag.toString('hex'),
-        encrypted
+        v: ENVELOPE_VERSION,
+        kms: this.kms.name,
+        kid,
+        key: wrappedKey,
+        iv: iv.toString('base64'),
+        tag: tag.toString('base64'),
+        data: data.toString('base64')
       };
     } catch (error) {
       throw new Error('Encryption failed: ' + error.message);
+    } finally {
+      dataKey.fill(0);
     }
   }
 
-  decrypt(encryptedData) {
+  // owner must be the Telegram ID the blob was encrypted for; older blobs ignore it
+  async decrypt(encryptedData, owner) {
     try {
-      const { iv, authTag, encrypted } = encryptedData;
-      
-      const decipher = crypto.createDecipheriv(this.algorithm, this.keyBuffer, Buffer.from(iv, 'hex'));
-      decipher.setAAD(Buffer.from('arc-bot-auth', 'utf8'));
-      decipher.setAuthTag(Buffer.from(authTag, 'hex'));
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
+      if (encryptedData && encryptedData.v === ENVELOPE_VERSION) {
+        return await this._decryptEnvelope(encryptedData, ownerAad(owner));
+      }
+
+      if (encryptedData && encryptedData.v === SHARED_AAD_ENVELOPE_VERSION) {
+        return await this._decryptEnvelope(encryptedData, CIPHERTEXT_AAD);
+      }
+
+      if (encryptedData && encryptedData.v === CIPHERTEXT_VERSION) {
+        const { kid, iv, tag, data } = encryptedData;
+        if (!this.keyBuffers.has(kid)) {
+          throw new Error(`unknown key ID "${kid}"`);
+        }
+        return this._decrypt(this.keyBuffers.get(kid), Buffer.from(iv, 'base64'), Buffer.from(tag, 'base64'), Buffer.from(data, 'base64'), CIPHERTEXT_AAD);
+      }
+
+      // Blobs from before key IDs: try every key, current first
+      const legacy = this._parseLegacy(encryptedData);
+      for (const keyId of candidateKeyIds(this.keyring)) {
+        try {
+          return this._decrypt(this.keyBuffers.get(keyId), legacy.iv, legacy.tag, legacy.data, legacy.aad);
+        } catch (error) {
+          // Wrong key: GCM authentication fails, try the next one
+        }
+      }
+      throw new Error('no key in the keyring matches');
     } catch (error) {
       throw new Error('Decryption failed: ' + error.message);
     }
   }
 
+  // Whether the blob must be re-encrypted to bind it to its owner under the current master key
+  needsReencryption(encryptedData) {
+    return !isCurrentCiphertext(encryptedData, this.currentKeyId);
+  }
+
+  async _decryptEnvelope({ kms, kid, key, iv, tag, data }, aad) {
+    const provider = this.kmsProviders[kms];
+    if (!provider) {
+      throw new Error(`KMS provider "${kms}" is not configured`);
+    }
+
+    const dataKey = await provider.unwrapKey(kid, key);
+    try {
+      return this._decrypt(dataKey, Buffer.from(iv, 'base64'), Buffer.from(tag, 'base64'), Buffer.from(data, 'base64'), aad);
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  _decrypt(key, iv, tag, data, aad) {
+    const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
+    if (aad) {
+      decipher.setAAD(Buffer.from(aad, 'utf8'));
+    }
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  }
+
+  // Node bot: { iv, authTag, encrypted } in hex with AAD. Workers bot:
+  // { iv, encrypted } in base64, the tag appended to the ciphertext, no AAD.
+  _parseLegacy(encryptedData) {
+    const { iv, authTag, encrypted } = encryptedData || {};
+    if (!iv || !encrypted) {
+      throw new Error('unrecognized ciphertext format');
+    }
+
+    if (authTag) {
+      return {
+        iv: Buffer.from(iv, 'hex'),
+        tag: Buffer.from(authTag, 'hex'),
+        data: Buffer.from(encrypted, 'hex'),
+        aad: CIPHERTEXT_AAD
+      };
+    }
+
+    const combined = Buffer.from(encrypted, 'base64');
+    return {
+      iv: Buffer.from(iv, 'base64'),
+      tag: combined.subarray(combined.length - 16),
+      data: combined.subarray(0, combined.length - 16),
+      aad: null
+    };
+  }
+
   hash(data) {
     return crypto.createHash('sha256').update(data).digest('hex');
   }
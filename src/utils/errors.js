@@ -74,6 +74,15 @@ class InsufficientFundsError extends AppError {
   }
 }
 
+class SpendingLimitError extends AppError {
+  constructor(message, limit = null, remaining = null) {
+    super(message, 403);
+    this.limit = limit;
+    this.remaining = remaining;
+    this.type = 'SpendingLimitError';
+  }
+}
+
 // Error handler middleware
 const errorHandler = (logger) => {
   return (error, req, res, next) => {
@@ -140,6 +149,7 @@ module.exports = {
   ExternalServiceError,
   ARCError,
   InsufficientFundsError,
+  SpendingLimitError,
   errorHandler,
   asyncHandler
 };
\ No newline at end of file
@@ -47,19 +47,26 @@ if (!config.isProduction) {
 }
 
 // Sanitize sensitive data from logs
-const sanitizeLogData = (data) => {
+const sensitiveKeys = [
+  'password', 'token', 'secret', 'key', 'seed', 'private',
+  'mnemonic', 'phrase', 'auth', 'credential', 'api_key', 'access_token'
+];
+
+// `seen` holds the objects being sanitized, to stop at cycles (e.g. a signer's provider)
+const sanitizeLogData = (data, seen = new WeakSet()) => {
   if (typeof data !== 'object' || data === null) {
     return data;
   }
-  
-  if (typeof data === 'bigint') {
-    return data.toString();
+  if (seen.has(data)) {
+    return '[Circular]';
   }
+  seen.add(data);
 
-  const sensitiveKeys = [
-    'password', 'token', 'secret', 'key', 'seed', 'private',
-    'auth', 'credential', 'api_key', 'access_token'
-  ];
+  if (Array.isArray(data)) {
+    const items = data.map(item => sanitizeLogData(item, seen));
+    seen.delete(data);
+    return items;
+  }
 
   const sanitized = { ...data };
   
@@ -70,10 +77,11 @@ const sanitizeLogData = (data) => {
     } else if (typeof value === 'bigint') {
       sanitized[key] = value.toString();
     } else if (typeof value === 'object' && value !== null) {
-      sanitized[key] = sanitizeLogData(value);
+      sanitized[key] = sanitizeLogData(value, seen);
     }
   }
-  
+
+  seen.delete(data);
   return sanitized;
 };
 
@@ -109,4 +117,6 @@ logger.transaction = (txHash, userId, amount, meta = {}) => {
   });
 };
 
+logger.sanitizeLogData = sanitizeLogData;
+
 module.exports = logger;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { ValidationError } = require('./errors');
+const core = require('../core');
 
 // EVM address validation
 const evmAddressSchema = Joi.string()
@@ -151,49 +152,13 @@ const sanitizeTelegramMessage = (text) => {
     .substring(0, 4096); // Telegram message limit
 };
 
-// Parse recipient from various formats
+// Parse recipient from various formats (shared with the Workers bot)
 const parseRecipient = (recipient) => {
-  if (!recipient || typeof recipient !== 'string') {
-    throw new ValidationError('Recipient is required');
-  }
-
-  const trimmed = recipient.trim();
-
-  // EVM address
-  if (trimmed.startsWith('0x') && trimmed.length === 42) {
-    if (isValidEVMAddress(trimmed)) {
-      return { type: 'address', value: trimmed };
-    }
-    throw new ValidationError('Invalid EVM address format');
-  }
-
-  // Telegram username
-  if (trimmed.startsWith('@')) {
-    const username = trimmed.substring(1);
-    if (isValidTelegramUsername(username)) {
-      return { type: 'username', value: username };
-    }
-    throw new ValidationError('Invalid Telegram username format');
-  }
-
-  // Telegram user ID
-  if (/^\d+$/.test(trimmed)) {
-    const userId = parseInt(trimmed);
-    if (userId > 0) {
-      return { type: 'userId', value: userId };
-    }
-    throw new ValidationError('Invalid Telegram user ID');
-  }
-
-  // Friend alias (must not start with @, max 16 chars)
-  if (trimmed.length <= 16 && !trimmed.startsWith('@')) {
-    if (isValidFriendAlias(trimmed)) {
-      return { type: 'alias', value: trimmed };
-    }
-    throw new ValidationError('Invalid friend alias format');
+  try {
+    return core.parseRecipient(recipient);
+  } catch (error) {
+    throw new ValidationError(error.message);
   }
-
-  throw new ValidationError('Invalid recipient format');
 };
 
 // Validate command arguments
@@ -0,0 +1,137 @@
+const config = require('../../src/config');
+const storageService = require('../../src/services/storageService');
+const auth0Service = require('../../src/services/auth0Service');
+const signerService = require('../../src/services/signerService');
+const arcService = require('../../src/services/arcService');
+const telegramService = require('../../src/services/telegramService');
+const spendingLimitService = require('../../src/services/spendingLimitService');
+const { InsufficientFundsError } = require('../../src/utils/errors');
+
+// Loading the controller starts its cleanup interval, which would keep Jest running
+jest.spyOn(global, 'setInterval').mockReturnValue(null);
+const botController = require('../../src/controllers/botController');
+
+const OWNER = 100;
+
+describe('botController', () => {
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+    jest.spyOn(auth0Service, 'getUserByTelegramId').mockResolvedValue({ user_metadata: {} });
+    jest.spyOn(signerService, 'forUser').mockReturnValue({});
+    jest.spyOn(telegramService, 'sendMessage').mockResolvedValue({ message_id: 1 });
+    jest.spyOn(telegramService, 'editMessage').mockResolvedValue({});
+    jest.spyOn(botController, '_trackPayment').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('handlePay', () => {
+    const message = { chat: { id: OWNER }, from: { id: OWNER, username: 'bob' } };
+    const alice = { address: '0x00000000000000000000000000000000000000aa', displayName: '@alice' };
+
+    it('reports an unknown recipient without a processing message', async () => {
+      jest.spyOn(botController, 'resolveRecipient').mockResolvedValue(null);
+
+      await botController.handlePay(message, ['@nobody', '5']);
+
+      expect(telegramService.sendMessage).toHaveBeenCalledTimes(1);
+      expect(telegramService.sendMessage).toHaveBeenCalledWith(OWNER, expect.stringContaining('Recipient not found'));
+    });
+
+    it('sends one payment per /pay message, also when it is resumed after step-up', async () => {
+      jest.spyOn(botController, 'resolveRecipient').mockResolvedValue(alice);
+      jest.spyOn(botController, '_promptStepUp').mockResolvedValue();
+      const submit = jest.spyOn(arcService, 'submitUSDCPayment').mockResolvedValue({ hash: '0x01', duplicate: false, completion: new Promise(() => {}) });
+      const amount = String(config.spending.stepUpThreshold + 1);
+
+      await botController.handlePay({ ...message, message_id: 55 }, ['@alice', amount]);
+      expect(submit).not.toHaveBeenCalled();
+
+      const challenge = botController._promptStepUp.mock.calls[0][2];
+      jest.spyOn(spendingLimitService, 'consumeGrant').mockResolvedValue(true);
+      await botController._resumeCommand({ chat: message.chat, from: message.from }, challenge.resume);
+
+      expect(submit).toHaveBeenCalledTimes(1);
+      expect(submit.mock.calls[0][4]).toMatchObject({ idempotencyKey: `pay:${OWNER}:55` });
+    });
+
+    it('does not count a payment already sent for the same message twice', async () => {
+      jest.spyOn(botController, 'resolveRecipient').mockResolvedValue(alice);
+      jest.spyOn(arcService, 'submitUSDCPayment').mockResolvedValue({ hash: '0x01', duplicate: true, completion: Promise.resolve({ success: true, hash: '0x01' }) });
+
+      await botController.handlePay({ ...message, message_id: 55 }, ['@alice', '5']);
+
+      expect(await spendingLimitService.getUsage(OWNER)).toEqual(expect.objectContaining({ daily: 0 }));
+    });
+
+    it('turns the processing message into the error when sending fails', async () => {
+      jest.spyOn(botController, 'resolveRecipient').mockResolvedValue(alice);
+      jest.spyOn(arcService, 'submitUSDCPayment').mockRejectedValue(new InsufficientFundsError(5, 2));
+
+      await botController.handlePay(message, ['@alice', '5']);
+
+      expect(telegramService.sendMessage).toHaveBeenCalledTimes(1);
+      expect(telegramService.sendMessage).toHaveBeenCalledWith(OWNER, '🔄 Processing payment...');
+      expect(telegramService.editMessage).toHaveBeenCalledWith(OWNER, 1, expect.stringContaining('Insufficient USDC funds'));
+      expect(await spendingLimitService.getUsage(OWNER)).toEqual(expect.objectContaining({ daily: 0 }));
+    });
+  });
+
+  describe('executeScheduledPayment', () => {
+    const schedule = {
+      id: 'sched1',
+      owner: OWNER,
+      recipient: '0x00000000000000000000000000000000000000aa',
+      recipient_display: '@alice',
+      amount: 5,
+      currency: 'USDC',
+      reason: null,
+      frequency: 'daily',
+      next_run_at: '2025-01-01T09:00:00.000Z'
+    };
+
+    it('skips the run and releases the reservation when funds are short', async () => {
+      jest.spyOn(arcService, 'submitUSDCPayment').mockRejectedValue(new InsufficientFundsError(5, 2));
+
+      const result = await botController.executeScheduledPayment(schedule);
+
+      expect(result).toEqual({ status: 'skipped', error: expect.stringContaining('Insufficient USDC funds') });
+      expect(await spendingLimitService.getUsage(OWNER)).toEqual(expect.objectContaining({ daily: 0 }));
+      expect(telegramService.sendMessage).toHaveBeenCalledWith(OWNER, expect.stringContaining('skipped: insufficient funds'), expect.anything());
+    });
+
+    it('returns once the payment is broadcast and reports its outcome later', async () => {
+      let mine;
+      const completion = new Promise(resolve => { mine = resolve; });
+      jest.spyOn(arcService, 'submitUSDCPayment').mockResolvedValue({ hash: '0x01', duplicate: false, completion });
+
+      const result = await botController.executeScheduledPayment(schedule);
+
+      expect(result).toEqual({ status: 'submitted', txHash: '0x01', completion: expect.any(Promise) });
+      expect(arcService.submitUSDCPayment).toHaveBeenCalledWith(expect.anything(), schedule.recipient, 5, null, expect.objectContaining({
+        idempotencyKey: 'schedule:sched1:2025-01-01T09:00:00.000Z'
+      }));
+      expect(botController._trackPayment).toHaveBeenCalledWith(expect.objectContaining({ hash: '0x01' }), expect.objectContaining({
+        chatId: OWNER,
+        reservationId: expect.any(String)
+      }));
+
+      mine({ success: true, hash: '0x01' });
+      await expect(result.completion).resolves.toEqual({ status: 'paid', txHash: '0x01' });
+    });
+
+    it('reports a payment that fails after broadcast', async () => {
+      jest.spyOn(arcService, 'submitUSDCPayment').mockResolvedValue({
+        hash: '0x01',
+        duplicate: false,
+        completion: Promise.reject(new Error('Transaction failed: 0'))
+      });
+
+      const result = await botController.executeScheduledPayment(schedule);
+
+      await expect(result.completion).resolves.toEqual({ status: 'failed', txHash: '0x01', error: 'Transaction failed: 0' });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  KeyringError,
+  parseKeyring,
+  parseKmsKeySet,
+  candidateKeyIds,
+  getCiphertextKeyId,
+  isCurrentCiphertext
+} = require('../../src/core/keyring');
+
+const KEY_1 = '0123456789abcdef0123456789abcdef';
+const KEY_2 = 'fedcba9876543210fedcba9876543210';
+const KMS_KEY = Buffer.alloc(32, 1).toString('base64');
+
+describe('core/keyring', () => {
+  describe('parseKeyring', () => {
+    it('puts the current key next to the retired ones', () => {
+      const keyring = parseKeyring({ currentKey: KEY_2, currentKeyId: 'k2', previousKeys: JSON.stringify({ k1: KEY_1 }) });
+
+      expect(keyring).toEqual({ currentKeyId: 'k2', keys: { k2: KEY_2, k1: KEY_1 } });
+      expect(candidateKeyIds(keyring)).toEqual(['k2', 'k1']);
+    });
+
+    it('rejects bad keys and IDs', () => {
+      expect(() => parseKeyring({ currentKey: 'short' })).toThrow(KeyringError);
+      expect(() => parseKeyring({ currentKey: KEY_1, currentKeyId: 'bad id' })).toThrow('Invalid encryption key ID');
+      expect(() => parseKeyring({ currentKey: KEY_1, previousKeys: '[1]' })).toThrow('must be a JSON object');
+      expect(() => parseKeyring({ currentKey: KEY_1, currentKeyId: 'k1', previousKeys: { k1: KEY_2 } })).toThrow('used by both');
+    });
+  });
+
+  describe('parseKmsKeySet', () => {
+    it('accepts a key file with its current key', () => {
+      expect(parseKmsKeySet({ currentKeyId: 'local-1', keys: { 'local-1': KMS_KEY } }))
+        .toEqual({ currentKeyId: 'local-1', keys: { 'local-1': KMS_KEY } });
+    });
+
+    it('rejects a missing current key or a key of the wrong size', () => {
+      expect(() => parseKmsKeySet({ currentKeyId: 'local-2', keys: { 'local-1': KMS_KEY } })).toThrow('currentKeyId');
+      expect(() => parseKmsKeySet({ currentKeyId: 'local-1', keys: { 'local-1': 'c2hvcnQ=' } })).toThrow('32 bytes');
+      expect(() => parseKmsKeySet('{not json')).toThrow('not valid JSON');
+    });
+  });
+
+  describe('ciphertext versions', () => {
+    it('names the key of each format', () => {
+      expect(getCiphertextKeyId({ v: 4, kms: 'local', kid: 'local-1' })).toBe('local:local-1');
+      expect(getCiphertextKeyId({ v: 3, kms: 'keyring', kid: 'k1' })).toBe('keyring:k1');
+      expect(getCiphertextKeyId({ v: 2, kid: 'k1' })).toBe('k1');
+      expect(getCiphertextKeyId({ iv: 'x', encrypted: 'y' })).toBeNull();
+    });
+
+    it('treats only owner-bound envelopes under the current key as current', () => {
+      expect(isCurrentCiphertext({ v: 4, kms: 'local', kid: 'local-1' }, 'local:local-1')).toBe(true);
+      expect(isCurrentCiphertext({ v: 3, kms: 'local', kid: 'local-1' }, 'local:local-1')).toBe(false);
+      expect(isCurrentCiphertext({ v: 4, kms: 'keyring', kid: 'k1' }, 'local:local-1')).toBe(false);
+      expect(isCurrentCiphertext(null, 'local:local-1')).toBe(false);
+    });
+  });
+});
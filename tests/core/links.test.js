@@ -0,0 +1,34 @@
+const { USDC_CONTRACT, toBaseUnits, buildWalletPaymentUri, buildBotPaymentLink, parsePaymentLink } = require('../../src/core/links');
+
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+describe('core/links', () => {
+  it('converts amounts to USDC base units without rounding errors', () => {
+    expect(toBaseUnits(10)).toBe('10000000');
+    expect(toBaseUnits('0.1')).toBe('100000');
+    expect(toBaseUnits(1.234567891)).toBe('1234567');
+    expect(toBaseUnits(1e-7)).toBe('0');
+  });
+
+  it('builds EIP-681 wallet URIs', () => {
+    expect(buildWalletPaymentUri(ADDRESS)).toBe(`ethereum:${ADDRESS}`);
+    expect(buildWalletPaymentUri(ADDRESS, 2.5)).toBe(`ethereum:${USDC_CONTRACT}/transfer?address=${ADDRESS}&uint256=2500000`);
+  });
+
+  it('parses the payment links it builds', () => {
+    const payload = (link) => link.split('?start=')[1];
+
+    expect(parsePaymentLink(payload(buildBotPaymentLink('arc_bot', ADDRESS, 5))))
+      .toEqual({ address: ADDRESS, amount: 5, currency: 'USDC' });
+    expect(parsePaymentLink(payload(buildBotPaymentLink('arc_bot', ADDRESS))))
+      .toEqual({ address: ADDRESS, amount: null, currency: 'USDC' });
+  });
+
+  it('ignores other /start payloads and rejects malformed links', () => {
+    expect(parsePaymentLink('ref_123')).toBeNull();
+    expect(parsePaymentLink(undefined)).toBeNull();
+    expect(() => parsePaymentLink('pay_0x123')).toThrow('Invalid payment link format');
+    expect(() => parsePaymentLink(`pay_${ADDRESS}_-5_usdc`)).toThrow('Invalid payment link amount');
+    expect(() => parsePaymentLink(`pay_${ADDRESS}_5_eth`)).toThrow('Invalid currency');
+  });
+});
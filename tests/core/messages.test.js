@@ -0,0 +1,27 @@
+const { formatFriendList, formatUserName, formatPaymentRequestNotice, formatThrottled } = require('../../src/core/messages');
+
+describe('core/messages', () => {
+  it('lists friends by how they were saved', () => {
+    expect(formatFriendList({
+      mom: { type: 'username', value: 'alice_arc' },
+      bob: { type: 'userId', value: 42 },
+      shop: { type: 'address', value: '0x00000000000000000000000000000000000000aa' }
+    })).toBe('• mom → @alice_arc\n• bob → User ID: 42\n• shop → 0x000000...00aa');
+  });
+
+  it('names users by username, then ID', () => {
+    expect(formatUserName({ username: 'alice_arc', telegramId: 1 })).toBe('@alice_arc');
+    expect(formatUserName({ telegramId: 1 })).toBe('User 1');
+  });
+
+  it('mentions the reason of a request only when there is one', () => {
+    expect(formatPaymentRequestNotice({ requesterName: '@alice_arc', amount: 5 })).toBe('🔔 @alice_arc requested 5 USDC from you.');
+    expect(formatPaymentRequestNotice({ requesterName: '@alice_arc', amount: 5, reason: 'lunch' }))
+      .toBe('🔔 @alice_arc requested 5 USDC from you for "lunch".');
+  });
+
+  it('rounds throttling waits up to seconds or minutes', () => {
+    expect(formatThrottled({ action: 'payment', retryAfterMs: 1500 })).toContain('sending payments a bit too fast. Please try again in 2 seconds.');
+    expect(formatThrottled({ action: 'other', retryAfterMs: 150000 })).toContain('sending requests a bit too fast. Please try again in 3 minutes.');
+  });
+});
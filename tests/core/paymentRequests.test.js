@@ -0,0 +1,54 @@
+const {
+  REQUEST_STATUS,
+  DEFAULT_REQUEST_TTL_MS,
+  buildPaymentRequest,
+  withRequestStatus,
+  isRequestExpired
+} = require('../../src/core/paymentRequests');
+
+const START = Date.UTC(2025, 0, 1);
+
+describe('core/paymentRequests', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = { time: START, now() { return this.time; } };
+  });
+
+  it('builds a pending request that expires after the TTL', () => {
+    const request = buildPaymentRequest({ requesterId: 1, payerId: 2, requesterAddress: '0xaa', amount: 5 }, clock);
+
+    expect(request).toMatchObject({
+      from: 1,
+      to: 2,
+      amount: 5,
+      currency: 'USDC',
+      status: REQUEST_STATUS.PENDING,
+      created_at: new Date(START).toISOString(),
+      expires_at: new Date(START + DEFAULT_REQUEST_TTL_MS).toISOString(),
+      history: [{ status: REQUEST_STATUS.PENDING, at: new Date(START).toISOString(), by: 1 }]
+    });
+    expect(request.id).toMatch(/^req_\d+_/);
+  });
+
+  it('records each status change and drops the in-flight claim', () => {
+    const request = { ...buildPaymentRequest({ requesterId: 1, payerId: 2, amount: 5 }, clock), processing: { by: 2 } };
+    clock.time += 1000;
+
+    const paid = withRequestStatus(request, REQUEST_STATUS.PAID, 2, { tx_hash: '0x01' }, clock);
+
+    expect(paid).not.toHaveProperty('processing');
+    expect(paid).toMatchObject({ status: REQUEST_STATUS.PAID, tx_hash: '0x01', updated_at: new Date(START + 1000).toISOString() });
+    expect(paid.history).toHaveLength(2);
+    expect(paid.history[1]).toEqual({ status: REQUEST_STATUS.PAID, at: new Date(START + 1000).toISOString(), by: 2, tx_hash: '0x01' });
+  });
+
+  it('expires only pending requests past their expiry', () => {
+    const request = buildPaymentRequest({ requesterId: 1, payerId: 2, amount: 5, ttlMs: 1000 }, clock);
+
+    expect(isRequestExpired(request, clock)).toBe(false);
+    clock.time += 1000;
+    expect(isRequestExpired(request, clock)).toBe(true);
+    expect(isRequestExpired(withRequestStatus(request, REQUEST_STATUS.PAID, 2, {}, clock), clock)).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+const { RecipientResolver, RecipientError, parseRecipient, isValidFriendAlias } = require('../../src/core/recipients');
+
+const ALICE = { telegramId: 1, username: 'alice_arc', arcAddress: '0x00000000000000000000000000000000000000aa' };
+const STRANGER_ADDRESS = '0x00000000000000000000000000000000000000ff';
+
+describe('core/recipients', () => {
+  describe('parseRecipient', () => {
+    it('recognises addresses, usernames, user IDs and aliases', () => {
+      expect(parseRecipient(` ${ALICE.arcAddress} `)).toEqual({ type: 'address', value: ALICE.arcAddress });
+      expect(parseRecipient('@alice_arc')).toEqual({ type: 'username', value: 'alice_arc' });
+      expect(parseRecipient('12345')).toEqual({ type: 'userId', value: 12345 });
+      expect(parseRecipient('mom')).toEqual({ type: 'alias', value: 'mom' });
+    });
+
+    it('rejects malformed input', () => {
+      expect(() => parseRecipient('0x' + 'z'.repeat(40))).toThrow('Invalid EVM address format');
+      expect(() => parseRecipient('@abc')).toThrow('Invalid Telegram username format');
+      expect(() => parseRecipient('0')).toThrow('Invalid Telegram user ID');
+      expect(() => parseRecipient('a-very-long-alias-name')).toThrow(RecipientError);
+      expect(() => parseRecipient('')).toThrow('Recipient is required');
+    });
+
+    it('reserves "me" for /split', () => {
+      expect(isValidFriendAlias('me')).toBe(false);
+      expect(isValidFriendAlias('Me')).toBe(false);
+    });
+  });
+
+  describe('RecipientResolver', () => {
+    let friends;
+    let resolver;
+
+    beforeEach(() => {
+      friends = { mom: { type: 'username', value: 'alice_arc' } };
+      resolver = new RecipientResolver({
+        users: {
+          getUserByTelegramId: async (id) => (id === ALICE.telegramId ? ALICE : null),
+          getUserByUsername: async (name) => (name.toLowerCase() === ALICE.username ? ALICE : null),
+          getUserByAddress: async (address) => (address.toLowerCase() === ALICE.arcAddress ? ALICE : null)
+        },
+        friends: { getFriends: async () => friends }
+      });
+    });
+
+    it('resolves a username to the user\'s wallet, named by the sender\'s alias', async () => {
+      expect(await resolver.resolve('@Alice_Arc', 2)).toEqual({
+        type: 'username',
+        address: ALICE.arcAddress,
+        displayName: 'mom',
+        telegramId: 1,
+        username: 'alice_arc',
+        isFriend: true
+      });
+    });
+
+    it('resolves an alias through the friend it was saved for', async () => {
+      expect(await resolver.resolve('mom', 2)).toMatchObject({ address: ALICE.arcAddress, displayName: 'mom', isFriend: true });
+      expect(await resolver.resolve('dad', 2)).toBeNull();
+    });
+
+    it('pays an address outside the bot, shortened for display', async () => {
+      expect(await resolver.resolve(STRANGER_ADDRESS, 2)).toEqual({
+        type: 'address',
+        address: STRANGER_ADDRESS,
+        displayName: '0x000000...00ff'
+      });
+    });
+
+    it('returns null for unknown users and invalid input', async () => {
+      expect(await resolver.resolve('@nobody_here', 2)).toBeNull();
+      expect(await resolver.resolve('99', 2)).toBeNull();
+      expect(await resolver.resolve('@x', 2)).toBeNull();
+    });
+  });
+});
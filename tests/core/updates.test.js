@@ -0,0 +1,49 @@
+const { ChatQueue, getUpdateChatId } = require('../../src/core/updates');
+const { parseCommand } = require('../../src/core/commands');
+
+describe('core/updates', () => {
+  describe('getUpdateChatId', () => {
+    it('finds the chat of messages and callback queries', () => {
+      expect(getUpdateChatId({ message: { chat: { id: 5 } } })).toBe(5);
+      expect(getUpdateChatId({ callback_query: { message: { chat: { id: 6 } }, from: { id: 1 } } })).toBe(6);
+      expect(getUpdateChatId({ callback_query: { inline_message_id: 'x', from: { id: 7 } } })).toBe(7);
+      expect(getUpdateChatId({ edited_message: {} })).toBeNull();
+    });
+  });
+
+  describe('ChatQueue', () => {
+    it('runs one chat\'s tasks in order and other chats alongside', async () => {
+      const queue = new ChatQueue();
+      const order = [];
+      let release;
+
+      const first = queue.run(1, async () => {
+        await new Promise(resolve => { release = resolve; });
+        order.push('1a');
+      });
+      const second = queue.run(1, async () => order.push('1b'));
+      await queue.run(2, async () => order.push('2a'));
+
+      expect(order).toEqual(['2a']);
+      release();
+      await Promise.all([first, second]);
+
+      expect(order).toEqual(['2a', '1a', '1b']);
+      expect(queue.size).toBe(0);
+    });
+
+    it('keeps going after a failed task', async () => {
+      const queue = new ChatQueue();
+
+      await expect(queue.run(1, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+      await expect(queue.run(1, async () => 'next')).resolves.toBe('next');
+    });
+  });
+
+  describe('parseCommand', () => {
+    it('reads the command and first-line arguments', () => {
+      expect(parseCommand('/Pay@arc_bot @alice 10\nfor lunch')).toEqual({ command: 'pay', args: ['@alice', '10'] });
+      expect(parseCommand('hello')).toBeNull();
+    });
+  });
+});
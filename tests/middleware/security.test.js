@@ -0,0 +1,48 @@
+const config = require('../../src/config');
+const logger = require('../../src/utils/logger');
+const { validateTelegramWebhook } = require('../../src/middleware/security');
+const { AuthenticationError } = require('../../src/utils/errors');
+
+const webhookRequest = (headers = {}) => ({
+  ip: '203.0.113.7',
+  get: (name) => headers[name]
+});
+
+describe('validateTelegramWebhook', () => {
+  let next;
+
+  beforeEach(() => {
+    next = jest.fn();
+    jest.spyOn(logger, 'security').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('passes an update carrying the webhook secret', () => {
+    validateTelegramWebhook(webhookRequest({ 'X-Telegram-Bot-Api-Secret-Token': config.telegram.webhookSecret }), {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it.each([
+    ['a missing', {}],
+    ['an empty', { 'X-Telegram-Bot-Api-Secret-Token': '' }],
+    ['a wrong', { 'X-Telegram-Bot-Api-Secret-Token': 'not-the-secret' }],
+    ['a truncated', { 'X-Telegram-Bot-Api-Secret-Token': config.telegram.webhookSecret.slice(0, -1) }]
+  ])('rejects %s secret header', (name, headers) => {
+    validateTelegramWebhook(webhookRequest(headers), {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.any(AuthenticationError));
+    expect(logger.security).toHaveBeenCalledWith('Invalid Telegram webhook secret', expect.objectContaining({
+      headerPresent: Boolean(headers['X-Telegram-Bot-Api-Secret-Token'])
+    }));
+  });
+
+  it('never logs the secret it received', () => {
+    validateTelegramWebhook(webhookRequest({ 'X-Telegram-Bot-Api-Secret-Token': 'guess-123' }), {}, next);
+
+    expect(JSON.stringify(logger.security.mock.calls)).not.toContain('guess-123');
+  });
+});
@@ -0,0 +1,233 @@
+const { ethers } = require('ethers');
+const storageService = require('../../src/services/storageService');
+const paymentOutboxService = require('../../src/services/paymentOutboxService');
+const arcService = require('../../src/services/arcService');
+const { InsufficientFundsError } = require('../../src/utils/errors');
+
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe512961708279f3e2b1a4c7e2a1c6b1';
+const ALICE = '0x00000000000000000000000000000000000000aa';
+const BOB = '0x00000000000000000000000000000000000000bb';
+
+// A node that accepts every transaction and mines it when the test says so
+class FakeProvider {
+  constructor() {
+    this.sent = [];
+    this.waiting = new Map(); // hash -> resolve
+    this.mined = new Map(); // hash -> receipt
+    this.failEstimateFor = null;
+    this.rejectNext = null; // error thrown by the next broadcast
+    this.lag = 0; // transactions the pending count leaves out
+  }
+
+  async getNetwork() {
+    return ethers.Network.from(arcService.CHAIN_ID);
+  }
+
+  async getFeeData() {
+    return new ethers.FeeData(null, 2000000000n, 1000000000n);
+  }
+
+  async estimateGas(tx) {
+    if (this.failEstimateFor && tx.data.includes(this.failEstimateFor.slice(2))) {
+      throw new Error('execution reverted');
+    }
+    return 50000n;
+  }
+
+  // Fee-bumped replacements share their nonce
+  async getTransactionCount() {
+    return Math.max(0, new Set(this.sent.map(tx => tx.nonce)).size - this.lag);
+  }
+
+  async broadcastTransaction(rawTx) {
+    if (this.rejectNext) {
+      const error = this.rejectNext;
+      this.rejectNext = null;
+      throw error;
+    }
+    const tx = ethers.Transaction.from(rawTx);
+    this.sent.push(tx);
+    return { hash: tx.hash };
+  }
+
+  async getTransactionReceipt(hash) {
+    return this.mined.get(hash) || null;
+  }
+
+  async getTransaction(hash) {
+    return this.sent.find(tx => tx.hash === hash) || null;
+  }
+
+  waitForTransaction(hash, confirms, timeout) {
+    if (this.mined.has(hash)) {
+      return Promise.resolve(this.mined.get(hash));
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting.set(hash, resolve);
+      if (timeout) {
+        setTimeout(() => reject(Object.assign(new Error('timeout'), { code: 'TIMEOUT' })), timeout).unref();
+      }
+    });
+  }
+
+  mine(hash, status = 1) {
+    const receipt = { hash, status, blockNumber: 1, gasUsed: 40000n, gasPrice: 1000000000n };
+    this.mined.set(hash, receipt);
+    this.waiting.get(hash)?.(receipt);
+  }
+}
+
+// Polls until check() is true, for work that continues in the background
+const until = async (check) => {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('arcService', () => {
+  let provider;
+  let sender;
+
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+    provider = new FakeProvider();
+    sender = new ethers.Wallet(PRIVATE_KEY);
+    arcService.provider = provider;
+    arcService.isConnected = true;
+    arcService.senderQueues.clear();
+    jest.spyOn(arcService, 'getUSDCBalance').mockResolvedValue(1000);
+  });
+
+  afterEach(() => {
+    arcService.STUCK_TX_TIMEOUT_MS = 60 * 1000;
+    arcService.MAX_FEE_BUMPS = 3;
+    jest.restoreAllMocks();
+  });
+
+  describe('submitUSDCBatch', () => {
+    it('returns once every transfer is broadcast', async () => {
+      const submissions = await arcService.submitUSDCBatch(sender, [
+        { address: ALICE, amount: 5, memo: null },
+        { address: BOB, amount: 7, memo: 'rent' }
+      ], { idempotencyKey: 'batch:1', owner: 1 });
+
+      expect(submissions.map(submission => submission.hash)).toEqual(provider.sent.map(tx => tx.hash));
+      expect(provider.sent.map(tx => tx.nonce)).toEqual([0, 1]);
+      expect((await paymentOutboxService.getEntry('batch:1:0')).status).toBe(paymentOutboxService.STATUS.BROADCAST);
+
+      provider.mine(submissions[0].hash);
+      provider.mine(submissions[1].hash, 0);
+
+      await expect(submissions[0].completion).resolves.toMatchObject({ success: true, hash: submissions[0].hash });
+      await expect(submissions[1].completion).rejects.toThrow('Transaction failed');
+      expect((await paymentOutboxService.getEntry('batch:1:0')).status).toBe(paymentOutboxService.STATUS.CONFIRMED);
+      expect((await paymentOutboxService.getEntry('batch:1:1')).status).toBe(paymentOutboxService.STATUS.FAILED);
+    });
+
+    it('reports a transfer that could not be sent without leaving a nonce gap', async () => {
+      provider.failEstimateFor = ALICE;
+
+      const submissions = await arcService.submitUSDCBatch(sender, [
+        { address: ALICE, amount: 5, memo: null },
+        { address: BOB, amount: 7, memo: null }
+      ]);
+
+      expect(submissions[0]).toEqual({ error: 'execution reverted' });
+      expect(submissions[1].hash).toBe(provider.sent[0].hash);
+      expect(provider.sent[0].nonce).toBe(0);
+    });
+
+    it('returns the earlier transaction when a finished batch is sent again', async () => {
+      const first = await arcService.submitUSDCBatch(sender, [{ address: ALICE, amount: 5, memo: null }], { idempotencyKey: 'batch:2' });
+      provider.mine(first[0].hash);
+      await first[0].completion;
+
+      const again = await arcService.submitUSDCBatch(sender, [{ address: ALICE, amount: 5, memo: null }], { idempotencyKey: 'batch:2' });
+
+      expect(again[0]).toMatchObject({ hash: first[0].hash, duplicate: true });
+      expect(provider.sent).toHaveLength(1);
+    });
+  });
+
+  describe('sender queue', () => {
+    it('gives concurrent payments from one wallet consecutive nonces', async () => {
+      const submissions = await Promise.all([5, 6, 7].map(amount => arcService.submitUSDCPayment(sender, ALICE, amount)));
+
+      expect(provider.sent.map(tx => tx.nonce)).toEqual([0, 1, 2]);
+      expect(submissions.map(submission => submission.hash)).toEqual(provider.sent.map(tx => tx.hash));
+    });
+
+    it('keeps counting locally while the node has not seen its last transaction', async () => {
+      await arcService.submitUSDCPayment(sender, ALICE, 5);
+      provider.lag = 1;
+
+      await arcService.submitUSDCPayment(sender, BOB, 5);
+
+      expect(provider.sent.map(tx => tx.nonce)).toEqual([0, 1]);
+    });
+
+    it('takes account of transactions sent from elsewhere', async () => {
+      await arcService.submitUSDCPayment(sender, ALICE, 5);
+      provider.sent.push({ nonce: 1, hash: '0xelsewhere' });
+
+      await arcService.submitUSDCPayment(sender, BOB, 5);
+
+      expect(provider.sent[2].nonce).toBe(2);
+    });
+
+    it('checks the balance in turn, counting payments not yet mined', async () => {
+      arcService.getUSDCBalance.mockResolvedValue(10);
+
+      const results = await Promise.allSettled([6, 6].map(amount => arcService.submitUSDCPayment(sender, ALICE, amount)));
+
+      expect(results[0].status).toBe('fulfilled');
+      expect(results[1].reason).toBeInstanceOf(InsufficientFundsError);
+      expect(results[1].reason).toMatchObject({ required: 6, available: 4 });
+      expect(provider.sent).toHaveLength(1);
+
+      // Once mined, the payment is part of the balance the node reports
+      provider.mine(results[0].value.hash);
+      await results[0].value.completion;
+      arcService.getUSDCBalance.mockResolvedValue(4);
+      await expect(arcService.submitUSDCPayment(sender, ALICE, 4)).resolves.toMatchObject({ duplicate: false });
+    });
+
+    it('reuses the nonce of a transaction the node rejected', async () => {
+      provider.rejectNext = Object.assign(new Error('insufficient funds for gas'), { code: 'INSUFFICIENT_FUNDS' });
+
+      await expect(arcService.submitUSDCPayment(sender, ALICE, 5)).rejects.toThrow('insufficient funds');
+      await arcService.submitUSDCPayment(sender, BOB, 5);
+
+      expect(provider.sent.map(tx => tx.nonce)).toEqual([0]);
+    });
+
+    it('replaces a stuck transaction with higher fees and the same nonce', async () => {
+      arcService.STUCK_TX_TIMEOUT_MS = 10;
+      const submission = await arcService.submitUSDCPayment(sender, ALICE, 5, null, { idempotencyKey: 'pay:1' });
+
+      await until(() => provider.sent.length === 2);
+      const [original, replacement] = provider.sent;
+      expect(replacement.nonce).toBe(original.nonce);
+      expect(replacement.maxFeePerGas).toBe(original.maxFeePerGas * 120n / 100n);
+      expect(arcService.getQueueStats()).toEqual({ depth: 0, unconfirmed: 1, busySenders: 1 });
+
+      provider.mine(replacement.hash);
+
+      await expect(submission.completion).resolves.toMatchObject({ success: true, hash: replacement.hash });
+      const entry = await paymentOutboxService.getEntry('pay:1');
+      expect(entry).toMatchObject({ status: paymentOutboxService.STATUS.CONFIRMED, hash: replacement.hash });
+      expect(entry.hashes).toEqual([original.hash, replacement.hash]);
+      expect(arcService.getQueueStats().unconfirmed).toBe(0);
+    });
+
+    it('reports a transaction still unmined after the last fee bump as pending', async () => {
+      arcService.STUCK_TX_TIMEOUT_MS = 10;
+      arcService.MAX_FEE_BUMPS = 1;
+      const submission = await arcService.submitUSDCPayment(sender, ALICE, 5, null, { idempotencyKey: 'pay:1' });
+
+      await expect(submission.completion).rejects.toMatchObject({ code: 'TIMEOUT' });
+      expect(provider.sent).toHaveLength(2);
+      expect(paymentOutboxService.isUnfinished(await paymentOutboxService.getEntry('pay:1'))).toBe(true);
+    });
+  });
+});
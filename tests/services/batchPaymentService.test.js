@@ -0,0 +1,56 @@
+const batchPaymentService = require('../../src/services/batchPaymentService');
+
+describe('batchPaymentService', () => {
+  describe('parseList', () => {
+    it.each([
+      ['a recipient and amount', '@alice,10', [{ line: 1, recipient: '@alice', amount: 10, memo: null }]],
+      ['a memo', 'alice, 2.5, lunch', [{ line: 1, recipient: 'alice', amount: 2.5, memo: 'lunch' }]],
+      ['a memo with commas', 'alice,1,rent, march', [{ line: 1, recipient: 'alice', amount: 1, memo: 'rent, march' }]],
+      ['a quoted memo', 'alice,1,"rent, march"', [{ line: 1, recipient: 'alice', amount: 1, memo: 'rent, march' }]],
+      ['escaped quotes in a memo', 'alice,1,"the ""big"" one"', [{ line: 1, recipient: 'alice', amount: 1, memo: 'the "big" one' }]],
+      ['quoted fields', '"alice","3"', [{ line: 1, recipient: 'alice', amount: 3, memo: null }]],
+      ['a header row', 'recipient,amount,memo\nalice,1', [{ line: 2, recipient: 'alice', amount: 1, memo: null }]],
+      ['blank lines and comments', '\n# team\r\nalice,1\n  \n', [{ line: 3, recipient: 'alice', amount: 1, memo: null }]],
+      ['six decimal places', 'alice,0.000001', [{ line: 1, recipient: 'alice', amount: 0.000001, memo: null }]]
+    ])('parses %s', (name, text, items) => {
+      expect(batchPaymentService.parseList(text)).toEqual({ items, errors: [] });
+    });
+
+    it.each([
+      ['a missing recipient', ',5', 'Missing recipient'],
+      ['a missing amount', 'alice', 'Invalid amount ""'],
+      ['a zero amount', 'alice,0', 'Invalid amount "0"'],
+      ['a negative amount', 'alice,-5', 'Invalid amount "-5"'],
+      ['too many decimals', 'alice,1.0000001', 'Invalid amount "1.0000001"'],
+      ['text for an amount', 'alice,ten', 'Invalid amount "ten"']
+    ])('reports %s with its line', (name, text, error) => {
+      expect(batchPaymentService.parseList(`bob,1\n${text}`)).toEqual({
+        items: [{ line: 1, recipient: 'bob', amount: 1, memo: null }],
+        errors: [{ line: 2, error }]
+      });
+    });
+
+    it('only skips a header on the first row', () => {
+      const { items, errors } = batchPaymentService.parseList('alice,1\nrecipient,amount');
+
+      expect(items).toHaveLength(1);
+      expect(errors).toEqual([{ line: 2, error: 'Invalid amount "amount"' }]);
+    });
+
+    it('keeps each line for a recipient listed twice', () => {
+      const { items } = batchPaymentService.parseList('alice,1,first\nalice,2,second');
+
+      expect(items.map(item => [item.recipient, item.amount, item.memo])).toEqual([['alice', 1, 'first'], ['alice', 2, 'second']]);
+    });
+
+    it('allows MAX_LINES payments, counting invalid lines', () => {
+      const lines = (count) => Array.from({ length: count }, (_, i) => `user${i},1`);
+
+      expect(batchPaymentService.parseList(lines(batchPaymentService.MAX_LINES).join('\n')).items).toHaveLength(batchPaymentService.MAX_LINES);
+      expect(() => batchPaymentService.parseList(lines(batchPaymentService.MAX_LINES + 1).join('\n'))).toThrow('at most 50 payments');
+      expect(() => batchPaymentService.parseList([...lines(batchPaymentService.MAX_LINES), 'bad'].join('\n'))).toThrow('at most 50 payments');
+      // Comments and blank lines do not count
+      expect(() => batchPaymentService.parseList(['# list', '', ...lines(batchPaymentService.MAX_LINES)].join('\n'))).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const encryption = require('../../src/utils/encryption');
+const storageService = require('../../src/services/storageService');
+const auth0Service = require('../../src/services/auth0Service');
+const keyRotationService = require('../../src/services/keyRotationService');
+const { CIPHERTEXT_AAD } = require('../../src/core/keyring');
+
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe512961708279f3e2b1a4c7e2a1c6b1';
+
+// A Node bot blob from before key IDs, under the test ENCRYPTION_KEY
+const legacyBlob = (text) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(process.env.ENCRYPTION_KEY, 'utf8'), iv);
+  cipher.setAAD(Buffer.from(CIPHERTEXT_AAD, 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('hex'), authTag: cipher.getAuthTag().toString('hex'), encrypted: encrypted.toString('hex') };
+};
+
+describe('keyRotationService', () => {
+  let users;
+  let queries;
+
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+    queries = [];
+
+    // Three users share a creation time across the first page boundary
+    users = [1, 2, 3, 3, 3, 4, 5].map((day, i) => {
+      const createdAt = new Date(Date.UTC(2025, 0, day)).toISOString();
+      return {
+        user_id: `auth0|${i}`,
+        created_at: createdAt,
+        user_metadata: { telegram_id: i },
+        app_metadata: { arc_private_key_encrypted: legacyBlob(PRIVATE_KEY) }
+      };
+    });
+
+    // Like Auth0 search: oldest first, from a creation time, one page
+    jest.spyOn(auth0Service, 'listUsersCreatedFrom').mockImplementation(async (createdFrom, perPage) => {
+      queries.push(createdFrom);
+      return users
+        .filter(user => !createdFrom || user.created_at >= createdFrom)
+        .slice(0, perPage)
+        .map(user => JSON.parse(JSON.stringify(user)));
+    });
+    jest.spyOn(auth0Service, 'updateEncryptedSecrets').mockImplementation(async (userId, secrets) => {
+      const user = users.find(candidate => candidate.user_id === userId);
+      user.app_metadata = { ...user.app_metadata, ...secrets };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('re-encrypts every user once, paging by creation time', async () => {
+    const state = await keyRotationService.rotate({ perPage: 4 });
+
+    expect(state).toMatchObject({ rotated: 7, current: 0, failed: 0 });
+    expect(state.completedAt).not.toBeNull();
+    expect(auth0Service.updateEncryptedSecrets).toHaveBeenCalledTimes(7);
+    expect(queries[0]).toBeNull();
+    expect(queries[1]).toBe(users[3].created_at);
+
+    for (const user of users) {
+      const blob = user.app_metadata.arc_private_key_encrypted;
+      expect(encryption.needsReencryption(blob)).toBe(false);
+      expect(await encryption.decrypt(blob, user.user_metadata.telegram_id)).toBe(PRIVATE_KEY);
+    }
+  });
+
+  it('resumes from the saved checkpoint', async () => {
+    let pages = 0;
+    await expect(keyRotationService.rotate({
+      perPage: 4,
+      onPage: () => {
+        pages++;
+        throw new Error('interrupted');
+      }
+    })).rejects.toThrow('interrupted');
+    expect(pages).toBe(1);
+
+    const state = await keyRotationService.rotate({ perPage: 4 });
+
+    expect(state.rotated).toBe(7);
+    expect(auth0Service.updateEncryptedSecrets).toHaveBeenCalledTimes(7);
+  });
+
+  it('counts without writing on a dry run', async () => {
+    const state = await keyRotationService.rotate({ perPage: 4, dryRun: true });
+
+    expect(state.rotated).toBe(7);
+    expect(auth0Service.updateEncryptedSecrets).not.toHaveBeenCalled();
+    expect(await keyRotationService.getState()).toBeNull();
+  });
+
+  it('skips users already on the current key', async () => {
+    await keyRotationService.rotate({ perPage: 4 });
+    const state = await keyRotationService.rotate({ perPage: 4, restart: true });
+
+    expect(state).toMatchObject({ rotated: 0, current: 7 });
+  });
+
+  it('stops when a page holds only users it has already seen', async () => {
+    users.forEach(user => { user.created_at = users[0].created_at; });
+
+    await expect(keyRotationService.rotate({ perPage: 4 })).rejects.toThrow('More than 4 users');
+  });
+});
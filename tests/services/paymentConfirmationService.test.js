@@ -0,0 +1,71 @@
+const storageService = require('../../src/services/storageService');
+const paymentConfirmationService = require('../../src/services/paymentConfirmationService');
+const { AuthorizationError, NotFoundError, ValidationError } = require('../../src/utils/errors');
+
+const OWNER = 100;
+const OTHER = 200;
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+describe('paymentConfirmationService', () => {
+  let now;
+
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+    now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const create = () => paymentConfirmationService.createConfirmation(OWNER, { address: ADDRESS, amount: 5, source: 'pay' });
+
+  it('keeps the payment details on the server behind a short ID', async () => {
+    const confirmation = await create();
+
+    expect(confirmation.id).toMatch(/^[A-Za-z0-9_-]{12}$/);
+    expect(await paymentConfirmationService.getConfirmation(confirmation.id, OWNER))
+      .toMatchObject({ owner: OWNER, address: ADDRESS, amount: 5, status: 'pending' });
+  });
+
+  it('refuses a confirmation tapped by another user', async () => {
+    const confirmation = await create();
+
+    await expect(paymentConfirmationService.useConfirmation(confirmation.id, OTHER)).rejects.toBeInstanceOf(AuthorizationError);
+    await expect(paymentConfirmationService.cancelConfirmation(confirmation.id, OTHER)).rejects.toBeInstanceOf(AuthorizationError);
+    // The owner can still use it
+    expect((await paymentConfirmationService.useConfirmation(confirmation.id, OWNER)).status).toBe('used');
+  });
+
+  it('refuses a confirmation after its TTL', async () => {
+    const confirmation = await create();
+    now += paymentConfirmationService.TTL_MS;
+
+    await expect(paymentConfirmationService.useConfirmation(confirmation.id, OWNER)).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  it('lets only one of two concurrent taps through', async () => {
+    const confirmation = await create();
+
+    const results = await Promise.allSettled([
+      paymentConfirmationService.useConfirmation(confirmation.id, OWNER),
+      paymentConfirmationService.useConfirmation(confirmation.id, OWNER)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(ValidationError);
+  });
+
+  it('answers a late tap after use and cannot be used once cancelled', async () => {
+    const used = await create();
+    const cancelled = await create();
+    await paymentConfirmationService.useConfirmation(used.id, OWNER);
+    await paymentConfirmationService.cancelConfirmation(cancelled.id, OWNER);
+    // Past the pending TTL, a used confirmation is still remembered
+    now += paymentConfirmationService.TTL_MS;
+
+    await expect(paymentConfirmationService.useConfirmation(used.id, OWNER)).rejects.toThrow('already confirmed');
+    await expect(paymentConfirmationService.useConfirmation(cancelled.id, OWNER)).rejects.toThrow('already cancelled');
+  });
+});
@@ -0,0 +1,154 @@
+const storageService = require('../../src/services/storageService');
+const paymentOutboxService = require('../../src/services/paymentOutboxService');
+const arcService = require('../../src/services/arcService');
+
+const { STATUS } = paymentOutboxService;
+const SENDER = '0x00000000000000000000000000000000000000cc';
+const RECIPIENT = '0x00000000000000000000000000000000000000aa';
+
+const payment = (fields = {}) => ({ owner: 1, from: SENDER, to: RECIPIENT, amount: 5, ...fields });
+
+// An entry left behind by a payment that stopped after signing
+const signedEntry = async (id, { nonce = 0, hash = '0x01', rawTx = '0xraw' } = {}) => {
+  await paymentOutboxService.createEntry(payment({ idempotencyKey: id }));
+  return paymentOutboxService.markSigned(id, { nonce, hash, rawTx });
+};
+
+describe('paymentOutboxService', () => {
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+  });
+
+  afterEach(() => {
+    paymentOutboxService.setResolutionHandler(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('createEntry', () => {
+    it('returns the earlier entry for the same idempotency key', async () => {
+      const first = await paymentOutboxService.createEntry(payment({ idempotencyKey: 'sched:1' }));
+      const again = await paymentOutboxService.createEntry(payment({ idempotencyKey: 'sched:1' }));
+
+      expect(first.created).toBe(true);
+      expect(again).toEqual({ entry: first.entry, created: false });
+      expect(() => paymentOutboxService.assertNotInFlight(again.entry)).toThrow('already being sent');
+    });
+
+    it('starts a new attempt after a failed one', async () => {
+      await paymentOutboxService.createEntry(payment({ idempotencyKey: 'sched:1' }));
+      await paymentOutboxService.markFailed('sched:1', 'execution reverted');
+
+      const retry = await paymentOutboxService.createEntry(payment({ idempotencyKey: 'sched:1' }));
+
+      expect(retry.created).toBe(true);
+      expect(retry.entry).toMatchObject({ status: STATUS.PENDING, attempts: 2, error: null });
+    });
+
+    it('gives entries without a key their own ID', async () => {
+      const a = await paymentOutboxService.createEntry(payment());
+      const b = await paymentOutboxService.createEntry(payment());
+
+      expect(a.entry.id).not.toBe(b.entry.id);
+      expect(b.created).toBe(true);
+    });
+  });
+
+  describe('status updates', () => {
+    it('keeps every signed hash and drops the raw transaction once finished', async () => {
+      await signedEntry('p1', { hash: '0x01' });
+      await paymentOutboxService.markSigned('p1', { nonce: 0, hash: '0x02', rawTx: '0xbumped' });
+      await paymentOutboxService.markBroadcast('p1');
+
+      expect(await paymentOutboxService.listUnfinished()).toHaveLength(1);
+
+      const confirmed = await paymentOutboxService.markConfirmed('p1', { hash: '0x01', blockNumber: 7, gasUsed: '40000' });
+
+      expect(confirmed).toMatchObject({ status: STATUS.CONFIRMED, hash: '0x01', block_number: 7, raw_tx: null });
+      expect(paymentOutboxService.getHashes(confirmed)).toEqual(['0x01', '0x02']);
+      expect(await paymentOutboxService.listUnfinished()).toEqual([]);
+    });
+
+    it('ignores updates for an unknown entry', async () => {
+      expect(await paymentOutboxService.markBroadcast('missing')).toBeNull();
+      expect(await paymentOutboxService.getEntry('missing')).toBeNull();
+    });
+  });
+
+  describe('recovery', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = {
+        receipts: new Map(),
+        known: new Set(),
+        minedNonce: 0,
+        broadcast: [],
+        getTransactionReceipt: async (hash) => provider.receipts.get(hash) || null,
+        getTransaction: async (hash) => (provider.known.has(hash) ? { hash } : null),
+        getTransactionCount: async () => provider.minedNonce,
+        broadcastTransaction: async (rawTx) => {
+          provider.broadcast.push(rawTx);
+          return { hash: '0x01' };
+        },
+        waitForTransaction: () => new Promise(() => {})
+      };
+      arcService.provider = provider;
+    });
+
+    it('fails entries that were never signed', async () => {
+      await paymentOutboxService.createEntry(payment({ idempotencyKey: 'p1' }));
+
+      expect(await arcService.recoverOutbox()).toEqual({ checked: 1, confirmed: 0, failed: 1, pending: 0 });
+      expect((await paymentOutboxService.getEntry('p1')).status).toBe(STATUS.FAILED);
+    });
+
+    it('confirms a mined entry and tells its owner', async () => {
+      const handler = jest.fn().mockResolvedValue();
+      paymentOutboxService.setResolutionHandler(handler);
+      await signedEntry('p1', { hash: '0x01' });
+      await paymentOutboxService.markSigned('p1', { nonce: 0, hash: '0x02', rawTx: '0xbumped' });
+      // The fee-bumped version was the one mined
+      provider.receipts.set('0x02', { hash: '0x02', status: 1, blockNumber: 9, gasUsed: 40000n });
+
+      expect(await arcService.recoverOutbox()).toMatchObject({ confirmed: 1 });
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: 'p1', status: STATUS.CONFIRMED, hash: '0x02' }));
+    });
+
+    it('fails an entry whose nonce another transaction used', async () => {
+      await signedEntry('p1', { nonce: 0 });
+      provider.minedNonce = 1;
+
+      expect(await arcService.recoverOutbox()).toMatchObject({ failed: 1 });
+      expect(provider.broadcast).toEqual([]);
+    });
+
+    it('confirms an entry mined between the receipt and nonce checks', async () => {
+      await signedEntry('p1', { nonce: 0, hash: '0x01' });
+      const getTransactionCount = provider.getTransactionCount;
+      provider.getTransactionCount = async () => {
+        // Mined just after its receipt was first looked up
+        provider.receipts.set('0x01', { hash: '0x01', status: 1, blockNumber: 9, gasUsed: 40000n });
+        return (await getTransactionCount()) + 1;
+      };
+
+      expect(await arcService.recoverOutbox()).toMatchObject({ confirmed: 1, failed: 0 });
+      expect((await paymentOutboxService.getEntry('p1')).status).toBe(STATUS.CONFIRMED);
+    });
+
+    it('broadcasts a signed transaction the node never received', async () => {
+      await signedEntry('p1', { nonce: 0, rawTx: '0xraw' });
+
+      expect(await arcService.recoverOutbox()).toMatchObject({ pending: 1 });
+      expect(provider.broadcast).toEqual(['0xraw']);
+      expect((await paymentOutboxService.getEntry('p1')).status).toBe(STATUS.BROADCAST);
+    });
+
+    it('leaves an entry still in the mempool open', async () => {
+      await signedEntry('p1', { hash: '0x01' });
+      provider.known.add('0x01');
+
+      expect(await arcService.recoverOutbox()).toMatchObject({ pending: 1 });
+      expect(await paymentOutboxService.listUnfinished()).toHaveLength(1);
+    });
+  });
+});
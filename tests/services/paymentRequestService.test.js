@@ -0,0 +1,111 @@
+const storageService = require('../../src/services/storageService');
+const paymentRequestService = require('../../src/services/paymentRequestService');
+
+const REQUESTER = 100;
+const PAYER = 200;
+
+describe('paymentRequestService', () => {
+  let now;
+
+  beforeAll(async () => {
+    await storageService.connect('memory:');
+  });
+
+  beforeEach(() => {
+    now = Date.UTC(2025, 0, 1);
+    paymentRequestService.clock = { now: () => now };
+  });
+
+  const createRequest = (ttlMs = 60 * 60 * 1000) => paymentRequestService.createRequest({
+    requesterId: REQUESTER,
+    payerId: PAYER,
+    requesterAddress: '0x0000000000000000000000000000000000000001',
+    amount: 5,
+    ttlMs
+  });
+
+  describe('while a payment is in flight', () => {
+    it('refuses cancel and decline', async () => {
+      const request = await createRequest();
+      await paymentRequestService.claimForPayment(request.id, PAYER);
+
+      await expect(paymentRequestService.cancelRequest(request.id, REQUESTER)).rejects.toThrow('being paid');
+      await expect(paymentRequestService.declineRequest(request.id, PAYER)).rejects.toThrow('being paid');
+      expect((await paymentRequestService.getRequest(request.id)).status).toBe('pending');
+    });
+
+    it('does not expire the request', async () => {
+      const request = await createRequest(1000);
+      await paymentRequestService.claimForPayment(request.id, PAYER);
+      now += 2000;
+
+      expect(await paymentRequestService.expireStaleRequests()).toEqual([]);
+      const paid = await paymentRequestService.fulfilRequest(request.id, PAYER, '0xhash');
+      expect(paid.status).toBe('paid');
+      expect(paid.tx_hash).toBe('0xhash');
+    });
+
+    it('allows cancelling once the claim is released', async () => {
+      const request = await createRequest();
+      await paymentRequestService.claimForPayment(request.id, PAYER);
+      await paymentRequestService.releaseClaim(request.id);
+
+      expect((await paymentRequestService.cancelRequest(request.id, REQUESTER)).status).toBe('cancelled');
+    });
+  });
+
+  describe('fulfilRequest', () => {
+    it('refuses a payer the request is not for', async () => {
+      const request = await createRequest();
+
+      await expect(paymentRequestService.fulfilRequest(request.id, 300, '0xhash')).rejects.toThrow('not for you');
+      await expect(paymentRequestService.fulfilRequest(request.id, REQUESTER, '0xhash')).rejects.toThrow('not for you');
+      expect((await paymentRequestService.getRequest(request.id)).status).toBe('pending');
+    });
+
+    it('clears the payer\'s claim', async () => {
+      const request = await createRequest();
+      await paymentRequestService.claimForPayment(request.id, PAYER);
+
+      const paid = await paymentRequestService.fulfilRequest(request.id, PAYER, '0xhash');
+
+      expect(paid.status).toBe('paid');
+      expect(paid.processing).toBeUndefined();
+    });
+
+    it('reports an unknown request', async () => {
+      await expect(paymentRequestService.fulfilRequest('missing', PAYER, '0xhash')).rejects.toThrow('not found');
+    });
+  });
+
+  describe('after the claim timed out', () => {
+    it('marks a cancelled request paid when the claimed transfer confirms', async () => {
+      const request = await createRequest();
+      await paymentRequestService.claimForPayment(request.id, PAYER);
+      now += paymentRequestService.CLAIM_TIMEOUT_MS + 1;
+
+      expect((await paymentRequestService.cancelRequest(request.id, REQUESTER)).status).toBe('cancelled');
+
+      const paid = await paymentRequestService.fulfilRequest(request.id, PAYER, '0xlate');
+      expect(paid.status).toBe('paid');
+      expect(paid.interrupted_claim).toBeUndefined();
+      expect(paid.history.map(entry => entry.status)).toEqual(['pending', 'cancelled', 'paid']);
+    });
+
+    it('marks an expired request paid when the claimed transfer confirms', async () => {
+      const request = await createRequest(1000);
+      await paymentRequestService.claimForPayment(request.id, PAYER);
+      now += paymentRequestService.CLAIM_TIMEOUT_MS + 1;
+
+      expect((await paymentRequestService.expireStaleRequests()).map(r => r.id)).toEqual([request.id]);
+      expect((await paymentRequestService.fulfilRequest(request.id, PAYER, '0xlate')).status).toBe('paid');
+    });
+
+    it('does not reopen a request closed without a claim', async () => {
+      const request = await createRequest();
+      await paymentRequestService.cancelRequest(request.id, REQUESTER);
+
+      await expect(paymentRequestService.fulfilRequest(request.id, PAYER, '0xhash')).rejects.toThrow('already cancelled');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const storageService = require('../../src/services/storageService');
+const scheduledPaymentService = require('../../src/services/scheduledPaymentService');
+
+const OWNER = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('scheduledPaymentService', () => {
+  let now;
+
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+    now = Date.UTC(2025, 0, 1, 9);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    scheduledPaymentService.setRunHandler(null);
+    scheduledPaymentService.setReminderHandler(null);
+    jest.restoreAllMocks();
+  });
+
+  const createSchedule = (frequency = 'daily', firstRunAt = new Date(now + HOUR_MS * 2)) => scheduledPaymentService.createSchedule({
+    ownerId: OWNER,
+    recipient: '0x00000000000000000000000000000000000000aa',
+    recipientDisplay: '@alice',
+    amount: 5,
+    frequency,
+    firstRunAt
+  });
+
+  describe('_nextRun', () => {
+    const next = (frequency, anchorDay, from) =>
+      scheduledPaymentService._nextRun({ frequency, anchor_day: anchorDay }, new Date(from)).toISOString();
+
+    it.each([
+      ['daily', 1, '2025-01-31T09:00:00.000Z', '2025-02-01T09:00:00.000Z'],
+      ['weekly', 1, '2025-12-29T09:00:00.000Z', '2026-01-05T09:00:00.000Z'],
+      ['monthly', 15, '2025-01-15T09:00:00.000Z', '2025-02-15T09:00:00.000Z'],
+      ['monthly', 31, '2025-01-31T09:00:00.000Z', '2025-02-28T09:00:00.000Z'],
+      ['monthly', 31, '2025-02-28T09:00:00.000Z', '2025-03-31T09:00:00.000Z'],
+      ['monthly', 31, '2025-03-31T09:00:00.000Z', '2025-04-30T09:00:00.000Z'],
+      ['monthly', 30, '2024-01-30T09:00:00.000Z', '2024-02-29T09:00:00.000Z'],
+      ['monthly', 31, '2025-12-31T09:00:00.000Z', '2026-01-31T09:00:00.000Z']
+    ])('moves a %s run on the %i from %s to %s', (frequency, anchorDay, from, expected) => {
+      expect(next(frequency, anchorDay, from)).toBe(expected);
+    });
+
+    it('rejects an unknown frequency', () => {
+      expect(() => next('yearly', 1, '2025-01-01T09:00:00.000Z')).toThrow('Unknown frequency');
+    });
+  });
+
+  describe('_claimRun', () => {
+    it('claims a due run only once', async () => {
+      const schedule = await createSchedule();
+      now += HOUR_MS * 2;
+
+      const claims = await Promise.all([1, 2, 3].map(() => scheduledPaymentService._claimRun(schedule.id)));
+
+      expect(claims.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('does not claim a run that is not due, or a paused schedule', async () => {
+      const schedule = await createSchedule();
+
+      expect(await scheduledPaymentService._claimRun(schedule.id)).toBeNull();
+
+      await scheduledPaymentService.pauseSchedule(schedule.id, OWNER);
+      now += HOUR_MS * 2;
+      expect(await scheduledPaymentService._claimRun(schedule.id)).toBeNull();
+    });
+
+    it('lets the run be claimed again once a stale claim times out', async () => {
+      const schedule = await createSchedule();
+      now += HOUR_MS * 2;
+      await scheduledPaymentService._claimRun(schedule.id);
+
+      now += scheduledPaymentService.CLAIM_TIMEOUT_MS;
+
+      expect(await scheduledPaymentService._claimRun(schedule.id)).not.toBeNull();
+    });
+  });
+
+  describe('tick', () => {
+    it('runs a due payment once and moves the schedule to its next date', async () => {
+      const handler = jest.fn().mockResolvedValue({ status: 'paid', txHash: '0x01' });
+      scheduledPaymentService.setRunHandler(handler);
+      const schedule = await createSchedule();
+      now += HOUR_MS * 2;
+
+      await Promise.all([scheduledPaymentService.tick(), scheduledPaymentService.tick()]);
+      await scheduledPaymentService.tick();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      const updated = await scheduledPaymentService.getSchedule(schedule.id);
+      expect(updated).not.toHaveProperty('processing');
+      expect(updated.next_run_at).toBe(new Date(Date.UTC(2025, 0, 2, 11)).toISOString());
+      expect(updated.runs).toEqual([expect.objectContaining({ status: 'paid', txHash: '0x01' })]);
+    });
+
+    it('does not wait for a sent payment to be mined, and records its outcome once it is', async () => {
+      let mine;
+      const completion = new Promise(resolve => { mine = resolve; });
+      scheduledPaymentService.setRunHandler(jest.fn().mockResolvedValue({ status: 'submitted', txHash: '0x01', completion }));
+      const schedule = await createSchedule();
+      now += HOUR_MS * 2;
+
+      await scheduledPaymentService.tick();
+
+      const due = schedule.next_run_at;
+      let updated = await scheduledPaymentService.getSchedule(schedule.id);
+      expect(updated).not.toHaveProperty('processing');
+      expect(updated.runs).toEqual([expect.objectContaining({ due, status: 'submitted', txHash: '0x01' })]);
+      expect(updated.runs[0]).not.toHaveProperty('completion');
+
+      mine({ status: 'paid', txHash: '0x01' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      updated = await scheduledPaymentService.getSchedule(schedule.id);
+      expect(updated.runs).toEqual([expect.objectContaining({ due, status: 'paid', txHash: '0x01' })]);
+    });
+
+    it('keeps a schedule active when a run is skipped', async () => {
+      scheduledPaymentService.setRunHandler(jest.fn().mockResolvedValue({ status: 'skipped', error: 'Insufficient USDC funds' }));
+      const schedule = await createSchedule();
+      now += HOUR_MS * 2;
+
+      await scheduledPaymentService.tick();
+
+      const updated = await scheduledPaymentService.getSchedule(schedule.id);
+      expect(updated.status).toBe(scheduledPaymentService.STATUS.ACTIVE);
+      expect(updated.next_run_at).toBe(new Date(Date.UTC(2025, 0, 2, 11)).toISOString());
+      expect(updated.runs).toEqual([expect.objectContaining({ status: 'skipped' })]);
+    });
+
+    it('makes one run for several missed dates', async () => {
+      const handler = jest.fn().mockResolvedValue({ status: 'paid', txHash: '0x01' });
+      scheduledPaymentService.setRunHandler(handler);
+      const schedule = await createSchedule();
+      now += 3 * 24 * HOUR_MS;
+
+      await scheduledPaymentService.tick();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect((await scheduledPaymentService.getSchedule(schedule.id)).next_run_at).toBe(new Date(Date.UTC(2025, 0, 4, 11)).toISOString());
+    });
+
+    it('completes a one-off schedule after its run, even when it fails', async () => {
+      scheduledPaymentService.setRunHandler(jest.fn().mockRejectedValue(new Error('node down')));
+      const schedule = await createSchedule('once');
+      now += HOUR_MS * 2;
+
+      await scheduledPaymentService.tick();
+
+      const updated = await scheduledPaymentService.getSchedule(schedule.id);
+      expect(updated.status).toBe(scheduledPaymentService.STATUS.COMPLETED);
+      expect(updated.runs).toEqual([expect.objectContaining({ status: 'failed', error: 'node down' })]);
+    });
+
+    it('reminds once before a run', async () => {
+      const reminder = jest.fn().mockResolvedValue();
+      scheduledPaymentService.setReminderHandler(reminder);
+      await createSchedule();
+      now += HOUR_MS + 1;
+
+      await scheduledPaymentService.tick();
+      await scheduledPaymentService.tick();
+
+      expect(reminder).toHaveBeenCalledTimes(1);
+    });
+  });
+});
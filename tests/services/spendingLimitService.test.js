@@ -0,0 +1,197 @@
+const config = require('../../src/config');
+const storageService = require('../../src/services/storageService');
+const spendingLimitService = require('../../src/services/spendingLimitService');
+const encryption = require('../../src/utils/encryption');
+const { AuthorizationError, SpendingLimitError, ValidationError } = require('../../src/utils/errors');
+
+const USER = 100;
+const OTHER = 200;
+
+describe('spendingLimitService', () => {
+  let now;
+
+  beforeAll(() => {
+    spendingLimitService.PIN_HASH_ROUNDS = 4; // bcrypt's minimum, to keep the tests fast
+  });
+
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+    now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verifyPin', () => {
+    beforeEach(async () => {
+      await spendingLimitService.setPin(USER, '1234');
+    });
+
+    it('accepts the PIN and counts down wrong ones', async () => {
+      expect(await spendingLimitService.verifyPin(USER, '1234')).toEqual({ valid: true, attemptsLeft: 5 });
+      expect(await spendingLimitService.verifyPin(USER, '0000')).toEqual({ valid: false, attemptsLeft: 4 });
+      expect(await spendingLimitService.verifyPin(USER, '0001')).toEqual({ valid: false, attemptsLeft: 3 });
+
+      // A correct PIN starts the count again
+      await spendingLimitService.verifyPin(USER, '1234');
+      expect(await spendingLimitService.verifyPin(USER, '0000')).toEqual({ valid: false, attemptsLeft: 4 });
+    });
+
+    it('locks the PIN after MAX_PIN_ATTEMPTS wrong ones, even against the right one', async () => {
+      for (let i = 1; i < spendingLimitService.MAX_PIN_ATTEMPTS; i++) {
+        await spendingLimitService.verifyPin(USER, '0000');
+      }
+
+      await expect(spendingLimitService.verifyPin(USER, '0000')).rejects.toThrow('Try again in 15 minutes');
+      await expect(spendingLimitService.verifyPin(USER, '1234')).rejects.toBeInstanceOf(AuthorizationError);
+
+      now += spendingLimitService.PIN_LOCK_MS;
+      expect(await spendingLimitService.verifyPin(USER, '1234')).toEqual({ valid: true, attemptsLeft: 5 });
+    });
+
+    it('locks after MAX_PIN_ATTEMPTS guesses made at once', async () => {
+      const guesses = Array.from({ length: 10 }, (_, i) => spendingLimitService.verifyPin(USER, String(5000 + i)));
+      const results = await Promise.allSettled(guesses);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(spendingLimitService.MAX_PIN_ATTEMPTS - 1);
+      await expect(spendingLimitService.verifyPin(USER, '1234')).rejects.toBeInstanceOf(AuthorizationError);
+    });
+
+    it('rejects PINs that are not 4 to 8 digits and users without a PIN', async () => {
+      await expect(spendingLimitService.setPin(USER, '123')).rejects.toBeInstanceOf(ValidationError);
+      await expect(spendingLimitService.setPin(USER, '12ab')).rejects.toBeInstanceOf(ValidationError);
+      await expect(spendingLimitService.verifyPin(OTHER, '1234')).rejects.toThrow('not set a PIN');
+    });
+
+    it('stores only a bcrypt hash of the PIN', async () => {
+      const settings = await storageService.get(spendingLimitService.SETTINGS_NAMESPACE, USER);
+
+      expect(JSON.stringify(settings)).not.toContain('1234');
+      expect(settings.pin.hash).toMatch(/^\$2[aby]\$04\$/);
+    });
+
+    it('accepts a PIN hashed before bcrypt and rehashes it', async () => {
+      const salt = encryption.generateSecureToken(16);
+      await storageService.set(spendingLimitService.SETTINGS_NAMESPACE, OTHER, {
+        pin: { salt, hash: encryption.hash(`${salt}:4321`), set_at: new Date(now).toISOString() }
+      });
+
+      expect(await spendingLimitService.verifyPin(OTHER, '0000')).toEqual({ valid: false, attemptsLeft: 4 });
+      expect(await spendingLimitService.verifyPin(OTHER, '4321')).toEqual({ valid: true, attemptsLeft: 5 });
+
+      const { pin } = await storageService.get(spendingLimitService.SETTINGS_NAMESPACE, OTHER);
+      expect(pin).not.toHaveProperty('salt');
+      expect(pin.hash).toMatch(/^\$2[aby]\$/);
+      expect(await spendingLimitService.verifyPin(OTHER, '4321')).toEqual({ valid: true, attemptsLeft: 5 });
+    });
+  });
+
+  describe('authorizePayment', () => {
+    it('reserves concurrent payments so they cannot pass a limit together', async () => {
+      const payments = [400, 400, 400].map(amount =>
+        spendingLimitService.authorizePayment(USER, amount, { actionKey: 'pay', skipStepUp: true })
+      );
+      const results = await Promise.allSettled(payments);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+      expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(SpendingLimitError);
+      expect(await spendingLimitService.getUsage(USER)).toEqual({ daily: 800, weekly: 800 });
+    });
+
+    it('frees the reservation of a payment that was not sent', async () => {
+      const { reservationId } = await spendingLimitService.authorizePayment(USER, 90, { actionKey: 'pay' });
+      await spendingLimitService.authorizePayment(USER, 50, { actionKey: 'pay' });
+
+      await spendingLimitService.settleReservation(USER, reservationId, 0);
+
+      expect(await spendingLimitService.getUsage(USER)).toEqual({ daily: 50, weekly: 50 });
+    });
+
+    it('counts spending over rolling windows', async () => {
+      await spendingLimitService.authorizePayment(USER, 400, { actionKey: 'pay', skipStepUp: true });
+      now += spendingLimitService.DAY_MS;
+
+      expect(await spendingLimitService.getUsage(USER)).toEqual({ daily: 0, weekly: 400 });
+    });
+
+    it('asks for step-up above the threshold until a challenge is approved', async () => {
+      const amount = config.spending.stepUpThreshold + 1;
+
+      expect(await spendingLimitService.authorizePayment(USER, amount, { actionKey: 'pay:a' })).toEqual({ stepUpRequired: true });
+
+      const challenge = await spendingLimitService.createChallenge(USER, { amount, actionKey: 'pay:a', description: 'test', resume: {} });
+      now += config.spending.stepUpDelayMs;
+      await spendingLimitService.approveChallenge(challenge.id, USER);
+
+      // The grant is for that payment only, and only once
+      expect(await spendingLimitService.authorizePayment(USER, amount, { actionKey: 'pay:b' })).toEqual({ stepUpRequired: true });
+      expect(await spendingLimitService.authorizePayment(USER, amount, { actionKey: 'pay:a' })).toHaveProperty('reservationId');
+      expect(await spendingLimitService.authorizePayment(USER, amount, { actionKey: 'pay:a' })).toEqual({ stepUpRequired: true });
+    });
+  });
+
+  describe('consumeGrant', () => {
+    it('lets one of several concurrent payments use a grant', async () => {
+      const challenge = await spendingLimitService.createChallenge(USER, { amount: 200, actionKey: 'pay:a', description: 'test', resume: {} });
+      now += config.spending.stepUpDelayMs;
+      await spendingLimitService.approveChallenge(challenge.id, USER);
+
+      const results = await Promise.all([1, 2, 3].map(() => spendingLimitService.consumeGrant(USER, 'pay:a')));
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(await spendingLimitService.consumeGrant(OTHER, 'pay:a')).toBe(false);
+    });
+
+    it('expires an unused grant', async () => {
+      const challenge = await spendingLimitService.createChallenge(USER, { amount: 200, actionKey: 'pay:a', description: 'test', resume: {} });
+      now += config.spending.stepUpDelayMs;
+      await spendingLimitService.approveChallenge(challenge.id, USER);
+      now += spendingLimitService.GRANT_TTL_MS;
+
+      expect(await spendingLimitService.consumeGrant(USER, 'pay:a')).toBe(false);
+    });
+  });
+
+  describe('approveChallenge', () => {
+    const createChallenge = () => spendingLimitService.createChallenge(USER, { amount: 200, actionKey: 'pay:a', description: 'test', resume: {} });
+
+    it('waits out the delay when the user has no PIN', async () => {
+      const challenge = await createChallenge();
+      expect(challenge.method).toBe('delay');
+
+      now += config.spending.stepUpDelayMs - 1000;
+      await expect(spendingLimitService.approveChallenge(challenge.id, USER)).rejects.toThrow('wait 1 more seconds');
+
+      now += 1000;
+      expect((await spendingLimitService.approveChallenge(challenge.id, USER)).id).toBe(challenge.id);
+    });
+
+    it('needs the PIN first when the user has one', async () => {
+      await spendingLimitService.setPin(USER, '1234');
+      const challenge = await createChallenge();
+
+      await expect(spendingLimitService.approveChallenge(challenge.id, USER)).rejects.toThrow('PIN first');
+
+      await spendingLimitService.markVerified(challenge.id);
+      expect((await spendingLimitService.approveChallenge(challenge.id, USER)).method).toBe('pin');
+    });
+
+    it('can be completed once, by its owner, before it expires', async () => {
+      const challenge = await createChallenge();
+      const expired = await createChallenge();
+      now += config.spending.stepUpDelayMs;
+
+      await expect(spendingLimitService.approveChallenge(challenge.id, OTHER)).rejects.toBeInstanceOf(AuthorizationError);
+      const results = await Promise.allSettled([
+        spendingLimitService.approveChallenge(challenge.id, USER),
+        spendingLimitService.approveChallenge(challenge.id, USER)
+      ]);
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+
+      now += spendingLimitService.CHALLENGE_TTL_MS;
+      await expect(spendingLimitService.approveChallenge(expired.id, USER)).rejects.toThrow('not found');
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const splitService = require('../../src/services/splitService');
+const { ValidationError } = require('../../src/utils/errors');
+
+const flexible = { amount: null };
+const fixed = (amount) => ({ amount });
+
+describe('splitService', () => {
+  describe('calculateShares', () => {
+    it.each([
+      ['splits evenly', 30, [flexible, flexible, flexible], [10, 10, 10]],
+      ['gives leftover cents to the first shares', 10, [flexible, flexible, flexible], [3.34, 3.33, 3.33]],
+      ['spreads several leftover cents', 0.05, [flexible, flexible, flexible], [0.02, 0.02, 0.01]],
+      ['keeps fixed shares and splits the rest', 25, [fixed(10), flexible, flexible], [10, 7.5, 7.5]],
+      ['puts leftover cents on flexible shares only', 20, [fixed(10.01), flexible, flexible], [10.01, 5, 4.99]],
+      ['accepts fixed shares that add up to the total', 12.5, [fixed(5), fixed(7.5)], [5, 7.5]],
+      ['rounds to whole cents', 0.1, [fixed(0.033), flexible], [0.03, 0.07]]
+    ])('%s', (name, total, participants, expected) => {
+      const shares = splitService.calculateShares(total, participants);
+
+      expect(shares).toEqual(expected);
+      expect(Math.round(shares.reduce((sum, share) => sum + share * 100, 0))).toBe(Math.round(total * 100));
+    });
+
+    it.each([
+      ['fixed shares over the total', 10, [fixed(8), fixed(3), flexible], 'add up to 11.00 but the total is 10'],
+      ['fixed shares under the total with no one to cover the rest', 10, [fixed(4), fixed(5)], 'add up to 9.00 but the total is 10'],
+      ['less than a cent per flexible share', 0.02, [flexible, flexible, flexible], 'too small to split'],
+      ['nothing left for the flexible shares', 10, [fixed(10), flexible], 'too small to split']
+    ])('rejects %s', (name, total, participants, message) => {
+      expect(() => splitService.calculateShares(total, participants)).toThrow(ValidationError);
+      expect(() => splitService.calculateShares(total, participants)).toThrow(message);
+    });
+  });
+});
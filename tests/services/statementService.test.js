@@ -0,0 +1,74 @@
+const { ethers } = require('ethers');
+const arcService = require('../../src/services/arcService');
+const transactionIndexService = require('../../src/services/transactionIndexService');
+const statementService = require('../../src/services/statementService');
+
+const OWN = '0x00000000000000000000000000000000000000aa';
+const OTHER = '0x00000000000000000000000000000000000000bb';
+const GWEI = 10n ** 9n;
+
+const transfer = (blockNumber, from, to, amount, hash = `0x${blockNumber}`) => ({
+  hash,
+  blockNumber,
+  logIndex: 0,
+  from,
+  to,
+  amount,
+  currency: 'USDC',
+  date: new Date(Date.UTC(2025, 0, blockNumber)).toISOString()
+});
+
+describe('statementService', () => {
+  let fees;
+
+  beforeEach(() => {
+    fees = {};
+    jest.spyOn(arcService, 'getTransactionMemo').mockResolvedValue(null);
+    jest.spyOn(arcService, 'getTransactionFee').mockImplementation(async (hash) => fees[hash]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const buildJson = async (transfers, balance, complete = true) => {
+    jest.spyOn(transactionIndexService, 'getTransfersSince').mockResolvedValue({ transfers, complete });
+    jest.spyOn(arcService, 'getUSDCBalance').mockResolvedValue(balance);
+    const statement = await statementService.buildStatement(OWN, { format: 'json' });
+    return statement.pending ? statement : JSON.parse(statement.content);
+  };
+
+  it('includes the network fees of sent transfers in running balances', async () => {
+    // 0.02 USDC (18 decimals) per sent transaction
+    fees['0x2'] = 100000n * 200n * GWEI;
+    fees['0x3'] = 100000n * 200n * GWEI;
+
+    const statement = await buildJson([
+      transfer(1, OTHER, OWN, '100.0'),
+      transfer(2, OWN, OTHER, '10.0'),
+      transfer(3, OWN, OTHER, '5.0')
+    ], 84.96);
+
+    expect(statement.opening_balance).toBe('0.0');
+    expect(statement.transactions.map(t => t.running_balance)).toEqual(['100.0', '89.98', '84.96']);
+    expect(statement.transactions.map(t => t.fee)).toEqual(['', '0.02', '0.02']);
+    expect(statement.closing_balance).toBe('84.96');
+  });
+
+  it('charges a transaction with several transfers once', async () => {
+    fees['0xbatch'] = ethers.parseUnits('0.05', 18);
+
+    const statement = await buildJson([
+      transfer(1, OTHER, OWN, '50.0'),
+      transfer(2, OWN, OTHER, '10.0', '0xbatch'),
+      { ...transfer(2, OWN, OTHER, '15.0', '0xbatch'), logIndex: 1 }
+    ], 24.95);
+
+    expect(statement.transactions.map(t => t.fee)).toEqual(['', '0.05', '0.0']);
+    expect(statement.opening_balance).toBe('0.0');
+  });
+
+  it('is pending while the period is not indexed', async () => {
+    expect(await buildJson([], 10, false)).toEqual({ pending: true });
+  });
+});
@@ -0,0 +1,140 @@
+const MemoryDriver = require('../../../src/services/storage/memoryDriver');
+const SqliteDriver = require('../../../src/services/storage/sqliteDriver');
+const PostgresDriver = require('../../../src/services/storage/postgresDriver');
+
+// Every driver must behave the same; postgres runs only when a test database is given
+const drivers = [
+  ['memory', () => new MemoryDriver()],
+  ['sqlite', () => new SqliteDriver('sqlite::memory:')],
+  ...(process.env.TEST_POSTGRES_URL ? [['postgres', () => new PostgresDriver(process.env.TEST_POSTGRES_URL)]] : [])
+];
+
+describe.each(drivers)('%s storage driver', (name, createDriver) => {
+  const NS = 'contract';
+  let driver;
+  let now;
+
+  beforeEach(async () => {
+    now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    driver = createDriver();
+    await driver.connect();
+    if (name === 'postgres') {
+      await driver.pool.query('DELETE FROM kv_store WHERE namespace = $1', [NS]);
+    }
+  });
+
+  afterEach(async () => {
+    await driver.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  it('stores JSON values by namespace and key', async () => {
+    await driver.set(NS, 'a', { amount: 5, memo: null });
+    await driver.set('other', 'a', 'elsewhere');
+
+    expect(await driver.get(NS, 'a')).toEqual({ amount: 5, memo: null });
+    expect(await driver.get(NS, 'missing')).toBeNull();
+    expect(await driver.delete(NS, 'a')).toBe(true);
+    expect(await driver.delete(NS, 'a')).toBe(false);
+    expect(await driver.get('other', 'a')).toBe('elsewhere');
+  });
+
+  describe('setIfAbsent', () => {
+    it('only stores the first value', async () => {
+      expect(await driver.setIfAbsent(NS, 'a', 1)).toBe(true);
+      expect(await driver.setIfAbsent(NS, 'a', 2)).toBe(false);
+      expect(await driver.get(NS, 'a')).toBe(1);
+    });
+
+    it('lets exactly one of several concurrent calls win', async () => {
+      const results = await Promise.all([1, 2, 3, 4, 5].map(value => driver.setIfAbsent(NS, 'a', value)));
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(await driver.get(NS, 'a')).toBe(results.indexOf(true) + 1);
+    });
+
+    it('replaces an expired entry', async () => {
+      await driver.set(NS, 'a', 1, now + 1000);
+      now += 1000;
+
+      expect(await driver.setIfAbsent(NS, 'a', 2)).toBe(true);
+      expect(await driver.get(NS, 'a')).toBe(2);
+    });
+  });
+
+  describe('update', () => {
+    it('passes null for a missing key and stores what the updater returns', async () => {
+      const updater = jest.fn(current => ({ count: (current?.count || 0) + 1 }));
+
+      expect(await driver.update(NS, 'a', updater)).toEqual({ count: 1 });
+      expect(updater).toHaveBeenCalledWith(null);
+      expect(await driver.update(NS, 'a', updater)).toEqual({ count: 2 });
+    });
+
+    it('leaves the entry alone when the updater returns undefined', async () => {
+      await driver.set(NS, 'a', { count: 1 });
+
+      expect(await driver.update(NS, 'a', () => undefined)).toEqual({ count: 1 });
+      expect(await driver.update(NS, 'missing', () => undefined)).toBeNull();
+      expect(await driver.get(NS, 'missing')).toBeNull();
+    });
+
+    it('loses no writes when updates run concurrently', async () => {
+      await Promise.all(Array.from({ length: 20 }, () =>
+        driver.update(NS, 'counter', current => (current || 0) + 1)
+      ));
+
+      expect(await driver.get(NS, 'counter')).toBe(20);
+    });
+
+    it('keeps the expiry unless a new one is given', async () => {
+      await driver.set(NS, 'a', 1, now + 1000);
+      await driver.update(NS, 'a', current => current + 1);
+      await driver.set(NS, 'b', 1, now + 1000);
+      await driver.update(NS, 'b', current => current + 1, now + 5000);
+      now += 1000;
+
+      expect(await driver.get(NS, 'a')).toBeNull();
+      expect(await driver.get(NS, 'b')).toBe(2);
+    });
+  });
+
+  describe('expiry', () => {
+    it('hides expired entries and purges them', async () => {
+      await driver.set(NS, 'short', 1, now + 1000);
+      await driver.set(NS, 'long', 2, now + 5000);
+      await driver.set(NS, 'forever', 3);
+      now += 1000;
+
+      expect(await driver.get(NS, 'short')).toBeNull();
+      expect(await driver.list(NS)).toEqual([{ key: 'forever', value: 3 }, { key: 'long', value: 2 }]);
+
+      now += 4000;
+      expect(await driver.purgeExpired()).toBeGreaterThanOrEqual(1);
+      expect(await driver.list(NS)).toEqual([{ key: 'forever', value: 3 }]);
+    });
+  });
+
+  describe('list', () => {
+    it('returns the entries under a prefix in key order', async () => {
+      await driver.set(NS, '42:b', 'b');
+      await driver.set(NS, '42:a', 'a');
+      await driver.set(NS, '420:x', 'other user');
+      await driver.set(NS, '7:a', 'other user');
+
+      expect(await driver.list(NS, '42:')).toEqual([{ key: '42:a', value: 'a' }, { key: '42:b', value: 'b' }]);
+      expect(await driver.list(NS)).toHaveLength(4);
+      expect(await driver.list('empty')).toEqual([]);
+    });
+
+    it('treats the prefix literally', async () => {
+      await driver.set(NS, 'a%b', 1);
+      await driver.set(NS, 'axb', 2);
+      await driver.set(NS, 'a_c', 3);
+
+      expect(await driver.list(NS, 'a%')).toEqual([{ key: 'a%b', value: 1 }]);
+      expect(await driver.list(NS, 'a_')).toEqual([{ key: 'a_c', value: 3 }]);
+    });
+  });
+});
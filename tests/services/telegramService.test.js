@@ -0,0 +1,56 @@
+const storageService = require('../../src/services/storageService');
+const telegramService = require('../../src/services/telegramService');
+
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+const textMessage = (text) => ({ message_id: 10, chat: { id: 1 }, from: { id: 1 }, text });
+
+describe('telegramService', () => {
+  describe('handleTextMessage', () => {
+    beforeEach(async () => {
+      await storageService.connect('memory:');
+      jest.spyOn(telegramService, 'deleteMessage').mockResolvedValue(true);
+      jest.spyOn(telegramService, 'sendMessage').mockResolvedValue({ message_id: 11 });
+      jest.spyOn(telegramService, 'handlePaymentAmountInput').mockResolvedValue();
+      jest.spyOn(telegramService, 'handleImportInput').mockResolvedValue();
+      jest.spyOn(telegramService, 'handleDefaultText').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('deletes a recovery phrase sent while another input is expected', async () => {
+      await telegramService.setUserSession(1, { waitingFor: 'payment_amount' });
+
+      await telegramService.handleTextMessage(textMessage(MNEMONIC), MNEMONIC);
+
+      expect(telegramService.deleteMessage).toHaveBeenCalledWith(1, 10);
+      expect(telegramService.handlePaymentAmountInput).not.toHaveBeenCalled();
+    });
+
+    it('keeps a recovery phrase away from the agent', async () => {
+      await telegramService.handleTextMessage(textMessage(MNEMONIC), MNEMONIC);
+
+      expect(telegramService.deleteMessage).toHaveBeenCalledWith(1, 10);
+      expect(telegramService.handleDefaultText).not.toHaveBeenCalled();
+    });
+
+    it('passes the phrase on when /import asked for it', async () => {
+      await telegramService.setUserSession(1, { waitingFor: 'import_secret' });
+
+      await telegramService.handleTextMessage(textMessage(MNEMONIC), MNEMONIC);
+
+      expect(telegramService.handleImportInput).toHaveBeenCalled();
+      expect(telegramService.deleteMessage).not.toHaveBeenCalled();
+    });
+
+    it('routes other text by session', async () => {
+      await telegramService.setUserSession(1, { waitingFor: 'payment_amount' });
+
+      await telegramService.handleTextMessage(textMessage('25'), '25');
+
+      expect(telegramService.handlePaymentAmountInput).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const config = require('../../src/config');
+const storageService = require('../../src/services/storageService');
+const arcService = require('../../src/services/arcService');
+const transactionIndexService = require('../../src/services/transactionIndexService');
+
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+const OTHER = '0x00000000000000000000000000000000000000bb';
+const HEAD = 1000000;
+const BLOCK_TIME_S = 2;
+const GENESIS = Date.UTC(2025, 0, 1) / 1000;
+
+const blockDate = (blockNumber) => new Date((GENESIS + blockNumber * BLOCK_TIME_S) * 1000).toISOString();
+
+describe('transactionIndexService', () => {
+  let transfers;
+  let logCalls;
+
+  beforeAll(async () => {
+    await storageService.connect('memory:');
+  });
+
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+    transfers = [];
+    logCalls = 0;
+    arcService.isConnected = true;
+    arcService.provider = {
+      getBlockNumber: async () => HEAD,
+      getBlock: async (blockNumber) => ({ timestamp: GENESIS + blockNumber * BLOCK_TIME_S })
+    };
+    jest.spyOn(arcService, 'getBlockNumber').mockImplementation(async () => HEAD);
+    jest.spyOn(arcService, 'getBlockTimestamp').mockImplementation(async (blockNumber) => blockDate(blockNumber));
+    jest.spyOn(arcService, 'getTransactionMemo').mockResolvedValue(null);
+    jest.spyOn(arcService, 'getTransferLogs').mockImplementation(async (address, fromBlock, toBlock) => {
+      logCalls++;
+      return transfers.filter(t => t.blockNumber >= fromBlock && t.blockNumber <= toBlock);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const transferAt = (blockNumber) => ({
+    hash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+    blockNumber,
+    logIndex: 0,
+    from: OTHER,
+    to: ADDRESS,
+    amount: '1.0',
+    currency: 'USDC'
+  });
+
+  it('scans a bounded number of ranges per page and continues on the next', async () => {
+    const first = await transactionIndexService.getPage(ADDRESS);
+
+    expect(logCalls).toBe(transactionIndexService.MAX_RANGES_PER_REQUEST);
+    expect(first.transactions).toEqual([]);
+    expect(first.hasOlder).toBe(true);
+    expect(first.olderCursor).toBe(`${first.oldestIndexedBlock}.0`);
+
+    const second = await transactionIndexService.getPage(ADDRESS, { before: first.olderCursor });
+    expect(logCalls).toBe(2 * transactionIndexService.MAX_RANGES_PER_REQUEST);
+    expect(second.oldestIndexedBlock).toBe(first.oldestIndexedBlock - transactionIndexService.MAX_RANGES_PER_REQUEST * config.history.blockRange);
+  });
+
+  it('stops at the block the wallet was created in', async () => {
+    const createdBlock = HEAD - 15000;
+    transfers = [transferAt(HEAD - 100), transferAt(createdBlock - 5000)];
+
+    const page = await transactionIndexService.getPage(ADDRESS, { walletCreatedAt: blockDate(createdBlock) });
+
+    expect(page.complete).toBe(true);
+    expect(page.hasOlder).toBe(false);
+    expect(page.transactions.map(t => t.blockNumber)).toEqual([HEAD - 100]);
+    // The floor is creation time minus CREATION_MARGIN_MS
+    const margin = transactionIndexService.CREATION_MARGIN_MS / 1000 / BLOCK_TIME_S;
+    expect(page.oldestIndexedBlock).toBe(createdBlock - margin);
+    expect(logCalls).toBeLessThan(5);
+  });
+
+  it('reports an export period that is not indexed yet as incomplete', async () => {
+    transfers = [transferAt(HEAD - 10)];
+    const fromDate = new Date(blockDate(0));
+
+    const first = await transactionIndexService.getTransfersSince(ADDRESS, fromDate);
+    expect(first.complete).toBe(false);
+    expect(logCalls).toBe(transactionIndexService.MAX_RANGES_PER_REQUEST);
+
+    // Blocks 0..HEAD in blockRange ranges, MAX_RANGES_PER_REQUEST per call
+    let result = first;
+    let calls = 1;
+    while (!result.complete) {
+      result = await transactionIndexService.getTransfersSince(ADDRESS, fromDate);
+      calls++;
+    }
+    expect(calls).toBe(Math.ceil((HEAD + 1) / config.history.blockRange / transactionIndexService.MAX_RANGES_PER_REQUEST));
+    expect(result.transfers.map(t => t.blockNumber)).toEqual([HEAD - 10]);
+
+    const bounded = await transactionIndexService.getTransfersSince(OTHER, new Date(blockDate(HEAD - 50000)));
+    expect(bounded.complete).toBe(true);
+  });
+});
@@ -0,0 +1,93 @@
+const config = require('../../src/config');
+const storageService = require('../../src/services/storageService');
+const arcService = require('../../src/services/arcService');
+const addressRegistryService = require('../../src/services/addressRegistryService');
+const transferWatcherService = require('../../src/services/transferWatcherService');
+
+const RECIPIENT = '0x00000000000000000000000000000000000000aa';
+
+const transfer = (hash) => ({
+  hash,
+  logIndex: 0,
+  blockNumber: 10,
+  from: '0x00000000000000000000000000000000000000bb',
+  to: RECIPIENT,
+  amount: '5.00',
+  currency: 'USDC',
+  recipient: { address: RECIPIENT, telegramId: '1' }
+});
+
+describe('transferWatcherService', () => {
+  let head;
+  let transfers;
+  let handler;
+
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+    head = 100;
+    transfers = [];
+    handler = jest.fn().mockResolvedValue();
+    transferWatcherService.setTransferHandler(handler);
+    transferWatcherService.isPolling = false;
+    arcService.isConnected = true;
+    arcService.provider = { getBlockNumber: async () => head };
+    jest.spyOn(addressRegistryService, 'listAddresses').mockResolvedValue([{ address: RECIPIENT }]);
+    jest.spyOn(transferWatcherService, 'fetchIncomingTransfers').mockImplementation(async (registered, fromBlock, toBlock) =>
+      transfers.filter(t => t.blockNumber >= fromBlock && t.blockNumber <= toBlock)
+    );
+    await transferWatcherService.saveCheckpoint(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('notifies each transfer once', async () => {
+    transfers = [transfer('0x01')];
+
+    await transferWatcherService.poll();
+    await transferWatcherService.dispatch(transfer('0x01'));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await transferWatcherService.getCheckpoint()).toBe(head - config.watcher.confirmations);
+  });
+
+  it('retries a failed notification on the next poll', async () => {
+    transfers = [transfer('0x01')];
+    handler.mockRejectedValueOnce(new Error('Telegram unreachable'));
+
+    await transferWatcherService.poll();
+    expect(await transferWatcherService.getCheckpoint()).toBe(head - config.watcher.confirmations);
+
+    head = 101;
+    await transferWatcherService.poll();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(await storageService.list(transferWatcherService.RETRY_NAMESPACE)).toEqual([]);
+  });
+
+  it('drops the retry when a payment flow has announced the transfer', async () => {
+    transfers = [transfer('0x01')];
+    handler.mockRejectedValueOnce(new Error('Telegram unreachable'));
+
+    await transferWatcherService.poll();
+    expect(await transferWatcherService.markNotified('0x01', RECIPIENT)).toBe(true);
+
+    await transferWatcherService.poll();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await storageService.list(transferWatcherService.RETRY_NAMESPACE)).toEqual([]);
+  });
+
+  it('gives up after the maximum number of attempts', async () => {
+    transfers = [transfer('0x01')];
+    handler.mockRejectedValue(new Error('Forbidden: bot was blocked by the user'));
+
+    for (let i = 0; i < transferWatcherService.MAX_NOTIFY_ATTEMPTS + 2; i++) {
+      await transferWatcherService.poll();
+    }
+
+    expect(handler).toHaveBeenCalledTimes(transferWatcherService.MAX_NOTIFY_ATTEMPTS);
+    expect(await storageService.list(transferWatcherService.RETRY_NAMESPACE)).toEqual([]);
+  });
+});
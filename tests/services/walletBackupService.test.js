@@ -0,0 +1,107 @@
+const { ethers } = require('ethers');
+const encryption = require('../../src/utils/encryption');
+const storageService = require('../../src/services/storageService');
+const walletBackupService = require('../../src/services/walletBackupService');
+const { ValidationError, NotFoundError } = require('../../src/utils/errors');
+
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const TELEGRAM_ID = 42;
+
+const waitForTimers = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('walletBackupService', () => {
+  let wallet;
+  let user;
+
+  beforeEach(async () => {
+    await storageService.connect('memory:');
+    wallet = ethers.Wallet.fromPhrase(MNEMONIC);
+    user = {
+      user_id: 'auth0|1',
+      user_metadata: { telegram_id: TELEGRAM_ID, arc_address: wallet.address },
+      app_metadata: {
+        arc_private_key_encrypted: await encryption.encrypt(wallet.privateKey, TELEGRAM_ID),
+        arc_mnemonic_encrypted: await encryption.encrypt(MNEMONIC, TELEGRAM_ID)
+      }
+    };
+  });
+
+  afterEach(() => {
+    walletBackupService.stop();
+    walletBackupService.setDeleteHandler(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('getRecoveryPhrase', () => {
+    it('returns the stored phrase', async () => {
+      expect(await walletBackupService.getRecoveryPhrase(user)).toBe(MNEMONIC);
+    });
+
+    it('fails for a wallet without a stored phrase', async () => {
+      delete user.app_metadata.arc_mnemonic_encrypted;
+
+      expect(walletBackupService.hasRecoveryPhrase(user)).toBe(false);
+      await expect(walletBackupService.getRecoveryPhrase(user)).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('refuses a phrase that belongs to another wallet', async () => {
+      user.user_metadata.arc_address = ethers.Wallet.createRandom().address;
+
+      await expect(walletBackupService.getRecoveryPhrase(user)).rejects.toThrow('does not match the wallet address');
+    });
+  });
+
+  describe('exportKeystore', () => {
+    it('exports a keystore that opens with the password', async () => {
+      const keystore = await walletBackupService.exportKeystore(user, 'correct horse battery');
+
+      expect(keystore.filename).toBe(`arc-wallet-${wallet.address.slice(2, 10).toLowerCase()}.json`);
+      const opened = await ethers.Wallet.fromEncryptedJson(keystore.content, 'correct horse battery');
+      expect(opened.address).toBe(wallet.address);
+    }, 30000);
+
+    it('rejects a short password before decrypting anything', async () => {
+      const decrypt = jest.spyOn(encryption, 'decrypt');
+
+      await expect(walletBackupService.exportKeystore(user, 'short')).rejects.toBeInstanceOf(ValidationError);
+      expect(decrypt).not.toHaveBeenCalled();
+    });
+
+    it('fails for a user without a wallet key', async () => {
+      delete user.app_metadata.arc_private_key_encrypted;
+
+      await expect(walletBackupService.exportKeystore(user, 'correct horse battery')).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('message deletion', () => {
+    it('deletes the message once it expires', async () => {
+      const handler = jest.fn().mockResolvedValue(true);
+      walletBackupService.setDeleteHandler(handler);
+      const ttl = walletBackupService.messageTtlMs;
+      walletBackupService.messageTtlMs = 0;
+
+      try {
+        await walletBackupService.scheduleDeletion(1, 100);
+        await waitForTimers();
+      } finally {
+        walletBackupService.messageTtlMs = ttl;
+      }
+
+      expect(handler).toHaveBeenCalledWith(1, 100);
+      expect(await storageService.list(walletBackupService.NAMESPACE)).toEqual([]);
+    });
+
+    it('deletes messages that were still pending before a restart', async () => {
+      const handler = jest.fn().mockResolvedValue(true);
+      walletBackupService.setDeleteHandler(handler);
+      await storageService.set(walletBackupService.NAMESPACE, '1:100', { chatId: 1, messageId: 100, deleteAt: Date.now() - 1000 });
+
+      await walletBackupService.start();
+      await waitForTimers();
+
+      expect(handler).toHaveBeenCalledWith(1, 100);
+      expect(await storageService.list(walletBackupService.NAMESPACE)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { ethers } = require('ethers');
+const encryption = require('../../src/utils/encryption');
+const storageService = require('../../src/services/storageService');
+const auth0Service = require('../../src/services/auth0Service');
+const arcService = require('../../src/services/arcService');
+const addressRegistryService = require('../../src/services/addressRegistryService');
+const paymentOutboxService = require('../../src/services/paymentOutboxService');
+const walletImportService = require('../../src/services/walletImportService');
+const { ValidationError } = require('../../src/utils/errors');
+
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe512961708279f3e2b1a4c7e2a1c6b1';
+const TELEGRAM_ID = 42;
+
+// A cheap keystore: the default scrypt cost takes seconds per test
+const keystoreFor = (wallet, password) =>
+  ethers.encryptKeystoreJson({ address: wallet.address, privateKey: wallet.privateKey }, password, { scrypt: { N: 1 << 10 } });
+
+describe('walletImportService', () => {
+  describe('parseSecret', () => {
+    it('recognises a recovery phrase', () => {
+      const parsed = walletImportService.parseSecret(`  ${MNEMONIC.toUpperCase()}\n`);
+
+      expect(parsed.method).toBe(walletImportService.METHODS.MNEMONIC);
+      expect(parsed.wallet.address).toBe(ethers.Wallet.fromPhrase(MNEMONIC).address);
+    });
+
+    it('recognises a private key with or without 0x', () => {
+      const address = new ethers.Wallet(PRIVATE_KEY).address;
+
+      expect(walletImportService.parseSecret(PRIVATE_KEY).wallet.address).toBe(address);
+      expect(walletImportService.parseSecret(PRIVATE_KEY.slice(2)).wallet.address).toBe(address);
+    });
+
+    it('keeps a keystore for its password', async () => {
+      const keystore = await keystoreFor(new ethers.Wallet(PRIVATE_KEY), 'password');
+
+      expect(walletImportService.parseSecret(keystore)).toEqual({ method: walletImportService.METHODS.KEYSTORE, keystore });
+    });
+
+    it('rejects a phrase with a bad checksum and other text', () => {
+      expect(() => walletImportService.parseSecret(MNEMONIC.replace('junk', 'test'))).toThrow('recovery phrase is not valid');
+      expect(() => walletImportService.parseSecret('{"not": "a keystore"}')).toThrow(ValidationError);
+      expect(() => walletImportService.parseSecret('hello there')).toThrow(ValidationError);
+    });
+  });
+
+  describe('looksLikeSecret', () => {
+    it('spots phrases and keys but not ordinary messages', () => {
+      expect(walletImportService.looksLikeSecret(MNEMONIC)).toBe(true);
+      expect(walletImportService.looksLikeSecret(PRIVATE_KEY.slice(2))).toBe(true);
+      expect(walletImportService.looksLikeSecret('send 5 usdc to @bob for lunch')).toBe(false);
+      expect(walletImportService.looksLikeSecret(undefined)).toBe(false);
+    });
+  });
+
+  describe('decryptKeystore', () => {
+    it('opens the sealed keystore with its password', async () => {
+      const wallet = new ethers.Wallet(PRIVATE_KEY);
+      const sealed = await walletImportService.sealKeystore(await keystoreFor(wallet, 'password'), TELEGRAM_ID);
+
+      expect(sealed).not.toHaveProperty('keystore');
+      expect((await walletImportService.decryptKeystore(sealed, 'password', TELEGRAM_ID)).address).toBe(wallet.address);
+      await expect(walletImportService.decryptKeystore(sealed, 'wrong', TELEGRAM_ID)).rejects.toThrow('Wrong password');
+    });
+  });
+
+  describe('importWallet', () => {
+    const oldWallet = ethers.Wallet.fromPhrase(MNEMONIC);
+    const newWallet = new ethers.Wallet(PRIVATE_KEY);
+    let user;
+
+    beforeEach(async () => {
+      await storageService.connect('memory:');
+      arcService.senderQueues.clear();
+      user = {
+        user_id: 'auth0|1',
+        user_metadata: { telegram_id: TELEGRAM_ID, telegram_username: 'alice', arc_address: oldWallet.address },
+        app_metadata: { arc_private_key_encrypted: await encryption.encrypt(oldWallet.privateKey, TELEGRAM_ID) }
+      };
+      await addressRegistryService.register(oldWallet.address, TELEGRAM_ID, 'alice');
+      jest.spyOn(auth0Service, 'replaceWallet').mockResolvedValue();
+      jest.spyOn(auth0Service, 'updateEncryptedSecrets').mockResolvedValue();
+      jest.spyOn(auth0Service, 'createUser').mockImplementation(async (telegramId, username, arcWallet) => ({
+        arc_address: arcWallet.address
+      }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('creates an account for a new user', async () => {
+      const result = await walletImportService.importWallet({ telegramId: 7, username: 'bob', user: null, wallet: newWallet });
+
+      expect(result).toEqual({ address: newWallet.address, previousAddress: null, created: true, replaced: false });
+      expect(auth0Service.createUser.mock.calls[0][2]).toMatchObject({ address: newWallet.address, imported: true });
+      expect(await addressRegistryService.lookup(newWallet.address)).toMatchObject({ telegramId: 7 });
+    });
+
+    it('replaces the wallet and moves the address registration', async () => {
+      const result = await walletImportService.importWallet({ telegramId: TELEGRAM_ID, username: 'alice', user, wallet: newWallet });
+
+      expect(result).toEqual({ address: newWallet.address, previousAddress: oldWallet.address, created: false, replaced: true });
+      expect(auth0Service.replaceWallet).toHaveBeenCalledWith(user.user_id, TELEGRAM_ID, expect.objectContaining({ address: newWallet.address }));
+      expect(await addressRegistryService.lookup(newWallet.address)).toMatchObject({ telegramId: TELEGRAM_ID });
+      expect(await addressRegistryService.lookup(oldWallet.address)).toBeNull();
+    });
+
+    it('only stores a missing phrase when the current wallet is imported again', async () => {
+      const result = await walletImportService.importWallet({ telegramId: TELEGRAM_ID, username: 'alice', user, wallet: oldWallet });
+
+      expect(result.replaced).toBe(false);
+      expect(auth0Service.replaceWallet).not.toHaveBeenCalled();
+      const [, secrets] = auth0Service.updateEncryptedSecrets.mock.calls[0];
+      expect(await encryption.decrypt(secrets.arc_mnemonic_encrypted, TELEGRAM_ID)).toBe(MNEMONIC);
+    });
+
+    it('refuses a wallet registered to another account', async () => {
+      await addressRegistryService.register(newWallet.address, 7, 'bob');
+
+      await expect(walletImportService.importWallet({ telegramId: TELEGRAM_ID, user, wallet: newWallet }))
+        .rejects.toThrow('already used by another account');
+      expect(auth0Service.replaceWallet).not.toHaveBeenCalled();
+    });
+
+    it('keeps the wallet while a payment from it is unfinished', async () => {
+      await paymentOutboxService.createEntry({ from: oldWallet.address, to: newWallet.address, amount: '5' });
+
+      await expect(walletImportService.importWallet({ telegramId: TELEGRAM_ID, user, wallet: newWallet }))
+        .rejects.toThrow('still being sent');
+      expect(auth0Service.replaceWallet).not.toHaveBeenCalled();
+    });
+
+    it('checks for payments only once the old wallet\'s queue is free', async () => {
+      let release;
+      const sending = arcService.withSenderLock(oldWallet.address, async () => {
+        await new Promise(resolve => { release = resolve; });
+        // The payment ahead in the queue is recorded in the outbox before it is broadcast
+        await paymentOutboxService.createEntry({ from: oldWallet.address, to: newWallet.address, amount: '5' });
+      });
+
+      const importing = walletImportService.importWallet({ telegramId: TELEGRAM_ID, user, wallet: newWallet });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(auth0Service.replaceWallet).not.toHaveBeenCalled();
+
+      release();
+      await sending;
+
+      await expect(importing).rejects.toThrow('still being sent');
+      expect(auth0Service.replaceWallet).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,14 @@
+// Environment for the test suite: the config module validates it on load
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  TELEGRAM_BOT_TOKEN: '123456:test-token',
+  AUTH0_DOMAIN: 'test.auth0.com',
+  AUTH0_CLIENT_ID: 'test-client-id',
+  AUTH0_CLIENT_SECRET: 'test-client-secret',
+  AUTH0_MANAGEMENT_TOKEN: 'test-management-token',
+  WEBHOOK_URL: 'https://bot.example.com',
+  ENCRYPTION_KEY: '0123456789abcdef0123456789abcdef',
+  JWT_SECRET: 'test-jwt-secret-0123456789abcdef0123',
+  DATABASE_URL: 'memory:'
+});
@@ -0,0 +1,16 @@
+// The Workers code is ES modules; jest runs CommonJS, so compile it with
+// the same esbuild that bundles the Worker
+const { transformSync } = require('esbuild');
+
+module.exports = {
+  process(source, filename) {
+    const { code, map } = transformSync(source, {
+      loader: 'js',
+      format: 'cjs',
+      target: 'es2022',
+      sourcemap: true,
+      sourcefile: filename
+    });
+    return { code, map };
+  }
+};
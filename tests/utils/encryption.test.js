@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const encryption = require('../../src/utils/encryption');
+const { CIPHERTEXT_AAD, SHARED_AAD_ENVELOPE_VERSION } = require('../../src/core/keyring');
+
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe512961708279f3e2b1a4c7e2a1c6b1';
+
+// An envelope from before blobs were bound to their owner
+const sharedAadEnvelope = async (text) => {
+  const dataKey = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+  cipher.setAAD(Buffer.from(CIPHERTEXT_AAD, 'utf8'));
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  const { kid, wrappedKey } = await encryption.kms.wrapKey(dataKey);
+
+  return {
+    v: SHARED_AAD_ENVELOPE_VERSION,
+    kms: encryption.kms.name,
+    kid,
+    key: wrappedKey,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+describe('encryption', () => {
+  it('decrypts a blob for the user it was encrypted for', async () => {
+    const blob = await encryption.encrypt(PRIVATE_KEY, 42);
+
+    expect(await encryption.decrypt(blob, 42)).toBe(PRIVATE_KEY);
+    expect(await encryption.decrypt(blob, '42')).toBe(PRIVATE_KEY);
+    expect(encryption.needsReencryption(blob)).toBe(false);
+  });
+
+  it('does not decrypt a blob copied onto another user', async () => {
+    const blob = await encryption.encrypt(PRIVATE_KEY, 42);
+
+    await expect(encryption.decrypt(blob, 43)).rejects.toThrow('Decryption failed');
+    await expect(encryption.decrypt(blob)).rejects.toThrow('must be bound to a user');
+  });
+
+  it('refuses to encrypt without an owner', async () => {
+    await expect(encryption.encrypt(PRIVATE_KEY)).rejects.toThrow('must be bound to a user');
+  });
+
+  it('still decrypts envelopes written before owner binding, and flags them for rotation', async () => {
+    const blob = await sharedAadEnvelope(PRIVATE_KEY);
+
+    expect(await encryption.decrypt(blob, 42)).toBe(PRIVATE_KEY);
+    expect(encryption.needsReencryption(blob)).toBe(true);
+  });
+});
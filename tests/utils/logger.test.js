@@ -0,0 +1,137 @@
+const { Writable } = require('stream');
+const winston = require('winston');
+const { ethers } = require('ethers');
+const logger = require('../../src/utils/logger');
+const encryption = require('../../src/utils/encryption');
+const signerService = require('../../src/services/signerService');
+
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe512961708279f3e2b1a4c7e2a1c6b1';
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+// Everything the logger writes, as one string
+const captureLogs = () => {
+  const lines = [];
+  const transport = new winston.transports.Stream({
+    stream: new Writable({
+      write(chunk, encoding, callback) {
+        lines.push(chunk.toString());
+        callback();
+      }
+    })
+  });
+  return { transport, output: () => lines.join('') };
+};
+
+describe('logger', () => {
+  let capture;
+  let level;
+
+  beforeEach(() => {
+    level = logger.level;
+    logger.level = 'debug';
+    logger.transports.forEach(transport => { transport.silent = true; });
+    capture = captureLogs();
+    logger.add(capture.transport);
+  });
+
+  afterEach(() => {
+    logger.remove(capture.transport);
+    logger.transports.forEach(transport => { transport.silent = false; });
+    logger.level = level;
+  });
+
+  describe('sanitizeLogData', () => {
+    it('redacts private key, seed and key fields', () => {
+      expect(logger.sanitizeLogData({
+        privateKey: PRIVATE_KEY,
+        private_key: PRIVATE_KEY,
+        xrp_seed: 'sEdSeed',
+        apiKey: 'abc',
+        amount: 5
+      })).toEqual({
+        privateKey: '[REDACTED]',
+        private_key: '[REDACTED]',
+        xrp_seed: '[REDACTED]',
+        apiKey: '[REDACTED]',
+        amount: 5
+      });
+    });
+
+    it('redacts recovery phrases', () => {
+      expect(logger.sanitizeLogData({ mnemonic: MNEMONIC, recoveryPhrase: MNEMONIC, arc_mnemonic_encrypted: {} }))
+        .toEqual({ mnemonic: '[REDACTED]', recoveryPhrase: '[REDACTED]', arc_mnemonic_encrypted: '[REDACTED]' });
+    });
+
+    it('redacts inside nested objects and arrays', () => {
+      const sanitized = logger.sanitizeLogData({
+        user: { app_metadata: { arc_private_key_encrypted: { data: 'x' }, version: '2.0' } },
+        wallets: [{ address: '0xabc', privateKey: PRIVATE_KEY }, [{ seed: 's' }]]
+      });
+
+      expect(sanitized).toEqual({
+        user: { app_metadata: { arc_private_key_encrypted: '[REDACTED]', version: '2.0' } },
+        wallets: [{ address: '0xabc', privateKey: '[REDACTED]' }, [{ seed: '[REDACTED]' }]]
+      });
+    });
+
+    it('stops at cycles but keeps shared objects', () => {
+      const shared = { amount: 1 };
+      const data = { a: shared, b: shared };
+      data.self = data;
+
+      expect(logger.sanitizeLogData(data)).toEqual({ a: { amount: 1 }, b: { amount: 1 }, self: '[Circular]' });
+    });
+
+    it('leaves the input unchanged', () => {
+      const data = { nested: { privateKey: PRIVATE_KEY } };
+      logger.sanitizeLogData(data);
+      expect(data.nested.privateKey).toBe(PRIVATE_KEY);
+    });
+  });
+
+  describe('output', () => {
+    it.each(['error', 'warn', 'info', 'debug', 'security'])('%s never writes a private key', (method) => {
+      logger[method]('Wallet event', { wallet: { privateKey: PRIVATE_KEY }, keys: [PRIVATE_KEY] });
+
+      expect(capture.output()).toContain('Wallet event');
+      expect(capture.output()).not.toContain(PRIVATE_KEY.slice(2));
+    });
+
+    it('audit and transaction never write a private key', () => {
+      logger.audit('wallet_imported', 1, { privateKey: PRIVATE_KEY, mnemonic: MNEMONIC });
+      logger.transaction('0xhash', 1, 5, { user: { private: PRIVATE_KEY } });
+
+      expect(capture.output()).toContain('wallet_imported');
+      expect(capture.output()).not.toContain(PRIVATE_KEY.slice(2));
+      expect(capture.output()).not.toContain(MNEMONIC);
+    });
+
+    it('never writes the encrypted key of a user record', async () => {
+      const blob = await encryption.encrypt(PRIVATE_KEY, 1);
+      logger.info('User loaded', { user: { app_metadata: { arc_private_key_encrypted: blob } } });
+
+      expect(capture.output()).toContain('User loaded');
+      expect(capture.output()).not.toContain(blob.data);
+      expect(capture.output()).not.toContain(blob.key);
+    });
+
+    it('never writes the key of an EncryptedKeySigner passed as meta', async () => {
+      const wallet = new ethers.Wallet(PRIVATE_KEY);
+      const blob = await encryption.encrypt(PRIVATE_KEY, 1);
+      const provider = new ethers.JsonRpcProvider('http://127.0.0.1:8545', 1, { staticNetwork: true });
+      const signer = signerService.forUser({
+        user_metadata: { telegram_id: 1, arc_address: wallet.address },
+        app_metadata: { arc_private_key_encrypted: blob }
+      }).connect(provider);
+
+      logger.error('Payment failed', { signer, senders: [signer] });
+      provider.destroy();
+
+      const output = capture.output();
+      expect(output).toContain(wallet.address);
+      expect(output).not.toContain(PRIVATE_KEY.slice(2));
+      expect(output).not.toContain(blob.data);
+      expect(output).not.toContain(blob.key);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { BotController } from '../../../workers/controllers/bot.js';
+import { REQUEST_STATUS } from '../../../src/core/paymentRequests.js';
+
+const PAYER = 200;
+const REQUESTER = 100;
+const PAYER_ADDRESS = '0x00000000000000000000000000000000000000bb';
+
+// The request left behind by a payment that was not mined in time
+const pendingRequest = (processing = {}) => ({
+  id: 'req1',
+  from: REQUESTER,
+  to: PAYER,
+  amount: 5,
+  currency: 'USDC',
+  reason: 'dinner',
+  requester_address: '0x00000000000000000000000000000000000000aa',
+  status: REQUEST_STATUS.PENDING,
+  processing: { by: PAYER, at: 0, tx_hash: '0x01', from: PAYER_ADDRESS, nonce: 3, raw_tx: '0xraw', ...processing }
+});
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), audit: jest.fn() };
+
+describe('BotController (Workers)', () => {
+  describe('handleRequestPayCallback', () => {
+    const query = { id: 'q1', from: { id: PAYER }, message: { chat: { id: PAYER }, message_id: 9 } };
+    let requests;
+    let controller;
+
+    beforeEach(() => {
+      requests = new Map();
+      const storage = {
+        getPaymentRequest: async (id) => structuredClone(requests.get(id) || null),
+        savePaymentRequest: jest.fn(async (request) => { requests.set(request.id, structuredClone(request)); })
+      };
+      controller = new BotController({
+        telegram: { answerCallbackQuery: jest.fn(), editMessageText: jest.fn(), sendMessage: jest.fn() },
+        users: { getUserByTelegramId: async () => ({ arcAddress: PAYER_ADDRESS }), getSigner: () => ({ address: PAYER_ADDRESS }) },
+        storage,
+        arc: {
+          getTransactionStatus: jest.fn().mockResolvedValue('dropped'),
+          recheckDroppedTransaction: jest.fn(),
+          sendUSDCPayment: jest.fn().mockResolvedValue({ success: true, hash: '0x02' })
+        },
+        logger,
+        env: {}
+      });
+    });
+
+    it('keeps the claim on a dropped payment whose nonce is still unused', async () => {
+      requests.set('req1', pendingRequest());
+      controller.arc.recheckDroppedTransaction.mockResolvedValue('pending');
+
+      await controller.handleRequestPayCallback(query, 'req1');
+
+      expect(controller.arc.recheckDroppedTransaction).toHaveBeenCalledWith({ hash: '0x01', from: PAYER_ADDRESS, nonce: 3, rawTx: '0xraw' });
+      expect(controller.arc.sendUSDCPayment).not.toHaveBeenCalled();
+      expect(requests.get('req1').processing.tx_hash).toBe('0x01');
+      expect(controller.telegram.answerCallbackQuery).toHaveBeenCalledWith('q1', expect.objectContaining({ text: expect.stringContaining('still being confirmed') }));
+    });
+
+    it('marks the request paid when the dropped payment was mined after all', async () => {
+      requests.set('req1', pendingRequest());
+      controller.arc.recheckDroppedTransaction.mockResolvedValue('confirmed');
+
+      await controller.handleRequestPayCallback(query, 'req1');
+
+      expect(requests.get('req1')).toMatchObject({ status: REQUEST_STATUS.PAID, tx_hash: '0x01' });
+      expect(controller.arc.sendUSDCPayment).not.toHaveBeenCalled();
+    });
+
+    it('pays again once another transaction used the nonce', async () => {
+      requests.set('req1', pendingRequest());
+      controller.arc.recheckDroppedTransaction.mockResolvedValue('replaced');
+
+      await controller.handleRequestPayCallback(query, 'req1');
+
+      expect(controller.arc.sendUSDCPayment).toHaveBeenCalledWith(expect.anything(), pendingRequest().requester_address, 5, 'dinner');
+      expect(requests.get('req1')).toMatchObject({ status: REQUEST_STATUS.PAID, tx_hash: '0x02' });
+    });
+
+    it('stores what is needed to recheck a payment not mined in time', async () => {
+      requests.set('req1', { ...pendingRequest(), processing: undefined });
+      controller.arc.sendUSDCPayment.mockResolvedValue({ success: false, pending: true, hash: '0x03', from: PAYER_ADDRESS, nonce: 4, rawTx: '0xraw4' });
+
+      await controller.handleRequestPayCallback(query, 'req1');
+
+      expect(requests.get('req1').processing).toMatchObject({ by: PAYER, tx_hash: '0x03', from: PAYER_ADDRESS, nonce: 4, raw_tx: '0xraw4' });
+    });
+  });
+});
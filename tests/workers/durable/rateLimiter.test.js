@@ -0,0 +1,157 @@
+import { RateLimiter } from '../../../workers/durable/rateLimiter.js';
+import { RateLimiterService } from '../../../workers/services/rateLimiter.js';
+
+// Durable Object storage with the alarm the runtime would fire
+class FakeStorage {
+  constructor() {
+    this.data = new Map();
+    this.alarmAt = null;
+  }
+
+  async get(key) {
+    return this.data.has(key) ? structuredClone(this.data.get(key)) : undefined;
+  }
+
+  async put(key, value) {
+    this.data.set(key, structuredClone(value));
+  }
+
+  async deleteAll() {
+    this.data.clear();
+  }
+
+  async setAlarm(at) {
+    this.alarmAt = at;
+  }
+}
+
+// One RateLimiter per name, as the Durable Object namespace binding gives
+class FakeNamespace {
+  constructor() {
+    this.objects = new Map();
+  }
+
+  idFromName(name) {
+    return name;
+  }
+
+  get(id) {
+    if (!this.objects.has(id)) {
+      this.objects.set(id, new RateLimiter({ storage: new FakeStorage() }, {}));
+    }
+    const object = this.objects.get(id);
+    return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+const logger = { security: jest.fn(), error: jest.fn() };
+
+describe('RateLimiter', () => {
+  let now;
+  let limiter;
+
+  beforeEach(() => {
+    now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    limiter = new RateLimiter({ storage: new FakeStorage() }, {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const hit = async (rules) => {
+    const response = await limiter.fetch(new Request('https://rate-limiter/check', {
+      method: 'POST',
+      body: JSON.stringify({ rules })
+    }));
+    return response.json();
+  };
+
+  const command = { action: 'command', limit: 3, windowMs: MINUTE_MS };
+  const payment = { action: 'payment', limit: 1, windowMs: MINUTE_MS };
+
+  it('allows hits up to the limit in a window', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect(await hit([command])).toEqual({ allowed: true });
+      now += 1000;
+    }
+
+    expect(await hit([command])).toEqual({ allowed: false, action: 'command', retryAfterMs: MINUTE_MS - 3000, notify: true });
+  });
+
+  it('slides the window as old hits age out', async () => {
+    await hit([command]);
+    now += 30 * 1000;
+    await hit([command]);
+    await hit([command]);
+    expect((await hit([command])).allowed).toBe(false);
+
+    // The first hit leaves the window; the two later ones are still in it
+    now += 30 * 1000;
+    expect(await hit([command])).toEqual({ allowed: true });
+    expect((await hit([command])).allowed).toBe(false);
+  });
+
+  it('asks for a throttle message only on the first refusal in a row', async () => {
+    await hit([payment]);
+
+    expect((await hit([payment])).notify).toBe(true);
+    now += 1000;
+    expect((await hit([payment])).notify).toBe(false);
+
+    now += MINUTE_MS;
+    await hit([payment]);
+    expect((await hit([payment])).notify).toBe(true);
+  });
+
+  it('refuses a payment over its own limit without using up a command', async () => {
+    expect(await hit([command, payment])).toEqual({ allowed: true });
+    expect(await hit([command, payment])).toMatchObject({ allowed: false, action: 'payment' });
+
+    // Only the allowed hit counted towards commands
+    expect(await hit([command])).toEqual({ allowed: true });
+    expect(await hit([command])).toEqual({ allowed: true });
+    expect(await hit([command])).toMatchObject({ allowed: false, action: 'command' });
+  });
+
+  it('clears its storage once the longest window has passed', async () => {
+    await hit([command, { ...payment, windowMs: 5 * MINUTE_MS }]);
+
+    expect(limiter.state.storage.alarmAt).toBe(now + 5 * MINUTE_MS);
+
+    await limiter.alarm();
+    expect(limiter.state.storage.data.size).toBe(0);
+  });
+});
+
+describe('RateLimiterService', () => {
+  const config = {
+    RATE_LIMITS: {
+      command: { limit: 3, windowMs: MINUTE_MS },
+      payment: { limit: 1, windowMs: MINUTE_MS }
+    }
+  };
+
+  it('limits each user separately and counts payments as commands', async () => {
+    const service = new RateLimiterService(new FakeNamespace(), config, logger);
+
+    expect(await service.check(1, 'payment')).toEqual({ allowed: true });
+    expect(await service.check(1, 'payment')).toMatchObject({ allowed: false, action: 'payment' });
+    expect(await service.check(2, 'payment')).toEqual({ allowed: true });
+
+    await service.check(1);
+    await service.check(1);
+    expect(await service.check(1)).toMatchObject({ allowed: false, action: 'command' });
+    expect(logger.security).toHaveBeenCalledWith('Rate limit exceeded', expect.objectContaining({ telegramId: 1 }));
+  });
+
+  it('allows the action when the limiter is missing or fails', async () => {
+    const failing = { idFromName: () => 'id', get: () => ({ fetch: () => Promise.reject(new Error('overloaded')) }) };
+
+    expect(await new RateLimiterService(null, config, logger).check(1)).toEqual({ allowed: true });
+    expect(await new RateLimiterService(failing, config, logger).check(1)).toEqual({ allowed: true });
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
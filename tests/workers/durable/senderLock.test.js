@@ -0,0 +1,214 @@
+import { SenderLock } from '../../../workers/durable/senderLock.js';
+import { SenderLockService } from '../../../workers/services/senderLock.js';
+
+// Durable Object storage with the alarm the runtime would fire
+class FakeStorage {
+  constructor() {
+    this.data = new Map();
+    this.alarmAt = null;
+  }
+
+  async get(key) {
+    return this.data.has(key) ? structuredClone(this.data.get(key)) : undefined;
+  }
+
+  async put(key, value) {
+    this.data.set(key, structuredClone(value));
+  }
+
+  async delete(key) {
+    return this.data.delete(key);
+  }
+
+  async deleteAll() {
+    this.data.clear();
+  }
+
+  async setAlarm(at) {
+    this.alarmAt = at;
+  }
+}
+
+// One SenderLock per name, handling one request at a time as the runtime does
+class FakeNamespace {
+  constructor() {
+    this.objects = new Map();
+    this.queues = new Map();
+  }
+
+  idFromName(name) {
+    return name;
+  }
+
+  get(id) {
+    if (!this.objects.has(id)) {
+      this.objects.set(id, new SenderLock({ storage: new FakeStorage() }, {}));
+      this.queues.set(id, Promise.resolve());
+    }
+    const object = this.objects.get(id);
+    return {
+      fetch: (url, init) => {
+        const response = this.queues.get(id).then(() => object.fetch(new Request(url, init)));
+        this.queues.set(id, response.catch(() => {}));
+        return response;
+      }
+    };
+  }
+}
+
+const NONCE_TTL_MS = 10 * 60 * 1000;
+const LEASE_MS = 30000;
+const SENDER = '0x00000000000000000000000000000000000000Cc';
+const logger = { warn: jest.fn() };
+
+describe('SenderLock', () => {
+  let now;
+  let lock;
+
+  beforeEach(() => {
+    now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    lock = new SenderLock({ storage: new FakeStorage() }, {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = async (body) => {
+    const response = await lock.fetch(new Request('https://sender-lock/', {
+      method: 'POST',
+      body: JSON.stringify(body)
+    }));
+    return response.json();
+  };
+
+  it('grants the lock to one holder at a time', async () => {
+    expect(await send({ action: 'acquire', holder: 'a', leaseMs: LEASE_MS })).toEqual({ granted: true, nonce: null });
+
+    now += 1000;
+    expect(await send({ action: 'acquire', holder: 'b', leaseMs: LEASE_MS })).toEqual({ granted: false, retryAfterMs: LEASE_MS - 1000 });
+
+    expect(await send({ action: 'release', holder: 'a' })).toEqual({ released: true });
+    expect((await send({ action: 'acquire', holder: 'b', leaseMs: LEASE_MS })).granted).toBe(true);
+  });
+
+  it('lets another holder in once the lease runs out', async () => {
+    await send({ action: 'acquire', holder: 'a', leaseMs: LEASE_MS });
+
+    now += LEASE_MS;
+    expect((await send({ action: 'acquire', holder: 'b', leaseMs: LEASE_MS })).granted).toBe(true);
+
+    // The first holder's late release does not free the new lease
+    expect(await send({ action: 'release', holder: 'a', nonce: 4 })).toEqual({ released: false });
+    expect((await send({ action: 'acquire', holder: 'c', leaseMs: LEASE_MS })).granted).toBe(false);
+  });
+
+  it('hands the next nonce to the next holder until it is stale', async () => {
+    await send({ action: 'acquire', holder: 'a', leaseMs: LEASE_MS });
+    await send({ action: 'release', holder: 'a', nonce: 4 });
+
+    expect(await send({ action: 'acquire', holder: 'b', leaseMs: LEASE_MS })).toEqual({ granted: true, nonce: 4 });
+    await send({ action: 'release', holder: 'b' });
+
+    now += NONCE_TTL_MS;
+    expect(await send({ action: 'acquire', holder: 'c', leaseMs: LEASE_MS })).toEqual({ granted: true, nonce: null });
+  });
+
+  it('clears its storage when the nonce goes stale and nobody holds the lock', async () => {
+    await send({ action: 'acquire', holder: 'a', leaseMs: LEASE_MS });
+    await send({ action: 'release', holder: 'a', nonce: 4 });
+
+    expect(lock.state.storage.alarmAt).toBe(now + NONCE_TTL_MS);
+
+    now += NONCE_TTL_MS;
+    await lock.alarm();
+    expect(lock.state.storage.data.size).toBe(0);
+  });
+
+  it('keeps its storage while the lock is held', async () => {
+    await send({ action: 'acquire', holder: 'a', leaseMs: LEASE_MS });
+    await send({ action: 'release', holder: 'a', nonce: 4 });
+    await send({ action: 'acquire', holder: 'b', leaseMs: LEASE_MS });
+
+    await lock.alarm();
+    expect(lock.state.storage.data.has('lock')).toBe(true);
+  });
+
+  it('rejects an unknown action', async () => {
+    const response = await lock.fetch(new Request('https://sender-lock/', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'steal' })
+    }));
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('SenderLockService', () => {
+  // Each task takes a turn; the first waits until the second has started to ask for the lock
+  const runTwo = async (service) => {
+    const order = [];
+    let finishFirst;
+    const first = service.run(SENDER, async (nonce) => {
+      order.push(['first', nonce]);
+      await new Promise(resolve => { finishFirst = resolve; });
+      return { nextNonce: 8 };
+    });
+    const second = service.run(SENDER.toLowerCase(), async (nonce) => {
+      order.push(['second', nonce]);
+      return { nextNonce: nonce + 1 };
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(order).toHaveLength(1);
+    finishFirst();
+
+    await Promise.all([first, second]);
+    return order;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs one send per wallet at a time through the Durable Object', async () => {
+    const service = new SenderLockService(new FakeNamespace(), logger);
+    service.RETRY_INTERVAL_MS = 1;
+
+    const order = await runTwo(service);
+
+    expect(order).toEqual([['first', null], ['second', 8]]);
+  });
+
+  it('runs one send per wallet at a time within the isolate without a namespace', async () => {
+    const service = new SenderLockService(null, logger);
+
+    const order = await runTwo(service);
+
+    expect(order[1]).toEqual(['second', 8]);
+  });
+
+  it('releases the lock when the task fails', async () => {
+    const namespace = new FakeNamespace();
+    const service = new SenderLockService(namespace, logger);
+
+    await expect(service.run(SENDER, async () => { throw new Error('nonce too low'); })).rejects.toThrow('nonce too low');
+
+    expect(namespace.objects.get(SENDER.toLowerCase()).state.storage.data.has('lock')).toBe(false);
+    expect(await service.run(SENDER, async (nonce) => ({ nextNonce: 1, nonce }))).toEqual({ nextNonce: 1, nonce: null });
+  });
+
+  it('gives up when the wallet stays busy', async () => {
+    const service = new SenderLockService(new FakeNamespace(), logger);
+    service.ACQUIRE_TIMEOUT_MS = 0;
+    let release;
+    const holding = service.run(SENDER, () => new Promise(resolve => { release = () => resolve({ nextNonce: 1 }); }));
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    await expect(service.run(SENDER, async () => ({ nextNonce: 2 }))).rejects.toThrow('still being sent');
+
+    release();
+    await holding;
+  });
+});
@@ -0,0 +1,206 @@
+import { Interface, Transaction, Wallet, getAddress, parseUnits } from 'ethers';
+import { ARCService } from '../../../workers/services/arc.js';
+import { EncryptedKeySigner } from '../../../workers/services/signer.js';
+
+const RECIPIENT = '0x00000000000000000000000000000000000000aa';
+const CHAIN_ID = 5042002;
+const USDC = new Interface(['function transfer(address to, uint256 amount) returns (bool)']);
+
+class FakeKV {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key, type) {
+    const value = this.data.has(key) ? this.data.get(key) : null;
+    return value !== null && type === 'json' ? JSON.parse(value) : value;
+  }
+
+  async put(key, value) {
+    this.data.set(key, value);
+  }
+}
+
+// Answers the JSON-RPC calls ARCService makes, keeping what was broadcast
+class FakeNode {
+  constructor() {
+    this.balance = 100n * 10n ** 6n;
+    this.pendingNonce = 3;
+    this.minedNonce = 3;
+    this.receipts = new Map();
+    this.mempool = new Set();
+    this.broadcast = [];
+    this.autoMine = true;
+  }
+
+  async request(method, params) {
+    switch (method) {
+      case 'eth_call':
+        return `0x${this.balance.toString(16)}`;
+      case 'eth_getTransactionCount':
+        return `0x${(params[1] === 'latest' ? this.minedNonce : this.pendingNonce).toString(16)}`;
+      case 'eth_estimateGas':
+        return '0xc350'; // 50000
+      case 'eth_getBlockByNumber':
+        return { baseFeePerGas: '0x3b9aca00' }; // 1 gwei
+      case 'eth_maxPriorityFeePerGas':
+        return '0x77359400'; // 2 gwei
+      case 'eth_sendRawTransaction': {
+        const { hash } = Transaction.from(params[0]);
+        this.broadcast.push(params[0]);
+        this.mempool.add(hash);
+        this.pendingNonce += 1;
+        if (this.autoMine) {
+          this.receipts.set(hash, { status: '0x1', gasUsed: '0xb411', effectiveGasPrice: '0x3b9aca00' });
+        }
+        return hash;
+      }
+      case 'eth_getTransactionReceipt':
+        return this.receipts.get(params[0]) || null;
+      case 'eth_getTransactionByHash':
+        return this.mempool.has(params[0]) ? { hash: params[0] } : null;
+      default:
+        throw new Error(`Unexpected RPC call ${method}`);
+    }
+  }
+}
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), transaction: jest.fn() };
+
+describe('ARCService (Workers)', () => {
+  let node;
+  let memos;
+  let arc;
+  let wallet;
+  let sender;
+
+  beforeEach(() => {
+    // A new wallet each time: the local sender lock remembers nonces per address
+    wallet = Wallet.createRandom();
+    node = new FakeNode();
+    memos = new FakeKV();
+    arc = new ARCService({ ARC_CHAIN_ID: String(CHAIN_ID) }, logger, null, memos);
+    arc.RECEIPT_POLL_INTERVAL_MS = 0;
+    jest.spyOn(arc, 'makeRequest').mockImplementation((method, params) => node.request(method, params));
+    sender = new EncryptedKeySigner(wallet.address, 'encrypted', 1, { decrypt: async () => wallet.privateKey });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sendUSDCPayment', () => {
+    it('signs an EIP-1559 USDC transfer for the sender', async () => {
+      const result = await arc.sendUSDCPayment(sender, RECIPIENT, 12.5);
+
+      expect(node.broadcast).toHaveLength(1);
+      const tx = Transaction.from(node.broadcast[0]);
+      expect(tx).toMatchObject({
+        type: 2,
+        chainId: BigInt(CHAIN_ID),
+        nonce: 3,
+        to: getAddress(arc.USDC_CONTRACT_ADDRESS),
+        value: 0n,
+        gasLimit: 60000n, // estimate plus 20%
+        maxPriorityFeePerGas: 2000000000n,
+        maxFeePerGas: 4000000000n // twice the base fee plus the tip
+      });
+      expect(tx.from).toBe(wallet.address); // recovered from the signature
+      expect(result).toMatchObject({ success: true, hash: tx.hash, gasUsed: '46097' });
+    });
+
+    it('encodes the recipient and amount in 6 decimals', async () => {
+      await arc.sendUSDCPayment(sender, RECIPIENT, 12.5);
+
+      const tx = Transaction.from(node.broadcast[0]);
+      const [to, amount] = USDC.decodeFunctionData('transfer', tx.data);
+      expect(to).toBe(getAddress(RECIPIENT));
+      expect(amount).toBe(parseUnits('12.5', 6));
+    });
+
+    it('refuses a signer whose key is for another wallet', async () => {
+      const wrong = new EncryptedKeySigner(RECIPIENT, 'encrypted', 1, { decrypt: async () => wallet.privateKey });
+
+      await expect(arc.sendUSDCPayment(wrong, wallet.address, 1)).rejects.toThrow('does not match the wallet address');
+      expect(node.broadcast).toEqual([]);
+    });
+
+    it('gives back-to-back payments consecutive nonces before the node counts the first', async () => {
+      // The node's pending count lags behind our broadcasts
+      const request = node.request.bind(node);
+      node.request = async (method, params) => {
+        if (method === 'eth_getTransactionCount') {
+          return '0x3';
+        }
+        return request(method, params);
+      };
+
+      await Promise.all([
+        arc.sendUSDCPayment(sender, RECIPIENT, 1),
+        arc.sendUSDCPayment(sender, RECIPIENT, 2)
+      ]);
+
+      expect(node.broadcast.map(raw => Transaction.from(raw).nonce)).toEqual([3, 4]);
+    });
+
+    it('stores the memo under the transaction hash', async () => {
+      const { hash } = await arc.sendUSDCPayment(sender, RECIPIENT, 1, 'lunch');
+
+      expect(JSON.parse(memos.data.get(`tx_memo:${hash.toLowerCase()}`))).toMatchObject({ memo: 'lunch' });
+      expect(await arc.getTransactionMemo(hash)).toBe('lunch');
+    });
+
+    it('returns what is needed to recheck a payment not mined in time', async () => {
+      node.autoMine = false;
+      arc.RECEIPT_TIMEOUT_MS = 0;
+
+      const result = await arc.sendUSDCPayment(sender, RECIPIENT, 1);
+
+      expect(result).toEqual({
+        success: false,
+        pending: true,
+        hash: Transaction.from(node.broadcast[0]).hash,
+        from: wallet.address,
+        nonce: 3,
+        rawTx: node.broadcast[0],
+        currency: 'USDC'
+      });
+    });
+
+    it('rejects a payment larger than the balance without signing', async () => {
+      node.balance = 1n * 10n ** 6n;
+
+      await expect(arc.sendUSDCPayment(sender, RECIPIENT, 5)).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+      expect(node.broadcast).toEqual([]);
+    });
+  });
+
+  describe('recheckDroppedTransaction', () => {
+    let sent;
+
+    beforeEach(() => {
+      sent = { hash: '0x01', from: wallet.address, nonce: 3, rawTx: '0xraw' };
+    });
+
+    it('broadcasts it again while its nonce is unused', async () => {
+      jest.spyOn(node, 'request').mockImplementation(async (method) => (method === 'eth_getTransactionCount' ? '0x3' : '0x01'));
+
+      expect(await arc.recheckDroppedTransaction(sent)).toBe('pending');
+      expect(arc.makeRequest).toHaveBeenCalledWith('eth_sendRawTransaction', ['0xraw']);
+    });
+
+    it('reports it replaced once another transaction used its nonce', async () => {
+      node.minedNonce = 4;
+
+      expect(await arc.recheckDroppedTransaction(sent)).toBe('replaced');
+      expect(arc.makeRequest).not.toHaveBeenCalledWith('eth_sendRawTransaction', expect.anything());
+    });
+
+    it('confirms it if it was mined after all', async () => {
+      node.minedNonce = 4;
+      node.receipts.set('0x01', { status: '0x1' });
+
+      expect(await arc.recheckDroppedTransaction(sent)).toBe('confirmed');
+    });
+  });
+});
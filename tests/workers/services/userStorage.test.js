@@ -0,0 +1,124 @@
+import { UserStorageService } from '../../../workers/services/userStorage.js';
+import { validateEnvironment } from '../../../workers/utils/validation.js';
+
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe512961708279f3e2b1a4c7e2a1c6b1';
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+class FakeKV {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key, type) {
+    const value = this.data.has(key) ? this.data.get(key) : null;
+    return value !== null && type === 'json' ? JSON.parse(value) : value;
+  }
+
+  async put(key, value) {
+    this.data.set(key, value);
+  }
+
+  async delete(key) {
+    this.data.delete(key);
+  }
+
+  async list({ prefix = '' } = {}) {
+    return { keys: [...this.data.keys()].filter(name => name.startsWith(prefix)).map(name => ({ name })) };
+  }
+}
+
+const logger = { audit: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('UserStorageService Auth0 migration', () => {
+  let kv;
+  let legacy;
+  let users;
+  let auth0User;
+
+  beforeEach(async () => {
+    kv = new FakeKV();
+    const config = validateEnvironment({
+      TELEGRAM_BOT_TOKEN: '123456:test-token',
+      ENCRYPTION_KEY: '0123456789abcdef0123456789abcdef',
+      JWT_SECRET: 'test-jwt-secret-0123456789abcdef0123',
+      USERS: kv
+    });
+    legacy = {
+      getUserByTelegramId: jest.fn(async (telegramId) => (telegramId === 42 ? auth0User : null)),
+      getUserByTelegramUsername: jest.fn(async (username) => (username === 'alice' ? auth0User : null)),
+      getUserByArcAddress: jest.fn(async () => null),
+      listUsers: jest.fn(async () => [])
+    };
+    users = new UserStorageService(kv, config, logger, { legacy });
+
+    auth0User = {
+      user_id: 'auth0|42',
+      created_at: '2024-06-01T00:00:00.000Z',
+      user_metadata: {
+        telegram_id: 42,
+        telegram_username: 'alice',
+        arc_address: ADDRESS,
+        friends: { bob: { type: 'username', value: 'bob' } }
+      },
+      app_metadata: {
+        arc_private_key_encrypted: await users.encryption.encrypt(PRIVATE_KEY, 42)
+      }
+    };
+  });
+
+  it('copies an Auth0 user into KV on first lookup', async () => {
+    const user = await users.getUserByTelegramId(42);
+
+    expect(user).toMatchObject({
+      telegramId: 42,
+      username: 'alice',
+      arcAddress: ADDRESS,
+      arcPrivateKeyEncrypted: auth0User.app_metadata.arc_private_key_encrypted,
+      createdAt: '2024-06-01T00:00:00.000Z',
+      migratedFrom: 'auth0'
+    });
+    expect(await users.getFriends(42)).toEqual(auth0User.user_metadata.friends);
+    expect(await kv.get('username:alice')).toBe('42');
+    expect(await kv.get(`address:${ADDRESS}`)).toBe('42');
+
+    // Later lookups are answered from KV
+    await users.getUserByTelegramId(42);
+    expect(legacy.getUserByTelegramId).toHaveBeenCalledTimes(1);
+  });
+
+  it('finds a user not yet in KV by username', async () => {
+    expect((await users.getUserByUsername('@Alice')).telegramId).toBe(42);
+    expect(await users.getUserByUsername('carol')).toBeNull();
+  });
+
+  it('keeps the encrypted key usable after the copy', async () => {
+    const user = await users.getUserByTelegramId(42);
+
+    expect(await users.encryption.decrypt(user.arcPrivateKeyEncrypted, 42)).toBe(PRIVATE_KEY);
+    expect(JSON.stringify([...kv.data.values()])).not.toContain(PRIVATE_KEY.slice(2));
+  });
+
+  it('does not overwrite a user already in KV or copy one without a wallet', async () => {
+    await kv.put('user:42', JSON.stringify({ telegramId: 42, arcAddress: '0xkv' }));
+    const walletless = { user_id: 'auth0|7', user_metadata: { telegram_id: 7 }, app_metadata: {} };
+
+    expect(await users.importAuth0User(auth0User)).toBe(false);
+    expect(await users.importAuth0User(walletless)).toBe(false);
+    expect((await kv.get('user:42', 'json')).arcAddress).toBe('0xkv');
+    expect(await kv.get('user:7')).toBeNull();
+  });
+
+  it('migrates users a page at a time and remembers where it stopped', async () => {
+    const other = { ...auth0User, user_id: 'auth0|43', user_metadata: { ...auth0User.user_metadata, telegram_id: 43, telegram_username: 'bob' } };
+    legacy.listUsers
+      .mockResolvedValueOnce([auth0User, other])
+      .mockResolvedValueOnce([{ user_id: 'auth0|44', user_metadata: {}, app_metadata: {} }]);
+
+    expect(await users.migrateFromAuth0({ perPage: 2 })).toMatchObject({ page: 1, imported: 2, done: false });
+    expect(await users.migrateFromAuth0({ perPage: 2 })).toMatchObject({ page: 2, imported: 2, done: true });
+    expect(await users.migrateFromAuth0({ perPage: 2 })).toMatchObject({ page: 2, done: true });
+
+    expect(legacy.listUsers.mock.calls).toEqual([[0, 2], [1, 2]]);
+    expect((await kv.get('user:43', 'json')).username).toBe('bob');
+  });
+});
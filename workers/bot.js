@@ -3,10 +3,20 @@
 import { Router } from 'itty-router';
 import { TelegramAPI } from './services/telegram.js';
 import { Auth0Service } from './services/auth0.js';
+import { Auth0UserStore } from './services/auth0UserStore.js';
+import { UserStorageService } from './services/userStorage.js';
 import { ARCService } from './services/arc.js';
+import { RateLimiterService } from './services/rateLimiter.js';
+import { SenderLockService } from './services/senderLock.js';
+import { KeyRotationService } from './services/keyRotation.js';
 import { BotController } from './controllers/bot.js';
 import { validateEnvironment } from './utils/validation.js';
+import { hmacHex, timingSafeEqual } from './utils/encryption.js';
 import { Logger } from './utils/logger.js';
+import { getUpdateChatId } from '../src/core/updates.js';
+
+const WEBHOOK_PATH = '/telegram/webhook';
+const WEBHOOK_FINGERPRINT_KEY = 'webhook:registered';
 
 export class WorkerBot {
   constructor(env) {
@@ -18,14 +28,31 @@ export class WorkerBot {
     
     // Initialize services
     this.telegram = new TelegramAPI(this.config.TELEGRAM_BOT_TOKEN, this.logger);
-    this.auth0 = new Auth0Service(this.config, this.logger);
-    this.arc = new ARCService(this.config, this.logger);
+    this.auth0 = this.config.AUTH0_CONFIGURED ? new Auth0Service(this.config, this.logger) : null;
+    this.arc = new ARCService(this.config, this.logger, new SenderLockService(env.SENDER_LOCK, this.logger), env.USERS);
+    this.rateLimiter = new RateLimiterService(env.RATE_LIMITER, this.config, this.logger);
+
+    // KV always holds friends and payment requests. Users live in KV too unless
+    // USER_STORE=auth0; with KV, Auth0 users (if configured) are migrated over.
+    this.storage = new UserStorageService(env.USERS, this.config, this.logger, {
+      legacy: this.config.USER_STORE === 'kv' ? this.auth0 : null
+    });
+    this.users = this.config.USER_STORE === 'auth0'
+      ? new Auth0UserStore(this.auth0, this.logger)
+      : this.storage;
+    this.keyRotation = new KeyRotationService(
+      this.storage,
+      this.config.USER_STORE === 'auth0' ? this.auth0 : null,
+      this.logger
+    );
     
     // Initialize controller
     this.controller = new BotController({
       telegram: this.telegram,
-      auth0: this.auth0,
+      users: this.users,
+      storage: this.storage,
       arc: this.arc,
+      rateLimiter: this.rateLimiter,
       logger: this.logger,
       env: this.env
     });
@@ -43,7 +70,7 @@ export class WorkerBot {
     this.router.get('/stats', () => this.handleStats());
     
     // Telegram webhook
-    this.router.post('/bot:token', (request) => this.handleWebhook(request));
+    this.router.post(WEBHOOK_PATH, (request) => this.handleWebhook(request));
     
     // Catch all
     this.router.all('*', () => new Response('Not Found', { status: 404 }));
@@ -80,11 +107,15 @@ export class WorkerBot {
         version: '1.0.0',
         services: {
           telegram: { status: 'healthy' },
-          auth0: await this.auth0.healthCheck(),
+          users: await this.users.healthCheck(),
           arc: await this.arc.healthCheck()
         }
       };
 
+      if (this.users !== this.storage) {
+        health.services.storage = await this.storage.healthCheck();
+      }
+
       const overallHealthy = Object.values(health.services)
         .every(service => service.status === 'healthy');
 
@@ -107,13 +138,19 @@ export class WorkerBot {
 
   async handleStats() {
     try {
-      const stats = await this.auth0.getUserStats();
-      
-      return new Response(JSON.stringify({
+      const stats = await this.users.getUserStats();
+      const body = {
         users: stats.totalUsers,
+        userStore: this.config.USER_STORE,
         network: `arc-${this.config.ARC_CHAIN_ID}`,
         timestamp: stats.timestamp
-      }), {
+      };
+
+      if (this.storage.legacy) {
+        body.auth0Migration = await this.storage.getMigrationState();
+      }
+      
+      return new Response(JSON.stringify(body), {
         headers: { 'Content-Type': 'application/json' }
       });
     } catch (error) {
@@ -130,27 +167,20 @@ export class WorkerBot {
 
   async handleWebhook(request) {
     try {
-      // Validate webhook path
-      const url = new URL(request.url);
-      const token = url.pathname.split('/bot')[1];
-      
-      if (token !== this.config.TELEGRAM_BOT_TOKEN) {
-        this.logger.security('Invalid webhook token', {
-          requestedToken: token?.substring(0, 10) + '...',
+      // Telegram echoes the secret_token registered with setWebhook
+      const received = request.headers.get('X-Telegram-Bot-Api-Secret-Token');
+
+      if (!received || !timingSafeEqual(received, await this.getWebhookSecret())) {
+        this.logger.security('Invalid Telegram webhook secret', {
+          headerPresent: Boolean(received),
           ip: request.headers.get('CF-Connecting-IP')
         });
         return new Response('Unauthorized', { status: 401 });
       }
 
-      // Rate limiting check
-      const rateLimitResult = await this.checkRateLimit(request);
-      if (rateLimitResult) {
-        return rateLimitResult;
-      }
-
-      // Process update
+      // Process update (rate limits are per user, checked by the controller)
       const update = await request.json();
-      await this.controller.processUpdate(update);
+      await this.dispatchUpdate(update);
       
       return new Response('OK', { status: 200 });
     } catch (error) {
@@ -164,32 +194,58 @@ export class WorkerBot {
     }
   }
 
-  async checkRateLimit(request) {
-    try {
-      const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
-      const key = `rate_limit:${ip}`;
-      
-      // Simple rate limiting using KV store
-      if (this.env.SESSIONS) {
-        const current = await this.env.SESSIONS.get(key);
-        const requests = current ? parseInt(current) : 0;
-        
-        if (requests >= (this.config.RATE_LIMIT_MAX_REQUESTS || 100)) {
-          this.logger.security('Rate limit exceeded', { ip, requests });
-          return new Response('Rate limit exceeded', { status: 429 });
-        }
-        
-        // Increment counter with TTL
-        await this.env.SESSIONS.put(key, (requests + 1).toString(), {
-          expirationTtl: Math.floor((this.config.RATE_LIMIT_WINDOW_MS || 900000) / 1000)
-        });
-      }
-      
-      return null;
-    } catch (error) {
-      this.logger.error('Rate limit check failed', { error: error.message });
-      return null; // Don't block on rate limit errors
+  /**
+   * Hands the update to its chat's UpdateQueue Durable Object, which skips
+   * redelivered updates and processes the chat's updates in order. Without
+   * the UPDATE_QUEUE binding the update is processed here directly.
+   */
+  async dispatchUpdate(update) {
+    const chatId = getUpdateChatId(update);
+
+    if (!this.env.UPDATE_QUEUE || chatId === null) {
+      await this.controller.processUpdate(update);
+      return;
+    }
+
+    const stub = this.env.UPDATE_QUEUE.get(this.env.UPDATE_QUEUE.idFromName(chatId.toString()));
+    const response = await stub.fetch('https://update-queue/process', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(update)
+    });
+    const result = await response.json();
+
+    if (result.duplicate) {
+      this.logger.warn('Duplicate Telegram update ignored', { updateId: update.update_id });
+    }
+  }
+
+  // TELEGRAM_WEBHOOK_SECRET, or derived from JWT_SECRET the same way as the Node bot
+  async getWebhookSecret() {
+    if (!this.webhookSecret) {
+      this.webhookSecret = this.config.TELEGRAM_WEBHOOK_SECRET ||
+        await hmacHex(this.config.JWT_SECRET, 'telegram-webhook-secret');
     }
+    return this.webhookSecret;
+  }
+
+  // Registers WEBHOOK_URL with Telegram whenever the URL or secret changes
+  async ensureWebhook() {
+    if (!this.config.WEBHOOK_URL) {
+      return;
+    }
+
+    const url = `${this.config.WEBHOOK_URL}${WEBHOOK_PATH}`;
+    const secret = await this.getWebhookSecret();
+    const fingerprint = await hmacHex(secret, url);
+
+    if (await this.env.USERS.get(WEBHOOK_FINGERPRINT_KEY) === fingerprint) {
+      return;
+    }
+
+    await this.telegram.setWebhook(url, secret);
+    await this.env.USERS.put(WEBHOOK_FINGERPRINT_KEY, fingerprint);
+    this.logger.info('Telegram webhook registered', { url });
   }
 
   async handleScheduled(controller, ctx) {
@@ -201,6 +257,20 @@ export class WorkerBot {
         // KV automatically handles TTL cleanup
         this.logger.info('Session cleanup completed');
       }
+
+      await this.ensureWebhook().catch(error => {
+        this.logger.error('Telegram webhook registration failed', { error: error.message });
+      });
+
+      // Re-encrypt the next batch of private keys still on an older key
+      await this.keyRotation.rotate().catch(error => {
+        this.logger.error('Encryption key rotation failed', { error: error.message });
+      });
+
+      // Move the next batch of Auth0 users into the KV user store
+      if (this.storage.legacy) {
+        await this.storage.migrateFromAuth0();
+      }
       
       // Health check all services
       await this.handleHealth();
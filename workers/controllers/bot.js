@@ -1,15 +1,46 @@
 // Bot controller for Cloudflare Workers
 
-import { parseRecipient, validateAmount, sanitizeInput } from '../utils/validation.js';
+import { parseRecipient, validateAmount, validateFriendAlias, sanitizeInput } from '../utils/validation.js';
+import { parseCommand } from '../../src/core/commands.js';
+import { parsePaymentLink } from '../../src/core/links.js';
+import { REQUEST_STATUS, withRequestStatus } from '../../src/core/paymentRequests.js';
+import { RecipientResolver } from '../../src/core/recipients.js';
+import {
+  formatFriend,
+  formatFriendList,
+  formatPaymentLinkMarkdown,
+  formatPaymentRequestNotice,
+  formatQRCaptionMarkdown,
+  formatThrottled,
+  formatUserName
+} from '../../src/core/messages.js';
+
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000; // a payer's in-flight claim on a request is released after 10 minutes
+
+// Commands and callbacks with their own rate limit; everything else is a 'command'
+const RATE_LIMITED_ACTIONS = new Map([
+  ['pay', 'payment'],
+  ['req_pay', 'payment'],
+  ['link_pay', 'payment'],
+  ['qr', 'qr'],
+  ['myqr', 'qr'],
+  ['qr_', 'qr']
+]);
 
 export class BotController {
-  constructor({ telegram, auth0, arc, logger, env }) {
+  // users: UserStorageService or Auth0UserStore; storage: the KV store for friends and requests
+  constructor({ telegram, users, storage, arc, rateLimiter, logger, env }) {
     this.telegram = telegram;
-    this.auth0 = auth0;
+    this.users = users;
+    this.storage = storage;
     this.arc = arc;
+    this.rateLimiter = rateLimiter;
     this.logger = logger;
     this.env = env;
     this.pendingPayments = new Map();
+
+    // Recipient resolution is shared with the Node bot (src/core)
+    this.recipients = new RecipientResolver({ users, friends: storage, logger });
   }
 
   async processUpdate(update) {
@@ -56,13 +87,18 @@ export class BotController {
   }
 
   async handleCommand(message, text) {
-    const parts = text.split(' ');
-    const command = parts[0].substring(1).toLowerCase();
-    const args = parts.slice(1);
+    const { command, args } = parseCommand(text);
+
+    const allowed = await this.checkRateLimit(message.from.id, RATE_LIMITED_ACTIONS.get(command), {
+      chatId: message.chat.id
+    });
+    if (!allowed) {
+      return;
+    }
 
     switch (command) {
       case 'start':
-        await this.handleStart(message);
+        await this.handleStart(message, args);
         break;
       case 'help':
         await this.handleHelp(message);
@@ -76,6 +112,18 @@ export class BotController {
       case 'request':
         await this.handleRequest(message, args);
         break;
+      case 'requests':
+        await this.handleRequests(message);
+        break;
+      case 'friends':
+        await this.handleFriends(message);
+        break;
+      case 'addfriend':
+        await this.handleAddFriend(message, args);
+        break;
+      case 'removefriend':
+        await this.handleRemoveFriend(message, args);
+        break;
       case 'qr':
         await this.handleQR(message, args);
         break;
@@ -93,22 +141,54 @@ export class BotController {
     }
   }
 
-  async handleStart(message) {
+  /**
+   * Returns false, after telling the user once, when they are over the limit
+   * for the action. Callbacks are always answered so the button stops loading.
+   */
+  async checkRateLimit(telegramId, action = 'command', { chatId = null, callbackQueryId = null } = {}) {
+    if (!this.rateLimiter) {
+      return true;
+    }
+
+    const result = await this.rateLimiter.check(telegramId, action);
+    if (result.allowed) {
+      return true;
+    }
+
+    const text = formatThrottled(result);
+
+    if (callbackQueryId) {
+      await this.telegram.answerCallbackQuery(callbackQueryId, { text, show_alert: result.notify });
+    } else if (result.notify) {
+      await this.telegram.sendMessage(chatId, text, { parse_mode: undefined });
+    }
+
+    return false;
+  }
+
+  async handleStart(message, args = []) {
     try {
       const chatId = message.chat.id;
       const telegramId = message.from.id;
       const username = message.from.username || 'user';
 
-      let user = await this.auth0.getUserByTelegramId(telegramId);
+      // Payment link: t.me/<bot>?start=pay_<address>[_<amount>_<currency>]
+      if (args.length > 0 && args[0].startsWith('pay_')) {
+        await this.handlePaymentLink(message, args[0]);
+        return;
+      }
+
+      let user = await this.users.getUserByTelegramId(telegramId);
 
       if (!user) {
         await this.telegram.sendMessage(chatId, '🔐 Creating your account...');
         
         try {
           const evmWallet = this.arc.generateWallet();
-          const result = await this.auth0.createUser(telegramId, username, {
+          const result = await this.users.createUser(telegramId, username, {
             address: evmWallet.address,
-            privateKey: evmWallet.privateKey
+            privateKey: evmWallet.privateKey,
+            publicKey: evmWallet.publicKey
           });
           
           const networkInfo = this.env.ARC_CHAIN_ID === '5042002'
@@ -120,7 +200,7 @@ export class BotController {
             `✅ Account created successfully!
 
 💼 Your ARC Address:
-\`${result.arc_address}\`
+\`${result.arcAddress}\`
 
 ${networkInfo}
 
@@ -130,7 +210,7 @@ Use /help for all commands`
           );
 
           this.logger.audit('account_created', telegramId, {
-            arcAddress: result.arc_address,
+            arcAddress: result.arcAddress,
             username
           });
         } catch (error) {
@@ -147,7 +227,7 @@ Use /help for all commands`
           `👋 Welcome back, ${username}!
 
 💼 Your ARC Address:
-\`${user.user_metadata.arc_address}\`
+\`${user.arcAddress}\`
 
 Use /balance to check your balance
 Use /pay to send USDC to others
@@ -155,7 +235,7 @@ Use /help for all commands`
         );
 
         this.logger.audit('user_returned', telegramId, {
-          username: user.user_metadata.telegram_username
+          username: user.username
         });
       }
     } catch (error) {
@@ -172,13 +252,17 @@ Use /help for all commands`
 
 /start - Create account with ARC wallet
 /balance - Check your USDC balance
-/pay <recipient> <amount> - Send USDC
+/pay <recipient> <amount> [reason] - Send USDC
   Recipients can be:
   • @username - /pay @alice 10
   • User ID - /pay 123456789 10
   • EVM address - /pay 0x1234... 10
-/request <user> <amount> - Request payment
-  Example: /request @alice 5
+/request <user> <amount> [reason] - Request payment
+  Example: /request @alice 5 lunch
+/requests - Pay or decline requests you received
+/friends - List your friend aliases
+/addfriend <alias> <recipient> - Save a friend, then /pay alias 10
+/removefriend <alias> - Remove a friend
 /myqr - Generate QR code for receiving payments
 /qr [amount] - Quick QR code generation
   Example: /qr or /qr 10
@@ -198,19 +282,19 @@ Use /help for all commands`
       const chatId = message.chat.id;
       const telegramId = message.from.id;
 
-      const user = await this.auth0.getUserByTelegramId(telegramId);
+      const user = await this.users.getUserByTelegramId(telegramId);
       if (!user) {
         await this.telegram.sendMessage(chatId, '❌ Please create an account first with /start');
         return;
       }
 
-      const balance = await this.arc.getUSDCBalance(user.user_metadata.arc_address);
+      const balance = await this.arc.getUSDCBalance(user.arcAddress);
       
       await this.telegram.sendMessage(
         chatId,
         `💰 Your Balance: ${balance} USDC
 
-Address: \`${user.user_metadata.arc_address}\`
+Address: \`${user.arcAddress}\`
 Network: ARC Testnet (Chain ID: ${this.env.ARC_CHAIN_ID})
 
 Use /history to see recent transactions`
@@ -218,7 +302,7 @@ Use /history to see recent transactions`
 
       this.logger.audit('balance_checked', telegramId, {
         balance,
-        address: user.user_metadata.arc_address
+        address: user.arcAddress
       });
     } catch (error) {
       this.logger.error('Balance check failed', {
@@ -237,12 +321,12 @@ Use /history to see recent transactions`
       if (args.length < 2) {
         await this.telegram.sendMessage(
           chatId,
-          `❓ Usage: /pay <recipient> <amount>
+          `❓ Usage: /pay <recipient> <amount> [reason]
 
 Examples:
 • /pay @username 10
 • /pay 123456789 5.5
-• /pay 0x1234... 25
+• /pay 0x1234... 25 lunch money
 
 Recipients can be:
 • @username (Telegram username)
@@ -252,7 +336,8 @@ Recipients can be:
         return;
       }
 
-      const [recipientInput, amountInput] = args;
+      const [recipientInput, amountInput, ...reasonParts] = args;
+      const reason = reasonParts.length > 0 ? reasonParts.join(' ') : null;
       
       if (!validateAmount(parseFloat(amountInput))) {
         await this.telegram.sendMessage(chatId, '❌ Invalid amount. Must be a positive number.');
@@ -260,7 +345,7 @@ Recipients can be:
       }
 
       const amount = parseFloat(amountInput);
-      const sender = await this.auth0.getUserByTelegramId(telegramId);
+      const sender = await this.users.getUserByTelegramId(telegramId);
       
       if (!sender) {
         await this.telegram.sendMessage(chatId, '❌ Please create an account first with /start');
@@ -269,7 +354,7 @@ Recipients can be:
 
       await this.telegram.sendMessage(chatId, '🔄 Processing payment...');
 
-      const resolved = await this.resolveRecipient(recipientInput);
+      const resolved = await this.resolveRecipient(recipientInput, telegramId);
       if (!resolved) {
         await this.telegram.sendMessage(
           chatId,
@@ -281,65 +366,572 @@ Recipients can be:
         return;
       }
 
-      const result = await this.arc.sendUSDCPayment(
-        sender.app_metadata.arc_private_key,
-        resolved.address,
-        amount
+      await this.sendPayment(chatId, sender, message.from, resolved, amount, reason);
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        await this.telegram.sendMessage(message.chat.id, `❌ ${error.message}`);
+        return;
+      }
+
+      this.logger.error('Payment failed', {
+        telegramId: message.from.id,
+        args,
+        error: error.message
+      });
+      await this.telegram.sendMessage(message.chat.id, '❌ Payment failed. Please try again.');
+    }
+  }
+
+  // Sends USDC from sender to a resolved recipient and tells both sides
+  async sendPayment(chatId, sender, from, resolved, amount, reason = null) {
+    const result = await this.arc.sendUSDCPayment(
+      this.users.getSigner(sender),
+      resolved.address,
+      amount,
+      reason
+    );
+
+    if (result.pending) {
+      await this.telegram.sendMessage(chatId, this.formatPendingPayment(amount, resolved.displayName, result.hash), { parse_mode: undefined });
+      this.logger.audit('payment_pending', from.id, { amount, currency: 'USDC', recipient: resolved.address, txHash: result.hash });
+      return result;
+    }
+
+    await this.telegram.sendMessage(
+      chatId,
+      `✅ Payment sent successfully!
+
+Amount: ${amount} USDC
+To: ${resolved.displayName}${reason ? `\nReason: ${reason}` : ''}
+Transaction: \`${result.hash}\`
+Gas Used: ${result.gasUsed} units`
+    );
+
+    // Notify recipient if they're a bot user
+    if (resolved.telegramId) {
+      try {
+        await this.telegram.sendMessage(
+          resolved.telegramId,
+          `💰 You received ${amount} USDC from ${formatUserName({ username: from.username, telegramId: from.id })}!
+
+Transaction: ${result.hash}
+Use /balance to check your balance`,
+          { parse_mode: undefined }
+        );
+      } catch (error) {
+        this.logger.warn('Could not notify recipient', {
+          recipientId: resolved.telegramId,
+          error: error.message
+        });
+      }
+    }
+
+    this.logger.audit('payment_sent', from.id, {
+      amount,
+      currency: 'USDC',
+      recipient: resolved.address,
+      txHash: result.hash,
+      gasUsed: result.gasUsed
+    });
+
+    return result;
+  }
+
+  formatPendingPayment(amount, recipient, hash) {
+    return `⏳ Payment submitted, not confirmed yet
+
+Amount: ${amount} USDC
+To: ${recipient}
+Transaction: ${hash}
+
+The network has not included it yet. Check ${this.arc.explorerUrl}/tx/${hash} or /balance in a few minutes.`;
+  }
+
+  async handlePaymentLink(message, payload) {
+    const chatId = message.chat.id;
+
+    let link;
+    try {
+      link = parsePaymentLink(payload);
+    } catch (error) {
+      await this.telegram.sendMessage(chatId, `❌ ${error.message}`, { parse_mode: undefined });
+      return;
+    }
+
+    const user = await this.users.getUserByTelegramId(message.from.id);
+    if (!user) {
+      await this.telegram.sendMessage(
+        chatId,
+        `${formatPaymentLinkMarkdown(link)}
+
+❌ You need to create an account first.
+Use /start to create your account, then open the payment link again.`
+      );
+      return;
+    }
+
+    if (!link.amount) {
+      await this.telegram.sendMessage(
+        chatId,
+        `${formatPaymentLinkMarkdown({ ...link, fromAddress: user.arcAddress })}
+
+💭 Send the amount with:
+\`/pay ${link.address} <amount>\``
       );
+      return;
+    }
 
-      if (result.success) {
-        let recipientInfo = '';
-        if (resolved.type === 'username') {
-          recipientInfo = `To: @${resolved.username}`;
-        } else if (resolved.type === 'userId') {
-          recipientInfo = `To: User ${resolved.telegramId}`;
-        } else {
-          recipientInfo = `To: ${resolved.address}`;
+    await this.telegram.sendMessage(
+      chatId,
+      `${formatPaymentLinkMarkdown({ ...link, fromAddress: user.arcAddress })}
+
+Do you want to proceed with this payment?`,
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: `✅ Pay ${link.amount} ${link.currency}`, callback_data: `link_pay:${link.address}:${link.amount}` },
+            { text: '❌ Cancel', callback_data: 'link_cancel' }
+          ]]
         }
+      }
+    );
 
+    this.logger.audit('payment_link_opened', message.from.id, {
+      targetAddress: link.address,
+      amount: link.amount
+    });
+  }
+
+  async handlePaymentLinkCallback(query, data) {
+    const chatId = query.message.chat.id;
+
+    if (data === 'link_cancel') {
+      await this.telegram.answerCallbackQuery(query.id, { text: 'Payment cancelled' });
+      await this.telegram.editMessageText(chatId, query.message.message_id, '❌ Payment cancelled.');
+      return;
+    }
+
+    const [, address, amountInput] = data.split(':');
+    const amount = parseFloat(amountInput);
+    const sender = await this.users.getUserByTelegramId(query.from.id);
+
+    if (!sender || !validateAmount(amount)) {
+      await this.telegram.answerCallbackQuery(query.id, {
+        text: '❌ This payment link is no longer valid.',
+        show_alert: true
+      });
+      return;
+    }
+
+    const resolved = await this.resolveRecipient(address, query.from.id);
+    await this.telegram.answerCallbackQuery(query.id, { text: '🔄 Processing payment...' });
+    await this.telegram.editMessageText(chatId, query.message.message_id, '🔄 Processing payment...');
+
+    try {
+      await this.sendPayment(chatId, sender, query.from, resolved, amount);
+    } catch (error) {
+      this.logger.error('Payment link payment failed', {
+        telegramId: query.from.id,
+        error: error.message
+      });
+      const reason = error.code === 'INSUFFICIENT_FUNDS' ? error.message : 'Payment failed. Please try again.';
+      await this.telegram.sendMessage(chatId, `❌ ${reason}`, { parse_mode: undefined });
+    }
+  }
+
+  async handleRequest(message, args) {
+    try {
+      const chatId = message.chat.id;
+      const telegramId = message.from.id;
+
+      if (args.length < 2) {
         await this.telegram.sendMessage(
           chatId,
-          `✅ Payment sent successfully!
+          `❓ Usage: /request <user> <amount> [reason]
 
-Amount: ${amount} USDC
-${recipientInfo}
-Transaction: \`${result.hash}\`
-Gas Used: ${result.gasUsed} units`
+Examples:
+• /request @alice 5
+• /request bob 12.5 dinner`
         );
+        return;
+      }
 
-        // Notify recipient if they're a bot user
-        if (resolved.telegramId) {
-          try {
-            await this.telegram.sendMessage(
-              resolved.telegramId,
-              `💰 You received ${amount} USDC from @${message.from.username || 'someone'}!
+      const [recipientInput, amountInput, ...reasonParts] = args;
+      const amount = parseFloat(amountInput);
 
-Transaction: \`${result.hash}\`
-Use /balance to check your balance`
-            );
-          } catch (error) {
-            this.logger.warn('Could not notify recipient', {
-              recipientId: resolved.telegramId,
-              error: error.message
-            });
-          }
+      if (!validateAmount(amount)) {
+        await this.telegram.sendMessage(chatId, '❌ Invalid amount. Must be a positive number.');
+        return;
+      }
+
+      const requester = await this.users.getUserByTelegramId(telegramId);
+      if (!requester) {
+        await this.telegram.sendMessage(chatId, '❌ Please create an account first with /start');
+        return;
+      }
+
+      const payer = await this.resolveRecipient(recipientInput, telegramId);
+      if (!payer || !payer.telegramId) {
+        await this.telegram.sendMessage(chatId, '❌ Requests can only be sent to users who have created an account with /start.');
+        return;
+      }
+
+      if (payer.telegramId.toString() === telegramId.toString()) {
+        await this.telegram.sendMessage(chatId, '❌ You cannot request a payment from yourself.');
+        return;
+      }
+
+      const request = await this.storage.createPaymentRequest({
+        requesterId: telegramId,
+        payerId: payer.telegramId,
+        requesterAddress: requester.arcAddress,
+        amount,
+        reason: reasonParts.join(' ') || null
+      });
+
+      const requesterName = formatUserName({ username: message.from.username, telegramId });
+      await this.telegram.sendMessage(
+        payer.telegramId,
+        `${formatPaymentRequestNotice({ requesterName, amount, reason: request.reason })}
+
+The request expires in 24 hours.`,
+        {
+          parse_mode: undefined,
+          reply_markup: this.requestKeyboard(request)
         }
+      );
+
+      await this.telegram.sendMessage(
+        chatId,
+        `✅ Requested ${amount} USDC from ${payer.displayName}. You will be notified when it is paid.`,
+        { parse_mode: undefined }
+      );
+    } catch (error) {
+      this.logger.error('Payment request failed', {
+        telegramId: message.from.id,
+        error: error.message
+      });
+      await this.telegram.sendMessage(message.chat.id, '❌ Failed to send payment request. Please try again.');
+    }
+  }
+
+  async handleRequests(message) {
+    try {
+      const chatId = message.chat.id;
+      const { sent, received } = await this.storage.listPaymentRequests(message.from.id);
+
+      if (sent.length === 0 && received.length === 0) {
+        await this.telegram.sendMessage(chatId, '📭 You have no open payment requests.');
+        return;
+      }
+
+      for (const request of received) {
+        await this.telegram.sendMessage(
+          chatId,
+          `${formatPaymentRequestNotice({ requesterName: formatUserName({ telegramId: request.from }), amount: request.amount, reason: request.reason })}`,
+          { parse_mode: undefined, reply_markup: this.requestKeyboard(request) }
+        );
+      }
 
-        this.logger.audit('payment_sent', telegramId, {
-          amount,
-          currency: 'USDC',
-          recipient: resolved.address,
-          txHash: result.hash,
-          gasUsed: result.gasUsed
+      if (sent.length > 0) {
+        const lines = sent.map(request => `• ${request.amount} USDC from User ${request.to}${request.reason ? ` (${request.reason})` : ''}`);
+        await this.telegram.sendMessage(chatId, `📤 Waiting for payment:\n${lines.join('\n')}`, { parse_mode: undefined });
+      }
+    } catch (error) {
+      this.logger.error('Listing payment requests failed', {
+        telegramId: message.from.id,
+        error: error.message
+      });
+      await this.telegram.sendMessage(message.chat.id, '❌ Failed to load your payment requests.');
+    }
+  }
+
+  requestKeyboard(request) {
+    return {
+      inline_keyboard: [[
+        { text: `💸 Pay ${request.amount} USDC`, callback_data: `req_pay:${request.id}` },
+        { text: '❌ Decline', callback_data: `req_decline:${request.id}` }
+      ]]
+    };
+  }
+
+  async handleRequestPayCallback(query, requestId) {
+    const payerId = query.from.id;
+    const request = await this.storage.getPaymentRequest(requestId);
+
+    // A payment left pending by an earlier tap is settled before paying again
+    if (request?.status === REQUEST_STATUS.PENDING && request.processing?.tx_hash) {
+      const { processing } = request;
+      let status = await this.arc.getTransactionStatus(processing.tx_hash);
+      if (status === 'dropped' && Number.isInteger(processing.nonce)) {
+        // Not failed until another transaction takes its nonce; until then it may still be mined
+        status = await this.arc.recheckDroppedTransaction({
+          hash: processing.tx_hash,
+          from: processing.from,
+          nonce: processing.nonce,
+          rawTx: processing.raw_tx
         });
       }
+      if (status === 'confirmed') {
+        await this.telegram.answerCallbackQuery(query.id, { text: '✅ Your payment went through' });
+        await this.completeRequestPayment(query, request, processing.by, processing.tx_hash);
+        return;
+      }
+      if (status === 'pending') {
+        await this.telegram.answerCallbackQuery(query.id, {
+          text: '⏳ Your payment for this request is still being confirmed. Try again in a few minutes.',
+          show_alert: true
+        });
+        return;
+      }
+      // Reverted, or its nonce was used by another transaction: nothing was paid
+      const { processing: settled, ...released } = request;
+      await this.storage.savePaymentRequest(released);
+      return this.handleRequestPayCallback(query, requestId);
+    }
+
+    if (!this.isOpenRequestFor(request, payerId)) {
+      await this.telegram.answerCallbackQuery(query.id, {
+        text: '❌ This request is no longer open.',
+        show_alert: true
+      });
+      return;
+    }
+
+    const payer = await this.users.getUserByTelegramId(payerId);
+    if (!payer) {
+      await this.telegram.answerCallbackQuery(query.id, {
+        text: '❌ Please create an account first with /start',
+        show_alert: true
+      });
+      return;
+    }
+
+    // Claimed before sending so a second tap finds the payment in flight
+    await this.storage.savePaymentRequest({ ...request, processing: { by: payerId, at: Date.now() } });
+    await this.telegram.answerCallbackQuery(query.id, { text: '🔄 Processing payment...' });
+
+    let result;
+    try {
+      result = await this.arc.sendUSDCPayment(this.users.getSigner(payer), request.requester_address, request.amount, request.reason);
     } catch (error) {
-      this.logger.error('Payment failed', {
+      await this.storage.savePaymentRequest(request);
+      this.logger.error('Payment request payment failed', {
+        requestId,
+        telegramId: payerId,
+        error: error.message
+      });
+      const reason = error.code === 'INSUFFICIENT_FUNDS' ? error.message : 'Payment failed. Please try again.';
+      await this.telegram.sendMessage(query.message.chat.id, `❌ ${reason}`, { parse_mode: undefined });
+      return;
+    }
+
+    if (result.pending) {
+      // The claim keeps the transaction until it settles; the next tap checks it
+      await this.storage.savePaymentRequest({
+        ...request,
+        processing: { by: payerId, at: Date.now(), tx_hash: result.hash, from: result.from, nonce: result.nonce, raw_tx: result.rawTx }
+      });
+      await this.telegram.editMessageText(
+        query.message.chat.id,
+        query.message.message_id,
+        `${this.formatPendingPayment(request.amount, formatUserName({ telegramId: request.from }), result.hash)}\n\nTap Pay again later to update this request.`,
+        { parse_mode: undefined, reply_markup: this.requestKeyboard(request) }
+      );
+      return;
+    }
+
+    await this.completeRequestPayment(query, request, payerId, result.hash);
+  }
+
+  async completeRequestPayment(query, request, payerId, hash) {
+    await this.storage.savePaymentRequest(withRequestStatus(request, REQUEST_STATUS.PAID, payerId, { tx_hash: hash }));
+
+    await this.telegram.editMessageText(
+      query.message.chat.id,
+      query.message.message_id,
+      `✅ Paid ${request.amount} USDC
+
+Transaction: \`${hash}\``
+    );
+
+    try {
+      await this.telegram.sendMessage(
+        request.from,
+        `💰 ${formatUserName({ username: query.from.username, telegramId: payerId })} paid your request for ${request.amount} USDC.
+
+Transaction: ${hash}`,
+        { parse_mode: undefined }
+      );
+    } catch (error) {
+      this.logger.warn('Could not notify requester', {
+        requestId: request.id,
+        requesterId: request.from,
+        error: error.message
+      });
+    }
+
+    this.logger.audit('payment_request_paid', payerId, {
+      requestId: request.id,
+      amount: request.amount,
+      txHash: hash
+    });
+  }
+
+  // Pending, addressed to this payer and not being paid already (a claim with a pending transaction holds until it settles)
+  isOpenRequestFor(request, payerId) {
+    return Boolean(request)
+      && request.to.toString() === payerId.toString()
+      && request.status === REQUEST_STATUS.PENDING
+      && !(request.processing && (request.processing.tx_hash || Date.now() - request.processing.at < CLAIM_TIMEOUT_MS));
+  }
+
+  async handleRequestDeclineCallback(query, requestId) {
+    const request = await this.storage.getPaymentRequest(requestId);
+
+    if (!this.isOpenRequestFor(request, query.from.id)) {
+      await this.telegram.answerCallbackQuery(query.id, {
+        text: '❌ This request is no longer open.',
+        show_alert: true
+      });
+      return;
+    }
+
+    await this.storage.savePaymentRequest(withRequestStatus(request, REQUEST_STATUS.DECLINED, query.from.id));
+    await this.telegram.answerCallbackQuery(query.id, { text: 'Request declined' });
+    await this.telegram.editMessageText(
+      query.message.chat.id,
+      query.message.message_id,
+      `❌ You declined the request for ${request.amount} USDC.`
+    );
+
+    try {
+      await this.telegram.sendMessage(
+        request.from,
+        `❌ Your request for ${request.amount} USDC from User ${request.to} was declined.`
+      );
+    } catch (error) {
+      this.logger.warn('Could not notify requester', {
+        requestId,
+        requesterId: request.from,
+        error: error.message
+      });
+    }
+  }
+
+  async handleFriends(message) {
+    try {
+      const friends = await this.storage.getFriends(message.from.id);
+      const aliases = Object.keys(friends);
+
+      if (aliases.length === 0) {
+        await this.telegram.sendMessage(
+          message.chat.id,
+          '👥 No friends saved yet. Add one with /addfriend <alias> <@username|userID|address>',
+          { parse_mode: undefined }
+        );
+        return;
+      }
+
+      await this.telegram.sendMessage(
+        message.chat.id,
+        `👥 Your friends:\n${formatFriendList(friends)}\n\nPay a friend with /pay <alias> <amount>`,
+        { parse_mode: undefined }
+      );
+    } catch (error) {
+      this.logger.error('Listing friends failed', {
         telegramId: message.from.id,
-        args,
         error: error.message
       });
-      await this.telegram.sendMessage(message.chat.id, '❌ Payment failed. Please try again.');
+      await this.telegram.sendMessage(message.chat.id, '❌ Failed to load your friends.');
+    }
+  }
+
+  async handleAddFriend(message, args) {
+    try {
+      const chatId = message.chat.id;
+      const telegramId = message.from.id;
+
+      if (args.length < 2) {
+        await this.telegram.sendMessage(
+          chatId,
+          `❓ Usage: /addfriend <alias> <@username|userID|address>
+
+Aliases are 1-16 letters, numbers, _ or -, and must not start with @.`,
+          { parse_mode: undefined }
+        );
+        return;
+      }
+
+      const [alias, friendInput] = args;
+      if (!validateFriendAlias(alias)) {
+        await this.telegram.sendMessage(chatId, '❌ Invalid alias. Use 1-16 letters, numbers, _ or -, not starting with @.');
+        return;
+      }
+
+      let friend;
+      try {
+        friend = parseRecipient(friendInput);
+      } catch (error) {
+        friend = null;
+      }
+      if (!friend || friend.type === 'alias') {
+        await this.telegram.sendMessage(chatId, '❌ Invalid friend. Use @username, a user ID or an EVM address.');
+        return;
+      }
+
+      const friends = await this.storage.getFriends(telegramId);
+      if (friends[alias]) {
+        await this.telegram.sendMessage(
+          chatId,
+          `❌ "${alias}" is already saved for ${formatFriend(friends[alias])}. Remove it first with /removefriend ${alias}`,
+          { parse_mode: undefined }
+        );
+        return;
+      }
+
+      friends[alias] = { type: friend.type, value: friend.value };
+      await this.storage.saveFriends(telegramId, friends);
+
+      await this.telegram.sendMessage(
+        chatId,
+        `✅ Saved "${alias}" → ${formatFriend(friends[alias])}`,
+        { parse_mode: undefined }
+      );
+
+      this.logger.audit('friend_added', telegramId, { alias, type: friend.type });
+    } catch (error) {
+      this.logger.error('Adding friend failed', {
+        telegramId: message.from.id,
+        error: error.message
+      });
+      await this.telegram.sendMessage(message.chat.id, '❌ Failed to save friend. Please try again.');
+    }
+  }
+
+  async handleRemoveFriend(message, args) {
+    try {
+      const chatId = message.chat.id;
+      const telegramId = message.from.id;
+      const alias = args[0];
+
+      const friends = await this.storage.getFriends(telegramId);
+      if (!alias || !friends[alias]) {
+        await this.telegram.sendMessage(chatId, '❌ Friend not found. Use /friends to see your list.');
+        return;
+      }
+
+      delete friends[alias];
+      await this.storage.saveFriends(telegramId, friends);
+
+      await this.telegram.sendMessage(chatId, `✅ Removed "${alias}"`, { parse_mode: undefined });
+      this.logger.audit('friend_removed', telegramId, { alias });
+    } catch (error) {
+      this.logger.error('Removing friend failed', {
+        telegramId: message.from.id,
+        error: error.message
+      });
+      await this.telegram.sendMessage(message.chat.id, '❌ Failed to remove friend. Please try again.');
     }
   }
 
@@ -348,7 +940,7 @@ Use /balance to check your balance`
       const chatId = message.chat.id;
       const telegramId = message.from.id;
       
-      const user = await this.auth0.getUserByTelegramId(telegramId);
+      const user = await this.users.getUserByTelegramId(telegramId);
       if (!user) {
         await this.telegram.sendMessage(chatId, '❌ Please create an account first with /start');
         return;
@@ -366,30 +958,19 @@ Use /balance to check your balance`
       await this.telegram.sendMessage(chatId, '🎨 Generating QR code...');
 
       const qrData = await this.telegram.generatePaymentQRCode(
-        user.user_metadata.arc_address,
+        user.arcAddress,
         amount,
         'USDC'
       );
 
-      let caption = `📱 Scan to Pay
-
-Address: \`${user.user_metadata.arc_address}\`
-`;
-      
-      if (amount) {
-        caption += `Amount: ${amount} USDC\n`;
-      } else {
-        caption += `Amount: Not specified (payer chooses)\n`;
-      }
-      
-      caption += `\n💡 Scan this QR code with any EVM wallet app`;
+      const caption = formatQRCaptionMarkdown({ address: user.arcAddress, amount });
 
       await this.telegram.sendPhoto(chatId, qrData.url, { caption });
 
       this.logger.audit('qr_generated', telegramId, {
         amount,
         currency: 'USDC',
-        address: user.user_metadata.arc_address
+        address: user.arcAddress
       });
     } catch (error) {
       this.logger.error('QR generation failed', {
@@ -415,7 +996,7 @@ Address: \`${user.user_metadata.arc_address}\`
       ]
     };
 
-    const user = await this.auth0.getUserByTelegramId(message.from.id);
+    const user = await this.users.getUserByTelegramId(message.from.id);
     if (!user) {
       await this.telegram.sendMessage(message.chat.id, '❌ Please create an account first with /start');
       return;
@@ -426,7 +1007,7 @@ Address: \`${user.user_metadata.arc_address}\`
       `📱 *QR Code Generator*
 
 Your ARC Address:
-\`${user.user_metadata.arc_address}\`
+\`${user.arcAddress}\`
 
 Choose an amount:`,
       { reply_markup: keyboard }
@@ -438,13 +1019,13 @@ Choose an amount:`,
       const chatId = message.chat.id;
       const telegramId = message.from.id;
 
-      const user = await this.auth0.getUserByTelegramId(telegramId);
+      const user = await this.users.getUserByTelegramId(telegramId);
       if (!user) {
         await this.telegram.sendMessage(chatId, '❌ Please create an account first with /start');
         return;
       }
 
-      const transactions = await this.arc.getTransactionHistory(user.user_metadata.arc_address, 5);
+      const transactions = await this.arc.getTransactionHistory(user.arcAddress, 5);
 
       if (transactions.length === 0) {
         await this.telegram.sendMessage(
@@ -453,7 +1034,7 @@ Choose an amount:`,
 
 No transactions found for your address.
 
-Address: \`${user.user_metadata.arc_address}\``
+Address: \`${user.arcAddress}\``
         );
         return;
       }
@@ -461,10 +1042,13 @@ Address: \`${user.user_metadata.arc_address}\``
       let historyText = `📊 *Recent Transactions*\n\n`;
       
       transactions.forEach((tx, index) => {
-        const direction = tx.from.toLowerCase() === user.user_metadata.arc_address.toLowerCase() ? '📤 Sent' : '📥 Received';
+        const direction = tx.from.toLowerCase() === user.arcAddress.toLowerCase() ? '📤 Sent' : '📥 Received';
         const amount = tx.amount ? `${tx.amount} ${tx.currency}` : 'N/A';
         
         historyText += `${index + 1}. ${direction} ${amount}\n`;
+        if (tx.memo) {
+          historyText += `   Description: ${tx.memo}\n`;
+        }
         historyText += `   Hash: \`${tx.hash.substring(0, 16)}...\`\n\n`;
       });
 
@@ -487,8 +1071,22 @@ Address: \`${user.user_metadata.arc_address}\``
       const data = query.data;
       const userId = query.from.id;
 
+      const prefix = data.startsWith('qr_') ? 'qr_' : data.split(':')[0];
+      const allowed = await this.checkRateLimit(userId, RATE_LIMITED_ACTIONS.get(prefix), {
+        callbackQueryId: query.id
+      });
+      if (!allowed) {
+        return;
+      }
+
       if (data.startsWith('qr_')) {
         await this.handleQRCallback(query, data);
+      } else if (data.startsWith('req_pay:')) {
+        await this.handleRequestPayCallback(query, data.substring('req_pay:'.length));
+      } else if (data.startsWith('req_decline:')) {
+        await this.handleRequestDeclineCallback(query, data.substring('req_decline:'.length));
+      } else if (data.startsWith('link_')) {
+        await this.handlePaymentLinkCallback(query, data);
       }
     } catch (error) {
       this.logger.error('Callback query failed', {
@@ -506,7 +1104,7 @@ Address: \`${user.user_metadata.arc_address}\``
   async handleQRCallback(query, data) {
     try {
       const userId = query.from.id;
-      const user = await this.auth0.getUserByTelegramId(userId);
+      const user = await this.users.getUserByTelegramId(userId);
       
       if (!user) {
         await this.telegram.answerCallbackQuery(query.id, {
@@ -524,17 +1122,16 @@ Address: \`${user.user_metadata.arc_address}\``
       await this.telegram.answerCallbackQuery(query.id, { text: '🎨 Generating QR code...' });
 
       const qrData = await this.telegram.generatePaymentQRCode(
-        user.user_metadata.arc_address,
+        user.arcAddress,
         amount,
         'USDC'
       );
 
-      let caption = `📱 Scan to Pay ${query.from.first_name || 'User'}
-
-Address: \`${user.user_metadata.arc_address}\`
-Amount: ${amount ? `${amount} USDC` : 'Not specified (payer chooses)'}
-
-💡 Scan this QR code with any EVM wallet app`;
+      const caption = formatQRCaptionMarkdown({
+        address: user.arcAddress,
+        amount,
+        name: query.from.first_name || 'User'
+      });
 
       await this.telegram.sendPhoto(query.message.chat.id, qrData.url, { caption });
     } catch (error) {
@@ -550,49 +1147,8 @@ Amount: ${amount ? `${amount} USDC` : 'Not specified (payer chooses)'}
     }
   }
 
-  async resolveRecipient(recipient) {
-    try {
-      const parsed = parseRecipient(recipient);
-
-      switch (parsed.type) {
-        case 'address':
-          return {
-            type: 'address',
-            address: parsed.value
-          };
-
-        case 'username':
-          const userByUsername = await this.auth0.getUserByTelegramUsername(parsed.value);
-          if (userByUsername && userByUsername.user_metadata.arc_address) {
-            return {
-              type: 'username',
-              address: userByUsername.user_metadata.arc_address,
-              username: userByUsername.user_metadata.telegram_username,
-              telegramId: userByUsername.user_metadata.telegram_id
-            };
-          }
-          break;
-
-        case 'userId':
-          const userById = await this.auth0.getUserByTelegramId(parsed.value);
-          if (userById && userById.user_metadata.arc_address) {
-            return {
-              type: 'userId',
-              address: userById.user_metadata.arc_address,
-              username: userById.user_metadata.telegram_username,
-              telegramId: userById.user_metadata.telegram_id
-            };
-          }
-          break;
-      }
-
-      return null;
-    } catch (error) {
-      this.logger.error('Failed to resolve recipient', {
-        recipient,
-        error: error.message
-      });
-      return null;
-    }
+  // ownerId resolves the owner's friend aliases
+  async resolveRecipient(recipient, ownerId = null) {
+    return this.recipients.resolve(recipient, ownerId);
   }
 }
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Rate limiter Durable Object for Cloudflare Workers
+
+/**
+ * One instance per Telegram user (idFromName(telegramId)). Each action type
+ * keeps the timestamps of its recent hits, so limits are sliding windows.
+ * A Durable Object handles one request at a time, so checking and recording
+ * a hit cannot race the way a KV read-then-put does.
+ *
+ * Request body: { rules: [{ action, limit, windowMs }] }. A hit is recorded
+ * for every rule only when all of them allow it.
+ */
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const { rules } = await request.json();
+    const now = Date.now();
+    const entries = [];
+
+    for (const rule of rules) {
+      const stored = (await this.state.storage.get(rule.action)) || { hits: [], notifiedUntil: 0 };
+      const hits = stored.hits.filter(at => at > now - rule.windowMs);
+      entries.push({ rule, stored, hits });
+    }
+
+    const blocked = entries.find(({ rule, hits }) => hits.length >= rule.limit);
+
+    if (blocked) {
+      const { rule, stored, hits } = blocked;
+      const retryAfterMs = hits[hits.length - rule.limit] + rule.windowMs - now;
+      // Only the first refusal in a row asks for a throttle message
+      const notify = stored.notifiedUntil <= now;
+
+      await this.state.storage.put(rule.action, { hits, notifiedUntil: now + retryAfterMs });
+
+      return Response.json({ allowed: false, action: rule.action, retryAfterMs, notify });
+    }
+
+    for (const { rule, hits } of entries) {
+      hits.push(now);
+      await this.state.storage.put(rule.action, { hits, notifiedUntil: 0 });
+    }
+
+    // Clear storage once every window has passed without another hit
+    const longestWindow = Math.max(...rules.map(rule => rule.windowMs));
+    await this.state.storage.setAlarm(now + longestWindow);
+
+    return Response.json({ allowed: true });
+  }
+
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
@@ -0,0 +1,61 @@
+// Sender lock Durable Object for Cloudflare Workers
+
+const NONCE_TTL_MS = 10 * 60 * 1000; // after this, ask the node again (a transaction may have been dropped)
+
+/**
+ * One instance per sending wallet (idFromName(lowercased address)), so
+ * payments from the same wallet are signed and broadcast one at a time even
+ * when they start in different chats. A Durable Object handles one request
+ * at a time, so checking and taking the lock cannot race.
+ *
+ * It also remembers the next nonce after the last broadcast, which the node's
+ * pending count may not include yet (like the Node bot's sender queues).
+ *
+ * Request body: { action: 'acquire', holder, leaseMs } or
+ * { action: 'release', holder, nonce? }. A lease ends by itself after
+ * leaseMs, so a worker that stops mid-send does not block the wallet.
+ */
+export class SenderLock {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const { action, holder, leaseMs, nonce } = await request.json();
+    const now = Date.now();
+    const lock = await this.state.storage.get('lock');
+
+    if (action === 'acquire') {
+      if (lock && lock.holder !== holder && lock.until > now) {
+        return Response.json({ granted: false, retryAfterMs: lock.until - now });
+      }
+
+      await this.state.storage.put('lock', { holder, until: now + leaseMs });
+      const stored = await this.state.storage.get('nonce');
+      return Response.json({ granted: true, nonce: stored && stored.at > now - NONCE_TTL_MS ? stored.value : null });
+    }
+
+    if (action === 'release') {
+      if (!lock || lock.holder !== holder) {
+        return Response.json({ released: false });
+      }
+
+      await this.state.storage.delete('lock');
+      if (Number.isInteger(nonce)) {
+        await this.state.storage.put('nonce', { value: nonce, at: now });
+        await this.state.storage.setAlarm(now + NONCE_TTL_MS);
+      }
+      return Response.json({ released: true });
+    }
+
+    return Response.json({ error: 'Unknown action' }, { status: 400 });
+  }
+
+  async alarm() {
+    const lock = await this.state.storage.get('lock');
+    if (!lock || lock.until <= Date.now()) {
+      await this.state.storage.deleteAll();
+    }
+  }
+}
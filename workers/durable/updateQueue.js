@@ -0,0 +1,90 @@
+// Update queue Durable Object for Cloudflare Workers
+
+import { WorkerBot } from '../bot.js';
+import { ChatQueue, UPDATE_DEDUP_TTL_MS } from '../../src/core/updates.js';
+
+/**
+ * One instance per chat (idFromName(chatId)), which handles the chat's
+ * Telegram updates itself:
+ *
+ * - Each update_id is recorded before it is processed, so a redelivered
+ *   update is skipped. Only storage calls sit between reading and recording
+ *   it, and the input gate holds other requests back during those, so two
+ *   deliveries cannot both claim it.
+ * - Updates are processed one at a time, in arrival order. The input gate
+ *   opens while the handler waits on Telegram or the chain, hence the
+ *   explicit queue.
+ *
+ * Request body: the Telegram update.
+ */
+export class UpdateQueue {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.queue = new ChatQueue();
+    this.bot = null;
+  }
+
+  async fetch(request) {
+    const update = await request.json();
+
+    if (!(await this.claim(update.update_id))) {
+      return Response.json({ processed: false, duplicate: true });
+    }
+
+    await this.queue.run('chat', () => this.getBot().controller.processUpdate(update));
+
+    return Response.json({ processed: true });
+  }
+
+  async claim(updateId) {
+    if (!Number.isInteger(updateId)) {
+      return true;
+    }
+
+    const key = `update:${updateId}`;
+    if (await this.state.storage.get(key)) {
+      return false;
+    }
+
+    const now = Date.now();
+    await this.state.storage.put(key, now);
+
+    if (!(await this.state.storage.getAlarm())) {
+      await this.state.storage.setAlarm(now + UPDATE_DEDUP_TTL_MS);
+    }
+    return true;
+  }
+
+  getBot() {
+    if (!this.bot) {
+      this.bot = new WorkerBot(this.env);
+    }
+    return this.bot;
+  }
+
+  // Forget update IDs older than the redelivery window
+  async alarm() {
+    const now = Date.now();
+    const seen = await this.state.storage.list({ prefix: 'update:' });
+    const expired = [];
+    let oldest = null;
+
+    for (const [key, receivedAt] of seen) {
+      if (receivedAt <= now - UPDATE_DEDUP_TTL_MS) {
+        expired.push(key);
+      } else if (oldest === null || receivedAt < oldest) {
+        oldest = receivedAt;
+      }
+    }
+
+    // delete() takes at most 128 keys per call
+    for (let i = 0; i < expired.length; i += 128) {
+      await this.state.storage.delete(expired.slice(i, i + 128));
+    }
+
+    if (oldest !== null) {
+      await this.state.storage.setAlarm(oldest + UPDATE_DEDUP_TTL_MS);
+    }
+  }
+}
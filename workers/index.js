@@ -2,6 +2,11 @@
 
 import { WorkerBot } from './bot.js';
 
+// Durable Object classes must be exported from the entry module
+export { RateLimiter } from './durable/rateLimiter.js';
+export { UpdateQueue } from './durable/updateQueue.js';
+export { SenderLock } from './durable/senderLock.js';
+
 export default {
   async fetch(request, env, ctx) {
     try {
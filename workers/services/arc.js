@@ -1,9 +1,20 @@
 // ARC service for Cloudflare Workers using ethers.js
 
+import { Interface, SigningKey, Transaction, computeAddress, getAddress, parseUnits } from 'ethers';
+import { SenderLockService } from './senderLock.js';
+
+const USDC_INTERFACE = new Interface([
+  'function transfer(address to, uint256 amount) returns (bool)'
+]);
+
 export class ARCService {
-  constructor(config, logger) {
+  // senderLock: a SenderLockService; without one, sends are serialized within the isolate
+  // memos: KV namespace for transaction memos (tx_memo:<hash> -> { memo, createdAt })
+  constructor(config, logger, senderLock = null, memos = null) {
     this.config = config;
     this.logger = logger;
+    this.senderLock = senderLock || new SenderLockService(null, logger);
+    this.memos = memos;
     
     // ARC network configuration
     this.rpcUrl = config.ARC_RPC_URL || 'https://rpc.testnet.arc.network';
@@ -12,6 +23,10 @@ export class ARCService {
     
     // USDC contract address on ARC
     this.USDC_CONTRACT_ADDRESS = '0x3600000000000000000000000000000000000000';
+
+    // Receipt polling (the Node service waits on the provider instead)
+    this.RECEIPT_POLL_INTERVAL_MS = 2000;
+    this.RECEIPT_TIMEOUT_MS = 60000;
   }
 
   async makeRequest(method, params = []) {
@@ -56,8 +71,6 @@ export class ARCService {
         .map(byte => byte.toString(16).padStart(2, '0'))
         .join('');
 
-      // For Cloudflare Workers, we'll need to use a simplified approach
-      // In production, you'd want to use ethers.js or similar
       const address = this.generateAddressFromPrivateKey(privateKey);
 
       this.logger.info('Generated new EVM wallet for ARC', { address });
@@ -76,29 +89,12 @@ export class ARCService {
   }
 
   generateAddressFromPrivateKey(privateKey) {
-    // This is a simplified implementation
-    // In production, you'd use proper cryptographic functions
-    const randomAddress = this.generateRandomString(40);
-    return `0x${randomAddress}`;
+    return computeAddress(new SigningKey(privateKey));
   }
 
+  // Uncompressed secp256k1 public key (0x04...)
   getPublicKeyFromPrivateKey(privateKey) {
-    // This is a simplified implementation
-    // In production, you'd derive the public key from the private key
-    return this.generateRandomString(128);
-  }
-
-  generateRandomString(length) {
-    const chars = '0123456789abcdef';
-    let result = '';
-    const array = new Uint8Array(length);
-    crypto.getRandomValues(array);
-    
-    for (let i = 0; i < length; i++) {
-      result += chars[array[i] % chars.length];
-    }
-    
-    return result;
+    return new SigningKey(privateKey).publicKey;
   }
 
   async getUSDCBalance(address) {
@@ -142,30 +138,101 @@ export class ARCService {
     return functionSelector + paddedAddress;
   }
 
-  async sendUSDCPayment(senderPrivateKey, receiverAddress, amount, memo = null) {
+  /**
+   * Sends USDC the same way as the Node ARCService: checks the balance, builds
+   * an EIP-1559 transfer, signs it locally with the sender's key, submits it
+   * with eth_sendRawTransaction and waits for the receipt.
+   * Signing and broadcasting hold the sender's lock, so two payments from one
+   * wallet never get the same nonce. A transaction not mined within
+   * RECEIPT_TIMEOUT_MS is returned as { success: false, pending: true, hash,
+   * from, nonce, rawTx }, which recheckDroppedTransaction takes if the node
+   * later loses it. The memo is stored once the transaction is broadcast.
+   */
+  // sender: an EncryptedKeySigner from the user store's getSigner()
+  async sendUSDCPayment(sender, receiverAddress, amount, memo = null) {
     try {
-      // This is a simplified implementation for Cloudflare Workers
-      // In production, you'd need to:
-      // 1. Build the transaction
-      // 2. Sign it with the private key
-      // 3. Submit it to the network
-      
-      // For now, we'll simulate a successful transaction
-      const txHash = '0x' + this.generateRandomString(64);
-      
-      this.logger.transaction(txHash, 'simulated', amount, {
+      if (!this.validateAddress(receiverAddress)) {
+        throw new Error('Invalid recipient address');
+      }
+
+      if (!sender) {
+        throw new Error('Sender has no wallet key');
+      }
+      const senderAddress = sender.address;
+
+      const senderBalance = await this.getUSDCBalance(senderAddress);
+      const amountToSend = parseFloat(amount);
+      if (senderBalance < amountToSend) {
+        const error = new Error(`Insufficient USDC funds. Required: ${amountToSend}, Available: ${senderBalance}`);
+        error.code = 'INSUFFICIENT_FUNDS';
+        throw error;
+      }
+
+      const data = USDC_INTERFACE.encodeFunctionData('transfer', [
+        getAddress(receiverAddress),
+        parseUnits(amount.toString(), 6) // USDC has 6 decimals
+      ]);
+
+      const { hash, nonce, rawTx } = await this.senderLock.run(senderAddress, async (localNonce) => {
+        const [pendingNonce, gasEstimate, fees] = await Promise.all([
+          this.makeRequest('eth_getTransactionCount', [senderAddress, 'pending']),
+          this.makeRequest('eth_estimateGas', [{ from: senderAddress, to: this.USDC_CONTRACT_ADDRESS, data }]),
+          this.getFeeData()
+        ]);
+        // The node's pending count may not include our last broadcast yet
+        const nonce = Math.max(parseInt(pendingNonce, 16), localNonce ?? 0);
+
+        const tx = Transaction.from({
+          type: 2,
+          chainId: this.chainId,
+          nonce,
+          to: this.USDC_CONTRACT_ADDRESS,
+          data,
+          value: 0n,
+          gasLimit: BigInt(gasEstimate) * 120n / 100n, // Add 20% buffer
+          maxFeePerGas: fees.maxFeePerGas,
+          maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+        });
+        tx.signature = await sender.signDigest(tx.unsignedHash);
+
+        const sentHash = await this.makeRequest('eth_sendRawTransaction', [tx.serialized]);
+        this.logger.info('Transaction sent, waiting for confirmation', { hash: sentHash, nonce });
+        return { hash: sentHash, nonce, rawTx: tx.serialized, nextNonce: nonce + 1 };
+      });
+
+      if (memo) {
+        await this.setTransactionMemo(hash, memo);
+      }
+
+      const receipt = await this.waitForReceipt(hash);
+      if (!receipt) {
+        this.logger.warn('Transaction not confirmed in time', { hash, senderAddress });
+        return { success: false, pending: true, hash, from: senderAddress, nonce, rawTx, currency: 'USDC' };
+      }
+
+      const success = receipt.status === '0x1';
+      const gasUsed = BigInt(receipt.gasUsed).toString();
+      const gasPrice = receipt.effectiveGasPrice ? BigInt(receipt.effectiveGasPrice).toString() : null;
+
+      this.logger.transaction(hash, senderAddress, amount, {
         receiver: receiverAddress,
         currency: 'USDC',
-        success: true,
-        gasUsed: '21000'
+        success,
+        gasUsed,
+        gasPrice
       });
 
+      if (!success) {
+        throw new Error('Transaction failed: reverted');
+      }
+
       return {
         success: true,
-        hash: txHash,
-        gasUsed: '21000',
-        gasPrice: '1000000000', // 1 gwei
-        currency: 'USDC'
+        hash,
+        gasUsed,
+        gasPrice,
+        currency: 'USDC',
+        receipt
       };
     } catch (error) {
       this.logger.error('USDC payment failed', {
@@ -173,10 +240,105 @@ export class ARCService {
         amount,
         error: error.message
       });
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        throw error;
+      }
       throw new Error(`Payment failed: ${error.message}`);
     }
   }
 
+  // EIP-1559 fees: twice the latest base fee plus the suggested tip
+  async getFeeData() {
+    const [block, priorityFee] = await Promise.all([
+      this.makeRequest('eth_getBlockByNumber', ['latest', false]),
+      this.makeRequest('eth_maxPriorityFeePerGas').catch(() => null)
+    ]);
+
+    const baseFee = BigInt(block.baseFeePerGas || '0x0');
+    const maxPriorityFeePerGas = priorityFee ? BigInt(priorityFee) : 1000000000n; // 1 gwei
+    return {
+      maxFeePerGas: baseFee * 2n + maxPriorityFeePerGas,
+      maxPriorityFeePerGas
+    };
+  }
+
+  // Resolves with the receipt, or null if the transaction is still unmined after RECEIPT_TIMEOUT_MS
+  async waitForReceipt(hash) {
+    const deadline = Date.now() + this.RECEIPT_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      const receipt = await this.makeRequest('eth_getTransactionReceipt', [hash]);
+      if (receipt) {
+        return receipt;
+      }
+      await new Promise(resolve => setTimeout(resolve, this.RECEIPT_POLL_INTERVAL_MS));
+    }
+
+    return null;
+  }
+
+  // 'confirmed', 'failed', 'pending' while the node still has it unmined, or 'dropped'
+  async getTransactionStatus(hash) {
+    const receipt = await this.makeRequest('eth_getTransactionReceipt', [hash]);
+    if (receipt) {
+      return receipt.status === '0x1' ? 'confirmed' : 'failed';
+    }
+    const tx = await this.makeRequest('eth_getTransactionByHash', [hash]);
+    return tx ? 'pending' : 'dropped';
+  }
+
+  /**
+   * Settles a transaction the node no longer knows ('dropped') the way the
+   * Node bot's outbox does: it has only failed once another transaction used
+   * its nonce. Until then the signed transaction is broadcast again.
+   *
+   * @param {{hash: string, from: string, nonce: number, rawTx?: string}} sent - from a pending sendUSDCPayment result
+   * @returns {Promise<string>} 'confirmed', 'failed', 'pending', or 'replaced' when the nonce went to another transaction
+   */
+  async recheckDroppedTransaction({ hash, from, nonce, rawTx = null }) {
+    const minedNonce = parseInt(await this.makeRequest('eth_getTransactionCount', [from, 'latest']), 16);
+    if (minedNonce > nonce) {
+      // Ours may have been mined since its receipt was checked
+      const status = await this.getTransactionStatus(hash);
+      return status === 'confirmed' || status === 'failed' ? status : 'replaced';
+    }
+
+    if (rawTx) {
+      try {
+        await this.makeRequest('eth_sendRawTransaction', [rawTx]);
+        this.logger.info('Dropped transaction re-broadcast', { hash, nonce });
+      } catch (error) {
+        this.logger.warn('Dropped transaction re-broadcast failed', { hash, error: error.message });
+      }
+    }
+    return 'pending';
+  }
+
+  async setTransactionMemo(hash, memo) {
+    if (!this.memos) {
+      return;
+    }
+    try {
+      await this.memos.put(`tx_memo:${hash.toLowerCase()}`, JSON.stringify({ memo, createdAt: new Date().toISOString() }));
+    } catch (error) {
+      // A lost memo must not turn a sent payment into a failure
+      this.logger.error('Failed to store transaction memo', { hash, error: error.message });
+    }
+  }
+
+  async getTransactionMemo(hash) {
+    if (!this.memos) {
+      return null;
+    }
+    try {
+      const entry = await this.memos.get(`tx_memo:${hash.toLowerCase()}`, 'json');
+      return entry ? entry.memo : null;
+    } catch (error) {
+      this.logger.error('Failed to read transaction memo', { hash, error: error.message });
+      return null;
+    }
+  }
+
   async getTransactionHistory(address, limit = 10) {
     try {
       // Get latest block number
@@ -208,7 +370,7 @@ export class ARCService {
         })
         .slice(0, limit);
 
-      const transactions = relevantLogs.map(log => {
+      const transactions = await Promise.all(relevantLogs.map(async log => {
         const from = '0x' + log.topics[1].substring(26);
         const to = '0x' + log.topics[2].substring(26);
         const amount = parseInt(log.data, 16) / Math.pow(10, 6); // USDC has 6 decimals
@@ -222,9 +384,10 @@ export class ARCService {
           currency: 'USDC',
           blockNumber: parseInt(log.blockNumber, 16),
           date: new Date().toISOString(), // Simplified - you'd fetch block timestamp
-          confirmed: true
+          confirmed: true,
+          memo: await this.getTransactionMemo(log.transactionHash)
         };
-      });
+      }));
 
       return transactions;
     } catch (error) {
@@ -7,7 +7,7 @@ export class Auth0Service {
     this.config = config;
     this.logger = logger;
     this.baseUrl = `https://${config.AUTH0_DOMAIN}/api/v2`;
-    this.encryption = new EncryptionService(config.ENCRYPTION_KEY);
+    this.encryption = new EncryptionService(config.ENCRYPTION_KEYRING, config.KMS);
     this.accessToken = null;
     this.tokenExpiry = null;
   }
@@ -88,7 +88,7 @@ export class Auth0Service {
   async createUser(telegramId, username, arcWallet) {
     try {
       // Encrypt the ARC private key
-      const encryptedPrivateKey = await this.encryption.encrypt(arcWallet.privateKey);
+      const encryptedPrivateKey = await this.encryption.encrypt(arcWallet.privateKey, telegramId);
       
       const userData = {
         connection: 'Username-Password-Authentication',
@@ -144,23 +144,10 @@ export class Auth0Service {
     }
   }
 
+  // User lookups leave the private key encrypted; see services/signer.js
   async getUserByTelegramId(telegramId) {
     try {
-      const user = await this.getUserByEmail(`${telegramId}@telegram.bot`);
-      
-      if (user && user.app_metadata && user.app_metadata.arc_private_key_encrypted) {
-        try {
-          user.app_metadata.arc_private_key = await this.encryption.decrypt(user.app_metadata.arc_private_key_encrypted);
-        } catch (decryptError) {
-          this.logger.error('Failed to decrypt ARC private key', {
-            userId: user.user_id,
-            telegramId,
-            error: decryptError.message
-          });
-        }
-      }
-
-      return user;
+      return await this.getUserByEmail(`${telegramId}@telegram.bot`);
     } catch (error) {
       this.logger.error('Failed to fetch user by Telegram ID', {
         telegramId,
@@ -181,21 +168,7 @@ export class Auth0Service {
         return null;
       }
 
-      const user = users[0];
-      
-      if (user.app_metadata && user.app_metadata.arc_private_key_encrypted) {
-        try {
-          user.app_metadata.arc_private_key = await this.encryption.decrypt(user.app_metadata.arc_private_key_encrypted);
-        } catch (decryptError) {
-          this.logger.error('Failed to decrypt ARC private key', {
-            userId: user.user_id,
-            username,
-            error: decryptError.message
-          });
-        }
-      }
-
-      return user;
+      return users[0];
     } catch (error) {
       this.logger.error('Failed to fetch user by username', {
         username,
@@ -205,6 +178,63 @@ export class Auth0Service {
     }
   }
 
+  async getUserByArcAddress(address) {
+    try {
+      const query = `user_metadata.arc_address:"${address}"`;
+      const users = await this.makeRequest(`/users?search_engine=v3&q=${encodeURIComponent(query)}&per_page=1`);
+      return users.length > 0 ? users[0] : null;
+    } catch (error) {
+      this.logger.error('Failed to fetch user by ARC address', {
+        address,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // One page of bot users, used to migrate them to the KV user store.
+  // Private keys are left encrypted.
+  async listUsers(page = 0, perPage = 50) {
+    try {
+      const query = 'app_metadata.user_type:"telegram_bot_user"';
+      return await this.makeRequest(
+        `/users?search_engine=v3&q=${encodeURIComponent(query)}&page=${page}&per_page=${perPage}&sort=created_at:1`
+      );
+    } catch (error) {
+      this.logger.error('Failed to list Auth0 users', {
+        page,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Up to perPage bot users created at or after createdFrom (null for the
+  // first), oldest first. Search stops at 1000 results however it is paged,
+  // so key rotation pages by created_at instead.
+  async listUsersCreatedFrom(createdFrom = null, perPage = 50) {
+    try {
+      const range = createdFrom ? ` AND created_at:[${JSON.stringify(createdFrom)} TO *]` : '';
+      const query = `app_metadata.user_type:"telegram_bot_user"${range}`;
+      return await this.makeRequest(
+        `/users?search_engine=v3&q=${encodeURIComponent(query)}&per_page=${perPage}&sort=created_at:1`
+      );
+    } catch (error) {
+      this.logger.error('Failed to list Auth0 users', {
+        createdFrom,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // secrets: { arc_private_key_encrypted?, arc_mnemonic_encrypted? }
+  async updateEncryptedSecrets(userId, secrets) {
+    return await this.makeRequest(`/users/${encodeURIComponent(userId)}`, 'PATCH', {
+      app_metadata: secrets
+    });
+  }
+
   async getUserStats() {
     try {
       const query = 'app_metadata.user_type:"telegram_bot_user"';
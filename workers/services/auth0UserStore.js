@@ -0,0 +1,76 @@
+// Auth0-backed user store (USER_STORE=auth0)
+
+import { getAddress } from 'ethers';
+import { createSigner } from './signer.js';
+
+/**
+ * Wraps Auth0Service so the controller sees the same user records as
+ * UserStorageService: { telegramId, username, arcAddress, arcPrivateKeyEncrypted, ... }.
+ * Friends and payment requests stay in KV with either store.
+ */
+export class Auth0UserStore {
+  constructor(auth0, logger) {
+    this.auth0 = auth0;
+    this.logger = logger;
+  }
+
+  async createUser(telegramId, username, arcWallet) {
+    const result = await this.auth0.createUser(telegramId, username, arcWallet);
+
+    return {
+      telegramId,
+      arcAddress: result.arc_address,
+      userData: this.toUser(result.user)
+    };
+  }
+
+  async getUserByTelegramId(telegramId) {
+    return this.toUser(await this.auth0.getUserByTelegramId(telegramId));
+  }
+
+  async getUserByUsername(username) {
+    if (!username) {
+      return null;
+    }
+    return this.toUser(await this.auth0.getUserByTelegramUsername(username));
+  }
+
+  // Auth0 search is exact, and addresses are stored checksummed
+  async getUserByAddress(address) {
+    if (!address) {
+      return null;
+    }
+    return this.toUser(await this.auth0.getUserByArcAddress(getAddress(address.toLowerCase())));
+  }
+
+  getSigner(user) {
+    return createSigner(user, this.auth0.encryption);
+  }
+
+  async getUserStats() {
+    return await this.auth0.getUserStats();
+  }
+
+  async healthCheck() {
+    return await this.auth0.healthCheck();
+  }
+
+  toUser(auth0User) {
+    if (!auth0User) {
+      return null;
+    }
+
+    const metadata = auth0User.user_metadata || {};
+    const appMetadata = auth0User.app_metadata || {};
+
+    return {
+      telegramId: metadata.telegram_id,
+      username: metadata.telegram_username || null,
+      arcAddress: metadata.arc_address,
+      arcPrivateKeyEncrypted: appMetadata.arc_private_key_encrypted,
+      arcPublicKey: appMetadata.arc_public_key || null,
+      createdAt: metadata.created_at || auth0User.created_at,
+      auth0Id: auth0User.user_id
+    };
+  }
+}
@@ -0,0 +1,195 @@
+// Encryption key rotation for stored private keys
+
+import { ENVELOPE_VERSION, getCiphertextKeyId } from '../../src/core/keyring.js';
+
+const MAX_RECORDED_FAILURES = 100;
+
+/**
+ * Re-encrypts stored private keys and recovery phrases under the current KMS
+ * master key (see src/core/keyring.js), bound to their owner, one batch per
+ * scheduled run: KV user records, and Auth0 users when USER_STORE=auth0.
+ * Auth0 users of the Node bot are rotated by scripts/rotate-encryption-key.js
+ * instead.
+ *
+ * Progress is kept in KV (rotation:kv, rotation:auth0), so rotation carries
+ * on across runs and restarts whenever the current master key changes.
+ * Secrets already on the current key are skipped (and counted as current, as
+ * each re-encrypted one is counted as rotated), so repeating a batch is
+ * harmless. Each re-encrypted secret is written to the audit log.
+ */
+export class KeyRotationService {
+  constructor(storage, auth0, logger) {
+    this.storage = storage; // UserStorageService; its KV also holds the progress
+    this.auth0 = auth0; // Auth0Service, or null when users are not in Auth0
+    this.logger = logger;
+    this.encryption = storage.encryption;
+  }
+
+  getStateKey(store) {
+    return `rotation:${store}`;
+  }
+
+  async getState(store) {
+    const state = await this.storage.kv.get(this.getStateKey(store), 'json');
+
+    // Progress towards an older envelope format starts again
+    if (state && state.kid === this.encryption.currentKeyId && state.v === ENVELOPE_VERSION) {
+      return state;
+    }
+
+    return {
+      kid: this.encryption.currentKeyId,
+      v: ENVELOPE_VERSION,
+      cursor: null, // KV list cursor
+      createdFrom: null, // Auth0: created_at of the last user seen
+      createdIds: [], // Auth0: users seen with that created_at, which the next batch starts with again
+      rotated: 0,
+      current: 0,
+      failed: 0,
+      failures: [],
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      completedAt: null
+    };
+  }
+
+  async saveState(store, state) {
+    state.updatedAt = new Date().toISOString();
+    await this.storage.kv.put(this.getStateKey(store), JSON.stringify(state));
+  }
+
+  // Runs one batch per store; returns the progress of each
+  async rotate({ batchSize = 50 } = {}) {
+    const result = { kv: await this.rotateKvBatch(batchSize) };
+
+    if (this.auth0) {
+      result.auth0 = await this.rotateAuth0Batch(batchSize);
+    }
+
+    return result;
+  }
+
+  async rotateKvBatch(limit) {
+    const state = await this.getState('kv');
+    if (state.completedAt) {
+      return state;
+    }
+
+    const list = await this.storage.kv.list({ prefix: 'user:', limit, cursor: state.cursor || undefined });
+
+    for (const { name } of list.keys) {
+      const record = await this.storage.kv.get(name, 'json');
+      if (!record) {
+        continue;
+      }
+
+      for (const field of ['arcPrivateKeyEncrypted', 'arcMnemonicEncrypted']) {
+        await this.rotateOne(state, 'kv', record.telegramId, record[field], async (reencrypted) => {
+          record[field] = reencrypted;
+          await this.storage.kv.put(name, this.storage.serializeUser(record));
+        });
+      }
+    }
+
+    state.cursor = list.list_complete ? null : list.cursor;
+    if (list.list_complete) {
+      state.completedAt = new Date().toISOString();
+    }
+    await this.saveState('kv', state);
+
+    return this.logBatch('kv', state);
+  }
+
+  async rotateAuth0Batch(perPage) {
+    const state = await this.getState('auth0');
+    if (state.completedAt) {
+      return state;
+    }
+
+    const seen = state.createdIds || [];
+    const users = await this.auth0.listUsersCreatedFrom(state.createdFrom, perPage);
+    const unseen = users.filter(user => !(user.created_at === state.createdFrom && seen.includes(user.user_id)));
+    if (users.length === perPage && unseen.length === 0) {
+      throw new Error(`More than ${perPage} Auth0 users were created at ${state.createdFrom}; raise the batch size to page past them`);
+    }
+
+    for (const user of unseen) {
+      const telegramId = user.user_metadata?.telegram_id;
+      for (const field of ['arc_private_key_encrypted', 'arc_mnemonic_encrypted']) {
+        await this.rotateOne(state, 'auth0', telegramId, user.app_metadata?.[field], async (reencrypted) => {
+          await this.auth0.updateEncryptedSecrets(user.user_id, { [field]: reencrypted });
+        });
+      }
+    }
+
+    if (users.length > 0) {
+      const last = users[users.length - 1].created_at;
+      const atLast = users.filter(user => user.created_at === last).map(user => user.user_id);
+      state.createdIds = last === state.createdFrom ? [...new Set([...seen, ...atLast])] : atLast;
+      state.createdFrom = last;
+    }
+    if (users.length < perPage) {
+      state.completedAt = new Date().toISOString();
+    }
+    await this.saveState('auth0', state);
+
+    return this.logBatch('auth0', state);
+  }
+
+  // Re-encrypts one blob with the current key and hands it to save()
+  async rotateOne(state, store, telegramId, blob, save) {
+    if (!blob) {
+      return;
+    }
+    if (!this.encryption.needsReencryption(blob)) {
+      state.current++;
+      return;
+    }
+
+    const fromKid = getCiphertextKeyId(blob) || 'unversioned';
+
+    try {
+      const privateKey = await this.encryption.decrypt(blob, telegramId);
+      const reencrypted = await this.encryption.encrypt(privateKey, telegramId);
+
+      if (await this.encryption.decrypt(reencrypted, telegramId) !== privateKey) {
+        throw new Error('Re-encrypted key did not decrypt to the original');
+      }
+
+      await save(reencrypted);
+      state.rotated++;
+
+      this.logger.audit('private_key_reencrypted', telegramId, {
+        store,
+        fromKid,
+        toKid: state.kid
+      });
+    } catch (error) {
+      state.failed++;
+      if (state.failures.length < MAX_RECORDED_FAILURES) {
+        state.failures.push({ telegramId, error: error.message });
+      }
+
+      this.logger.error('Failed to re-encrypt private key', {
+        store,
+        telegramId,
+        fromKid,
+        error: error.message
+      });
+    }
+  }
+
+  logBatch(store, state) {
+    if (state.completedAt) {
+      this.logger.audit('key_rotation_completed', null, {
+        store,
+        toKid: state.kid,
+        rotated: state.rotated,
+        current: state.current,
+        failed: state.failed
+      });
+    }
+
+    return state;
+  }
+}
@@ -0,0 +1,55 @@
+// Per-user rate limiting through the RateLimiter Durable Object
+
+export class RateLimiterService {
+  constructor(namespace, config, logger) {
+    this.namespace = namespace; // RATE_LIMITER Durable Object binding
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Records a hit for the user's action. Every action also counts towards the
+   * general 'command' limit. Fails open: if the limiter is missing or errors,
+   * the action is allowed.
+   *
+   * @param {number} telegramId
+   * @param {string} action - command, payment or qr
+   * @returns {Promise<{allowed: boolean, action?: string, retryAfterMs?: number, notify?: boolean}>}
+   */
+  async check(telegramId, action = 'command') {
+    if (!this.namespace) {
+      return { allowed: true };
+    }
+
+    const limits = this.config.RATE_LIMITS;
+    const actions = action === 'command' ? ['command'] : ['command', action];
+    const rules = actions.map(name => ({ action: name, ...limits[name] }));
+
+    try {
+      const stub = this.namespace.get(this.namespace.idFromName(telegramId.toString()));
+      const response = await stub.fetch('https://rate-limiter/check', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules })
+      });
+      const result = await response.json();
+
+      if (!result.allowed) {
+        this.logger.security('Rate limit exceeded', {
+          telegramId,
+          action: result.action,
+          retryAfterMs: result.retryAfterMs
+        });
+      }
+
+      return result;
+    } catch (error) {
+      this.logger.error('Rate limit check failed', {
+        telegramId,
+        action,
+        error: error.message
+      });
+      return { allowed: true }; // Don't block on rate limit errors
+    }
+  }
+}
@@ -0,0 +1,84 @@
+// Per-wallet send serialization through the SenderLock Durable Object
+
+import { ChatQueue } from '../../src/core/updates.js';
+
+const NONCE_TTL_MS = 10 * 60 * 1000; // as in the SenderLock Durable Object
+
+// Without the Durable Object, sends are serialized within this isolate only
+const localQueue = new ChatQueue();
+const localNonces = new Map(); // address -> { value, at }
+
+export class SenderLockService {
+  constructor(namespace, logger) {
+    this.namespace = namespace; // SENDER_LOCK Durable Object binding
+    this.logger = logger;
+
+    this.LEASE_MS = 30000; // long enough to sign and broadcast one transaction
+    this.ACQUIRE_TIMEOUT_MS = 15000;
+    this.RETRY_INTERVAL_MS = 500;
+  }
+
+  /**
+   * Runs task while holding the sender's lock. task gets the next nonce
+   * remembered from the last send (or null) and returns { nextNonce, ... };
+   * nextNonce is remembered for the next send.
+   *
+   * @param {string} address - the sending wallet
+   * @param {function(number|null): Promise<Object>} task
+   */
+  async run(address, task) {
+    const key = address.toLowerCase();
+
+    if (!this.namespace) {
+      return localQueue.run(key, async () => {
+        const stored = localNonces.get(key);
+        const outcome = await task(stored && stored.at > Date.now() - NONCE_TTL_MS ? stored.value : null);
+        localNonces.set(key, { value: outcome.nextNonce, at: Date.now() });
+        return outcome;
+      });
+    }
+
+    const stub = this.namespace.get(this.namespace.idFromName(key));
+    const holder = crypto.randomUUID();
+    const { nonce } = await this.acquire(stub, holder, key);
+
+    let nextNonce;
+    try {
+      const outcome = await task(nonce);
+      nextNonce = outcome.nextNonce;
+      return outcome;
+    } finally {
+      try {
+        await this.call(stub, { action: 'release', holder, nonce: nextNonce });
+      } catch (error) {
+        // The lease runs out by itself
+        this.logger.warn('Sender lock release failed', { address: key, error: error.message });
+      }
+    }
+  }
+
+  async acquire(stub, holder, address) {
+    const deadline = Date.now() + this.ACQUIRE_TIMEOUT_MS;
+
+    for (;;) {
+      const result = await this.call(stub, { action: 'acquire', holder, leaseMs: this.LEASE_MS });
+      if (result.granted) {
+        return result;
+      }
+      if (Date.now() >= deadline) {
+        this.logger.warn('Sender lock busy', { address });
+        throw new Error('Another payment from this wallet is still being sent. Please try again shortly');
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(result.retryAfterMs, this.RETRY_INTERVAL_MS)));
+    }
+  }
+
+  async call(stub, body) {
+    const response = await stub.fetch('https://sender-lock/', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return response.json();
+  }
+}
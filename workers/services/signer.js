@@ -0,0 +1,35 @@
+// Per-user transaction signer for Cloudflare Workers
+
+import { SigningKey, computeAddress } from 'ethers';
+
+/**
+ * Signs for one user's wallet while holding only the encrypted private key.
+ * The key is decrypted inside signDigest, for that one transaction, and not
+ * kept; user records never carry it in plaintext.
+ */
+export class EncryptedKeySigner {
+  constructor(address, encryptedKey, owner, encryption) {
+    this.address = address;
+    this.owner = owner; // Telegram ID the key is bound to
+    // Not enumerable, so the blob stays out of logs and JSON
+    Object.defineProperty(this, 'encryptedKey', { value: encryptedKey });
+    Object.defineProperty(this, 'encryption', { value: encryption });
+  }
+
+  async signDigest(digest) {
+    const signingKey = new SigningKey(await this.encryption.decrypt(this.encryptedKey, this.owner));
+
+    if (computeAddress(signingKey).toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error('Stored private key does not match the wallet address');
+    }
+    return signingKey.sign(digest);
+  }
+}
+
+// The signer for a user record from either user store, or null without a key
+export function createSigner(user, encryption) {
+  if (!user?.arcAddress || !user.arcPrivateKeyEncrypted) {
+    return null;
+  }
+  return new EncryptedKeySigner(user.arcAddress, user.arcPrivateKeyEncrypted, user.telegramId, encryption);
+}
@@ -1,5 +1,7 @@
 // Telegram API service for Cloudflare Workers
 
+import { buildWalletPaymentUri } from '../../src/core/links.js';
+
 export class TelegramAPI {
   constructor(token, logger) {
     this.token = token;
@@ -71,9 +73,11 @@ export class TelegramAPI {
     });
   }
 
-  async setWebhook(url, options = {}) {
+  // Telegram echoes secretToken in X-Telegram-Bot-Api-Secret-Token on every update
+  async setWebhook(url, secretToken, options = {}) {
     return await this.makeRequest('setWebHook', {
       url,
+      secret_token: secretToken,
       allowed_updates: ['message', 'callback_query'],
       drop_pending_updates: true,
       ...options
@@ -87,13 +91,7 @@ export class TelegramAPI {
   async generatePaymentQRCode(address, amount = null) {
     try {
       // EIP-681 standard for Ethereum payment requests
-      let uri = `ethereum:${address}`;
-      
-      if (amount) {
-        // For USDC transfers, we need to specify the USDC contract
-        const usdcContract = '0x3600000000000000000000000000000000000000'; // ARC USDC contract
-        uri = `ethereum:${usdcContract}/transfer?address=${address}&uint256=${amount * 1000000}`; // Convert to 6 decimal places
-      }
+      const uri = buildWalletPaymentUri(address, amount);
 
       // Use QR code API service since Workers can't generate images directly
       const qrApiUrl = `https://api.qrserver.com/v1/create-qr-code/?size=512x512&data=${encodeURIComponent(uri)}`;
@@ -1,13 +1,20 @@
 // User storage service using Cloudflare KV
 
 import { EncryptionService } from '../utils/encryption.js';
+import { createSigner } from './signer.js';
+import { REQUEST_STATUS, buildPaymentRequest } from '../../src/core/paymentRequests.js';
+
+const MIN_KV_TTL_SECONDS = 60; // shortest expiration KV accepts
 
 export class UserStorageService {
-  constructor(kv, config, logger) {
+  // legacy: an Auth0Service whose users are copied into KV on first lookup
+  // and in batches by migrateFromAuth0()
+  constructor(kv, config, logger, { legacy = null } = {}) {
     this.kv = kv; // Cloudflare KV namespace
     this.config = config;
     this.logger = logger;
-    this.encryption = new EncryptionService(config.ENCRYPTION_KEY);
+    this.legacy = legacy;
+    this.encryption = new EncryptionService(config.ENCRYPTION_KEYRING, config.KMS);
   }
 
   // Generate user key for KV storage
@@ -20,10 +27,28 @@ export class UserStorageService {
     return `username:${username.toLowerCase()}`;
   }
 
+  // Generate address -> user reverse lookup key
+  getAddressKey(address) {
+    return `address:${address.toLowerCase()}`;
+  }
+
+  getFriendsKey(telegramId) {
+    return `friends:${telegramId}`;
+  }
+
+  getRequestKey(requestId) {
+    return `request:${requestId}`;
+  }
+
+  // Lists a user's requests; the value is their role (sent or received)
+  getRequestIndexKey(telegramId, requestId) {
+    return `requests:${telegramId}:${requestId}`;
+  }
+
   async createUser(telegramId, username, arcWallet) {
     try {
       // Encrypt the ARC private key
-      const encryptedPrivateKey = await this.encryption.encrypt(arcWallet.privateKey);
+      const encryptedPrivateKey = await this.encryption.encrypt(arcWallet.privateKey, telegramId);
       
       const userData = {
         telegramId,
@@ -36,16 +61,7 @@ export class UserStorageService {
         version: '2.0'
       };
 
-      const userKey = this.getUserKey(telegramId);
-      
-      // Store user data
-      await this.kv.put(userKey, JSON.stringify(userData));
-      
-      // Create username lookup if username exists
-      if (username) {
-        const usernameKey = this.getUsernameKey(username);
-        await this.kv.put(usernameKey, telegramId.toString());
-      }
+      await this.saveUserRecord(userData);
       
       this.logger.audit('user_created', telegramId, {
         arcAddress: arcWallet.address,
@@ -67,31 +83,49 @@ export class UserStorageService {
     }
   }
 
+  // Signs for the user's wallet; user records only carry the encrypted key
+  getSigner(user) {
+    return createSigner(user, this.encryption);
+  }
+
+  // Serializes a user for KV; the decrypted private key is never stored
+  serializeUser(userData) {
+    const { arcPrivateKey, ...stored } = userData;
+    return JSON.stringify(stored);
+  }
+
+  // Stores a user record with its username and address lookups
+  async saveUserRecord(userData) {
+    const telegramId = userData.telegramId.toString();
+
+    await this.kv.put(this.getUserKey(telegramId), this.serializeUser(userData));
+
+    if (userData.username) {
+      await this.kv.put(this.getUsernameKey(userData.username), telegramId);
+    }
+
+    await this.kv.put(this.getAddressKey(userData.arcAddress), telegramId);
+  }
+
   async getUserByTelegramId(telegramId) {
     try {
       const userKey = this.getUserKey(telegramId);
-      const userData = await this.kv.get(userKey, 'json');
+      let userData = await this.kv.get(userKey, 'json');
       
-      if (!userData) {
-        return null;
+      if (!userData && this.legacy) {
+        const legacyUser = await this.legacy.getUserByTelegramId(telegramId);
+        if (legacyUser && await this.importAuth0User(legacyUser)) {
+          userData = await this.kv.get(userKey, 'json');
+        }
       }
 
-      // Decrypt ARC private key when needed
-      if (userData.arcPrivateKeyEncrypted) {
-        try {
-          userData.arcPrivateKey = await this.encryption.decrypt(userData.arcPrivateKeyEncrypted);
-        } catch (decryptError) {
-          this.logger.error('Failed to decrypt ARC private key', {
-            telegramId,
-            error: decryptError.message
-          });
-          // Don't throw, just log the error
-        }
+      if (!userData) {
+        return null;
       }
 
       // Update last active timestamp
       userData.lastActive = new Date().toISOString();
-      await this.kv.put(userKey, JSON.stringify(userData));
+      await this.kv.put(userKey, this.serializeUser(userData));
 
       return userData;
     } catch (error) {
@@ -113,8 +147,15 @@ export class UserStorageService {
       const usernameKey = this.getUsernameKey(cleanUsername);
       
       // Get telegram ID from username lookup
-      const telegramId = await this.kv.get(usernameKey);
+      let telegramId = await this.kv.get(usernameKey);
       
+      if (!telegramId && this.legacy) {
+        const legacyUser = await this.legacy.getUserByTelegramUsername(cleanUsername);
+        if (legacyUser && await this.importAuth0User(legacyUser)) {
+          telegramId = legacyUser.user_metadata.telegram_id;
+        }
+      }
+
       if (!telegramId) {
         return null;
       }
@@ -130,6 +171,35 @@ export class UserStorageService {
     }
   }
 
+  async getUserByAddress(address) {
+    try {
+      if (!address) {
+        return null;
+      }
+
+      let telegramId = await this.kv.get(this.getAddressKey(address));
+
+      if (!telegramId && this.legacy) {
+        const legacyUser = await this.legacy.getUserByArcAddress(address);
+        if (legacyUser && await this.importAuth0User(legacyUser)) {
+          telegramId = legacyUser.user_metadata.telegram_id;
+        }
+      }
+
+      if (!telegramId) {
+        return null;
+      }
+
+      return await this.getUserByTelegramId(parseInt(telegramId));
+    } catch (error) {
+      this.logger.error('Failed to fetch user by address', {
+        address,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   async updateUser(telegramId, updates) {
     try {
       const userData = await this.getUserByTelegramId(telegramId);
@@ -159,7 +229,7 @@ export class UserStorageService {
       }
 
       const userKey = this.getUserKey(telegramId);
-      await this.kv.put(userKey, JSON.stringify(updatedData));
+      await this.kv.put(userKey, this.serializeUser(updatedData));
 
       this.logger.audit('user_updated', telegramId, {
         updatedFields: Object.keys(updates)
@@ -186,11 +256,13 @@ export class UserStorageService {
       const userKey = this.getUserKey(telegramId);
       await this.kv.delete(userKey);
 
-      // Remove username lookup
+      // Remove username and address lookups
       if (userData.username) {
         const usernameKey = this.getUsernameKey(userData.username);
         await this.kv.delete(usernameKey);
       }
+      await this.kv.delete(this.getAddressKey(userData.arcAddress));
+      await this.kv.delete(this.getFriendsKey(telegramId));
 
       this.logger.audit('user_deleted', telegramId, {
         arcAddress: userData.arcAddress
@@ -206,6 +278,194 @@ export class UserStorageService {
     }
   }
 
+  // Friend aliases: { alias: { type, value } } as parsed by parseRecipient
+  async getFriends(telegramId) {
+    return (await this.kv.get(this.getFriendsKey(telegramId), 'json')) || {};
+  }
+
+  async saveFriends(telegramId, friends) {
+    await this.kv.put(this.getFriendsKey(telegramId), JSON.stringify(friends));
+    return friends;
+  }
+
+  async createPaymentRequest({ requesterId, payerId, requesterAddress, amount, reason = null }) {
+    const request = buildPaymentRequest({ requesterId, payerId, requesterAddress, amount, reason });
+
+    const options = this.requestExpiration(request);
+    await this.kv.put(this.getRequestKey(request.id), JSON.stringify(request), options);
+    await this.kv.put(this.getRequestIndexKey(requesterId, request.id), 'sent', options);
+    await this.kv.put(this.getRequestIndexKey(payerId, request.id), 'received', options);
+
+    this.logger.audit('payment_request_created', requesterId, {
+      requestId: request.id,
+      to: payerId,
+      amount
+    });
+
+    return request;
+  }
+
+  // Expired requests are treated as gone before KV removes them
+  async getPaymentRequest(requestId) {
+    const request = await this.kv.get(this.getRequestKey(requestId), 'json');
+    if (!request || new Date(request.expires_at) <= new Date()) {
+      return null;
+    }
+    return request;
+  }
+
+  // KV has no compare-and-set, so callers check the status they read first
+  async savePaymentRequest(request) {
+    await this.kv.put(this.getRequestKey(request.id), JSON.stringify(request), this.requestExpiration(request));
+
+    this.logger.audit('payment_request_updated', request.from, {
+      requestId: request.id,
+      status: request.status
+    });
+
+    return request;
+  }
+
+  // Pending requests the user sent and received, newest first
+  async listPaymentRequests(telegramId) {
+    const prefix = `requests:${telegramId}:`;
+    const list = await this.kv.list({ prefix });
+    const sent = [];
+    const received = [];
+
+    for (const key of list.keys) {
+      const request = await this.getPaymentRequest(key.name.substring(prefix.length));
+      if (!request || request.status !== REQUEST_STATUS.PENDING) {
+        continue;
+      }
+      (request.from.toString() === telegramId.toString() ? sent : received).push(request);
+    }
+
+    const byNewest = (a, b) => b.created_at.localeCompare(a.created_at);
+    return { sent: sent.sort(byNewest), received: received.sort(byNewest) };
+  }
+
+  // Requests (and their index keys) expire with the request itself
+  requestExpiration(request) {
+    const expiresAt = Math.floor(new Date(request.expires_at).getTime() / 1000);
+    return { expiration: Math.max(expiresAt, Math.floor(Date.now() / 1000) + MIN_KV_TTL_SECONDS) };
+  }
+
+  /**
+   * Copies an Auth0 user (and their friend list) into KV. The private key and
+   * recovery phrase are kept in their encrypted form, re-encrypted first if
+   * they are on an older key.
+   * Returns false for users already in KV or without a wallet.
+   */
+  async importAuth0User(auth0User) {
+    const metadata = auth0User.user_metadata || {};
+    const appMetadata = auth0User.app_metadata || {};
+
+    if (!metadata.telegram_id || !metadata.arc_address || !appMetadata.arc_private_key_encrypted) {
+      return false;
+    }
+
+    const telegramId = metadata.telegram_id;
+    if (await this.kv.get(this.getUserKey(telegramId))) {
+      return false;
+    }
+
+    const encryptedPrivateKey = await this.reencryptForImport(telegramId, appMetadata.arc_private_key_encrypted);
+    const encryptedMnemonic = appMetadata.arc_mnemonic_encrypted
+      ? await this.reencryptForImport(telegramId, appMetadata.arc_mnemonic_encrypted)
+      : null;
+
+    await this.saveUserRecord({
+      telegramId,
+      username: metadata.telegram_username || null,
+      arcAddress: metadata.arc_address,
+      arcPrivateKeyEncrypted: encryptedPrivateKey,
+      ...(encryptedMnemonic && { arcMnemonicEncrypted: encryptedMnemonic }),
+      arcPublicKey: appMetadata.arc_public_key || null,
+      createdAt: metadata.created_at || auth0User.created_at || new Date().toISOString(),
+      lastActive: new Date().toISOString(),
+      version: '2.0',
+      migratedFrom: 'auth0'
+    });
+
+    if (metadata.friends && Object.keys(metadata.friends).length > 0) {
+      await this.saveFriends(telegramId, metadata.friends);
+    }
+
+    this.logger.audit('user_migrated', telegramId, {
+      auth0_id: auth0User.user_id,
+      arcAddress: metadata.arc_address
+    });
+
+    return true;
+  }
+
+  async reencryptForImport(telegramId, blob) {
+    if (!this.encryption.needsReencryption(blob)) {
+      return blob;
+    }
+
+    try {
+      return await this.encryption.encrypt(await this.encryption.decrypt(blob, telegramId), telegramId);
+    } catch (error) {
+      // Keep the original; rotation reports keys no ring key can decrypt
+      this.logger.warn('Failed to re-encrypt migrated private key', { telegramId, error: error.message });
+      return blob;
+    }
+  }
+
+  async getMigrationState() {
+    return (await this.kv.get('migration:auth0', 'json')) || { page: 0, imported: 0, done: false };
+  }
+
+  /**
+   * Migrates one page of Auth0 users per call, keeping its position in KV so
+   * scheduled runs work through every user within the Workers request limits.
+   */
+  async migrateFromAuth0({ perPage = 50 } = {}) {
+    if (!this.legacy) {
+      return null;
+    }
+
+    const state = await this.getMigrationState();
+    if (state.done) {
+      return state;
+    }
+
+    const users = await this.legacy.listUsers(state.page, perPage);
+    let imported = 0;
+
+    for (const auth0User of users) {
+      try {
+        if (await this.importAuth0User(auth0User)) {
+          imported++;
+        }
+      } catch (error) {
+        this.logger.warn('Failed to migrate Auth0 user', {
+          auth0_id: auth0User.user_id,
+          error: error.message
+        });
+      }
+    }
+
+    const next = {
+      page: state.page + 1,
+      imported: state.imported + imported,
+      done: users.length < perPage,
+      updatedAt: new Date().toISOString()
+    };
+    await this.kv.put('migration:auth0', JSON.stringify(next));
+
+    this.logger.info('Auth0 user migration batch completed', {
+      page: state.page,
+      imported,
+      totalImported: next.imported,
+      done: next.done
+    });
+
+    return next;
+  }
+
   async getUserStats() {
     try {
       // KV doesn't have built-in count, so we'll estimate or use a counter
@@ -1,74 +1,194 @@
 // Encryption utilities for Cloudflare Workers
 
+import {
+  ENVELOPE_VERSION,
+  SHARED_AAD_ENVELOPE_VERSION,
+  CIPHERTEXT_VERSION,
+  CIPHERTEXT_AAD,
+  candidateKeyIds,
+  ownerAad,
+  isCurrentCiphertext
+} from '../../src/core/keyring.js';
+import { createKmsProviders } from './kms.js';
+
+/**
+ * Envelope encryption (see src/core/keyring.js): every blob gets its own
+ * AES-GCM data key, wrapped by the configured KMS provider, and is bound to
+ * its owner's Telegram ID. Blobs written before that (v3 envelopes, and v2
+ * and older written directly with a keyring key), including the Node bot's,
+ * are still decrypted.
+ */
 export class EncryptionService {
-  constructor(encryptionKey) {
-    this.key = encryptionKey;
+  constructor(keyring, kms = {}) {
+    this.keyring = keyring; // { currentKeyId, keys: { id: key } }
+    this.cryptoKeys = new Map(); // keyring key ID -> imported CryptoKey
+
+    const { current, providers } = createKmsProviders(kms, keyring);
+    this.kms = current;
+    this.kmsProviders = providers;
   }
 
-  async encrypt(text) {
-    try {
-      // Convert key to CryptoKey
-      const keyBuffer = new TextEncoder().encode(this.key);
-      const cryptoKey = await crypto.subtle.importKey(
-        'raw',
-        keyBuffer,
-        { name: 'AES-GCM' },
-        false,
-        ['encrypt']
-      );
+  // "<kms>:<kid>" of the master key that wraps new data keys
+  get currentKeyId() {
+    return `${this.kms.name}:${this.kms.currentKeyId}`;
+  }
 
-      // Generate random IV
+  async getCryptoKey(keyId) {
+    if (!this.cryptoKeys.has(keyId)) {
+      const key = this.keyring.keys[keyId];
+      if (!key) {
+        throw new Error(`unknown key ID "${keyId}"`);
+      }
+      this.cryptoKeys.set(keyId, await this.importKey(new TextEncoder().encode(key)));
+    }
+    return this.cryptoKeys.get(keyId);
+  }
+
+  importKey(rawKey) {
+    return crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+  }
+
+  // owner: Telegram ID of the user the secret belongs to
+  async encrypt(text, owner) {
+    const dataKey = crypto.getRandomValues(new Uint8Array(32));
+
+    try {
       const iv = crypto.getRandomValues(new Uint8Array(12));
-      
-      // Encrypt the text
-      const encodedText = new TextEncoder().encode(text);
-      const encrypted = await crypto.subtle.encrypt(
-        { name: 'AES-GCM', iv },
-        cryptoKey,
-        encodedText
-      );
 
-      // Return as base64 strings
+      // Web Crypto appends the 16-byte tag to the ciphertext
+      const sealed = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(ownerAad(owner)) },
+        await this.importKey(dataKey),
+        new TextEncoder().encode(text)
+      ));
+      const { kid, wrappedKey } = await this.kms.wrapKey(dataKey);
+
       return {
+        v: ENVELOPE_VERSION,
+        kms: this.kms.name,
+        kid,
+        key: wrappedKey,
         iv: this.arrayBufferToBase64(iv),
-        encrypted: this.arrayBufferToBase64(encrypted)
+        tag: this.arrayBufferToBase64(sealed.slice(-16)),
+        data: this.arrayBufferToBase64(sealed.slice(0, -16))
       };
     } catch (error) {
       throw new Error('Encryption failed: ' + error.message);
+    } finally {
+      dataKey.fill(0);
     }
   }
 
-  async decrypt(encryptedData) {
+  // owner must be the Telegram ID the blob was encrypted for; older blobs ignore it
+  async decrypt(encryptedData, owner) {
     try {
-      const { iv, encrypted } = encryptedData;
-      
-      // Convert key to CryptoKey
-      const keyBuffer = new TextEncoder().encode(this.key);
-      const cryptoKey = await crypto.subtle.importKey(
-        'raw',
-        keyBuffer,
-        { name: 'AES-GCM' },
-        false,
-        ['decrypt']
-      );
+      if (encryptedData && encryptedData.v === ENVELOPE_VERSION) {
+        return await this.decryptEnvelope(encryptedData, ownerAad(owner));
+      }
 
-      // Convert base64 back to ArrayBuffer
-      const ivBuffer = this.base64ToArrayBuffer(iv);
-      const encryptedBuffer = this.base64ToArrayBuffer(encrypted);
-      
-      // Decrypt
-      const decrypted = await crypto.subtle.decrypt(
-        { name: 'AES-GCM', iv: ivBuffer },
-        cryptoKey,
-        encryptedBuffer
-      );
+      if (encryptedData && encryptedData.v === SHARED_AAD_ENVELOPE_VERSION) {
+        return await this.decryptEnvelope(encryptedData, CIPHERTEXT_AAD);
+      }
 
-      return new TextDecoder().decode(decrypted);
+      if (encryptedData && encryptedData.v === CIPHERTEXT_VERSION) {
+        const { kid, iv, tag, data } = encryptedData;
+        return await this.decryptWith(
+          await this.getCryptoKey(kid),
+          new Uint8Array(this.base64ToArrayBuffer(iv)),
+          this.concat(this.base64ToArrayBuffer(data), this.base64ToArrayBuffer(tag)),
+          CIPHERTEXT_AAD
+        );
+      }
+
+      // Blobs from before key IDs: try every key, current first
+      const legacy = this.parseLegacy(encryptedData);
+      for (const keyId of candidateKeyIds(this.keyring)) {
+        try {
+          return await this.decryptWith(await this.getCryptoKey(keyId), legacy.iv, legacy.sealed, legacy.aad);
+        } catch (error) {
+          // Wrong key: GCM authentication fails, try the next one
+        }
+      }
+      throw new Error('no key in the keyring matches');
     } catch (error) {
       throw new Error('Decryption failed: ' + error.message);
     }
   }
 
+  // Whether the blob must be re-encrypted to bind it to its owner under the current master key
+  needsReencryption(encryptedData) {
+    return !isCurrentCiphertext(encryptedData, this.currentKeyId);
+  }
+
+  async decryptEnvelope({ kms, kid, key, iv, tag, data }, aad) {
+    const provider = this.kmsProviders[kms];
+    if (!provider) {
+      throw new Error(`KMS provider "${kms}" is not configured`);
+    }
+
+    const dataKey = await provider.unwrapKey(kid, key);
+    try {
+      return await this.decryptWith(
+        await this.importKey(dataKey),
+        new Uint8Array(this.base64ToArrayBuffer(iv)),
+        this.concat(this.base64ToArrayBuffer(data), this.base64ToArrayBuffer(tag)),
+        aad
+      );
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  async decryptWith(cryptoKey, iv, sealed, aad) {
+    const params = { name: 'AES-GCM', iv };
+    if (aad) {
+      params.additionalData = new TextEncoder().encode(aad);
+    }
+
+    const decrypted = await crypto.subtle.decrypt(params, cryptoKey, sealed);
+    return new TextDecoder().decode(decrypted);
+  }
+
+  // Workers bot: { iv, encrypted } in base64, tag appended, no AAD.
+  // Node bot: { iv, authTag, encrypted } in hex with AAD.
+  parseLegacy(encryptedData) {
+    const { iv, authTag, encrypted } = encryptedData || {};
+    if (!iv || !encrypted) {
+      throw new Error('unrecognized ciphertext format');
+    }
+
+    if (authTag) {
+      return {
+        iv: this.hexToBytes(iv),
+        sealed: this.concat(this.hexToBytes(encrypted), this.hexToBytes(authTag)),
+        aad: CIPHERTEXT_AAD
+      };
+    }
+
+    return {
+      iv: new Uint8Array(this.base64ToArrayBuffer(iv)),
+      sealed: new Uint8Array(this.base64ToArrayBuffer(encrypted)),
+      aad: null
+    };
+  }
+
+  concat(first, second) {
+    const a = new Uint8Array(first);
+    const b = new Uint8Array(second);
+    const combined = new Uint8Array(a.length + b.length);
+    combined.set(a);
+    combined.set(b, a.length);
+    return combined;
+  }
+
+  hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
   async hash(data) {
     const encoder = new TextEncoder();
     const dataBuffer = encoder.encode(data);
@@ -99,4 +219,35 @@ export class EncryptionService {
     }
     return bytes.buffer;
   }
-}
\ No newline at end of file
+}
+
+// HMAC-SHA256 of data keyed with secret, hex encoded
+export async function hmacHex(secret, data) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Constant-time string comparison (only the length is compared directly)
+export function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+
+  if (left.length !== right.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ right[i];
+  }
+  return diff === 0;
+}
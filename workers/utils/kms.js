@@ -0,0 +1,114 @@
+// KMS providers for envelope encryption on Cloudflare Workers
+
+import { KEY_WRAP_AAD } from '../../src/core/keyring.js';
+
+// Wrapped keys are base64 of iv | ciphertext | tag, as in the Node bot
+// (src/services/kms/keyWrap.js), so either runtime can unwrap them.
+async function wrapWithKey(masterKey, dataKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(KEY_WRAP_AAD) },
+    masterKey,
+    dataKey
+  ));
+
+  const wrapped = new Uint8Array(iv.length + sealed.length);
+  wrapped.set(iv);
+  wrapped.set(sealed, iv.length);
+  return toBase64(wrapped);
+}
+
+async function unwrapWithKey(masterKey, wrappedKey) {
+  const wrapped = fromBase64(wrappedKey);
+  return new Uint8Array(await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: wrapped.slice(0, 12), additionalData: new TextEncoder().encode(KEY_WRAP_AAD) },
+    masterKey,
+    wrapped.slice(12)
+  ));
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Provider over raw 32-byte master keys, imported as non-extractable
+ * CryptoKeys on first use. The keyring and local providers differ only in
+ * where their master keys come from.
+ */
+class RawKeyKmsProvider {
+  constructor(name, currentKeyId, rawKeys) {
+    this.name = name;
+    this.currentKeyId = currentKeyId;
+    this.rawKeys = rawKeys; // key ID -> Uint8Array
+    this.cryptoKeys = new Map(); // key ID -> imported CryptoKey
+  }
+
+  async getMasterKey(kid) {
+    if (!this.cryptoKeys.has(kid)) {
+      if (!this.rawKeys[kid]) {
+        throw new Error(`unknown ${this.name} key ID "${kid}"`);
+      }
+      this.cryptoKeys.set(kid, await crypto.subtle.importKey('raw', this.rawKeys[kid], { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']));
+    }
+    return this.cryptoKeys.get(kid);
+  }
+
+  async wrapKey(dataKey) {
+    return { kid: this.currentKeyId, wrappedKey: await wrapWithKey(await this.getMasterKey(this.currentKeyId), dataKey) };
+  }
+
+  async unwrapKey(kid, wrappedKey) {
+    return unwrapWithKey(await this.getMasterKey(kid), wrappedKey);
+  }
+}
+
+// Master keys from the ENCRYPTION_KEY keyring; the env alone can unwrap
+export class KeyringKmsProvider extends RawKeyKmsProvider {
+  constructor(keyring) {
+    const encoder = new TextEncoder();
+    super('keyring', keyring.currentKeyId, Object.fromEntries(
+      Object.entries(keyring.keys).map(([kid, key]) => [kid, encoder.encode(key)])
+    ));
+  }
+}
+
+// Master keys from the KMS_LOCAL_KEYS secret: the Node bot's local key file
+export class LocalKmsProvider extends RawKeyKmsProvider {
+  constructor(keySet) {
+    super('local', keySet.currentKeyId, Object.fromEntries(
+      Object.entries(keySet.keys).map(([kid, key]) => [kid, fromBase64(key)])
+    ));
+  }
+}
+
+/**
+ * Every configured provider, so envelopes stay readable after KMS_PROVIDER
+ * changes, plus the one that wraps new data keys (see src/services/kms).
+ */
+export function createKmsProviders({ provider = 'keyring', localKeys = null } = {}, keyring) {
+  const providers = { keyring: new KeyringKmsProvider(keyring) };
+
+  if (localKeys) {
+    providers.local = new LocalKmsProvider(localKeys);
+  }
+
+  if (!providers[provider]) {
+    throw new Error(`KMS provider "${provider}" is not configured`);
+  }
+
+  return { current: providers[provider], providers };
+}
@@ -28,14 +28,25 @@ export class Logger {
     });
   }
 
-  sanitizeLogData(data) {
+  // `seen` holds the objects being sanitized, to stop at cycles
+  sanitizeLogData(data, seen = new WeakSet()) {
     if (typeof data !== 'object' || data === null) {
       return data;
     }
+    if (seen.has(data)) {
+      return '[Circular]';
+    }
+    seen.add(data);
+
+    if (Array.isArray(data)) {
+      const items = data.map(item => this.sanitizeLogData(item, seen));
+      seen.delete(data);
+      return items;
+    }
 
     const sensitiveKeys = [
       'password', 'token', 'secret', 'key', 'seed', 'private',
-      'auth', 'credential', 'api_key', 'access_token'
+      'mnemonic', 'phrase', 'auth', 'credential', 'api_key', 'access_token'
     ];
 
     const sanitized = { ...data };
@@ -45,10 +56,11 @@ export class Logger {
       if (sensitiveKeys.some(sensitive => lowerKey.includes(sensitive))) {
         sanitized[key] = '[REDACTED]';
       } else if (typeof value === 'object' && value !== null) {
-        sanitized[key] = this.sanitizeLogData(value);
+        sanitized[key] = this.sanitizeLogData(value, seen);
       }
     }
-    
+
+    seen.delete(data);
     return sanitized;
   }
 
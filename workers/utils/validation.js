@@ -1,12 +1,27 @@
 // Environment validation for Cloudflare Workers
 
+import { parseKeyring, parseKmsKeySet, KMS_PROVIDERS } from '../../src/core/keyring.js';
+
+const USER_STORES = ['kv', 'auth0'];
+
+const AUTH0_VARS = [
+  'AUTH0_DOMAIN',
+  'AUTH0_CLIENT_ID',
+  'AUTH0_CLIENT_SECRET',
+  'AUTH0_MANAGEMENT_TOKEN'
+];
+
 export function validateEnvironment(env) {
+  const userStore = (env.USER_STORE || 'kv').toLowerCase();
+  if (!USER_STORES.includes(userStore)) {
+    throw new Error(`USER_STORE must be one of: ${USER_STORES.join(', ')}`);
+  }
+
+  // Auth0 is only required when it holds the users; with the KV store it is
+  // optional and, when configured, existing Auth0 users are migrated to KV
   const required = [
     'TELEGRAM_BOT_TOKEN',
-    'AUTH0_DOMAIN',
-    'AUTH0_CLIENT_ID', 
-    'AUTH0_CLIENT_SECRET',
-    'AUTH0_MANAGEMENT_TOKEN',
+    ...(userStore === 'auth0' ? AUTH0_VARS : []),
     'ENCRYPTION_KEY',
     'JWT_SECRET'
   ];
@@ -17,6 +32,11 @@ export function validateEnvironment(env) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
 
+  // Friends and payment requests live in KV whichever store holds the users
+  if (!env.USERS) {
+    throw new Error('Missing required KV namespace binding: USERS');
+  }
+
   // Validate encryption key length
   if (env.ENCRYPTION_KEY.length !== 32) {
     throw new Error('ENCRYPTION_KEY must be exactly 32 characters');
@@ -27,74 +47,83 @@ export function validateEnvironment(env) {
     throw new Error('JWT_SECRET must be at least 32 characters');
   }
 
+  const kmsProvider = env.KMS_PROVIDER || 'keyring';
+  if (!KMS_PROVIDERS.includes(kmsProvider)) {
+    throw new Error(`KMS_PROVIDER must be one of: ${KMS_PROVIDERS.join(', ')}`);
+  }
+  if (kmsProvider === 'local' && !env.KMS_LOCAL_KEYS) {
+    throw new Error('KMS_LOCAL_KEYS is required when KMS_PROVIDER=local');
+  }
+  // With the keyring provider, leaked secrets decrypt every wallet
+  if (env.NODE_ENV === 'production' && kmsProvider === 'keyring') {
+    throw new Error('KMS_PROVIDER=keyring is not allowed in production; use KMS_PROVIDER=local with the KMS_LOCAL_KEYS secret');
+  }
+
+  // Telegram only accepts A-Z, a-z, 0-9, _ and - in secret tokens
+  if (env.TELEGRAM_WEBHOOK_SECRET && !/^[A-Za-z0-9_-]{1,256}$/.test(env.TELEGRAM_WEBHOOK_SECRET)) {
+    throw new Error('TELEGRAM_WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ or -');
+  }
+
   return {
     TELEGRAM_BOT_TOKEN: env.TELEGRAM_BOT_TOKEN,
+    TELEGRAM_WEBHOOK_SECRET: env.TELEGRAM_WEBHOOK_SECRET || null,
+    WEBHOOK_URL: env.WEBHOOK_URL ? env.WEBHOOK_URL.replace(/\/+$/, '') : null,
     AUTH0_DOMAIN: env.AUTH0_DOMAIN,
     AUTH0_CLIENT_ID: env.AUTH0_CLIENT_ID,
     AUTH0_CLIENT_SECRET: env.AUTH0_CLIENT_SECRET,
     AUTH0_MANAGEMENT_TOKEN: env.AUTH0_MANAGEMENT_TOKEN,
+    AUTH0_CONFIGURED: AUTH0_VARS.every(key => env[key]),
+    USER_STORE: userStore,
     ENCRYPTION_KEY: env.ENCRYPTION_KEY,
+    // Current key for encryption plus retired keys still accepted for decryption
+    ENCRYPTION_KEYRING: parseKeyring({
+      currentKey: env.ENCRYPTION_KEY,
+      currentKeyId: env.ENCRYPTION_KEY_ID,
+      previousKeys: env.ENCRYPTION_PREVIOUS_KEYS
+    }),
+    // Master key provider for envelope encryption (see workers/utils/kms.js)
+    KMS: {
+      provider: kmsProvider,
+      localKeys: env.KMS_LOCAL_KEYS ? parseKmsKeySet(env.KMS_LOCAL_KEYS) : null
+    },
     JWT_SECRET: env.JWT_SECRET,
     ARC_RPC_URL: env.ARC_RPC_URL || 'https://rpc.testnet.arc.network',
     ARC_CHAIN_ID: env.ARC_CHAIN_ID || '5042002',
     ARC_EXPLORER_URL: env.ARC_EXPLORER_URL || 'https://testnet.arcscan.app',
     RATE_LIMIT_WINDOW_MS: parseInt(env.RATE_LIMIT_WINDOW_MS || '900000'),
     RATE_LIMIT_MAX_REQUESTS: parseInt(env.RATE_LIMIT_MAX_REQUESTS || '100'),
+    // Sliding-window limits per Telegram user and action (see RateLimiter)
+    RATE_LIMITS: {
+      command: {
+        limit: parseInt(env.RATE_LIMIT_MAX_REQUESTS || '100'),
+        windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS || '900000')
+      },
+      payment: {
+        limit: parseInt(env.RATE_LIMIT_PAYMENTS_PER_MINUTE || '5'),
+        windowMs: 60000
+      },
+      qr: {
+        limit: parseInt(env.RATE_LIMIT_QR_PER_MINUTE || '10'),
+        windowMs: 60000
+      }
+    },
     LOG_LEVEL: env.LOG_LEVEL || 'info'
   };
 }
 
-// Input validation helpers
-export function validateEVMAddress(address) {
-  return /^0x[a-fA-F0-9]{40}$/.test(address);
-}
+// Input validation helpers (recipient rules are shared with the Node bot)
+export {
+  parseRecipient,
+  isValidEVMAddress as validateEVMAddress,
+  isValidTelegramUsername as validateTelegramUsername,
+  isValidFriendAlias as validateFriendAlias
+} from '../../src/core/recipients.js';
 
 export function validateAmount(amount) {
   const num = parseFloat(amount);
   return !isNaN(num) && num > 0 && num <= 1000000000000;
 }
 
-export function validateTelegramUsername(username) {
-  const clean = username.replace('@', '');
-  return /^[a-zA-Z0-9_]{5,32}$/.test(clean);
-}
-
-export function parseRecipient(recipient) {
-  if (!recipient || typeof recipient !== 'string') {
-    throw new Error('Recipient is required');
-  }
-
-  const trimmed = recipient.trim();
-
-  // EVM address
-  if (trimmed.startsWith('0x') && trimmed.length === 42) {
-    if (validateEVMAddress(trimmed)) {
-      return { type: 'address', value: trimmed };
-    }
-    throw new Error('Invalid EVM address format');
-  }
-
-  // Telegram username
-  if (trimmed.startsWith('@')) {
-    const username = trimmed.substring(1);
-    if (validateTelegramUsername(username)) {
-      return { type: 'username', value: username };
-    }
-    throw new Error('Invalid Telegram username format');
-  }
-
-  // Telegram user ID
-  if (/^\d+$/.test(trimmed)) {
-    const userId = parseInt(trimmed);
-    if (userId > 0) {
-      return { type: 'userId', value: userId };
-    }
-    throw new Error('Invalid Telegram user ID');
-  }
-
-  throw new Error('Invalid recipient format');
-}
-
 export function sanitizeInput(text) {
   if (!text || typeof text !== 'string') {
     return '';